@@ -0,0 +1,310 @@
+// src/app/account/company/page.js
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { formatDistanceToNow } from "date-fns";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Building2, Globe, Plus, RefreshCw, Trash2, Loader2, AlertTriangle, CheckCircle } from "lucide-react";
+
+import { getCurrentUser } from "@/lib/cms/web/account";
+import {
+  getCompanyDomains,
+  addCompanyDomain,
+  checkCompanyDomain,
+  deleteCompanyDomain
+} from "@/lib/cms/web/domain_client";
+
+export default function AccountCompanyPage() {
+  const router = useRouter();
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  const [newDomains, setNewDomains] = useState({});
+  const [addingTeamId, setAddingTeamId] = useState(null);
+  const [checkingId, setCheckingId] = useState(null);
+
+  const [removeTarget, setRemoveTarget] = useState(null);
+  const [isRemoving, setIsRemoving] = useState(false);
+
+  const loadDomains = useCallback(async () => {
+    const result = await getCompanyDomains();
+    if (result.success) {
+      setTeams(result.data);
+    } else {
+      setError(result.message || "Failed to load your company domains");
+    }
+  }, []);
+
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+
+        const response = await getCurrentUser();
+        if (!response.success) {
+          router.push("/login?session=expired");
+          return;
+        }
+
+        await loadDomains();
+      } catch (e) {
+        console.error("Failed to load company domains:", e);
+        setError(e.message || "An error occurred while loading your company domains.");
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchData();
+  }, [router, loadDomains]);
+
+  const handleAddDomain = async (e, teamId) => {
+    e.preventDefault();
+    setAddingTeamId(teamId);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await addCompanyDomain(teamId, newDomains[teamId] || "");
+    if (result.success) {
+      setSuccessMessage(`${result.data.domain} was added. Publish its TXT record, then check DNS.`);
+      setNewDomains(prev => ({ ...prev, [teamId]: "" }));
+      await loadDomains();
+    } else {
+      setError(result.message || "Failed to claim the domain");
+    }
+
+    setAddingTeamId(null);
+  };
+
+  const handleCheckDomain = async (claim) => {
+    setCheckingId(claim.id);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await checkCompanyDomain(claim.id);
+    if (result.success) {
+      setSuccessMessage(result.message || `${claim.domain} is verified`);
+    } else {
+      setError(result.message || "Failed to verify the domain");
+    }
+    await loadDomains();
+
+    setCheckingId(null);
+  };
+
+  const handleRemoveDomain = async () => {
+    setIsRemoving(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await deleteCompanyDomain(removeTarget.id);
+    if (result.success) {
+      setSuccessMessage(result.message || "Domain removed.");
+      await loadDomains();
+    } else {
+      setError(result.message || "Failed to remove the domain");
+    }
+
+    setRemoveTarget(null);
+    setIsRemoving(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-3xl space-y-6">
+        <Skeleton className="h-8 w-1/3" />
+        <Skeleton className="h-4 w-2/3" />
+        {[...Array(2)].map((_, i) => (
+          <Skeleton key={i} className="h-40 w-full" />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Company</h1>
+        <p className="text-muted-foreground">
+          Verify your company&apos;s email domains. Until a domain is verified, people signing up with it
+          don&apos;t join your team and single sign-on and company downloads stay off for it.
+        </p>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {successMessage && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>{successMessage}</AlertDescription>
+        </Alert>
+      )}
+
+      {teams.length === 0 && (
+        <Card>
+          <CardContent className="pt-6">
+            <p className="text-sm text-muted-foreground">
+              You don&apos;t own a company team. Ask your team&apos;s owner to manage its domains.
+            </p>
+          </CardContent>
+        </Card>
+      )}
+
+      {teams.map((team) => (
+        <Card key={team.teamId}>
+          <CardHeader>
+            <CardTitle className="flex items-center space-x-2">
+              <Building2 className="w-5 h-5" />
+              <span>{team.teamName}</span>
+            </CardTitle>
+            <CardDescription>
+              {team.joinMode === "approval"
+                ? "New people from verified domains wait for approval before joining."
+                : `New people from verified domains join automatically as ${team.defaultRole}.`}
+              {team.ssoRequired && " Members must sign in with single sign-on."}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {team.domains.length === 0 && (
+              <p className="text-sm text-muted-foreground">No domains yet.</p>
+            )}
+
+            {team.domains.map((claim) => (
+              <div key={claim.id} className="rounded-md border p-4 space-y-3">
+                <div className="flex items-start justify-between">
+                  <div className="flex items-start space-x-3">
+                    <Globe className="w-5 h-5 mt-0.5 text-muted-foreground" />
+                    <div className="space-y-1">
+                      <div className="flex items-center space-x-2">
+                        <p className="font-medium">{claim.domain}</p>
+                        {claim.status === "verified"
+                          ? <Badge>Verified</Badge>
+                          : <Badge variant="secondary">Pending</Badge>}
+                      </div>
+                      {claim.status === "verified" && claim.verifiedAt && (
+                        <p className="text-sm text-muted-foreground">
+                          Verified {new Date(claim.verifiedAt).toLocaleDateString()}
+                          {claim.verificationMethod === "admin" ? " by an administrator" : " with DNS"}
+                        </p>
+                      )}
+                      {claim.status !== "verified" && claim.lastCheckedAt && (
+                        <p className="text-sm text-muted-foreground">
+                          Last checked {formatDistanceToNow(new Date(claim.lastCheckedAt), { addSuffix: true })}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {claim.status !== "verified" && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleCheckDomain(claim)}
+                        disabled={checkingId === claim.id}
+                      >
+                        {checkingId === claim.id
+                          ? <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                          : <RefreshCw className="w-4 h-4 mr-1" />}
+                        Check DNS
+                      </Button>
+                    )}
+                    <Button variant="outline" size="sm" onClick={() => setRemoveTarget(claim)}>
+                      <Trash2 className="w-4 h-4 mr-1" />
+                      Remove
+                    </Button>
+                  </div>
+                </div>
+
+                {claim.status !== "verified" && (
+                  claim.record ? (
+                    <div className="rounded-md bg-muted p-3 text-sm space-y-1">
+                      <p>Add this TXT record at your DNS provider, then check DNS:</p>
+                      <p><span className="text-muted-foreground">Host:</span> <code className="break-all">{claim.record.host}</code></p>
+                      <p><span className="text-muted-foreground">Type:</span> <code>{claim.record.type}</code></p>
+                      <p><span className="text-muted-foreground">Value:</span> <code className="break-all">{claim.record.value}</code></p>
+                    </div>
+                  ) : (
+                    <p className="text-sm text-muted-foreground">Check DNS to get the TXT record for this domain.</p>
+                  )
+                )}
+              </div>
+            ))}
+
+            <form onSubmit={(e) => handleAddDomain(e, team.teamId)} className="flex items-center space-x-2 pt-2">
+              <Input
+                placeholder="example.com"
+                value={newDomains[team.teamId] || ""}
+                onChange={(e) => setNewDomains(prev => ({ ...prev, [team.teamId]: e.target.value }))}
+                disabled={addingTeamId === team.teamId}
+              />
+              <Button type="submit" disabled={addingTeamId === team.teamId || !newDomains[team.teamId]}>
+                {addingTeamId === team.teamId
+                  ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  : <Plus className="w-4 h-4 mr-2" />}
+                Add domain
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      ))}
+
+      {/* Remove domain confirmation */}
+      <AlertDialog open={!!removeTarget} onOpenChange={(open) => !open && !isRemoving && setRemoveTarget(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Remove {removeTarget?.domain}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              People signing up with this domain will no longer join your team. Current members stay.
+              Adding it again needs a new DNS check.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isRemoving}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={(e) => {
+                e.preventDefault();
+                handleRemoveDomain();
+              }}
+              disabled={isRemoving}
+            >
+              {isRemoving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Remove
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
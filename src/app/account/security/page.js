@@ -0,0 +1,721 @@
+// src/app/account/security/page.js
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import {
+  KeyRound,
+  Plus,
+  Pencil,
+  Trash2,
+  Loader2,
+  AlertTriangle,
+  CheckCircle,
+  LogOut,
+  ShieldCheck,
+  LifeBuoy
+} from "lucide-react";
+
+import RecoveryCodesDialog from "@/components/account/recoveryCodes";
+
+import { getCurrentUser, signOutEverywhere } from "@/lib/cms/web/account";
+import {
+  checkPasskeySupport,
+  registerPasskey,
+  getUserPasskeyList,
+  getSignInMethods,
+  renamePasskey,
+  removePasskey,
+  withPasskeyStepUp,
+  formatPasskeyForDisplay
+} from "@/lib/cms/web/passkey_client";
+import {
+  getTwoFactorSettings,
+  beginAuthenticatorSetup,
+  finishAuthenticatorSetup,
+  removeAuthenticator
+} from "@/lib/cms/web/totp_client";
+import { renewRecoveryCodes, removeRecoveryCodes } from "@/lib/cms/web/recovery_client";
+
+const MAX_NICKNAME_LENGTH = 64;
+
+// Dialogs for actions that need a code from the authenticator app. Recovery
+// code changes ask for a passkey instead when no authenticator app is set up.
+const CODE_ACTIONS = {
+  disable: {
+    title: "Turn off the authenticator app?",
+    description: "Enter a code from your authenticator app, or a recovery code if you no longer have it.",
+    submitLabel: "Turn off",
+    successMessage: "Authenticator app turned off.",
+    run: (code) => removeAuthenticator(code)
+  },
+  regenerate: {
+    title: "Generate new recovery codes?",
+    description: "Your current recovery codes will stop working.",
+    submitLabel: "Generate new codes",
+    successMessage: "New recovery codes generated. Save them somewhere safe.",
+    run: (code) => renewRecoveryCodes(code)
+  },
+  revokeRecoveryCodes: {
+    title: "Turn off recovery codes?",
+    description: "Your recovery codes will stop working, so you won't be able to use them to get back into your account.",
+    submitLabel: "Turn off recovery codes",
+    successMessage: "Recovery codes turned off.",
+    run: (code) => removeRecoveryCodes(code)
+  }
+};
+
+export default function AccountSecurityPage() {
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+  const [passkeys, setPasskeys] = useState([]);
+  const [signInMethods, setSignInMethods] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isAdding, setIsAdding] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [passkeySupported, setPasskeySupported] = useState(true);
+
+  const [renameTarget, setRenameTarget] = useState(null);
+  const [nickname, setNickname] = useState("");
+  const [isRenaming, setIsRenaming] = useState(false);
+
+  const [removeTarget, setRemoveTarget] = useState(null);
+  const [isRemoving, setIsRemoving] = useState(false);
+
+  const [confirmSignOut, setConfirmSignOut] = useState(false);
+  const [isSigningOut, setIsSigningOut] = useState(false);
+
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [isStartingSetup, setIsStartingSetup] = useState(false);
+  const [totpSetup, setTotpSetup] = useState(null);
+  const [setupCode, setSetupCode] = useState("");
+  const [isConfirmingSetup, setIsConfirmingSetup] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const [codeAction, setCodeAction] = useState(null);
+  const [actionCode, setActionCode] = useState("");
+  const [isSubmittingCodeAction, setIsSubmittingCodeAction] = useState(false);
+
+  const loadPasskeys = useCallback(async (userId) => {
+    const [passkeysResult, methodsResult] = await Promise.all([
+      getUserPasskeyList(userId),
+      getSignInMethods(userId)
+    ]);
+
+    if (passkeysResult.success) {
+      setPasskeys(passkeysResult.data);
+    } else {
+      setError(passkeysResult.message || "Failed to load your passkeys");
+    }
+
+    setSignInMethods(methodsResult.success ? methodsResult.data : null);
+  }, []);
+
+  const loadTwoFactor = useCallback(async () => {
+    const result = await getTwoFactorSettings();
+    setTwoFactor(result.success ? result.data : null);
+  }, []);
+
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+        setPasskeySupported(checkPasskeySupport().webAuthnSupported);
+
+        const response = await getCurrentUser();
+        if (!response.success) {
+          router.push("/login?session=expired");
+          return;
+        }
+
+        setUser(response.data);
+        await Promise.all([loadPasskeys(response.data.$id), loadTwoFactor()]);
+      } catch (e) {
+        console.error("Failed to load security settings:", e);
+        setError(e.message || "An error occurred while loading your security settings.");
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchData();
+  }, [router, loadPasskeys, loadTwoFactor]);
+
+  // Without a password or social login, the last usable passkey can't be removed
+  const isLastSignInMethod = (passkey) =>
+    !!signInMethods &&
+    !passkey.quarantined &&
+    !signInMethods.hasPassword &&
+    !signInMethods.hasSocialLogin &&
+    signInMethods.passkeyCount <= 1;
+
+  const handleAddPasskey = async () => {
+    setIsAdding(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await registerPasskey(user.email, user.$id);
+    if (result.success) {
+      setSuccessMessage("Passkey added. You can now use it to sign in.");
+      // Created with the first passkey when there are none
+      if (result.data?.recoveryCodes) {
+        setRecoveryCodes(result.data.recoveryCodes);
+      }
+      await Promise.all([loadPasskeys(user.$id), loadTwoFactor()]);
+    } else {
+      setError(result.message || "Failed to add passkey");
+    }
+
+    setIsAdding(false);
+  };
+
+  const openRename = (passkey) => {
+    setRenameTarget(passkey);
+    setNickname(passkey.nickname || "");
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setIsRenaming(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await renamePasskey(user.$id, renameTarget.id, nickname);
+    if (result.success) {
+      setSuccessMessage("Passkey renamed.");
+      setRenameTarget(null);
+      await loadPasskeys(user.$id);
+    } else {
+      setError(result.message || "Failed to rename passkey");
+    }
+
+    setIsRenaming(false);
+  };
+
+  const handleRemove = async () => {
+    setIsRemoving(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    // Removing a passkey is sensitive; the server may ask to confirm with a passkey first
+    const result = await withPasskeyStepUp(() => removePasskey(user.$id, removeTarget.id));
+    if (result.success) {
+      setSuccessMessage("Passkey removed.");
+      await loadPasskeys(user.$id);
+    } else {
+      setError(result.message || "Failed to remove passkey");
+    }
+
+    setRemoveTarget(null);
+    setIsRemoving(false);
+  };
+
+  const handleSignOutEverywhere = async () => {
+    setIsSigningOut(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    // Redirects to the login page on success
+    const result = await signOutEverywhere();
+    if (!result.success) {
+      setError(result.message || "Failed to sign out everywhere");
+      setConfirmSignOut(false);
+      setIsSigningOut(false);
+    }
+  };
+
+  const handleStartTotpSetup = async () => {
+    setIsStartingSetup(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await beginAuthenticatorSetup();
+    if (result.success) {
+      setSetupCode("");
+      setTotpSetup(result.data);
+    } else {
+      setError(result.message || "Failed to start authenticator setup");
+    }
+
+    setIsStartingSetup(false);
+  };
+
+  const handleConfirmTotpSetup = async (e) => {
+    e.preventDefault();
+    setIsConfirmingSetup(true);
+    setError(null);
+
+    const result = await finishAuthenticatorSetup(setupCode);
+    if (result.success) {
+      setTotpSetup(null);
+      setRecoveryCodes(result.data.recoveryCodes);
+      setSuccessMessage("Authenticator app enabled. You'll be asked for a code when you sign in with your password.");
+      await loadTwoFactor();
+    } else {
+      setError(result.message || "Failed to enable the authenticator app");
+    }
+
+    setIsConfirmingSetup(false);
+  };
+
+  // Without an authenticator app, recovery code changes are confirmed with a passkey
+  const codeRequired = codeAction === "disable" || !!twoFactor?.totpEnabled;
+  const hasRecoverableSignIn = !!twoFactor?.totpEnabled || passkeys.length > 0;
+
+  const openCodeAction = (action) => {
+    setActionCode("");
+    setError(null);
+    setSuccessMessage(null);
+    setCodeAction(action);
+  };
+
+  const handleCodeAction = async (e) => {
+    e.preventDefault();
+    setIsSubmittingCodeAction(true);
+    setError(null);
+
+    const result = await CODE_ACTIONS[codeAction].run(codeRequired ? actionCode : null);
+
+    if (result.success) {
+      setSuccessMessage(CODE_ACTIONS[codeAction].successMessage);
+      if (result.data?.recoveryCodes) {
+        setRecoveryCodes(result.data.recoveryCodes);
+      }
+      setCodeAction(null);
+      await loadTwoFactor();
+    } else {
+      setError(result.message || "That code didn't work");
+    }
+
+    setIsSubmittingCodeAction(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-3xl space-y-6">
+        <Skeleton className="h-8 w-1/3" />
+        <Skeleton className="h-4 w-2/3" />
+        {[...Array(2)].map((_, i) => (
+          <Skeleton key={i} className="h-24 w-full" />
+        ))}
+      </div>
+    );
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="max-w-3xl space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Security</h1>
+        <p className="text-muted-foreground">Manage how you sign in and where you&apos;re signed in.</p>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {successMessage && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>{successMessage}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle className="flex items-center space-x-2">
+              <KeyRound className="w-5 h-5" />
+              <span>Passkeys</span>
+            </CardTitle>
+            <CardDescription>
+              Passkeys let you sign in with your fingerprint, face, screen lock or security key.
+            </CardDescription>
+          </div>
+          <Button onClick={handleAddPasskey} disabled={isAdding || !passkeySupported}>
+            {isAdding ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <Plus className="w-4 h-4 mr-2" />
+            )}
+            {passkeys.length > 0 ? "Add another passkey" : "Add a passkey"}
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {!passkeySupported && (
+            <p className="text-sm text-muted-foreground">
+              This browser doesn&apos;t support passkeys. Use a different browser or device to add one.
+            </p>
+          )}
+
+          {passkeys.length === 0 && (
+            <p className="text-sm text-muted-foreground">You haven&apos;t added any passkeys yet.</p>
+          )}
+
+          {passkeys.map((passkey) => {
+            const display = formatPasskeyForDisplay(passkey);
+            const isLast = isLastSignInMethod(passkey);
+
+            return (
+              <div key={passkey.id} className="flex items-start justify-between rounded-md border p-4">
+                <div className="space-y-1">
+                  <div className="flex items-center space-x-2">
+                    <p className="font-medium">{display.displayName}</p>
+                    {display.backupEligible && <Badge variant="secondary">Synced</Badge>}
+                    {passkey.quarantined && <Badge variant="destructive">Suspended</Badge>}
+                  </div>
+                  <p className="text-sm text-muted-foreground">{display.subtitle}</p>
+                  <p className="text-sm text-muted-foreground">
+                    Created {display.createdDate}
+                    {display.lastUsedDate ? ` • Last used ${display.lastUsedDate}` : " • Never used"}
+                  </p>
+                  {passkey.quarantined && (
+                    <p className="text-sm text-destructive">
+                      This passkey was suspended after a security check and can&apos;t be used to sign in.
+                    </p>
+                  )}
+                  {isLast && (
+                    <p className="text-sm text-muted-foreground">
+                      This is your only way to sign in. Add another passkey before removing it.
+                    </p>
+                  )}
+                </div>
+                <div className="flex space-x-2">
+                  <Button variant="outline" size="sm" onClick={() => openRename(passkey)}>
+                    <Pencil className="w-4 h-4 mr-1" />
+                    Rename
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setRemoveTarget(passkey)}
+                    disabled={isLast}
+                  >
+                    <Trash2 className="w-4 h-4 mr-1" />
+                    Remove
+                  </Button>
+                </div>
+              </div>
+            );
+          })}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle className="flex items-center space-x-2">
+              <ShieldCheck className="w-5 h-5" />
+              <span>Authenticator app</span>
+              {twoFactor?.totpEnabled && <Badge variant="secondary">On</Badge>}
+            </CardTitle>
+            <CardDescription>
+              Ask for a code from an authenticator app when you sign in with your password.
+              Signing in with a passkey counts as the second step.
+            </CardDescription>
+          </div>
+          {!twoFactor?.totpEnabled && (
+            <Button onClick={handleStartTotpSetup} disabled={isStartingSetup || !twoFactor}>
+              {isStartingSetup && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Set up
+            </Button>
+          )}
+        </CardHeader>
+        {twoFactor?.totpEnabled && (
+          <CardContent className="space-y-3">
+            <div className="flex items-start justify-between rounded-md border p-4">
+              <div className="space-y-1">
+                <p className="font-medium">Authenticator app</p>
+                <p className="text-sm text-muted-foreground">
+                  Turned on {new Date(twoFactor.totpEnabledAt).toLocaleDateString()}
+                </p>
+              </div>
+              <Button variant="outline" size="sm" onClick={() => openCodeAction("disable")}>
+                Turn off
+              </Button>
+            </div>
+          </CardContent>
+        )}
+      </Card>
+
+      {hasRecoverableSignIn && twoFactor && (
+        <Card>
+          <CardHeader className="flex flex-row items-start justify-between space-y-0">
+            <div className="space-y-1.5">
+              <CardTitle className="flex items-center space-x-2">
+                <LifeBuoy className="w-5 h-5" />
+                <span>Recovery codes</span>
+              </CardTitle>
+              <CardDescription>
+                One-time codes to get back into your account if you lose your passkeys or
+                authenticator app. Keep them somewhere safe, like a password manager or a printout.
+              </CardDescription>
+            </div>
+            <Button variant="outline" onClick={() => openCodeAction("regenerate")}>
+              {twoFactor.recoveryCodesRemaining > 0 ? "Generate new codes" : "Generate codes"}
+            </Button>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <div className="flex items-start justify-between rounded-md border p-4">
+              <div className="space-y-1">
+                <p className="font-medium">
+                  {twoFactor.recoveryCodesRemaining === 1
+                    ? "1 unused code left"
+                    : `${twoFactor.recoveryCodesRemaining} unused codes left`}
+                </p>
+                {twoFactor.recoveryCodesGeneratedAt && twoFactor.recoveryCodesRemaining > 0 && (
+                  <p className="text-sm text-muted-foreground">
+                    Created {new Date(twoFactor.recoveryCodesGeneratedAt).toLocaleDateString()}
+                  </p>
+                )}
+                {twoFactor.recoveryCodesRemaining <= 2 && (
+                  <p className="text-sm text-destructive">
+                    {twoFactor.recoveryCodesRemaining === 0
+                      ? "You have no recovery codes. Generate some so you can't get locked out."
+                      : "You're running out of recovery codes. Generate new ones."}
+                  </p>
+                )}
+              </div>
+              {twoFactor.recoveryCodesRemaining > 0 && (
+                <Button variant="outline" size="sm" onClick={() => openCodeAction("revokeRecoveryCodes")}>
+                  Turn off
+                </Button>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle className="flex items-center space-x-2">
+              <LogOut className="w-5 h-5" />
+              <span>Sign out everywhere</span>
+            </CardTitle>
+            <CardDescription>
+              Sign out of every browser and device, including this one. Use this if you think
+              someone else has access to your account.
+            </CardDescription>
+          </div>
+          <Button variant="outline" onClick={() => setConfirmSignOut(true)}>
+            Sign out everywhere
+          </Button>
+        </CardHeader>
+      </Card>
+
+      {/* Rename dialog */}
+      <Dialog open={!!renameTarget} onOpenChange={(open) => !open && setRenameTarget(null)}>
+        <DialogContent>
+          <form onSubmit={handleRename} className="space-y-4">
+            <DialogHeader>
+              <DialogTitle>Rename passkey</DialogTitle>
+              <DialogDescription>
+                Give this passkey a name you&apos;ll recognise. Leave it empty to use the device name.
+              </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-2">
+              <Label htmlFor="passkey-nickname">Name</Label>
+              <Input
+                id="passkey-nickname"
+                value={nickname}
+                maxLength={MAX_NICKNAME_LENGTH}
+                placeholder={renameTarget?.authenticatorName || "Passkey"}
+                onChange={(e) => setNickname(e.target.value)}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setRenameTarget(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isRenaming}>
+                {isRenaming && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Save
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Authenticator setup dialog */}
+      <Dialog open={!!totpSetup} onOpenChange={(open) => !open && !isConfirmingSetup && setTotpSetup(null)}>
+        <DialogContent>
+          <form onSubmit={handleConfirmTotpSetup} className="space-y-4">
+            <DialogHeader>
+              <DialogTitle>Set up an authenticator app</DialogTitle>
+              <DialogDescription>
+                Scan the QR code with an authenticator app, then enter the 6-digit code it shows.
+              </DialogDescription>
+            </DialogHeader>
+            {totpSetup && (
+              <div className="flex flex-col items-center space-y-3">
+                {/* eslint-disable-next-line @next/next/no-img-element */}
+                <img src={totpSetup.qrCode} alt="QR code for your authenticator app" width={200} height={200} />
+                <p className="text-sm text-muted-foreground text-center">
+                  Can&apos;t scan it? Enter this key instead:
+                  <br />
+                  <code className="font-mono break-all">{totpSetup.secret}</code>
+                </p>
+              </div>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="totp-setup-code">Code</Label>
+              <Input
+                id="totp-setup-code"
+                value={setupCode}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                placeholder="123456"
+                onChange={(e) => setSetupCode(e.target.value.replace(/\D/g, ""))}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setTotpSetup(null)} disabled={isConfirmingSetup}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isConfirmingSetup || setupCode.length !== 6}>
+                {isConfirmingSetup && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Turn on
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Recovery codes, shown once */}
+      <RecoveryCodesDialog
+        codes={recoveryCodes}
+        accountName={user.email}
+        onClose={() => setRecoveryCodes(null)}
+      />
+
+      {/* Turn off authenticator / change recovery codes */}
+      <Dialog open={!!codeAction} onOpenChange={(open) => !open && !isSubmittingCodeAction && setCodeAction(null)}>
+        <DialogContent>
+          <form onSubmit={handleCodeAction} className="space-y-4">
+            <DialogHeader>
+              <DialogTitle>{codeAction && CODE_ACTIONS[codeAction].title}</DialogTitle>
+              <DialogDescription>
+                {codeAction && CODE_ACTIONS[codeAction].description}
+                {codeAction !== "disable" && (codeRequired
+                  ? " Enter a code from your authenticator app to continue."
+                  : " You may be asked to confirm with your passkey.")}
+              </DialogDescription>
+            </DialogHeader>
+            {codeRequired && (
+              <div className="space-y-2">
+                <Label htmlFor="totp-action-code">Code</Label>
+                <Input
+                  id="totp-action-code"
+                  value={actionCode}
+                  autoComplete="one-time-code"
+                  onChange={(e) => setActionCode(e.target.value)}
+                />
+              </div>
+            )}
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setCodeAction(null)} disabled={isSubmittingCodeAction}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSubmittingCodeAction || (codeRequired && !actionCode.trim())}>
+                {isSubmittingCodeAction && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                {codeAction && CODE_ACTIONS[codeAction].submitLabel}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      {/* Remove confirmation */}
+      <AlertDialog open={!!removeTarget} onOpenChange={(open) => !open && !isRemoving && setRemoveTarget(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Remove this passkey?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {removeTarget && formatPasskeyForDisplay(removeTarget).displayName} will no longer be able to
+              sign in to your account. You may be asked to confirm with a passkey first.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isRemoving}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={(e) => {
+                e.preventDefault();
+                handleRemove();
+              }}
+              disabled={isRemoving}
+            >
+              {isRemoving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Remove passkey
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      {/* Sign out everywhere confirmation */}
+      <AlertDialog open={confirmSignOut} onOpenChange={(open) => !open && !isSigningOut && setConfirmSignOut(false)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Sign out everywhere?</AlertDialogTitle>
+            <AlertDialogDescription>
+              You will be signed out on all devices, including this one, and will need to sign in again.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isSigningOut}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={(e) => {
+                e.preventDefault();
+                handleSignOutEverywhere();
+              }}
+              disabled={isSigningOut}
+            >
+              {isSigningOut && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Sign out everywhere
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
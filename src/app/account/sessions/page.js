@@ -0,0 +1,296 @@
+// src/app/account/sessions/page.js
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { formatDistanceToNow } from "date-fns";
+
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Monitor, Smartphone, LogOut, Loader2, AlertTriangle, CheckCircle } from "lucide-react";
+
+import {
+  getCurrentUser,
+  getActiveSessions,
+  signOutSession,
+  signOutOtherSessions
+} from "@/lib/cms/web/account";
+
+const PROVIDER_LABELS = {
+  password: "Password",
+  sso: "Social login",
+  passkey: "Passkey",
+  magic_link: "Email link"
+};
+
+/**
+ * Display text for a session
+ * @param {Object} session - Session from getActiveSessions
+ * @returns {{device: string, details: string, activity: string}}
+ */
+const formatSessionForDisplay = (session) => {
+  const device = [session.browser, session.os].filter(Boolean).join(" on ") || "Unknown device";
+  const details = [
+    PROVIDER_LABELS[session.provider] || session.provider,
+    session.location || "Unknown location",
+    session.ip
+  ].filter(Boolean).join(" • ");
+  const activity = `Signed in ${new Date(session.createdAt).toLocaleDateString()}` +
+    (session.current ? " • Active now" : ` • Last seen ${formatDistanceToNow(new Date(session.lastActiveAt), { addSuffix: true })}`);
+
+  return { device, details, activity };
+};
+
+export default function AccountSessionsPage() {
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  const [signOutTarget, setSignOutTarget] = useState(null);
+  const [isSigningOutSession, setIsSigningOutSession] = useState(false);
+
+  const [confirmSignOutOthers, setConfirmSignOutOthers] = useState(false);
+  const [isSigningOutOthers, setIsSigningOutOthers] = useState(false);
+
+  const loadSessions = useCallback(async (userId) => {
+    const result = await getActiveSessions(userId);
+    if (result.success) {
+      // This device first, then the most recently active
+      setSessions([...result.data].sort((a, b) =>
+        (b.current - a.current) || (new Date(b.lastActiveAt) - new Date(a.lastActiveAt))
+      ));
+    } else {
+      setError(result.message || "Failed to load your sessions");
+    }
+  }, []);
+
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+
+        const response = await getCurrentUser();
+        if (!response.success) {
+          router.push("/login?session=expired");
+          return;
+        }
+
+        setUser(response.data);
+        await loadSessions(response.data.$id);
+      } catch (e) {
+        console.error("Failed to load sessions:", e);
+        setError(e.message || "An error occurred while loading your sessions.");
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchData();
+  }, [router, loadSessions]);
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  const handleSignOutSession = async () => {
+    setIsSigningOutSession(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await signOutSession(user.$id, signOutTarget.$id);
+    if (result.success) {
+      setSuccessMessage("Session signed out.");
+      await loadSessions(user.$id);
+    } else {
+      setError(result.message || "Failed to sign out the session");
+    }
+
+    setSignOutTarget(null);
+    setIsSigningOutSession(false);
+  };
+
+  const handleSignOutOthers = async () => {
+    setIsSigningOutOthers(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await signOutOtherSessions();
+    if (result.success) {
+      setSuccessMessage(
+        result.revokedCount === 1
+          ? "Signed out of 1 other session."
+          : `Signed out of ${result.revokedCount} other sessions.`
+      );
+      await loadSessions(user.$id);
+    } else {
+      setError(result.message || "Failed to sign out other sessions");
+    }
+
+    setConfirmSignOutOthers(false);
+    setIsSigningOutOthers(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-3xl space-y-6">
+        <Skeleton className="h-8 w-1/3" />
+        <Skeleton className="h-4 w-2/3" />
+        {[...Array(3)].map((_, i) => (
+          <Skeleton key={i} className="h-20 w-full" />
+        ))}
+      </div>
+    );
+  }
+
+  if (!user) return null;
+
+  return (
+    <div className="max-w-3xl space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Sessions</h1>
+        <p className="text-muted-foreground">Browsers and devices where you&apos;re signed in.</p>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {successMessage && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>{successMessage}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle className="flex items-center space-x-2">
+              <Monitor className="w-5 h-5" />
+              <span>Active sessions</span>
+            </CardTitle>
+            <CardDescription>
+              If you don&apos;t recognise a session, sign it out and change your password.
+              Locations are approximate.
+            </CardDescription>
+          </div>
+          <Button
+            variant="outline"
+            onClick={() => setConfirmSignOutOthers(true)}
+            disabled={otherSessions.length === 0}
+          >
+            Sign out all other sessions
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {sessions.length === 0 && (
+            <p className="text-sm text-muted-foreground">No active sessions found.</p>
+          )}
+
+          {sessions.map((session) => {
+            const display = formatSessionForDisplay(session);
+            const DeviceIcon = session.mobile ? Smartphone : Monitor;
+
+            return (
+              <div key={session.$id} className="flex items-start justify-between rounded-md border p-4">
+                <div className="flex items-start space-x-3">
+                  <DeviceIcon className="w-5 h-5 mt-0.5 text-muted-foreground" />
+                  <div className="space-y-1">
+                    <div className="flex items-center space-x-2">
+                      <p className="font-medium">{display.device}</p>
+                      {session.current && <Badge variant="secondary">This device</Badge>}
+                    </div>
+                    <p className="text-sm text-muted-foreground">{display.details}</p>
+                    <p className="text-sm text-muted-foreground">{display.activity}</p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <Button variant="outline" size="sm" onClick={() => setSignOutTarget(session)}>
+                    <LogOut className="w-4 h-4 mr-1" />
+                    Sign out
+                  </Button>
+                )}
+              </div>
+            );
+          })}
+        </CardContent>
+      </Card>
+
+      {/* Sign out one session confirmation */}
+      <AlertDialog open={!!signOutTarget} onOpenChange={(open) => !open && !isSigningOutSession && setSignOutTarget(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Sign out this session?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {signOutTarget && formatSessionForDisplay(signOutTarget).device} will be signed out and
+              will need to sign in again.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isSigningOutSession}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={(e) => {
+                e.preventDefault();
+                handleSignOutSession();
+              }}
+              disabled={isSigningOutSession}
+            >
+              {isSigningOutSession && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Sign out
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      {/* Sign out all other sessions confirmation */}
+      <AlertDialog open={confirmSignOutOthers} onOpenChange={(open) => !open && !isSigningOutOthers && setConfirmSignOutOthers(false)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Sign out all other sessions?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Every other browser and device will be signed out. You&apos;ll stay signed in here.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isSigningOutOthers}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={(e) => {
+                e.preventDefault();
+                handleSignOutOthers();
+              }}
+              disabled={isSigningOutOthers}
+            >
+              {isSigningOutOthers && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Sign out other sessions
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
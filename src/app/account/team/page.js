@@ -0,0 +1,330 @@
+// src/app/account/team/page.js
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { formatDistanceToNow } from "date-fns";
+
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Users, Mail, Send, RefreshCw, XCircle, Loader2, AlertTriangle, CheckCircle } from "lucide-react";
+
+import { getCurrentUser } from "@/lib/cms/web/account";
+import {
+  getOwnedTeamInvitations,
+  sendTeamInvitation,
+  resendInvitation,
+  revokeInvitation
+} from "@/lib/cms/web/invitation_client";
+import { TEAM_ROLES } from "@/lib/cms/server/team_roles";
+
+const DEFAULT_INVITE = { email: "", role: "member" };
+
+/**
+ * Sent and expiry text for an invitation
+ * @param {Object} invitation - Invitation from getOwnedTeamInvitations
+ * @returns {string}
+ */
+const formatInvitationTimes = (invitation) => {
+  const sent = `Sent ${formatDistanceToNow(new Date(invitation.sentAt), { addSuffix: true })}` +
+    (invitation.sendCount > 1 ? ` (${invitation.sendCount} times)` : "");
+  const expiry = invitation.state === "expired"
+    ? `expired ${formatDistanceToNow(new Date(invitation.expiresAt), { addSuffix: true })}`
+    : `expires ${formatDistanceToNow(new Date(invitation.expiresAt), { addSuffix: true })}`;
+  return `${sent} • ${expiry}`;
+};
+
+export default function AccountTeamPage() {
+  const router = useRouter();
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  const [invites, setInvites] = useState({});
+  const [sendingTeamId, setSendingTeamId] = useState(null);
+  const [resendingId, setResendingId] = useState(null);
+
+  const [revokeTarget, setRevokeTarget] = useState(null);
+  const [isRevoking, setIsRevoking] = useState(false);
+
+  const loadInvitations = useCallback(async () => {
+    const result = await getOwnedTeamInvitations();
+    if (result.success) {
+      setTeams(result.data);
+    } else {
+      setError(result.message || "Failed to load your team invitations");
+    }
+  }, []);
+
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+
+        const response = await getCurrentUser();
+        if (!response.success) {
+          router.push("/login?session=expired");
+          return;
+        }
+
+        await loadInvitations();
+      } catch (e) {
+        console.error("Failed to load team invitations:", e);
+        setError(e.message || "An error occurred while loading your team invitations.");
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchData();
+  }, [router, loadInvitations]);
+
+  const updateInvite = (teamId, changes) => {
+    setInvites(prev => ({ ...prev, [teamId]: { ...(prev[teamId] || DEFAULT_INVITE), ...changes } }));
+  };
+
+  const handleInvite = async (e, teamId) => {
+    e.preventDefault();
+    const invite = invites[teamId] || DEFAULT_INVITE;
+    setSendingTeamId(teamId);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await sendTeamInvitation(teamId, invite.email, invite.role);
+    if (result.success) {
+      setSuccessMessage(result.message || "Invitation sent.");
+      updateInvite(teamId, { email: "" });
+    } else {
+      setError(result.message || "Failed to send the invitation");
+    }
+    // A failed email still leaves a saved invitation to resend
+    await loadInvitations();
+
+    setSendingTeamId(null);
+  };
+
+  const handleResend = async (invitation) => {
+    setResendingId(invitation.id);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await resendInvitation(invitation.id);
+    if (result.success) {
+      setSuccessMessage(result.message || "Invitation resent.");
+      await loadInvitations();
+    } else {
+      setError(result.message || "Failed to resend the invitation");
+    }
+
+    setResendingId(null);
+  };
+
+  const handleRevoke = async () => {
+    setIsRevoking(true);
+    setError(null);
+    setSuccessMessage(null);
+
+    const result = await revokeInvitation(revokeTarget.id);
+    if (result.success) {
+      setSuccessMessage(result.message || "Invitation withdrawn.");
+      await loadInvitations();
+    } else {
+      setError(result.message || "Failed to withdraw the invitation");
+    }
+
+    setRevokeTarget(null);
+    setIsRevoking(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-3xl space-y-6">
+        <Skeleton className="h-8 w-1/3" />
+        <Skeleton className="h-4 w-2/3" />
+        {[...Array(2)].map((_, i) => (
+          <Skeleton key={i} className="h-40 w-full" />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Team</h1>
+        <p className="text-muted-foreground">
+          Invite people to your company team. They get an email link to accept, and can create an
+          account from it if they don&apos;t have one yet.
+        </p>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {successMessage && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>{successMessage}</AlertDescription>
+        </Alert>
+      )}
+
+      {teams.length === 0 && (
+        <Card>
+          <CardContent className="pt-6">
+            <p className="text-sm text-muted-foreground">
+              You don&apos;t own a company team. Ask your team&apos;s owner to invite people.
+            </p>
+          </CardContent>
+        </Card>
+      )}
+
+      {teams.map((team) => {
+        const invite = invites[team.teamId] || DEFAULT_INVITE;
+        const isSending = sendingTeamId === team.teamId;
+
+        return (
+          <Card key={team.teamId}>
+            <CardHeader>
+              <CardTitle className="flex items-center space-x-2">
+                <Users className="w-5 h-5" />
+                <span>{team.teamName}</span>
+              </CardTitle>
+              <CardDescription>
+                {TEAM_ROLES[invite.role]?.description}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <form onSubmit={(e) => handleInvite(e, team.teamId)} className="flex items-center space-x-2">
+                <Input
+                  type="email"
+                  placeholder="name@example.com"
+                  value={invite.email}
+                  onChange={(e) => updateInvite(team.teamId, { email: e.target.value })}
+                  disabled={isSending}
+                />
+                <Select
+                  value={invite.role}
+                  onValueChange={(role) => updateInvite(team.teamId, { role })}
+                  disabled={isSending}
+                >
+                  <SelectTrigger className="w-36">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(TEAM_ROLES).map(([role, { label }]) => (
+                      <SelectItem key={role} value={role}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button type="submit" disabled={isSending || !invite.email}>
+                  {isSending
+                    ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    : <Send className="w-4 h-4 mr-2" />}
+                  Invite
+                </Button>
+              </form>
+
+              {team.invitations.length === 0 && (
+                <p className="text-sm text-muted-foreground pt-2">No open invitations.</p>
+              )}
+
+              {team.invitations.map((invitation) => (
+                <div key={invitation.id} className="flex items-start justify-between rounded-md border p-4">
+                  <div className="flex items-start space-x-3">
+                    <Mail className="w-5 h-5 mt-0.5 text-muted-foreground" />
+                    <div className="space-y-1">
+                      <div className="flex items-center space-x-2">
+                        <p className="font-medium">{invitation.email}</p>
+                        <Badge variant="outline">{TEAM_ROLES[invitation.role]?.label || invitation.role}</Badge>
+                        {invitation.state === "expired"
+                          ? <Badge variant="destructive">Expired</Badge>
+                          : <Badge variant="secondary">Pending</Badge>}
+                      </div>
+                      <p className="text-sm text-muted-foreground">{formatInvitationTimes(invitation)}</p>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleResend(invitation)}
+                      disabled={resendingId === invitation.id}
+                    >
+                      {resendingId === invitation.id
+                        ? <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                        : <RefreshCw className="w-4 h-4 mr-1" />}
+                      Resend
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => setRevokeTarget(invitation)}>
+                      <XCircle className="w-4 h-4 mr-1" />
+                      Withdraw
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        );
+      })}
+
+      {/* Withdraw invitation confirmation */}
+      <AlertDialog open={!!revokeTarget} onOpenChange={(open) => !open && !isRevoking && setRevokeTarget(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Withdraw this invitation?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The link sent to {revokeTarget?.email} will stop working. You can invite them again later.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isRevoking}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={(e) => {
+                e.preventDefault();
+                handleRevoke();
+              }}
+              disabled={isRevoking}
+            >
+              {isRevoking && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Withdraw
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
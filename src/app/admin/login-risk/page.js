@@ -0,0 +1,363 @@
+// src/app/admin/login-risk/page.js
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Separator } from "@/components/ui/separator";
+import { Gauge, AlertTriangle, Loader2, ChevronLeft, ChevronRight, Search, Check } from "lucide-react";
+
+import { getLoginRiskDecisions, markLoginRiskReviewed } from "@/lib/cms/server/risk_admin";
+
+const PAGE_SIZE = 25;
+const ALL = "all";
+
+const DECISION_LABELS = {
+  allow: "Allowed",
+  second_factor: "Second factor",
+  block: "Blocked"
+};
+
+const PROVIDER_LABELS = {
+  password: "Password",
+  magic_link: "Email link"
+};
+
+const SIGNAL_LABELS = {
+  bot: "Bot score",
+  new_device: "New device",
+  new_network: "New network",
+  new_country: "New country",
+  failed_attempts: "Failed attempts",
+  first_login: "First sign-in"
+};
+
+const getDecisionBadgeVariant = (decision) => {
+  switch (decision) {
+    case "allow":
+      return "default";
+    case "block":
+      return "destructive";
+    default:
+      return "secondary";
+  }
+};
+
+export default function LoginRiskPage() {
+  const [filters, setFilters] = useState({
+    userId: "",
+    decision: ALL,
+    review: ALL
+  });
+
+  const [decisionsStatus, setDecisionsStatus] = useState({
+    isLoading: true,
+    decisions: [],
+    total: 0,
+    offset: 0,
+    error: null
+  });
+
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const loadDecisions = useCallback(async (offset = 0) => {
+    setDecisionsStatus(prev => ({ ...prev, isLoading: true, error: null }));
+
+    try {
+      const result = await getLoginRiskDecisions({
+        userId: filters.userId.trim() || undefined,
+        decision: filters.decision === ALL ? undefined : filters.decision,
+        unreviewed: filters.review === "unreviewed",
+        limit: PAGE_SIZE,
+        offset
+      });
+
+      if (result.success) {
+        setDecisionsStatus({
+          isLoading: false,
+          decisions: result.data.decisions,
+          total: result.data.total,
+          offset: result.data.offset,
+          error: null
+        });
+      } else {
+        setDecisionsStatus(prev => ({
+          ...prev,
+          isLoading: false,
+          error: result.message || "Failed to load login risk decisions"
+        }));
+      }
+    } catch (error) {
+      setDecisionsStatus(prev => ({
+        ...prev,
+        isLoading: false,
+        error: error.message || "Failed to load login risk decisions"
+      }));
+    }
+  }, [filters]);
+
+  // Reload from the first page whenever the decision or review filter changes
+  useEffect(() => {
+    loadDecisions(0);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters.decision, filters.review]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadDecisions(0);
+  };
+
+  const handleReview = async (assessmentId) => {
+    setReviewingId(assessmentId);
+
+    try {
+      const result = await markLoginRiskReviewed(assessmentId);
+      if (result.success) {
+        setDecisionsStatus(prev => ({
+          ...prev,
+          decisions: prev.decisions.map(decision => decision.id === assessmentId ? result.data : decision)
+        }));
+      } else {
+        setDecisionsStatus(prev => ({ ...prev, error: result.message || "Failed to mark as reviewed" }));
+      }
+    } catch (error) {
+      setDecisionsStatus(prev => ({ ...prev, error: error.message || "Failed to mark as reviewed" }));
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const pageStart = decisionsStatus.total === 0 ? 0 : decisionsStatus.offset + 1;
+  const pageEnd = Math.min(decisionsStatus.offset + PAGE_SIZE, decisionsStatus.total);
+
+  return (
+    <div className="container mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Gauge className="w-8 h-8" />
+          <div>
+            <h1 className="text-3xl font-bold">Login Risk</h1>
+            <p className="text-muted-foreground">Risk decisions made for sign-ins across all users</p>
+          </div>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/admin/settings">Back to Settings</Link>
+        </Button>
+      </div>
+
+      <Separator />
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Decisions</CardTitle>
+          <CardDescription>
+            Every password and email link sign-in is scored from its bot score, device, network, country and
+            recent failed attempts, then allowed, asked for a second factor or blocked.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {/* Filters */}
+          <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-3">
+            <Input
+              placeholder="Filter by user ID"
+              value={filters.userId}
+              onChange={(e) => setFilters(prev => ({ ...prev, userId: e.target.value }))}
+              className="w-64"
+            />
+
+            <Select
+              value={filters.decision}
+              onValueChange={(decision) => setFilters(prev => ({ ...prev, decision }))}
+            >
+              <SelectTrigger className="w-48">
+                <SelectValue placeholder="All decisions" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All decisions</SelectItem>
+                {Object.entries(DECISION_LABELS).map(([decision, label]) => (
+                  <SelectItem key={decision} value={decision}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Select
+              value={filters.review}
+              onValueChange={(review) => setFilters(prev => ({ ...prev, review }))}
+            >
+              <SelectTrigger className="w-40">
+                <SelectValue placeholder="All" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All</SelectItem>
+                <SelectItem value="unreviewed">Not reviewed</SelectItem>
+              </SelectContent>
+            </Select>
+
+            <Button type="submit" variant="outline" disabled={decisionsStatus.isLoading}>
+              {decisionsStatus.isLoading ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Search className="w-4 h-4 mr-2" />
+              )}
+              Search
+            </Button>
+          </form>
+
+          {decisionsStatus.error && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>{decisionsStatus.error}</AlertDescription>
+            </Alert>
+          )}
+
+          {/* Decisions */}
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Time</TableHead>
+                <TableHead>User</TableHead>
+                <TableHead>Method</TableHead>
+                <TableHead>Decision</TableHead>
+                <TableHead>Score</TableHead>
+                <TableHead>Signals</TableHead>
+                <TableHead>IP Address</TableHead>
+                <TableHead>Review</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {!decisionsStatus.isLoading && decisionsStatus.decisions.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={8} className="text-center text-muted-foreground">
+                    No login risk decisions found.
+                  </TableCell>
+                </TableRow>
+              )}
+              {decisionsStatus.decisions.map((decision) => (
+                <TableRow key={decision.id}>
+                  <TableCell className="whitespace-nowrap">
+                    {new Date(decision.createdAt).toLocaleString()}
+                    {!decision.completed && decision.decision !== "block" && (
+                      <p className="text-xs text-muted-foreground">Not completed</p>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <button
+                      type="button"
+                      className="font-mono text-xs underline-offset-2 hover:underline"
+                      onClick={() => setFilters(prev => ({ ...prev, userId: decision.userId }))}
+                    >
+                      {decision.userId}
+                    </button>
+                  </TableCell>
+                  <TableCell>{PROVIDER_LABELS[decision.provider] || decision.provider}</TableCell>
+                  <TableCell>
+                    <Badge variant={getDecisionBadgeVariant(decision.decision)}>
+                      {DECISION_LABELS[decision.decision] || decision.decision}
+                    </Badge>
+                  </TableCell>
+                  <TableCell>{decision.score}</TableCell>
+                  <TableCell className="max-w-xs">
+                    {Object.keys(decision.signals).length > 0 ? (
+                      <div className="flex flex-wrap gap-1">
+                        {Object.entries(decision.signals).map(([signal, weight]) => (
+                          <Badge key={signal} variant="outline" className="text-xs">
+                            {SIGNAL_LABELS[signal] || signal} +{weight}
+                          </Badge>
+                        ))}
+                      </div>
+                    ) : (
+                      <span className="text-muted-foreground">—</span>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <span className="font-mono text-xs">{decision.ip || "—"}</span>
+                    {decision.location && (
+                      <p className="text-xs text-muted-foreground">{decision.location}</p>
+                    )}
+                  </TableCell>
+                  <TableCell className="whitespace-nowrap">
+                    {decision.reviewedAt ? (
+                      <span className="text-xs text-muted-foreground">
+                        {new Date(decision.reviewedAt).toLocaleDateString()}
+                      </span>
+                    ) : (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleReview(decision.id)}
+                        disabled={reviewingId === decision.id}
+                      >
+                        {reviewingId === decision.id ? (
+                          <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                        ) : (
+                          <Check className="w-4 h-4 mr-1" />
+                        )}
+                        Mark reviewed
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {/* Pagination */}
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-muted-foreground">
+              {pageStart}–{pageEnd} of {decisionsStatus.total} decisions
+            </p>
+            <div className="flex space-x-2">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => loadDecisions(Math.max(decisionsStatus.offset - PAGE_SIZE, 0))}
+                disabled={decisionsStatus.isLoading || decisionsStatus.offset === 0}
+              >
+                <ChevronLeft className="w-4 h-4 mr-1" />
+                Previous
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => loadDecisions(decisionsStatus.offset + PAGE_SIZE)}
+                disabled={decisionsStatus.isLoading || pageEnd >= decisionsStatus.total}
+              >
+                Next
+                <ChevronRight className="w-4 h-4 ml-1" />
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,432 @@
+// src/app/admin/provisioning/page.js
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Separator } from "@/components/ui/separator";
+import { Building2, AlertTriangle, Loader2, Plus, X, Check, Trash2 } from "lucide-react";
+
+import {
+  listFreeMailDomains,
+  addFreeMailDomain,
+  removeFreeMailDomain,
+  listDomainClaims,
+  claimDomainForTeam,
+  setDomainClaimVerified,
+  removeDomainClaim,
+  updateTeamJoinSettings,
+  listJoinRequests,
+  decideJoinRequest
+} from "@/lib/cms/server/provisioning_admin";
+
+const JOIN_MODE_LABELS = {
+  auto: "Join automatically",
+  approval: "Admin approval"
+};
+
+export default function ProvisioningPage() {
+  const [error, setError] = useState(null);
+  const [busyKey, setBusyKey] = useState(null);
+
+  const [freeMail, setFreeMail] = useState({ isLoading: true, domains: [], isDefault: false });
+  const [newFreeMailDomain, setNewFreeMailDomain] = useState("");
+
+  const [claims, setClaims] = useState({ isLoading: true, items: [] });
+  const [newClaim, setNewClaim] = useState({ domain: "", teamId: "", teamName: "" });
+  const [joinSettings, setJoinSettings] = useState({});
+
+  const [joinRequests, setJoinRequests] = useState({ isLoading: true, items: [] });
+
+  const loadFreeMail = useCallback(async () => {
+    const result = await listFreeMailDomains();
+    if (result.success) {
+      setFreeMail({ isLoading: false, ...result.data });
+    } else {
+      setFreeMail(prev => ({ ...prev, isLoading: false }));
+      setError(result.message || "Failed to load free-mail domains");
+    }
+  }, []);
+
+  const loadClaims = useCallback(async () => {
+    const result = await listDomainClaims();
+    if (result.success) {
+      setClaims({ isLoading: false, items: result.data });
+      setJoinSettings(Object.fromEntries(result.data.map(claim => [
+        claim.teamId,
+        { joinMode: claim.joinMode, defaultRole: claim.defaultRole, ssoRequired: claim.ssoRequired }
+      ])));
+    } else {
+      setClaims(prev => ({ ...prev, isLoading: false }));
+      setError(result.message || "Failed to load domain claims");
+    }
+  }, []);
+
+  const loadJoinRequests = useCallback(async () => {
+    const result = await listJoinRequests();
+    if (result.success) {
+      setJoinRequests({ isLoading: false, items: result.data });
+    } else {
+      setJoinRequests(prev => ({ ...prev, isLoading: false }));
+      setError(result.message || "Failed to load join requests");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFreeMail();
+    loadClaims();
+    loadJoinRequests();
+  }, [loadFreeMail, loadClaims, loadJoinRequests]);
+
+  /**
+   * Run an admin action, show its error and reload what it changed
+   * @param {string} key - Identifies the busy control
+   * @param {Function} action - Returns the server result
+   * @param {Function} reload - Reloads the affected list
+   * @returns {Promise<boolean>} - Whether the action succeeded
+   */
+  const runAction = async (key, action, reload) => {
+    setBusyKey(key);
+    setError(null);
+
+    try {
+      const result = await action();
+      if (!result.success) {
+        setError(result.message || "The action failed");
+        return false;
+      }
+      await reload();
+      return true;
+    } catch (err) {
+      setError(err.message || "The action failed");
+      return false;
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleAddFreeMail = async (e) => {
+    e.preventDefault();
+    const added = await runAction("free-mail-add", () => addFreeMailDomain(newFreeMailDomain), loadFreeMail);
+    if (added) {
+      setNewFreeMailDomain("");
+    }
+  };
+
+  const handleClaim = async (e) => {
+    e.preventDefault();
+    const claimed = await runAction("claim-add", () => claimDomainForTeam(newClaim), loadClaims);
+    if (claimed) {
+      setNewClaim({ domain: "", teamId: "", teamName: "" });
+    }
+  };
+
+  const updateJoinSetting = (teamId, changes) => {
+    setJoinSettings(prev => ({ ...prev, [teamId]: { ...prev[teamId], ...changes } }));
+  };
+
+  return (
+    <div className="container mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Building2 className="w-8 h-8" />
+          <div>
+            <h1 className="text-3xl font-bold">Provisioning</h1>
+            <p className="text-muted-foreground">Which team new users join, by their email domain</p>
+          </div>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/admin/settings">Back to Settings</Link>
+        </Button>
+      </div>
+
+      <Separator />
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {/* Company domains */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Company Domains</CardTitle>
+          <CardDescription>
+            New users from a verified domain join its team with the team&apos;s default role, or wait for approval,
+            and must use SSO when the team requires it. The first sign-up from an unknown domain gets a new team and a
+            pending claim, which its owner verifies with a DNS TXT record (or you verify here).
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <form onSubmit={handleClaim} className="flex flex-wrap items-center gap-3">
+            <Input
+              placeholder="example.com"
+              value={newClaim.domain}
+              onChange={(e) => setNewClaim(prev => ({ ...prev, domain: e.target.value }))}
+              className="w-48"
+            />
+            <Input
+              placeholder="Team ID"
+              value={newClaim.teamId}
+              onChange={(e) => setNewClaim(prev => ({ ...prev, teamId: e.target.value }))}
+              className="w-48"
+            />
+            <Input
+              placeholder="Team name (new teams)"
+              value={newClaim.teamName}
+              onChange={(e) => setNewClaim(prev => ({ ...prev, teamName: e.target.value }))}
+              className="w-56"
+            />
+            <Button type="submit" variant="outline" disabled={busyKey === "claim-add" || !newClaim.domain || !newClaim.teamId}>
+              {busyKey === "claim-add" ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Plus className="w-4 h-4 mr-2" />
+              )}
+              Claim Domain
+            </Button>
+          </form>
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Domain</TableHead>
+                <TableHead>Team</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Join Mode</TableHead>
+                <TableHead>Default Role</TableHead>
+                <TableHead>SSO Only</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {!claims.isLoading && claims.items.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center text-muted-foreground">
+                    No company domains claimed yet.
+                  </TableCell>
+                </TableRow>
+              )}
+              {claims.items.map((claim) => {
+                const settings = joinSettings[claim.teamId] || { joinMode: claim.joinMode, defaultRole: claim.defaultRole, ssoRequired: claim.ssoRequired };
+                return (
+                  <TableRow key={claim.id}>
+                    <TableCell className="font-medium">{claim.domain}</TableCell>
+                    <TableCell>
+                      {claim.teamName || <span className="text-muted-foreground">Missing team</span>}
+                      <p className="font-mono text-xs text-muted-foreground">{claim.teamId}</p>
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant={claim.status === "verified" ? "default" : "secondary"} className="capitalize">
+                        {claim.status}
+                      </Badge>
+                      {claim.verificationMethod && (
+                        <p className="text-xs text-muted-foreground">
+                          {claim.verificationMethod === "dns" ? "DNS record" : "By an admin"}
+                        </p>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        value={settings.joinMode}
+                        onValueChange={(joinMode) => updateJoinSetting(claim.teamId, { joinMode })}
+                      >
+                        <SelectTrigger className="w-44">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(JOIN_MODE_LABELS).map(([mode, label]) => (
+                            <SelectItem key={mode} value={mode}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex items-center gap-2">
+                        <Input
+                          value={settings.defaultRole}
+                          onChange={(e) => updateJoinSetting(claim.teamId, { defaultRole: e.target.value })}
+                          className="w-32"
+                        />
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={busyKey === `settings-${claim.teamId}`}
+                          onClick={() => runAction(`settings-${claim.teamId}`, () => updateTeamJoinSettings(claim.teamId, settings), loadClaims)}
+                        >
+                          Save
+                        </Button>
+                      </div>
+                    </TableCell>
+                    <TableCell>
+                      <Checkbox
+                        aria-label={`Require SSO for ${claim.domain}`}
+                        checked={settings.ssoRequired}
+                        onCheckedChange={(checked) => updateJoinSetting(claim.teamId, { ssoRequired: checked === true })}
+                      />
+                    </TableCell>
+                    <TableCell className="text-right space-x-2 whitespace-nowrap">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={busyKey === `verify-${claim.id}`}
+                        onClick={() => runAction(`verify-${claim.id}`, () => setDomainClaimVerified(claim.id, claim.status !== "verified"), loadClaims)}
+                      >
+                        {claim.status === "verified" ? "Unverify" : "Verify"}
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={busyKey === `remove-${claim.id}`}
+                        onClick={() => runAction(`remove-${claim.id}`, () => removeDomainClaim(claim.id), loadClaims)}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      {/* Join requests */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Join Requests</CardTitle>
+          <CardDescription>
+            New users from the verified domain of a team in approval mode. Rejected users join the individual team.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Requested</TableHead>
+                <TableHead>Email</TableHead>
+                <TableHead>Team</TableHead>
+                <TableHead>Role</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {!joinRequests.isLoading && joinRequests.items.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center text-muted-foreground">
+                    No pending join requests.
+                  </TableCell>
+                </TableRow>
+              )}
+              {joinRequests.items.map((request) => (
+                <TableRow key={request.id}>
+                  <TableCell className="whitespace-nowrap">{new Date(request.createdAt).toLocaleString()}</TableCell>
+                  <TableCell>{request.email}</TableCell>
+                  <TableCell className="font-mono text-xs">{request.teamId}</TableCell>
+                  <TableCell>{request.role}</TableCell>
+                  <TableCell className="text-right space-x-2 whitespace-nowrap">
+                    <Button
+                      size="sm"
+                      disabled={busyKey === `request-${request.id}`}
+                      onClick={() => runAction(`request-${request.id}`, () => decideJoinRequest(request.id, true), loadJoinRequests)}
+                    >
+                      <Check className="w-4 h-4 mr-1" />
+                      Approve
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={busyKey === `request-${request.id}`}
+                      onClick={() => runAction(`request-${request.id}`, () => decideJoinRequest(request.id, false), loadJoinRequests)}
+                    >
+                      <X className="w-4 h-4 mr-1" />
+                      Reject
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      {/* Free-mail domains */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Free-Mail Domains</CardTitle>
+          <CardDescription>
+            New users from these domains join the individual team instead of a company team.
+            {freeMail.isDefault && " This is the built-in list; your first change saves it for editing."}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <form onSubmit={handleAddFreeMail} className="flex items-center gap-3">
+            <Input
+              placeholder="mail.example"
+              value={newFreeMailDomain}
+              onChange={(e) => setNewFreeMailDomain(e.target.value)}
+              className="w-64"
+            />
+            <Button type="submit" variant="outline" disabled={busyKey === "free-mail-add" || !newFreeMailDomain}>
+              {busyKey === "free-mail-add" ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Plus className="w-4 h-4 mr-2" />
+              )}
+              Add Domain
+            </Button>
+          </form>
+
+          <div className="flex flex-wrap gap-2">
+            {freeMail.isLoading && <Loader2 className="w-4 h-4 animate-spin" />}
+            {freeMail.domains.map(({ domain }) => (
+              <Badge key={domain} variant="secondary" className="gap-1">
+                {domain}
+                <button
+                  type="button"
+                  aria-label={`Remove ${domain}`}
+                  disabled={busyKey === `free-mail-${domain}`}
+                  onClick={() => runAction(`free-mail-${domain}`, () => removeFreeMailDomain(domain), loadFreeMail)}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </Badge>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,287 @@
+// src/app/admin/security-events/page.js
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Separator } from "@/components/ui/separator";
+import { ShieldCheck, AlertTriangle, Loader2, ChevronLeft, ChevronRight, Search } from "lucide-react";
+
+import { getSecurityEvents } from "@/lib/cms/server/passkey_events";
+import { SECURITY_EVENT_TYPES, SECURITY_EVENT_OUTCOMES } from "@/lib/cms/server/passkey_event_types";
+
+const PAGE_SIZE = 25;
+const ALL = "all";
+
+const getOutcomeBadgeVariant = (outcome) => {
+  switch (outcome) {
+    case "success":
+      return "default";
+    case "blocked":
+      return "destructive";
+    default:
+      return "secondary";
+  }
+};
+
+export default function SecurityEventsPage() {
+  const [filters, setFilters] = useState({
+    userId: "",
+    type: ALL,
+    outcome: ALL
+  });
+
+  const [eventsStatus, setEventsStatus] = useState({
+    isLoading: true,
+    events: [],
+    total: 0,
+    offset: 0,
+    error: null
+  });
+
+  const loadEvents = useCallback(async (offset = 0) => {
+    setEventsStatus(prev => ({ ...prev, isLoading: true, error: null }));
+
+    try {
+      const result = await getSecurityEvents({
+        userId: filters.userId.trim() || undefined,
+        type: filters.type === ALL ? undefined : filters.type,
+        outcome: filters.outcome === ALL ? undefined : filters.outcome,
+        limit: PAGE_SIZE,
+        offset
+      });
+
+      if (result.success) {
+        setEventsStatus({
+          isLoading: false,
+          events: result.data.events,
+          total: result.data.total,
+          offset: result.data.offset,
+          error: null
+        });
+      } else {
+        setEventsStatus(prev => ({
+          ...prev,
+          isLoading: false,
+          error: result.message || "Failed to load security events"
+        }));
+      }
+    } catch (error) {
+      setEventsStatus(prev => ({
+        ...prev,
+        isLoading: false,
+        error: error.message || "Failed to load security events"
+      }));
+    }
+  }, [filters]);
+
+  // Reload from the first page whenever the type or outcome filter changes
+  useEffect(() => {
+    loadEvents(0);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters.type, filters.outcome]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadEvents(0);
+  };
+
+  const pageStart = eventsStatus.total === 0 ? 0 : eventsStatus.offset + 1;
+  const pageEnd = Math.min(eventsStatus.offset + PAGE_SIZE, eventsStatus.total);
+
+  return (
+    <div className="container mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <ShieldCheck className="w-8 h-8" />
+          <div>
+            <h1 className="text-3xl font-bold">Security Events</h1>
+            <p className="text-muted-foreground">Audit trail of passkey activity across all users</p>
+          </div>
+        </div>
+        <Button variant="outline" asChild>
+          <Link href="/admin/settings">Back to Settings</Link>
+        </Button>
+      </div>
+
+      <Separator />
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Event Log</CardTitle>
+          <CardDescription>
+            Registrations, sign-ins, step-up verifications, passkey changes and blocked attempts.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {/* Filters */}
+          <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-3">
+            <Input
+              placeholder="Filter by user ID"
+              value={filters.userId}
+              onChange={(e) => setFilters(prev => ({ ...prev, userId: e.target.value }))}
+              className="w-64"
+            />
+
+            <Select
+              value={filters.type}
+              onValueChange={(type) => setFilters(prev => ({ ...prev, type }))}
+            >
+              <SelectTrigger className="w-56">
+                <SelectValue placeholder="All event types" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All event types</SelectItem>
+                {Object.entries(SECURITY_EVENT_TYPES).map(([type, label]) => (
+                  <SelectItem key={type} value={type}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Select
+              value={filters.outcome}
+              onValueChange={(outcome) => setFilters(prev => ({ ...prev, outcome }))}
+            >
+              <SelectTrigger className="w-40">
+                <SelectValue placeholder="All outcomes" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All outcomes</SelectItem>
+                {SECURITY_EVENT_OUTCOMES.map((outcome) => (
+                  <SelectItem key={outcome} value={outcome} className="capitalize">{outcome}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Button type="submit" variant="outline" disabled={eventsStatus.isLoading}>
+              {eventsStatus.isLoading ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Search className="w-4 h-4 mr-2" />
+              )}
+              Search
+            </Button>
+          </form>
+
+          {eventsStatus.error && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>{eventsStatus.error}</AlertDescription>
+            </Alert>
+          )}
+
+          {/* Events */}
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Time</TableHead>
+                <TableHead>Event</TableHead>
+                <TableHead>Outcome</TableHead>
+                <TableHead>User</TableHead>
+                <TableHead>IP Address</TableHead>
+                <TableHead>Details</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {!eventsStatus.isLoading && eventsStatus.events.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center text-muted-foreground">
+                    No security events found.
+                  </TableCell>
+                </TableRow>
+              )}
+              {eventsStatus.events.map((event) => (
+                <TableRow key={event.id}>
+                  <TableCell className="whitespace-nowrap">{new Date(event.createdAt).toLocaleString()}</TableCell>
+                  <TableCell>{SECURITY_EVENT_TYPES[event.type] || event.type}</TableCell>
+                  <TableCell>
+                    <Badge variant={getOutcomeBadgeVariant(event.outcome)} className="capitalize">
+                      {event.outcome}
+                    </Badge>
+                  </TableCell>
+                  <TableCell>
+                    {event.userId ? (
+                      <button
+                        type="button"
+                        className="font-mono text-xs underline-offset-2 hover:underline"
+                        onClick={() => setFilters(prev => ({ ...prev, userId: event.userId }))}
+                      >
+                        {event.userId}
+                      </button>
+                    ) : (
+                      <span className="text-muted-foreground">—</span>
+                    )}
+                  </TableCell>
+                  <TableCell className="font-mono text-xs">{event.ip || "—"}</TableCell>
+                  <TableCell className="max-w-xs">
+                    {event.details ? (
+                      <code className="text-xs break-all">{JSON.stringify(event.details)}</code>
+                    ) : (
+                      <span className="text-muted-foreground">—</span>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {/* Pagination */}
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-muted-foreground">
+              {pageStart}–{pageEnd} of {eventsStatus.total} events
+            </p>
+            <div className="flex space-x-2">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => loadEvents(Math.max(eventsStatus.offset - PAGE_SIZE, 0))}
+                disabled={eventsStatus.isLoading || eventsStatus.offset === 0}
+              >
+                <ChevronLeft className="w-4 h-4 mr-1" />
+                Previous
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => loadEvents(eventsStatus.offset + PAGE_SIZE)}
+                disabled={eventsStatus.isLoading || pageEnd >= eventsStatus.total}
+              >
+                Next
+                <ChevronRight className="w-4 h-4 ml-1" />
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@
 "use client";
 
 import { useState, useEffect } from "react";
+import Link from "next/link";
 import { Button } from "@/components/ui/button";
 import {
   Card,
@@ -16,13 +17,14 @@ import {
 } from "@/components/ui/alert";
 import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
-import { CheckCircle, XCircle, Settings, Database, Key, AlertTriangle, Loader2, Info } from "lucide-react";
+import { CheckCircle, XCircle, Settings, Database, Key, KeyRound, AlertTriangle, Loader2, Info, ShieldAlert, ShieldCheck, Gauge, Building2, RotateCcw, Trash2 } from "lucide-react";
 
 // Import the setup functions
 import { 
   runPasskeySetup, 
   checkPasskeyCollections,
-  cleanupExpiredChallenges 
+  cleanupExpiredChallenges,
+  getChallengeCleanupStatus
 } from "@/lib/cms/server/passkey_setup";
 
 // Import the new configuration functions
@@ -32,6 +34,16 @@ import {
   validatePasskeyConfig
 } from "@/lib/cms/server/passkey_config";
 
+// Import the quarantine review functions
+import {
+  getQuarantinedPasskeys,
+  restoreQuarantinedPasskey,
+  revokeQuarantinedPasskey
+} from "@/lib/cms/server/passkey_admin";
+
+// Import the session key status
+import { getJWTKeyStatus } from "@/lib/cms/server/jwt";
+
 export default function AdminSettingsPage() {
   const [setupStatus, setSetupStatus] = useState({
     isLoading: false,
@@ -44,7 +56,7 @@ export default function AdminSettingsPage() {
 
   const [cleanupStatus, setCleanupStatus] = useState({
     isLoading: false,
-    lastCleanup: null,
+    job: null,
     error: null
   });
 
@@ -57,10 +69,27 @@ export default function AdminSettingsPage() {
 
   const [envVars, setEnvVars] = useState([]);
 
+  const [keyStatus, setKeyStatus] = useState({
+    isLoading: true,
+    data: null,
+    error: null
+  });
+
+  const [quarantineStatus, setQuarantineStatus] = useState({
+    isLoading: true,
+    passkeys: [],
+    pendingId: null,
+    error: null,
+    successMessage: null
+  });
+
   // Check collections status and configuration on page load
   useEffect(() => {
     checkCollectionsStatus();
     loadConfigurationStatus();
+    loadQuarantinedPasskeys();
+    loadCleanupJobStatus();
+    loadKeyStatus();
   }, []);
 
   const checkCollectionsStatus = async () => {
@@ -112,6 +141,62 @@ export default function AdminSettingsPage() {
     }
   };
 
+  const loadQuarantinedPasskeys = async () => {
+    setQuarantineStatus(prev => ({ ...prev, isLoading: true, error: null }));
+
+    try {
+      const result = await getQuarantinedPasskeys();
+      setQuarantineStatus(prev => ({
+        ...prev,
+        isLoading: false,
+        passkeys: result.success ? result.data : [],
+        error: result.success ? null : result.message
+      }));
+    } catch (error) {
+      setQuarantineStatus(prev => ({
+        ...prev,
+        isLoading: false,
+        error: error.message || "Failed to load quarantined passkeys"
+      }));
+    }
+  };
+
+  const handleQuarantineAction = async (passkeyId, action) => {
+    setQuarantineStatus(prev => ({
+      ...prev,
+      pendingId: passkeyId,
+      error: null,
+      successMessage: null
+    }));
+
+    try {
+      const result = action === "restore"
+        ? await restoreQuarantinedPasskey(passkeyId)
+        : await revokeQuarantinedPasskey(passkeyId);
+
+      if (result.success) {
+        setQuarantineStatus(prev => ({
+          ...prev,
+          pendingId: null,
+          passkeys: prev.passkeys.filter(passkey => passkey.id !== passkeyId),
+          successMessage: result.message
+        }));
+      } else {
+        setQuarantineStatus(prev => ({
+          ...prev,
+          pendingId: null,
+          error: result.message || "Action failed"
+        }));
+      }
+    } catch (error) {
+      setQuarantineStatus(prev => ({
+        ...prev,
+        pendingId: null,
+        error: error.message || "An unexpected error occurred"
+      }));
+    }
+  };
+
   const handleSetupCollections = async () => {
     setSetupStatus(prev => ({ 
       ...prev, 
@@ -147,6 +232,45 @@ export default function AdminSettingsPage() {
     }
   };
 
+  const loadCleanupJobStatus = async () => {
+    try {
+      const result = await getChallengeCleanupStatus();
+      setCleanupStatus(prev => ({
+        ...prev,
+        job: result.success ? result.data : null
+      }));
+    } catch (error) {
+      console.error("Failed to load cleanup job status:", error);
+    }
+  };
+
+  const loadKeyStatus = async () => {
+    try {
+      const result = await getJWTKeyStatus();
+      setKeyStatus({
+        isLoading: false,
+        data: result.success ? result.data : null,
+        error: result.success ? null : result.message
+      });
+    } catch (error) {
+      setKeyStatus({
+        isLoading: false,
+        data: null,
+        error: error.message || "Failed to load session key status"
+      });
+    }
+  };
+
+  const getKeyBadge = (key) => {
+    if (key.role === "current") {
+      return <Badge variant="default" className="bg-green-500">Current</Badge>;
+    }
+    if (!key.active) {
+      return <Badge variant="secondary">Expired</Badge>;
+    }
+    return <Badge variant="outline">Previous</Badge>;
+  };
+
   const handleCleanupChallenges = async () => {
     setCleanupStatus(prev => ({ 
       ...prev, 
@@ -161,7 +285,6 @@ export default function AdminSettingsPage() {
         setCleanupStatus(prev => ({
           ...prev,
           isLoading: false,
-          lastCleanup: new Date().toLocaleString(),
           error: null
         }));
       } else {
@@ -171,6 +294,8 @@ export default function AdminSettingsPage() {
           error: result.message || "Cleanup failed"
         }));
       }
+
+      await loadCleanupJobStatus();
     } catch (error) {
       setCleanupStatus(prev => ({
         ...prev,
@@ -180,6 +305,20 @@ export default function AdminSettingsPage() {
     }
   };
 
+  const getCleanupJobBadge = () => {
+    const job = cleanupStatus.job;
+    if (!job || !job.hasRun) {
+      return <Badge variant="secondary">Never run</Badge>;
+    }
+    if (job.lastStatus === "failure") {
+      return <Badge variant="destructive"><XCircle className="w-3 h-3 mr-1" />Failing</Badge>;
+    }
+    if (job.stale) {
+      return <Badge variant="secondary"><AlertTriangle className="w-3 h-3 mr-1" />Stale</Badge>;
+    }
+    return <Badge variant="default"><CheckCircle className="w-3 h-3 mr-1" />Healthy</Badge>;
+  };
+
   const getStatusBadge = () => {
     if (setupStatus.isLoading) {
       return <Badge variant="secondary"><Loader2 className="w-3 h-3 mr-1 animate-spin" />Checking...</Badge>;
@@ -215,11 +354,33 @@ export default function AdminSettingsPage() {
   return (
     <div className="container mx-auto p-6 space-y-6">
       {/* Header */}
-      <div className="flex items-center space-x-2">
-        <Settings className="w-8 h-8" />
-        <div>
-          <h1 className="text-3xl font-bold">Admin Settings</h1>
-          <p className="text-muted-foreground">Manage system configuration and setup</p>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <Settings className="w-8 h-8" />
+          <div>
+            <h1 className="text-3xl font-bold">Admin Settings</h1>
+            <p className="text-muted-foreground">Manage system configuration and setup</p>
+          </div>
+        </div>
+        <div className="flex space-x-2">
+          <Button variant="outline" asChild>
+            <Link href="/admin/provisioning">
+              <Building2 className="w-4 h-4 mr-2" />
+              Provisioning
+            </Link>
+          </Button>
+          <Button variant="outline" asChild>
+            <Link href="/admin/login-risk">
+              <Gauge className="w-4 h-4 mr-2" />
+              Login Risk
+            </Link>
+          </Button>
+          <Button variant="outline" asChild>
+            <Link href="/admin/security-events">
+              <ShieldCheck className="w-4 h-4 mr-2" />
+              Security Events
+            </Link>
+          </Button>
         </div>
       </div>
 
@@ -412,6 +573,17 @@ export default function AdminSettingsPage() {
               <div className="text-sm text-muted-foreground space-y-1">
                 <div>• passkey_challenges (passKeyChallenges)</div>
                 <div>• passkey_credentials (passKeyCredentials)</div>
+                <div>• passkey_security_events (passKeySecurityEvents)</div>
+                <div>• auth_rate_limits (authRateLimits)</div>
+                <div>• maintenance_jobs (maintenanceJobs)</div>
+                <div>• auth_sessions (authSessions)</div>
+                <div>• revoked_tokens (revokedTokens)</div>
+                <div>• two_factor (twoFactor)</div>
+                <div>• magic_links (magicLinks)</div>
+                <div>• login_risk_assessments (loginRiskAssessments)</div>
+                <div>• email_domains (emailDomains)</div>
+                <div>• team_join_requests (teamJoinRequests)</div>
+                <div>• team_invitations (teamInvitations)</div>
               </div>
             </div>
           </div>
@@ -483,13 +655,31 @@ export default function AdminSettingsPage() {
           )}
 
           <div className="space-y-2">
-            <h4 className="text-sm font-medium">Challenge Cleanup</h4>
+            <div className="flex items-center space-x-2">
+              <h4 className="text-sm font-medium">Challenge Cleanup</h4>
+              {getCleanupJobBadge()}
+            </div>
             <p className="text-sm text-muted-foreground">
               Remove expired passkey challenges from the database to keep it clean.
-              {cleanupStatus.lastCleanup && (
-                <span className="block mt-1">Last cleanup: {cleanupStatus.lastCleanup}</span>
-              )}
+              Schedule <code>/api/cron/cleanup-challenges</code> with an
+              <code> Authorization: Bearer $CRON_SECRET</code> header to run it automatically.
             </p>
+            {cleanupStatus.job?.hasRun && (
+              <div className="text-sm text-muted-foreground space-y-1">
+                <div>
+                  Last run: {new Date(cleanupStatus.job.lastRunAt).toLocaleString()} ({cleanupStatus.job.lastTrigger})
+                  {cleanupStatus.job.lastResult && (
+                    <span> — removed {cleanupStatus.job.lastResult.deletedCount} of {cleanupStatus.job.lastResult.scannedCount} expired challenges</span>
+                  )}
+                </div>
+                {cleanupStatus.job.lastSuccessAt && (
+                  <div>Last success: {new Date(cleanupStatus.job.lastSuccessAt).toLocaleString()}</div>
+                )}
+                {cleanupStatus.job.lastStatus === "failure" && cleanupStatus.job.lastError && (
+                  <div className="text-destructive">Last error: {cleanupStatus.job.lastError}</div>
+                )}
+              </div>
+            )}
           </div>
 
           <Button
@@ -512,6 +702,175 @@ export default function AdminSettingsPage() {
         </CardContent>
       </Card>
 
+      {/* Session Keys Section */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center space-x-2">
+            <KeyRound className="w-5 h-5" />
+            <span>Session Keys</span>
+          </CardTitle>
+          <CardDescription>
+            Keys used to sign and encrypt session tokens. New sessions use the current key;
+            previous keys keep existing sessions valid until they expire.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {keyStatus.isLoading ? (
+            <div className="flex items-center space-x-2">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              <span>Loading session keys...</span>
+            </div>
+          ) : keyStatus.error ? (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>{keyStatus.error}</AlertDescription>
+            </Alert>
+          ) : (
+            <>
+              <div className="space-y-2">
+                {keyStatus.data?.keys.map((key) => (
+                  <div key={`${key.role}-${key.kid}`} className="flex items-center justify-between p-3 border rounded-lg">
+                    <div className="flex items-center space-x-2">
+                      <code className="text-sm">{key.kid}</code>
+                      {getKeyBadge(key)}
+                    </div>
+                    <span className="text-sm text-muted-foreground">
+                      {key.role === "current"
+                        ? "Signs new sessions"
+                        : key.expiresAt
+                          ? `${key.active ? "Accepted until" : "Expired"} ${new Date(key.expiresAt).toLocaleString()}`
+                          : "Accepted indefinitely"}
+                    </span>
+                  </div>
+                ))}
+              </div>
+
+              {keyStatus.data?.warnings.length > 0 && (
+                <Alert>
+                  <AlertTriangle className="h-4 w-4" />
+                  <AlertDescription>
+                    <ul className="list-disc list-inside space-y-1">
+                      {keyStatus.data.warnings.map((warning, index) => (
+                        <li key={index}>{warning}</li>
+                      ))}
+                    </ul>
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              <p className="text-sm text-muted-foreground">
+                To rotate, move the current secrets into <code>JWT_PREVIOUS_KEYS</code> with an
+                <code> expiresAt</code> after the longest session lifetime, then set new
+                <code> JWT_SIGNING_SECRET</code>, <code>JWT_ENCRYPTION_SECRET</code> and <code>JWT_KEY_ID</code>.
+              </p>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Quarantined Passkeys Section */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <ShieldAlert className="w-5 h-5" />
+              <CardTitle>Quarantined Passkeys</CardTitle>
+            </div>
+            {!quarantineStatus.isLoading && (
+              <Badge variant={quarantineStatus.passkeys.length > 0 ? "destructive" : "secondary"}>
+                {quarantineStatus.passkeys.length}
+              </Badge>
+            )}
+          </div>
+          <CardDescription>
+            Passkeys whose signature counter went backwards, which can mean the authenticator was cloned.
+            Restore a passkey only after confirming it with its owner.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {quarantineStatus.error && (
+            <Alert variant="destructive">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertDescription>{quarantineStatus.error}</AlertDescription>
+            </Alert>
+          )}
+
+          {quarantineStatus.successMessage && (
+            <Alert className="border-green-500 bg-green-50 text-green-700">
+              <CheckCircle className="h-4 w-4" />
+              <AlertDescription>{quarantineStatus.successMessage}</AlertDescription>
+            </Alert>
+          )}
+
+          {quarantineStatus.isLoading ? (
+            <div className="flex items-center space-x-2 text-sm text-muted-foreground">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              <span>Loading quarantined passkeys...</span>
+            </div>
+          ) : quarantineStatus.passkeys.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No passkeys are quarantined.</p>
+          ) : (
+            <div className="space-y-3">
+              {quarantineStatus.passkeys.map((passkey) => (
+                <div key={passkey.id} className="flex items-start justify-between p-3 border rounded-lg">
+                  <div className="space-y-1 flex-1">
+                    <div className="text-sm font-medium">
+                      {passkey.nickname || passkey.authenticatorName || "Unnamed passkey"}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {passkey.userEmail || passkey.userId}
+                      {passkey.userName && ` (${passkey.userName})`}
+                    </div>
+                    <div className="text-xs text-muted-foreground">{passkey.quarantineReason}</div>
+                    <div className="text-xs text-muted-foreground">
+                      Quarantined {new Date(passkey.quarantinedAt).toLocaleString()}
+                      {passkey.lastUsedIp && ` • Last used from ${passkey.lastUsedIp}`}
+                    </div>
+                  </div>
+                  <div className="flex space-x-2 ml-4">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleQuarantineAction(passkey.id, "restore")}
+                      disabled={quarantineStatus.pendingId !== null}
+                    >
+                      {quarantineStatus.pendingId === passkey.id ? (
+                        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                      ) : (
+                        <RotateCcw className="w-4 h-4 mr-2" />
+                      )}
+                      Restore
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="destructive"
+                      onClick={() => handleQuarantineAction(passkey.id, "revoke")}
+                      disabled={quarantineStatus.pendingId !== null}
+                    >
+                      <Trash2 className="w-4 h-4 mr-2" />
+                      Revoke
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <Button
+            onClick={loadQuarantinedPasskeys}
+            variant="outline"
+            disabled={quarantineStatus.isLoading}
+          >
+            {quarantineStatus.isLoading ? (
+              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            ) : (
+              <CheckCircle className="w-4 h-4 mr-2" />
+            )}
+            Refresh Quarantine List
+          </Button>
+        </CardContent>
+      </Card>
+
       {/* Environment Variables Section - Updated */}
       <Card>
         <CardHeader>
@@ -613,7 +972,7 @@ CMS_COLLECTION_ID_PASSKEY_CREDENTIALS="passKeyCredentials"`}
             <div className="space-y-2">
               <h4 className="text-sm font-medium">3. Run Setup</h4>
               <p className="text-sm text-muted-foreground">
-                Click the "Setup Collections" button above to create the required database collections.
+                Click the &quot;Setup Collections&quot; button above to create the required database collections.
               </p>
             </div>
           </CardContent>
@@ -0,0 +1,65 @@
+// src/app/api/cron/cleanup-challenges/route.js
+
+import { NextResponse } from "next/server";
+import { createHash, timingSafeEqual } from "crypto";
+import { runChallengeCleanup } from "@/lib/cms/server/passkey_cleanup";
+
+/**
+ * Scheduled cleanup of expired passkey challenges
+ *
+ * Call from a cron with the shared secret in the Authorization header:
+ *   curl -H "Authorization: Bearer $CRON_SECRET" https://example.com/api/cron/cleanup-challenges
+ */
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Check the request's bearer token against CRON_SECRET
+ * Both values are hashed first so the comparison is constant-time regardless of length
+ * @param {Request} request - Incoming request
+ * @returns {boolean}
+ */
+const isAuthorizedCronRequest = (request) => {
+  const authorization = request.headers.get("authorization") || "";
+  const token = authorization.startsWith("Bearer ") ? authorization.slice(7) : "";
+  if (!token) {
+    return false;
+  }
+
+  const expected = createHash("sha256").update(process.env.CRON_SECRET).digest();
+  const actual = createHash("sha256").update(token).digest();
+  return timingSafeEqual(expected, actual);
+};
+
+/**
+ * Run the cleanup job
+ * @param {Request} request - Incoming request
+ * @returns {Promise<NextResponse>}
+ */
+async function handleCleanup(request) {
+  if (!process.env.CRON_SECRET) {
+    return NextResponse.json(
+      { success: false, message: "Scheduled jobs are disabled: CRON_SECRET is not configured" },
+      { status: 503 }
+    );
+  }
+
+  if (!isAuthorizedCronRequest(request)) {
+    return NextResponse.json(
+      { success: false, message: "Unauthorized" },
+      { status: 401 }
+    );
+  }
+
+  const result = await runChallengeCleanup('cron');
+
+  return NextResponse.json(result, { status: result.success ? 200 : 500 });
+}
+
+export async function GET(request) {
+  return await handleCleanup(request);
+}
+
+export async function POST(request) {
+  return await handleCleanup(request);
+}
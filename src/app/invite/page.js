@@ -0,0 +1,189 @@
+// src/app/invite/page.js
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Separator } from "@/components/ui/separator";
+import { AlertCircle, Loader2, Users } from "lucide-react";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+
+import { getCurrentUser, logout } from "@/lib/cms/web/account";
+import { getInvitation, acceptTeamInvitation } from "@/lib/cms/web/invitation_client";
+
+/**
+ * Landing page of emailed team invitations
+ *
+ * Signed-in users with the invited address accept here. Everyone else signs in
+ * or creates an account (password or passkey) and comes back to this page
+ * through the `next` parameter. The invitation is only accepted on a click, so
+ * mail scanners that open links don't accept it.
+ */
+export default function InvitePage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [invitation, setInvitation] = useState(null);
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isAccepting, setIsAccepting] = useState(false);
+
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        setLoading(true);
+
+        if (!token) {
+          setError("This invitation link isn't valid. Ask the team owner to send a new one.");
+          return;
+        }
+
+        const result = await getInvitation(token);
+        if (!result.success) {
+          setError(result.message || "Failed to load the invitation.");
+          return;
+        }
+        setInvitation(result.data);
+
+        const response = await getCurrentUser();
+        setUser(response.success ? response.data : null);
+      } catch (e) {
+        console.error("Failed to load invitation:", e);
+        setError(e.message || "An error occurred while loading the invitation.");
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchData();
+  }, [token]);
+
+  const invitePath = `/invite?token=${encodeURIComponent(token || "")}`;
+  const isInvitedUser = user && invitation && user.email?.toLowerCase() === invitation.email;
+
+  const handleAccept = async () => {
+    setIsAccepting(true);
+    setError(null);
+
+    const result = await acceptTeamInvitation(token);
+    if (result.success) {
+      router.push("/account/dashboard");
+      return;
+    }
+
+    setError(result.message || "Failed to accept the invitation.");
+    setIsAccepting(false);
+  };
+
+  const renderActions = () => {
+    if (isInvitedUser) {
+      return (
+        <Button className="w-full" onClick={handleAccept} disabled={isAccepting}>
+          {isAccepting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+          Accept invitation
+        </Button>
+      );
+    }
+
+    if (user) {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-muted-foreground text-center">
+            You&apos;re signed in as {user.email}. Sign in as {invitation.email} to accept.
+          </p>
+          <Button
+            variant="outline"
+            className="w-full"
+            onClick={() => logout(`/login?next=${encodeURIComponent(invitePath)}`)}
+          >
+            Sign out and switch account
+          </Button>
+        </div>
+      );
+    }
+
+    const params = new URLSearchParams({ next: invitePath });
+    if (invitation.hasAccount) {
+      return (
+        <Button className="w-full" asChild>
+          <Link href={`/login?${params.toString()}`}>Sign in to accept</Link>
+        </Button>
+      );
+    }
+
+    params.set("email", invitation.email);
+    return (
+      <div className="space-y-2">
+        <Button className="w-full" asChild>
+          <Link href={`/register?${params.toString()}`}>Create an account to accept</Link>
+        </Button>
+        <p className="text-xs text-muted-foreground text-center">
+          Sign up with {invitation.email}, using a password or a passkey.
+        </p>
+      </div>
+    );
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1 text-center">
+          <div className="flex justify-center">
+            <div className="p-3 bg-primary/10 rounded-full">
+              <Users className="w-8 h-8 text-primary" />
+            </div>
+          </div>
+          <CardTitle className="text-2xl font-bold">
+            {invitation ? `Join ${invitation.teamName}` : "Team invitation"}
+          </CardTitle>
+          {invitation && (
+            <CardDescription>
+              {invitation.email} is invited to join as {invitation.roleLabel}.
+              The invitation expires on {new Date(invitation.expiresAt).toLocaleDateString()}.
+            </CardDescription>
+          )}
+        </CardHeader>
+
+        <CardContent className="space-y-4">
+          {loading && (
+            <div className="flex justify-center py-4">
+              <Loader2 className="w-8 h-8 animate-spin text-muted-foreground" />
+            </div>
+          )}
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {!loading && invitation && renderActions()}
+        </CardContent>
+
+        <CardFooter className="flex flex-col items-center space-y-2 pt-4">
+          <Separator className="mb-4" />
+          <p className="text-sm text-muted-foreground">
+            <Link href="/" className="font-medium text-primary hover:underline">
+              Back to home
+            </Link>
+          </p>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
@@ -28,16 +28,24 @@ import {
 import { Input } from "@/components/ui/input";
 import { Separator } from "@/components/ui/separator";
 import { Badge } from "@/components/ui/badge";
-import { Fingerprint, Lock, AlertCircle, Loader2 } from "lucide-react";
+import { Fingerprint, Lock, Mail, AlertCircle, Loader2, ShieldCheck } from "lucide-react";
 import {
   Alert,
   AlertDescription,
 } from "@/components/ui/alert";
 
 // Import your existing login function
-import { createCredentialsSession } from "@/lib/cms/web/account";
+import {
+  createCredentialsSession,
+  verifyLoginSecondFactor,
+  cancelSecondFactorLogin,
+  requestMagicLinkSignIn
+} from "@/lib/cms/web/account";
 import { AppwriteException } from 'appwrite';
 
+import { useBotProtection } from "@/lib/botProtection/client";
+import { getSafeNextPath } from "@/lib/safeNextPath";
+
 // Import passkey functions
 import { 
   authenticateWithPasskey, 
@@ -54,21 +62,44 @@ const loginFormSchema = z.object({
   }),
 });
 
+const emailLinkFormSchema = z.object({
+  email: z.string().email({
+    message: "Please enter a valid email address.",
+  }),
+});
+
 const passkeyFormSchema = z.object({
   email: z.string().email({
     message: "Please enter a valid email address.",
   }).optional(),
 });
 
+/**
+ * The code-based second factor to ask for first; null when only a passkey is left
+ */
+const getCodeMethod = (methods) =>
+  methods.find((method) => method === "totp" || method === "recovery_code") || null;
+
 export default function LoginPage() {
   const router = useRouter();
   const searchParams = useSearchParams();
   const [pageErrorMessage, setPageErrorMessage] = useState(null);
   const [pageSuccessMessage, setPageSuccessMessage] = useState(null);
-  const [loginMethod, setLoginMethod] = useState("password"); // "password" or "passkey"
+  const [loginMethod, setLoginMethod] = useState("password"); // "password", "email" or "passkey"
   const [passkeySupport, setPasskeySupport] = useState(null);
   const [isPasskeyLoading, setIsPasskeyLoading] = useState(false);
   const [conditionalAuth, setConditionalAuth] = useState(null);
+  const { runProtected } = useBotProtection();
+
+  // Second sign-in step for accounts with two-factor authentication
+  const [secondFactor, setSecondFactor] = useState(null); // { email, methods }
+  const [secondFactorMethod, setSecondFactorMethod] = useState("totp"); // "totp", "recovery_code" or null (passkey only)
+  const [secondFactorCode, setSecondFactorCode] = useState("");
+  const [secondFactorError, setSecondFactorError] = useState(null);
+  const [isVerifyingSecondFactor, setIsVerifyingSecondFactor] = useState(false);
+
+  // Email sign-in link
+  const [emailLinkSent, setEmailLinkSent] = useState(null); // confirmation message
 
   // Traditional login form
   const passwordForm = useForm({
@@ -79,6 +110,14 @@ export default function LoginPage() {
     },
   });
 
+  // Email link form
+  const emailLinkForm = useForm({
+    resolver: zodResolver(emailLinkFormSchema),
+    defaultValues: {
+      email: "",
+    },
+  });
+
   // Passkey login form
   const passkeyForm = useForm({
     resolver: zodResolver(passkeyFormSchema),
@@ -102,6 +141,9 @@ export default function LoginPage() {
         case 'session_check_failed':
           message = `There was a problem verifying your session. Please log in again${nextParam ? ` to continue to ${nextParam}` : ''}.`;
           break;
+        case 'insufficient_permissions':
+          message = `Your account doesn't have access to ${nextParam || 'that page'}. Please log in with an account that does.`;
+          break;
         default:
           message = `An issue occurred. Please log in${nextParam ? ` to continue to ${nextParam}` : ''}.`;
           break;
@@ -136,7 +178,7 @@ export default function LoginPage() {
               // Success callback - user authenticated via autofill
               console.log("Conditional auth successful:", result);
               const nextParam = searchParams.get('next');
-              router.push((nextParam && nextParam.startsWith('/')) ? nextParam : '/account/dashboard');
+              router.push(getSafeNextPath(nextParam));
             },
             (error) => {
               // Error callback - only log actual errors, ignore cancellations
@@ -180,14 +222,42 @@ export default function LoginPage() {
     }
   }, [searchParams, router, conditionalAuth]);
 
+  // An email link that needs a second factor continues here (see /login/verify)
+  useEffect(() => {
+    if (searchParams.get('status') === 'second_factor') {
+      const methodsParam = searchParams.get('methods');
+      const methods = methodsParam ? methodsParam.split(',') : ['totp', 'recovery_code'];
+      setSecondFactor({ email: "", methods });
+      setSecondFactorMethod(getCodeMethod(methods));
+    }
+  }, [searchParams]);
+
   // Traditional password login
   async function onPasswordSubmit(values) {
-    console.log("Password login submitted:", values);
     try {
-      const session = await createCredentialsSession(values.email, values.password);
-      console.log("Login successful, session:", session);
+      const result = await runProtected("login", (botToken) =>
+        createCredentialsSession(values.email, values.password, botToken)
+      );
+      if (result.code === 'second_factor_required') {
+        const methods = result.methods || ['totp', 'recovery_code'];
+        setSecondFactor({ email: values.email, methods });
+        setSecondFactorMethod(getCodeMethod(methods));
+        setSecondFactorCode("");
+        setSecondFactorError(null);
+        return;
+      }
+      if (result.code === 'email_confirmation_required') {
+        passwordForm.reset({ email: values.email, password: "" });
+        setPageSuccessMessage(result.error);
+        return;
+      }
+      if (!result.success) {
+        passwordForm.setError("root", { type: "manual", message: result.error || "Invalid email or password." });
+        return;
+      }
+
       const nextParam = searchParams.get('next');
-      router.push((nextParam && nextParam.startsWith('/')) ? nextParam : '/account/dashboard');
+      router.push(getSafeNextPath(nextParam));
     } catch (error) {
       console.error("Login failed:", error);
       if (error instanceof AppwriteException) {
@@ -198,6 +268,76 @@ export default function LoginPage() {
     }
   }
 
+  // Finish a password or email link sign-in with the authenticator app or a recovery code
+  async function onSecondFactorSubmit(e) {
+    e.preventDefault();
+    setIsVerifyingSecondFactor(true);
+    setSecondFactorError(null);
+
+    try {
+      const result = await verifyLoginSecondFactor(secondFactorMethod, secondFactorCode);
+      if (result.success) {
+        const nextParam = searchParams.get('next');
+        router.push(getSafeNextPath(nextParam));
+        return;
+      }
+
+      if (result.code === 'second_factor_expired') {
+        setSecondFactor(null);
+        passwordForm.setError("root", { type: "manual", message: result.error });
+        return;
+      }
+
+      setSecondFactorError(result.error || "That code didn't work. Please try again.");
+    } catch (error) {
+      console.error("Second factor verification failed:", error);
+      setSecondFactorError("An unexpected error occurred. Please try again.");
+    } finally {
+      setIsVerifyingSecondFactor(false);
+    }
+  }
+
+  // A passkey sign-in satisfies the second factor on its own
+  async function onSecondFactorPasskey() {
+    setIsPasskeyLoading(true);
+    setSecondFactorError(null);
+
+    try {
+      const result = await authenticateWithPasskey(secondFactor.email || null);
+      if (result.success) {
+        await cancelSecondFactorLogin();
+        const nextParam = searchParams.get('next');
+        router.push(getSafeNextPath(nextParam));
+      } else {
+        setSecondFactorError(result.message || "Passkey authentication failed. Please try again.");
+      }
+    } catch (error) {
+      console.error("Unexpected error during passkey second factor:", error);
+      setSecondFactorError("An unexpected error occurred. Please try again.");
+    } finally {
+      setIsPasskeyLoading(false);
+    }
+  }
+
+  async function onSecondFactorCancel() {
+    await cancelSecondFactorLogin();
+    setSecondFactor(null);
+    passwordForm.reset({ email: secondFactor.email || "", password: "" });
+  }
+
+  // Email sign-in link
+  async function onEmailLinkSubmit(values) {
+    const result = await runProtected("magic_link", (botToken) =>
+      requestMagicLinkSignIn(values.email, botToken)
+    );
+    if (!result.success) {
+      emailLinkForm.setError("root", { type: "manual", message: result.error || "Failed to send the sign-in link." });
+      return;
+    }
+
+    setEmailLinkSent(result.message);
+  }
+
   // Passkey login
   async function onPasskeySubmit(values) {
     console.log("Passkey login submitted:", values);
@@ -209,7 +349,7 @@ export default function LoginPage() {
       if (result.success) {
         console.log("Passkey login successful:", result.data);
         const nextParam = searchParams.get('next');
-        router.push((nextParam && nextParam.startsWith('/')) ? nextParam : '/account/dashboard');
+        router.push(getSafeNextPath(nextParam));
       } else {
         console.error("Passkey login failed:", result.message);
         passkeyForm.setError("root", { 
@@ -238,7 +378,7 @@ export default function LoginPage() {
       if (result.success) {
         console.log("Quick passkey login successful:", result.data);
         const nextParam = searchParams.get('next');
-        router.push((nextParam && nextParam.startsWith('/')) ? nextParam : '/account/dashboard');
+        router.push(getSafeNextPath(nextParam));
       } else {
         console.error("Quick passkey login failed:", result.message);
         setPageErrorMessage(result.message || "Passkey authentication failed. Please try again.");
@@ -275,8 +415,85 @@ export default function LoginPage() {
             </Alert>
           )}
 
+          {/* Second sign-in step */}
+          {secondFactor && (
+            <form onSubmit={onSecondFactorSubmit} className="space-y-4">
+              <div className="text-center space-y-2">
+                <div className="flex justify-center">
+                  <div className="p-3 bg-primary/10 rounded-full">
+                    <ShieldCheck className="w-8 h-8 text-primary" />
+                  </div>
+                </div>
+                <h3 className="font-medium">Two-step verification</h3>
+                <p className="text-sm text-muted-foreground">
+                  {secondFactorMethod === "totp" && "Enter the 6-digit code from your authenticator app."}
+                  {secondFactorMethod === "recovery_code" && "Enter one of the recovery codes you saved for your account."}
+                  {!secondFactorMethod && "Confirm it's you with your passkey to finish signing in."}
+                </p>
+              </div>
+              {secondFactorMethod && (
+                <Input
+                  aria-label={secondFactorMethod === "totp" ? "Authentication code" : "Recovery code"}
+                  value={secondFactorCode}
+                  autoComplete="one-time-code"
+                  inputMode={secondFactorMethod === "totp" ? "numeric" : "text"}
+                  placeholder={secondFactorMethod === "totp" ? "123456" : "XXXXX-XXXXX"}
+                  autoFocus
+                  onChange={(e) => setSecondFactorCode(e.target.value)}
+                />
+              )}
+              {secondFactorError && (
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{secondFactorError}</AlertDescription>
+                </Alert>
+              )}
+              {secondFactorMethod && (
+                <Button
+                  type="submit"
+                  className="w-full"
+                  disabled={isVerifyingSecondFactor || !secondFactorCode.trim()}
+                >
+                  {isVerifyingSecondFactor ? "Verifying..." : "Verify"}
+                </Button>
+              )}
+              <div className="flex flex-col items-center space-y-1">
+                {secondFactor.methods.includes("totp") && secondFactor.methods.includes("recovery_code") && (
+                  <Button
+                    type="button"
+                    variant="link"
+                    size="sm"
+                    onClick={() => {
+                      setSecondFactorMethod(secondFactorMethod === "totp" ? "recovery_code" : "totp");
+                      setSecondFactorCode("");
+                      setSecondFactorError(null);
+                    }}
+                  >
+                    {secondFactorMethod === "totp" ? "Use a recovery code instead" : "Use your authenticator app instead"}
+                  </Button>
+                )}
+                {secondFactor.methods.includes("passkey") && passkeySupport?.webAuthnSupported && (
+                  <Button
+                    type="button"
+                    variant={secondFactorMethod ? "link" : "default"}
+                    size={secondFactorMethod ? "sm" : "default"}
+                    className={secondFactorMethod ? undefined : "w-full"}
+                    onClick={onSecondFactorPasskey}
+                    disabled={isPasskeyLoading}
+                  >
+                    {isPasskeyLoading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    {secondFactorMethod ? "Use a passkey instead" : "Use your passkey"}
+                  </Button>
+                )}
+                <Button type="button" variant="link" size="sm" onClick={onSecondFactorCancel}>
+                  Back to sign in
+                </Button>
+              </div>
+            </form>
+          )}
+
           {/* Quick Passkey Login (if supported) */}
-          {passkeySupport?.passkeySupported && (
+          {!secondFactor && passkeySupport?.passkeySupported && (
             <div className="space-y-3">
               <Button
                 onClick={onQuickPasskeyLogin}
@@ -319,30 +536,41 @@ export default function LoginPage() {
           )}
 
           {/* Login Method Toggle */}
-          <div className="flex space-x-2">
-            <Button
-              variant={loginMethod === "password" ? "default" : "outline"}
-              className="flex-1"
-              onClick={() => setLoginMethod("password")}
-              type="button"
-            >
-              <Lock className="w-4 h-4 mr-2" />
-              Password
-            </Button>
-            <Button
-              variant={loginMethod === "passkey" ? "default" : "outline"}
-              className="flex-1"
-              onClick={() => setLoginMethod("passkey")}
-              disabled={!passkeySupport?.passkeySupported}
-              type="button"
-            >
-              <Fingerprint className="w-4 h-4 mr-2" />
-              Passkey
-            </Button>
-          </div>
+          {!secondFactor && (
+            <div className="flex space-x-2">
+              <Button
+                variant={loginMethod === "password" ? "default" : "outline"}
+                className="flex-1"
+                onClick={() => setLoginMethod("password")}
+                type="button"
+              >
+                <Lock className="w-4 h-4 mr-2" />
+                Password
+              </Button>
+              <Button
+                variant={loginMethod === "email" ? "default" : "outline"}
+                className="flex-1"
+                onClick={() => setLoginMethod("email")}
+                type="button"
+              >
+                <Mail className="w-4 h-4 mr-2" />
+                Email link
+              </Button>
+              <Button
+                variant={loginMethod === "passkey" ? "default" : "outline"}
+                className="flex-1"
+                onClick={() => setLoginMethod("passkey")}
+                disabled={!passkeySupport?.passkeySupported}
+                type="button"
+              >
+                <Fingerprint className="w-4 h-4 mr-2" />
+                Passkey
+              </Button>
+            </div>
+          )}
 
           {/* Password Login Form */}
-          {loginMethod === "password" && (
+          {!secondFactor && loginMethod === "password" && (
             <Form {...passwordForm}>
               <form onSubmit={passwordForm.handleSubmit(onPasswordSubmit)} className="space-y-4">
                 <FormField
@@ -394,8 +622,58 @@ export default function LoginPage() {
             </Form>
           )}
 
+          {/* Email Link Form */}
+          {!secondFactor && loginMethod === "email" && (
+            emailLinkSent ? (
+              <div className="space-y-4">
+                <div className="text-center space-y-2">
+                  <div className="flex justify-center">
+                    <div className="p-3 bg-primary/10 rounded-full">
+                      <Mail className="w-8 h-8 text-primary" />
+                    </div>
+                  </div>
+                  <h3 className="font-medium">Check your email</h3>
+                  <p className="text-sm text-muted-foreground">{emailLinkSent}</p>
+                </div>
+                <Button type="button" variant="link" className="w-full" onClick={() => setEmailLinkSent(null)}>
+                  Use a different email
+                </Button>
+              </div>
+            ) : (
+              <Form {...emailLinkForm}>
+                <form onSubmit={emailLinkForm.handleSubmit(onEmailLinkSubmit)} className="space-y-4">
+                  <FormField
+                    control={emailLinkForm.control}
+                    name="email"
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>Email</FormLabel>
+                        <FormControl>
+                          <Input type="email" placeholder="you@example.com" autoComplete="username" {...field} />
+                        </FormControl>
+                        <FormMessage />
+                        <p className="text-xs text-muted-foreground">
+                          We&apos;ll email you a link that signs you in without a password.
+                        </p>
+                      </FormItem>
+                    )}
+                  />
+                  {emailLinkForm.formState.errors.root && (
+                    <Alert variant="destructive">
+                      <AlertCircle className="h-4 w-4" />
+                      <AlertDescription>{emailLinkForm.formState.errors.root.message}</AlertDescription>
+                    </Alert>
+                  )}
+                  <Button type="submit" className="w-full" disabled={emailLinkForm.formState.isSubmitting}>
+                    {emailLinkForm.formState.isSubmitting ? "Sending..." : "Email me a sign-in link"}
+                  </Button>
+                </form>
+              </Form>
+            )
+          )}
+
           {/* Passkey Login Form */}
-          {loginMethod === "passkey" && passkeySupport?.passkeySupported && (
+          {!secondFactor && loginMethod === "passkey" && passkeySupport?.passkeySupported && (
             <div className="space-y-4">
               <div className="text-center space-y-2">
                 <div className="flex justify-center">
@@ -461,7 +739,7 @@ export default function LoginPage() {
           )}
 
           {/* Passkey not supported message */}
-          {passkeySupport && !passkeySupport.passkeySupported && loginMethod === "passkey" && (
+          {!secondFactor && passkeySupport && !passkeySupport.passkeySupported && loginMethod === "passkey" && (
             <Alert>
               <AlertCircle className="h-4 w-4" />
               <AlertDescription>
@@ -473,6 +751,12 @@ export default function LoginPage() {
 
         <CardFooter className="flex flex-col items-center space-y-2 pt-4">
           <Separator className="mb-4" />
+          <p className="text-sm text-muted-foreground">
+            Lost your passkey?{" "}
+            <Link href="/login/recover" className="font-medium text-primary hover:underline">
+              Use a recovery code
+            </Link>
+          </p>
           <p className="text-sm text-muted-foreground">
             Don&apos;t have an account?{" "}
             <Link href="/register" className="font-medium text-primary hover:underline">
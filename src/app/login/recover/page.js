@@ -0,0 +1,277 @@
+// src/app/login/recover/page.js
+"use client";
+
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useForm } from "react-hook-form";
+import { useEffect, useState } from "react";
+import * as z from "zod";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form";
+import { Input } from "@/components/ui/input";
+import { Separator } from "@/components/ui/separator";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Fingerprint, LifeBuoy, AlertCircle, Loader2 } from "lucide-react";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+import RecoveryCodesDialog from "@/components/account/recoveryCodes";
+
+import { registerPasskey, checkPasskeySupport } from "@/lib/cms/web/passkey_client";
+import {
+  startAccountRecovery,
+  getAccountRecovery,
+  leaveAccountRecovery
+} from "@/lib/cms/web/recovery_client";
+
+const recoveryFormSchema = z.object({
+  email: z.string().email({
+    message: "Please enter a valid email address.",
+  }),
+  code: z.string().trim().min(10, {
+    message: "Enter one of your recovery codes, e.g. ABCDE-FGHJK.",
+  }),
+  password: z.string().optional(),
+});
+
+/**
+ * Account recovery for users who lost their passkeys
+ *
+ * A recovery code starts a restricted recovery session that can only add a new
+ * passkey; once it's added the user is signed in with it.
+ */
+export default function AccountRecoveryPage() {
+  const router = useRouter();
+  const [loading, setLoading] = useState(true);
+  const [recovery, setRecovery] = useState(null); // { userId, email, expiresAt }
+  const [passkeySupported, setPasskeySupported] = useState(true);
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [error, setError] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const form = useForm({
+    resolver: zodResolver(recoveryFormSchema),
+    defaultValues: {
+      email: "",
+      code: "",
+      password: "",
+    },
+  });
+
+  useEffect(() => {
+    async function fetchRecovery() {
+      setPasskeySupported(checkPasskeySupport().webAuthnSupported);
+
+      // Pick up a recovery started earlier in this browser (e.g. after a reload)
+      const result = await getAccountRecovery();
+      if (result.success && result.data.active) {
+        setRecovery(result.data);
+      }
+      setLoading(false);
+    }
+    fetchRecovery();
+  }, []);
+
+  async function onSubmit(values) {
+    setError(null);
+
+    const result = await startAccountRecovery(values.email, values.code, values.password);
+    if (!result.success) {
+      form.setError("root", { type: "manual", message: result.message || "Failed to start account recovery." });
+      return;
+    }
+
+    form.reset();
+    setRecovery(result.data);
+  }
+
+  async function onRegisterPasskey() {
+    setIsRegistering(true);
+    setError(null);
+
+    const result = await registerPasskey(recovery.email, recovery.userId);
+    if (!result.success) {
+      setError(result.message || "Failed to add a passkey. Please try again.");
+      setIsRegistering(false);
+      return;
+    }
+
+    // Signed in with the new passkey; a new set of codes comes with it when the last one was used
+    if (result.data?.recoveryCodes) {
+      setRecoveryCodes(result.data.recoveryCodes);
+    } else {
+      router.push('/account/security');
+    }
+  }
+
+  async function onCancel() {
+    await leaveAccountRecovery();
+    setRecovery(null);
+    setError(null);
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1 text-center">
+          <CardTitle className="text-2xl font-bold">Recover your account</CardTitle>
+          <CardDescription>
+            Lost your passkey? Use one of your recovery codes to add a new one.
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent className="space-y-6">
+          {loading && (
+            <div className="space-y-4">
+              <Skeleton className="h-10 w-full" />
+              <Skeleton className="h-10 w-full" />
+            </div>
+          )}
+
+          {!loading && !recovery && (
+            <Form {...form}>
+              <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
+                <FormField
+                  control={form.control}
+                  name="email"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Email</FormLabel>
+                      <FormControl>
+                        <Input type="email" placeholder="you@example.com" autoComplete="username" {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="password"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Password</FormLabel>
+                      <FormControl>
+                        <Input type="password" autoComplete="current-password" {...field} />
+                      </FormControl>
+                      <FormDescription>
+                        Leave empty if you sign in without a password.
+                      </FormDescription>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                <FormField
+                  control={form.control}
+                  name="code"
+                  render={({ field }) => (
+                    <FormItem>
+                      <FormLabel>Recovery code</FormLabel>
+                      <FormControl>
+                        <Input placeholder="XXXXX-XXXXX" autoComplete="off" {...field} />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                {form.formState.errors.root && (
+                  <Alert variant="destructive">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>{form.formState.errors.root.message}</AlertDescription>
+                  </Alert>
+                )}
+                <Button type="submit" className="w-full" disabled={form.formState.isSubmitting}>
+                  {form.formState.isSubmitting ? "Checking..." : "Continue"}
+                </Button>
+              </form>
+            </Form>
+          )}
+
+          {!loading && recovery && (
+            <div className="space-y-4">
+              <div className="text-center space-y-2">
+                <div className="flex justify-center">
+                  <div className="p-3 bg-primary/10 rounded-full">
+                    <LifeBuoy className="w-8 h-8 text-primary" />
+                  </div>
+                </div>
+                <h3 className="font-medium">Add a new passkey</h3>
+                <p className="text-sm text-muted-foreground">
+                  Your recovery code for {recovery.email} was accepted. Add a passkey on this device
+                  to finish signing in. This must be done
+                  by {new Date(recovery.expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}.
+                </p>
+              </div>
+
+              {!passkeySupported && (
+                <Alert>
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>
+                    This browser doesn&apos;t support passkeys. Please use a different browser or device.
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              {error && (
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+
+              <Button
+                className="w-full"
+                onClick={onRegisterPasskey}
+                disabled={isRegistering || !passkeySupported}
+              >
+                {isRegistering ? (
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                ) : (
+                  <Fingerprint className="w-4 h-4 mr-2" />
+                )}
+                Add a passkey
+              </Button>
+              <Button variant="link" className="w-full" onClick={onCancel} disabled={isRegistering}>
+                Cancel
+              </Button>
+            </div>
+          )}
+        </CardContent>
+
+        <CardFooter className="flex flex-col items-center space-y-2 pt-4">
+          <Separator className="mb-4" />
+          <p className="text-sm text-muted-foreground">
+            Remembered how to sign in?{" "}
+            <Link href="/login" className="font-medium text-primary hover:underline">
+              Back to sign in
+            </Link>
+          </p>
+        </CardFooter>
+      </Card>
+
+      <RecoveryCodesDialog
+        codes={recoveryCodes}
+        accountName={recovery?.email}
+        onClose={() => router.push('/account/security')}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+// src/app/login/verify/page.js
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Separator } from "@/components/ui/separator";
+import { AlertCircle, Loader2 } from "lucide-react";
+import {
+  Alert,
+  AlertDescription,
+} from "@/components/ui/alert";
+
+import { verifyMagicLink } from "@/lib/cms/web/account";
+import { getSafeNextPath } from "@/lib/safeNextPath";
+
+/**
+ * Landing page of emailed sign-in links
+ *
+ * The token is used from the browser rather than on a GET to the server, so
+ * mail scanners that open links don't use them up.
+ */
+export default function VerifyMagicLinkPage() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const [error, setError] = useState(null);
+  // A link works once, so it must not be sent again when the effect re-runs
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) {
+      return;
+    }
+    started.current = true;
+
+    async function signIn() {
+      const token = searchParams.get('token');
+      if (!token) {
+        setError("This sign-in link isn't valid. Please request a new one.");
+        return;
+      }
+
+      const result = await verifyMagicLink(token);
+      const nextPath = getSafeNextPath(searchParams.get('next'));
+
+      if (result.success) {
+        router.replace(nextPath);
+        return;
+      }
+
+      if (result.code === 'second_factor_required') {
+        const params = new URLSearchParams({
+          status: 'second_factor',
+          methods: (result.methods || []).join(','),
+          next: nextPath
+        });
+        router.replace(`/login?${params.toString()}`);
+        return;
+      }
+
+      setError(result.error || "Failed to sign in with this link.");
+    }
+    signIn();
+  }, [searchParams, router]);
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1 text-center">
+          <CardTitle className="text-2xl font-bold">Signing you in</CardTitle>
+          <CardDescription>
+            Checking your sign-in link.
+          </CardDescription>
+        </CardHeader>
+
+        <CardContent>
+          {error ? (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          ) : (
+            <div className="flex justify-center py-4">
+              <Loader2 className="w-8 h-8 animate-spin text-muted-foreground" />
+            </div>
+          )}
+        </CardContent>
+
+        <CardFooter className="flex flex-col items-center space-y-2 pt-4">
+          <Separator className="mb-4" />
+          <p className="text-sm text-muted-foreground">
+            <Link href="/login" className="font-medium text-primary hover:underline">
+              Back to sign in
+            </Link>
+          </p>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
@@ -6,7 +6,7 @@ import { useForm } from "react-hook-form";
 import { useState, useEffect } from "react";
 import * as z from "zod";
 import Link from "next/link";
-import { useRouter } from "next/navigation";
+import { useRouter, useSearchParams } from "next/navigation";
 
 import { Button } from "@/components/ui/button";
 import {
@@ -33,10 +33,14 @@ import {
   Alert,
   AlertDescription,
 } from "@/components/ui/alert";
+import RecoveryCodesDialog from "@/components/account/recoveryCodes";
 
 // Import your existing registration function
 import { registerUser } from "@/lib/cms/server/sdk_account";
 
+import { useBotProtection } from "@/lib/botProtection/client";
+import { getSafeNextPath } from "@/lib/safeNextPath";
+
 // Import passkey functions
 import { 
   registerPasskey, 
@@ -66,15 +70,22 @@ const passkeyFormSchema = z.object({
 
 export default function RegisterPage() {
   const router = useRouter();
+  const searchParams = useSearchParams();
+  // Team invitations send new users here with their address and a way back
+  const nextPath = getSafeNextPath(searchParams.get('next'), null);
+  const invitedEmail = searchParams.get('email') || "";
   const [registrationMethod, setRegistrationMethod] = useState("password"); // "password" or "passkey"
   const [passkeySupport, setPasskeySupport] = useState(null);
   const [isPasskeyLoading, setIsPasskeyLoading] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [registeredEmail, setRegisteredEmail] = useState("");
+  const { runProtected } = useBotProtection();
 
   // Traditional registration form
   const passwordForm = useForm({
     resolver: zodResolver(registerFormSchema),
     defaultValues: {
-      email: "",
+      email: invitedEmail,
       password: "",
       confirmPassword: "",
     },
@@ -84,7 +95,7 @@ export default function RegisterPage() {
   const passkeyForm = useForm({
     resolver: zodResolver(passkeyFormSchema),
     defaultValues: {
-      email: "",
+      email: invitedEmail,
     },
   });
 
@@ -98,15 +109,22 @@ export default function RegisterPage() {
   async function onPasswordSubmit(values) {
     console.log("Password registration submitted:", values);
     try {
-      const result = await registerUser({
-        email: values.email,
-        password: values.password,
-        hostURL: window.location.origin,
-      });
+      const result = await runProtected("register", (botToken) =>
+        registerUser({
+          email: values.email,
+          password: values.password,
+          hostURL: window.location.origin,
+          botToken,
+        })
+      );
 
       if (result.success) {
         console.log("Registration successful:", result.data);
-        router.push('/login?status=registration_successful');
+        const params = new URLSearchParams({ status: 'registration_successful' });
+        if (nextPath) {
+          params.set('next', nextPath);
+        }
+        router.push(`/login?${params.toString()}`);
       } else {
         console.error("Registration failed:", result.message);
         if (result.message && (result.message.toLowerCase().includes("email is already registered") || result.message.toLowerCase().includes("user_already_exists"))) {
@@ -127,12 +145,20 @@ export default function RegisterPage() {
     setIsPasskeyLoading(true);
 
     try {
-      const result = await registerPasskey(values.email);
+      const result = await runProtected("register", (botToken) =>
+        registerPasskey(values.email, null, botToken)
+      );
 
       if (result.success) {
         console.log("Passkey registration successful:", result.data);
-        // User is automatically logged in after passkey registration
-        router.push('/account/dashboard');
+        // User is automatically logged in after passkey registration; show the
+        // recovery codes created with the account before moving on
+        if (result.data?.recoveryCodes) {
+          setRegisteredEmail(values.email);
+          setRecoveryCodes(result.data.recoveryCodes);
+        } else {
+          router.push(nextPath || '/account/dashboard');
+        }
       } else {
         console.error("Passkey registration failed:", result.message);
         passkeyForm.setError("root", { 
@@ -322,12 +348,18 @@ export default function RegisterPage() {
           <Separator className="mb-4" />
           <p className="text-sm text-muted-foreground">
             Already have an account?{" "}
-            <Link href="/login" className="font-medium text-primary hover:underline">
+            <Link href={nextPath ? `/login?next=${encodeURIComponent(nextPath)}` : "/login"} className="font-medium text-primary hover:underline">
               Log in
             </Link>
           </p>
         </CardFooter>
       </Card>
+
+      <RecoveryCodesDialog
+        codes={recoveryCodes}
+        accountName={registeredEmail}
+        onClose={() => router.push(nextPath || '/account/dashboard')}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,82 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Copy, Download, Printer } from "lucide-react";
+import { downloadRecoveryCodes, printRecoveryCodes } from "@/lib/cms/web/recovery_client";
+
+/**
+ * Shows a new set of recovery codes once, with copy, download and print
+ * @param {Object} props
+ * @param {string[]|null} props.codes - Codes to show; the dialog is open while set
+ * @param {string} props.accountName - Account the codes belong to (e.g. email)
+ * @param {Function} props.onClose - Called when the user is done
+ */
+export default function RecoveryCodesDialog({ codes, accountName, onClose }) {
+  const [notice, setNotice] = useState(null);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      setNotice("Copied.");
+    } catch (e) {
+      setNotice("Couldn't copy the codes. Download them instead.");
+    }
+  };
+
+  const handlePrint = () => {
+    if (!printRecoveryCodes(codes, accountName)) {
+      setNotice("Your browser blocked the print window. Download the codes instead.");
+    }
+  };
+
+  const handleClose = () => {
+    setNotice(null);
+    onClose();
+  };
+
+  return (
+    <Dialog open={!!codes} onOpenChange={(open) => !open && handleClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Save your recovery codes</DialogTitle>
+          <DialogDescription>
+            If you lose your passkeys or authenticator app, each code can be used once to get back
+            into your account. You won&apos;t be able to see them again.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="grid grid-cols-2 gap-2 rounded-md border p-4 font-mono text-sm">
+          {codes?.map((code) => (
+            <span key={code}>{code}</span>
+          ))}
+        </div>
+        {notice && <p className="text-sm text-muted-foreground">{notice}</p>}
+        <DialogFooter>
+          <Button variant="outline" onClick={handleCopy}>
+            <Copy className="w-4 h-4 mr-2" />
+            Copy
+          </Button>
+          <Button variant="outline" onClick={() => downloadRecoveryCodes(codes, accountName)}>
+            <Download className="w-4 h-4 mr-2" />
+            Download
+          </Button>
+          <Button variant="outline" onClick={handlePrint}>
+            <Printer className="w-4 h-4 mr-2" />
+            Print
+          </Button>
+          <Button onClick={handleClose}>
+            I&apos;ve saved them
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
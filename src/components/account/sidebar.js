@@ -9,12 +9,20 @@ import {
   LayoutDashboard,
   ShoppingCart, // Changed from ShoppingBag for variety, use what you prefer
   LifeBuoy,     // Changed from MessageSquare
+  ShieldCheck,
+  MonitorSmartphone,
+  Building2,
+  Users,
   LogOut
 } from 'lucide-react';
 
 const sidebarNavItems = [
   { title: 'Dashboard', href: '/account/dashboard', icon: LayoutDashboard },
   { title: 'Orders', href: '/account/orders', icon: ShoppingCart },
+  { title: 'Security', href: '/account/security', icon: ShieldCheck },
+  { title: 'Sessions', href: '/account/sessions', icon: MonitorSmartphone },
+  { title: 'Company', href: '/account/company', icon: Building2 },
+  { title: 'Team', href: '/account/team', icon: Users },
   { title: 'Support', href: '/account/support', icon: LifeBuoy },
 ];
 
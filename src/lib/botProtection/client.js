@@ -0,0 +1,206 @@
+// src/lib/botProtection/client.js
+"use client";
+
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Browser side of the bot protection providers (see providers.js)
+ *
+ * NEXT_PUBLIC_BOT_PROTECTION_PROVIDER selects the provider and must match
+ * BOT_PROTECTION_PROVIDER on the server; when it is unset, reCAPTCHA is used if
+ * NEXT_PUBLIC_RECAPTCHA_SITE_KEY is set. Without a provider no tokens are made,
+ * so the server rejects protected requests. Pages only use useBotProtection, so
+ * switching providers doesn't touch them.
+ */
+
+const scriptLoads = new Map();
+
+/**
+ * Load a provider script once per page
+ * @param {string} src - Script URL
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+  if (!scriptLoads.has(src)) {
+    scriptLoads.set(src, new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = true;
+      script.defer = true;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        scriptLoads.delete(src);
+        script.remove();
+        reject(new Error(`Failed to load ${src}`));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+  return scriptLoads.get(src);
+}
+
+/**
+ * Wait until a global set by a provider script exists
+ * (scripts loaded with render=explicit define it shortly after loading)
+ * @param {Function} check - Returns the global when it's ready
+ * @returns {Promise<any>}
+ */
+async function waitForGlobal(check) {
+  for (let i = 0; i < 50; i++) {
+    const value = check();
+    if (value) {
+      return value;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Bot protection script did not initialize');
+}
+
+/**
+ * Container for widgets; interactive challenges show up in it
+ * @returns {HTMLElement}
+ */
+function createChallengeContainer() {
+  const container = document.createElement('div');
+  container.style.cssText = 'position:fixed;bottom:1rem;left:50%;transform:translateX(-50%);z-index:60;';
+  document.body.appendChild(container);
+  return container;
+}
+
+const CLIENT_PROVIDERS = {
+  recaptcha: {
+    load: () => loadScript(`https://www.google.com/recaptcha/enterprise.js?render=${process.env.NEXT_PUBLIC_RECAPTCHA_SITE_KEY}`),
+    async execute(action) {
+      const enterprise = await waitForGlobal(() => window.grecaptcha?.enterprise);
+      await new Promise(resolve => enterprise.ready(resolve));
+      return await enterprise.execute(process.env.NEXT_PUBLIC_RECAPTCHA_SITE_KEY, { action });
+    }
+  },
+  hcaptcha: {
+    load: () => loadScript('https://js.hcaptcha.com/1/api.js?render=explicit'),
+    async execute() {
+      // Invisible widgets show a challenge by themselves when hCaptcha wants one
+      const hcaptcha = await waitForGlobal(() => window.hcaptcha);
+      const container = createChallengeContainer();
+      const widgetId = hcaptcha.render(container, {
+        sitekey: process.env.NEXT_PUBLIC_HCAPTCHA_SITE_KEY,
+        size: 'invisible'
+      });
+      try {
+        const { response } = await hcaptcha.execute(widgetId, { async: true });
+        return response;
+      } finally {
+        hcaptcha.remove(widgetId);
+        container.remove();
+      }
+    }
+  },
+  turnstile: {
+    load: () => loadScript('https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit'),
+    async execute(action, { interactive } = {}) {
+      const turnstile = await waitForGlobal(() => window.turnstile);
+      const container = createChallengeContainer();
+      let widgetId;
+      const cleanup = () => {
+        turnstile.remove(widgetId);
+        container.remove();
+      };
+
+      return await new Promise((resolve, reject) => {
+        widgetId = turnstile.render(container, {
+          sitekey: process.env.NEXT_PUBLIC_TURNSTILE_SITE_KEY,
+          action,
+          // A challenge retry always shows the widget instead of only when needed
+          appearance: interactive ? 'always' : 'interaction-only',
+          callback: (token) => {
+            cleanup();
+            resolve(token);
+          },
+          'error-callback': () => {
+            cleanup();
+            reject(new Error('Turnstile challenge failed'));
+          }
+        });
+      });
+    }
+  },
+  none: {
+    load: async () => {},
+    execute: async () => 'bot-test-pass'
+  }
+};
+
+const clientProviderName = process.env.NEXT_PUBLIC_BOT_PROTECTION_PROVIDER
+  || (process.env.NEXT_PUBLIC_RECAPTCHA_SITE_KEY ? 'recaptcha' : null);
+
+const clientProvider = CLIENT_PROVIDERS[clientProviderName] || {
+  load: async () => {
+    throw new Error(clientProviderName
+      ? `Unknown NEXT_PUBLIC_BOT_PROTECTION_PROVIDER '${clientProviderName}'`
+      : 'NEXT_PUBLIC_BOT_PROTECTION_PROVIDER is not set');
+  },
+  execute: async () => null
+};
+
+/**
+ * Loads the configured bot protection provider
+ * @returns {Object} - { isLoaded, error, getBotToken, runProtected }
+ */
+export function useBotProtection() {
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    clientProvider.load()
+      .then(() => active && setIsLoaded(true))
+      .catch((err) => {
+        console.error('[Bot Protection] Failed to load provider:', err);
+        if (active) {
+          setError(err.message);
+        }
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  /**
+   * Get a token for an action
+   * @param {string} action - Action name, checked by the server
+   * @param {Object} options - { interactive: true } to ask for a visible challenge
+   * @returns {Promise<string|null>} - Token, or null when none could be made
+   *   (the server then decides by the action's mode)
+   */
+  const getBotToken = useCallback(async (action, options = {}) => {
+    try {
+      await clientProvider.load();
+      return await clientProvider.execute(action, options);
+    } catch (err) {
+      console.error('[Bot Protection] Failed to get a token:', err);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Run a submission with a token, retrying once with an interactive challenge
+   * when the server asks for one (code 'bot_challenge_required')
+   * @param {string} action - Action name
+   * @param {Function} submit - Called with the token; returns the server result
+   * @returns {Promise<Object>} - Result of the last submission
+   */
+  const runProtected = useCallback(async (action, submit) => {
+    const result = await submit(await getBotToken(action));
+    if (result?.code !== 'bot_challenge_required') {
+      return result;
+    }
+    return await submit(await getBotToken(action, { interactive: true }));
+  }, [getBotToken]);
+
+  return {
+    isLoaded,
+    error,
+    getBotToken,
+    runProtected
+  };
+}
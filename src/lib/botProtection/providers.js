@@ -0,0 +1,203 @@
+// src/lib/botProtection/providers.js
+
+import { verifyRecaptchaToken } from '@/lib/recaptcha/server';
+
+/**
+ * Bot protection providers (server side)
+ *
+ * A provider is an object { name, verify(token, { action, ip }) } whose verify
+ * resolves to { valid, score?, reason? } and throws when the check can't run
+ * (missing configuration, network or API errors). Scores run from 0 (bot) to
+ * 1 (human) and are only reported by score-based providers.
+ *
+ * BOT_PROTECTION_PROVIDER selects the provider:
+ * - recaptcha:  reCAPTCHA Enterprise (RECAPTCHA_PROJECT_ID, RECAPTCHA_SITE_KEY)
+ * - hcaptcha:   hCaptcha (HCAPTCHA_SECRET_KEY, NEXT_PUBLIC_HCAPTCHA_SITE_KEY)
+ * - turnstile:  Cloudflare Turnstile (TURNSTILE_SECRET_KEY)
+ * - none:       local test provider, for development only
+ *
+ * When it is unset, reCAPTCHA is used if RECAPTCHA_PROJECT_ID is set. Any other
+ * missing or unknown setting fails closed: every check fails until it's fixed.
+ *
+ * The browser side of each provider lives in client.js and is selected with
+ * NEXT_PUBLIC_BOT_PROTECTION_PROVIDER, which must match.
+ */
+
+// Token the test provider rejects, to try out the failure paths
+export const TEST_FAILING_TOKEN = 'bot-test-fail';
+
+/**
+ * Post a token to a siteverify endpoint (hCaptcha and Turnstile share the format)
+ * @param {string} url - Verification endpoint
+ * @param {Object} fields - Form fields
+ * @returns {Promise<Object>} - Parsed response
+ * @throws {Error} - If the endpoint can't be reached
+ */
+async function postSiteVerify(url, fields) {
+  const body = new URLSearchParams();
+  for (const [key, value] of Object.entries(fields)) {
+    if (value) {
+      body.append(key, value);
+    }
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body
+  });
+  if (!response.ok) {
+    throw new Error(`Verification endpoint returned ${response.status}`);
+  }
+  return await response.json();
+}
+
+/**
+ * reCAPTCHA Enterprise (score based)
+ * @returns {Object} Provider
+ */
+export function createRecaptchaProvider() {
+  return {
+    name: 'recaptcha',
+    async verify(token, { action }) {
+      // Threshold 0: the policy applies its own minimum score
+      const result = await verifyRecaptchaToken(token, action, 0);
+      if (result.unavailable) {
+        throw new Error(result.error);
+      }
+      return { valid: result.success, score: result.score, reason: result.error };
+    }
+  };
+}
+
+/**
+ * hCaptcha; Enterprise accounts also report a risk score
+ * @returns {Object} Provider
+ */
+export function createHCaptchaProvider() {
+  return {
+    name: 'hcaptcha',
+    async verify(token, { ip }) {
+      const secret = process.env.HCAPTCHA_SECRET_KEY;
+      if (!secret) {
+        throw new Error('HCAPTCHA_SECRET_KEY is not defined in environment variables');
+      }
+
+      const result = await postSiteVerify('https://api.hcaptcha.com/siteverify', {
+        secret,
+        response: token,
+        remoteip: ip,
+        sitekey: process.env.NEXT_PUBLIC_HCAPTCHA_SITE_KEY
+      });
+
+      return {
+        valid: result.success === true,
+        // hCaptcha scores risk (1 = bot), so flip it to match the other providers
+        score: typeof result.score === 'number' ? 1 - result.score : undefined,
+        reason: result['error-codes']?.join(', ')
+      };
+    }
+  };
+}
+
+/**
+ * Cloudflare Turnstile
+ * @returns {Object} Provider
+ */
+export function createTurnstileProvider() {
+  return {
+    name: 'turnstile',
+    async verify(token, { action, ip }) {
+      const secret = process.env.TURNSTILE_SECRET_KEY;
+      if (!secret) {
+        throw new Error('TURNSTILE_SECRET_KEY is not defined in environment variables');
+      }
+
+      const result = await postSiteVerify('https://challenges.cloudflare.com/turnstile/v0/siteverify', {
+        secret,
+        response: token,
+        remoteip: ip
+      });
+
+      if (result.success && result.action && result.action !== action) {
+        return { valid: false, reason: `action mismatch (${result.action})` };
+      }
+      return {
+        valid: result.success === true,
+        reason: result['error-codes']?.join(', ')
+      };
+    }
+  };
+}
+
+/**
+ * Local test provider: accepts every token except TEST_FAILING_TOKEN
+ * @returns {Object} Provider
+ */
+export function createTestProvider() {
+  return {
+    name: 'none',
+    async verify(token) {
+      if (!token || token === TEST_FAILING_TOKEN) {
+        return { valid: false, score: 0, reason: 'test token rejected' };
+      }
+      return { valid: true, score: 1 };
+    }
+  };
+}
+
+/**
+ * Stand-in for a missing or unknown provider setting: rejects every token
+ * Tokens are rejected instead of the check being unavailable, so actions in
+ * challenge mode don't let requests through either
+ * @param {string} problem - What is wrong with the configuration
+ * @returns {Object} Provider
+ */
+function createMisconfiguredProvider(problem) {
+  return {
+    name: 'misconfigured',
+    async verify() {
+      return { valid: false, reason: problem };
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  recaptcha: createRecaptchaProvider,
+  hcaptcha: createHCaptchaProvider,
+  turnstile: createTurnstileProvider,
+  none: createTestProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured provider (created once per process)
+ * @returns {Object} Bot protection provider
+ */
+export function getBotProtectionProvider() {
+  if (!activeProvider) {
+    const name = process.env.BOT_PROTECTION_PROVIDER
+      || (process.env.RECAPTCHA_PROJECT_ID ? 'recaptcha' : null);
+    const factory = PROVIDER_FACTORIES[name];
+
+    if (factory) {
+      activeProvider = factory();
+    } else {
+      const problem = name
+        ? `unknown BOT_PROTECTION_PROVIDER '${name}'`
+        : 'BOT_PROTECTION_PROVIDER is not set';
+      console.error(`[Bot Protection] Configuration error: ${problem}; every bot protection check will fail`);
+      activeProvider = createMisconfiguredProvider(problem);
+    }
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the provider, e.g. with a custom implementation ({ name, verify })
+ * @param {Object} provider - Bot protection provider
+ */
+export function setBotProtectionProvider(provider) {
+  activeProvider = provider;
+}
@@ -0,0 +1,105 @@
+// src/lib/botProtection/server.js
+
+import { getBotProtectionProvider } from './providers';
+import { getRequestContext } from '@/lib/cms/server/requestContext';
+import { recordSecurityEvent } from '@/lib/cms/server/securityEvents';
+
+/**
+ * Bot protection policy per action
+ *
+ * Each protected action checks the token from the browser with the configured
+ * provider (providers.js) and applies its mode:
+ * - monitor:   never rejects; failed checks are only recorded
+ * - challenge: a failed check asks the browser to retry with an interactive
+ *              challenge (code 'bot_challenge_required'); the request goes
+ *              through when the provider itself is unavailable
+ * - enforce:   a failed check rejects the request (code 'bot_check_failed'),
+ *              including when the provider is unavailable
+ *
+ * The mode of an action is set with BOT_PROTECTION_MODE_<ACTION> (e.g.
+ * BOT_PROTECTION_MODE_LOGIN=enforce), falling back to BOT_PROTECTION_MODE and
+ * then to the policy default. Score-based providers also need minScore.
+ */
+
+const BOT_PROTECTION_POLICIES = {
+  login: { mode: 'challenge', minScore: 0.5 },
+  register: { mode: 'enforce', minScore: 0.5 },
+  password_reset: { mode: 'enforce', minScore: 0.5 },
+  magic_link: { mode: 'enforce', minScore: 0.5 }
+};
+
+const BOT_PROTECTION_MODES = ['monitor', 'challenge', 'enforce'];
+
+/**
+ * Get the mode an action runs in
+ * @param {string} action - Policy name
+ * @returns {string} - 'monitor', 'challenge' or 'enforce'
+ */
+export function getBotProtectionMode(action) {
+  const policy = BOT_PROTECTION_POLICIES[action];
+  if (!policy) {
+    throw new Error(`Unknown bot protection action: ${action}`);
+  }
+
+  const configured = process.env[`BOT_PROTECTION_MODE_${action.toUpperCase()}`] || process.env.BOT_PROTECTION_MODE;
+  return BOT_PROTECTION_MODES.includes(configured) ? configured : policy.mode;
+}
+
+/**
+ * Check the bot protection token of a request
+ * @param {string} token - Token from the browser (null when the browser sent none)
+ * @param {string} action - Policy name, also the action the token was made for
+ * @returns {Promise<{success: boolean, passed?: boolean, unavailable?: boolean, score?: number, code?: string, message?: string}>} -
+ *   `passed` is false when a failed check was let through by the mode, `unavailable`
+ *   when the provider couldn't be asked, and `score` is the provider's score when it
+ *   reports one (all three feed the login risk engine)
+ */
+export async function checkBotProtection(token, action) {
+  const mode = getBotProtectionMode(action);
+  const provider = getBotProtectionProvider();
+
+  let verdict;
+  try {
+    const { ip } = await getRequestContext();
+    const result = token
+      ? await provider.verify(token, { action, ip })
+      : { valid: false, reason: 'missing token' };
+
+    const lowScore = typeof result.score === 'number' && result.score < BOT_PROTECTION_POLICIES[action].minScore;
+    verdict = {
+      passed: result.valid && !lowScore,
+      score: result.score,
+      reason: lowScore ? 'low score' : result.reason
+    };
+  } catch (error) {
+    console.error(`[Bot Protection] ${provider.name} check for ${action} failed:`, error.message);
+    verdict = { passed: false, unavailable: true, reason: error.message };
+  }
+
+  if (verdict.passed) {
+    return { success: true, passed: true, score: verdict.score };
+  }
+
+  const rejected = mode === 'enforce' || (mode === 'challenge' && !verdict.unavailable);
+  await recordSecurityEvent({
+    type: 'bot_protection',
+    outcome: rejected ? 'blocked' : 'failure',
+    details: { action, mode, provider: provider.name, score: verdict.score, reason: verdict.reason }
+  });
+
+  if (!rejected) {
+    return { success: true, passed: false, unavailable: !!verdict.unavailable, score: verdict.score };
+  }
+
+  return mode === 'challenge'
+    ? {
+      success: false,
+      code: 'bot_challenge_required',
+      message: "Please complete the security check to continue."
+    }
+    : {
+      success: false,
+      code: 'bot_check_failed',
+      message: "Security verification failed. Please try again."
+    };
+}
@@ -1,7 +1,6 @@
 "use client";
 
-import { createAdminClient } from "./client";
-import { generateJWT } from "@/lib/cms/server/jwt";
+import { loginWithPassword, completeSSOLogin } from "@/lib/cms/server/sdk_account";
 
 
 /**
@@ -13,14 +12,19 @@ import { generateJWT } from "@/lib/cms/server/jwt";
  */
 export async function createCredentialsSession(email, password) {
   try {
-    
-    const { account } = await createAdminClient();
-    
-    const session = await account.createEmailPasswordSession(email, password);
-    await generateJWT(session);
+    // Runs on the server so attempts can be rate limited
+    const result = await loginWithPassword(email, password, window.location.origin);
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.code,
+        error: result.message
+      };
+    }
+
     return {
       success: true,
-      data: session
+      data: result.data
     };
   } catch (error) {
     return {
@@ -41,12 +45,18 @@ export async function createCredentialsSession(email, password) {
  */
 export async function createSSOSession(userId, secret) {
   try {
-    const { account } = await createAdminClient();
-    const session = await account.createSession(userId, secret);
-    await generateJWT(session);
+    // The token is exchanged on the server so the sign-in checks run there
+    const result = await completeSSOLogin(userId, secret, window.location.origin);
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.code,
+        error: result.message
+      };
+    }
     return {
       success: true,
-      data: session
+      data: result.data
     };
   } catch (error) {
     console.error("SSO login error0:", error.message);
@@ -55,4 +65,4 @@ export async function createSSOSession(userId, secret) {
       error: error.message || 'Failed to login with SSO'
     };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,82 @@
+// src/lib/cms/server/accountRecovery.js
+
+import { getCookie, setCookie, deleteCookie } from './cookieService';
+import { startRecoveryGrant, checkRecoveryGrant, endRecoveryGrant } from './twoFactor';
+
+/**
+ * Account recovery for users who lost their passkeys
+ *
+ * Signing in with a recovery code doesn't create a session. It grants this
+ * browser a short-lived, restricted recovery session (its own cookie, separate
+ * from the session cookie) that only lets it register a new passkey for that
+ * account. The cookie holds a random token whose hash is stored with the
+ * user's two-factor settings, so it can't be forged or reused after it ends.
+ */
+
+const RECOVERY_COOKIE_SUFFIX = '_recovery';
+
+const getRecoveryCookieName = () => `${process.env.COOKIE_NAME}${RECOVERY_COOKIE_SUFFIX}`;
+
+/**
+ * Grant this browser account recovery for a user
+ * @param {string} userId - User who proved a recovery code
+ * @returns {Promise<{success: boolean, expiresAt?: string, message?: string}>}
+ */
+export async function grantAccountRecovery(userId) {
+  const { token, expiresAt } = await startRecoveryGrant(userId);
+
+  const cookieResult = await setCookie(getRecoveryCookieName(), `${userId}:${token}`, {
+    httpOnly: true,
+    sameSite: "strict",
+    path: "/",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000)
+  });
+
+  if (!cookieResult.success) {
+    await endRecoveryGrant(userId);
+    return cookieResult;
+  }
+
+  return { success: true, expiresAt };
+}
+
+/**
+ * Read the account recovery granted to this browser
+ * @returns {Promise<{userId: string, expiresAt: string}|null>} - Null when there is none or it ended
+ */
+export async function readAccountRecovery() {
+  const recoveryCookie = await getCookie(getRecoveryCookieName());
+  if (!recoveryCookie.exists || !recoveryCookie.data?.value) {
+    return null;
+  }
+
+  // Appwrite user IDs can't contain ':'
+  const value = recoveryCookie.data.value;
+  const separator = value.indexOf(':');
+  if (separator <= 0) {
+    return null;
+  }
+
+  const userId = value.slice(0, separator);
+  try {
+    const grant = await checkRecoveryGrant(userId, value.slice(separator + 1));
+    return grant.valid ? { userId, expiresAt: grant.expiresAt } : null;
+  } catch (error) {
+    console.error("[Recovery] Failed to check recovery grant:", error);
+    return null;
+  }
+}
+
+/**
+ * End account recovery for a user and drop this browser's recovery cookie
+ * @param {string} userId - User ID
+ */
+export async function endAccountRecovery(userId) {
+  try {
+    await endRecoveryGrant(userId);
+  } catch (error) {
+    console.error(`[Recovery] Failed to end recovery grant of ${userId}:`, error);
+  }
+  await deleteCookie(getRecoveryCookieName());
+}
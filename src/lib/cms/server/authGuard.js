@@ -0,0 +1,168 @@
+// src/lib/cms/server/authGuard.js
+
+import { createAdminClient } from './sdk_client';
+import { readSessionCookie } from './sessionCookie';
+
+/**
+ * Authorization guards for server actions
+ *
+ * Every exported function of a "use server" module can be called from any
+ * browser, so admin-only actions must check the caller themselves:
+ *
+ *   const guard = await requireTeam('admin');
+ *   if (!guard.success) {
+ *     return guard;
+ *   }
+ *
+ * The caller comes from the session cookie (validated against the session
+ * registry and revocation list) and team membership is read live from
+ * Appwrite, not from the claims in the token. Failures use a consistent shape:
+ *   { success: false, status: 401, code: 'unauthenticated', message }
+ *   { success: false, status: 403, code: 'forbidden', message }
+ */
+
+// Members of these teams pass every team requirement
+const SUPERUSER_TEAMS = ['super_admin'];
+
+const unauthenticated = (message = "You must be signed in to do this") => ({
+  success: false,
+  status: 401,
+  code: 'unauthenticated',
+  message
+});
+
+const forbidden = (message = "You don't have permission to do this") => ({
+  success: false,
+  status: 403,
+  code: 'forbidden',
+  message
+});
+
+/**
+ * Load the IDs of the teams a user has joined (confirmed memberships only)
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>}
+ */
+export async function getConfirmedTeamIds(userId) {
+  const { users } = await createAdminClient();
+  const { memberships } = await users.listMemberships(userId);
+  return memberships.filter(membership => membership.confirm).map(membership => membership.teamId);
+}
+
+/**
+ * Require a signed-in caller
+ * @returns {Promise<{success: boolean, user?: {userId: string, sessionId: string}, status?: number, code?: string, message?: string}>}
+ */
+export async function requireUser() {
+  try {
+    const current = await readSessionCookie();
+    if (!current.success) {
+      return unauthenticated();
+    }
+
+    return {
+      success: true,
+      user: {
+        userId: current.userId,
+        sessionId: current.sessionId
+      }
+    };
+  } catch (error) {
+    // Invalid, expired or revoked token
+    return unauthenticated();
+  }
+}
+
+/**
+ * Require a signed-in caller who belongs to at least one of the given teams
+ * Super admins pass every team requirement
+ * @param {...string} teamIds - Accepted team IDs (e.g. 'admin')
+ * @returns {Promise<{success: boolean, user?: {userId: string, sessionId: string, teamIds: string[]}, status?: number, code?: string, message?: string}>}
+ */
+export async function requireTeam(...teamIds) {
+  const guard = await requireUser();
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const memberOf = await getConfirmedTeamIds(guard.user.userId);
+    const accepted = [...teamIds, ...SUPERUSER_TEAMS];
+
+    if (!memberOf.some(teamId => accepted.includes(teamId))) {
+      console.warn(`[Auth Guard] User ${guard.user.userId} is not in ${teamIds.join(' or ')}`);
+      return forbidden();
+    }
+
+    return {
+      success: true,
+      user: {
+        ...guard.user,
+        teamIds: memberOf
+      }
+    };
+  } catch (error) {
+    console.error("[Auth Guard] Failed to check team membership:", error);
+    return forbidden("Could not verify your permissions");
+  }
+}
+
+/**
+ * Require the caller to be the given user, or a member of one of the given teams
+ * For actions on a user's own data that admins may also perform
+ * @param {string} userId - User the action targets
+ * @param {...string} teamIds - Teams allowed to act on any user (e.g. 'admin')
+ * @returns {Promise<{success: boolean, user?: Object, status?: number, code?: string, message?: string}>}
+ */
+export async function requireSelfOrTeam(userId, ...teamIds) {
+  const guard = await requireUser();
+  if (!guard.success) {
+    return guard;
+  }
+
+  if (userId && guard.user.userId === userId) {
+    return guard;
+  }
+
+  return await requireTeam(...teamIds);
+}
+
+/**
+ * Require a signed-in caller with one of the given roles in a team
+ * (confirmed memberships only); super admins pass as well
+ * @param {string} teamId - Team the action targets
+ * @param {...string} roles - Accepted roles (e.g. 'owner')
+ * @returns {Promise<{success: boolean, user?: {userId: string, sessionId: string, roles: string[]}, status?: number, code?: string, message?: string}>}
+ */
+export async function requireTeamRole(teamId, ...roles) {
+  const guard = await requireUser();
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { users } = await createAdminClient();
+    const { memberships } = await users.listMemberships(guard.user.userId);
+    const confirmed = memberships.filter(membership => membership.confirm);
+
+    const membership = confirmed.find(membership => membership.teamId === teamId);
+    const hasRole = membership?.roles.some(role => roles.includes(role));
+    const isSuperuser = confirmed.some(membership => SUPERUSER_TEAMS.includes(membership.teamId));
+
+    if (!hasRole && !isSuperuser) {
+      console.warn(`[Auth Guard] User ${guard.user.userId} is not ${roles.join(' or ')} of ${teamId}`);
+      return forbidden();
+    }
+
+    return {
+      success: true,
+      user: {
+        ...guard.user,
+        roles: membership?.roles || []
+      }
+    };
+  } catch (error) {
+    console.error("[Auth Guard] Failed to check team role:", error);
+    return forbidden("Could not verify your permissions");
+  }
+}
@@ -2,6 +2,7 @@
 
 import { ID } from './sdk_client';
 import { createDocument, getDocuments, updateDocument, deleteDocument } from './sdk_db';
+import { requireTeam } from './authGuard';
 
 /**
  * Get all categories
@@ -28,6 +29,11 @@ export async function getCategories() {
  * @returns {Promise<Object>} The created category
  */
 export async function createCategory(data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await createDocument(process.env.CMS_COLLECTION_ID_CATEGORIES, data, ID.unique());
   
   if (!response.success) {
@@ -45,6 +51,11 @@ export async function createCategory(data) {
  * @returns {Promise<Object>} The updated category
  */
 export async function updateCategory(id, data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await updateDocument(process.env.CMS_COLLECTION_ID_CATEGORIES, id, data);
   
   if (!response.success) {
@@ -61,6 +72,11 @@ export async function updateCategory(id, data) {
  * @returns {Promise<Object>} The result of the deletion
  */
 export async function deleteCategory(id) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await deleteDocument(process.env.CMS_COLLECTION_ID_CATEGORIES, id);
   
   if (!response.success) {
@@ -4,6 +4,7 @@
 import { Query } from "./sdk_client";
 import * as db from "./sdk_db";
 import { getCart, getCartTotal } from "./cart";
+import { requireTeam } from "./authGuard";
 
 /**
  * Apply a coupon to the cart
@@ -182,6 +183,11 @@ export async function removeCoupon(userId, cartId) {
 * @returns {Promise<Object>} - Result of the operation
 */
 export async function createCoupon(couponData) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         // Validate required fields
         if (!couponData.code) {
@@ -287,6 +293,11 @@ export async function createCoupon(couponData) {
  * @returns {Promise<Object>} - Result of the operation
  */
 export async function updateCoupon(couponId, updateData) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         // Get the existing coupon
         const couponResult = await db.getDocument(
@@ -376,6 +387,11 @@ export async function updateCoupon(couponId, updateData) {
  * @returns {Promise<Object>} - Result with coupon list
  */
 export async function getCoupons(filters = {}, limit = 100, offset = 0) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         // Build query conditions
         const queryConditions = [];
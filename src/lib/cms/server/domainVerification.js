@@ -0,0 +1,130 @@
+// src/lib/cms/server/domainVerification.js
+
+import { randomBytes } from 'crypto';
+import { Resolver } from 'dns/promises';
+
+/**
+ * DNS TXT verification of company domains
+ *
+ * A team owner proves they control a domain by publishing a TXT record
+ *
+ *   _domain-verification.<domain>  TXT  "domain-verification=<token>"
+ *
+ * with the token issued for the team's claim (provisioning.js). The record may
+ * also be put on the domain itself. Lookups go through a resolver object
+ * { resolveTxt(host) } that resolves to arrays of TXT chunks like Node's
+ * dns.resolveTxt; setDnsResolver replaces it, e.g. with a stub in tests.
+ * DOMAIN_VERIFICATION_DNS_SERVERS (comma separated) sets the name servers the
+ * default resolver asks, so a fresh record isn't hidden by a local cache.
+ */
+
+export const VERIFICATION_RECORD_LABEL = '_domain-verification';
+export const VERIFICATION_VALUE_PREFIX = 'domain-verification=';
+
+// DNS answers meaning "no such record", as opposed to a failed lookup
+const NO_RECORD_CODES = ['ENOTFOUND', 'ENODATA'];
+
+/**
+ * Resolver using Node's DNS module
+ * @returns {Object} - { resolveTxt(host) }
+ */
+export function createNodeDnsResolver() {
+  const resolver = new Resolver();
+  const servers = (process.env.DOMAIN_VERIFICATION_DNS_SERVERS || '')
+    .split(',')
+    .map(server => server.trim())
+    .filter(Boolean);
+  if (servers.length > 0) {
+    resolver.setServers(servers);
+  }
+
+  return {
+    resolveTxt: (host) => resolver.resolveTxt(host)
+  };
+}
+
+let activeResolver = null;
+
+/**
+ * Get the resolver used for domain checks (created once per process)
+ * @returns {Object} - { resolveTxt(host) }
+ */
+export function getDnsResolver() {
+  if (!activeResolver) {
+    activeResolver = createNodeDnsResolver();
+  }
+  return activeResolver;
+}
+
+/**
+ * Replace the resolver, e.g. with a stub ({ resolveTxt })
+ * @param {Object|null} resolver - Resolver, or null to go back to the default
+ */
+export function setDnsResolver(resolver) {
+  activeResolver = resolver;
+}
+
+/**
+ * Create a verification token for a claim
+ * @returns {string}
+ */
+export function createVerificationToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+/**
+ * The TXT record that verifies a domain
+ * @param {string} domain - Normalized domain
+ * @param {string} token - Token of the claim
+ * @returns {{host: string, type: string, value: string}}
+ */
+export function getVerificationRecord(domain, token) {
+  return {
+    host: `${VERIFICATION_RECORD_LABEL}.${domain}`,
+    type: 'TXT',
+    value: `${VERIFICATION_VALUE_PREFIX}${token}`
+  };
+}
+
+/**
+ * TXT values of a host; an empty list when it has none
+ * @param {string} host - Host name
+ * @returns {Promise<string[]>}
+ * @throws {Error} - If the lookup itself fails
+ */
+async function lookupTxt(host) {
+  try {
+    const records = await getDnsResolver().resolveTxt(host);
+    // Long values come in 255-byte chunks
+    return records.map(chunks => chunks.join(''));
+  } catch (error) {
+    if (NO_RECORD_CODES.includes(error.code)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether a domain publishes the verification record of a token
+ * @param {string} domain - Normalized domain
+ * @param {string} token - Token of the claim
+ * @returns {Promise<{verified: boolean, reason?: string}>} - reason is
+ *   'record_not_found' or 'lookup_failed' when not verified
+ */
+export async function checkDomainTxtRecord(domain, token) {
+  const expected = getVerificationRecord(domain, token).value;
+
+  try {
+    for (const host of [`${VERIFICATION_RECORD_LABEL}.${domain}`, domain]) {
+      const values = await lookupTxt(host);
+      if (values.some(value => value.trim() === expected)) {
+        return { verified: true };
+      }
+    }
+    return { verified: false, reason: 'record_not_found' };
+  } catch (error) {
+    console.error(`[Domain Verification] TXT lookup for ${domain} failed:`, error.message);
+    return { verified: false, reason: 'lookup_failed' };
+  }
+}
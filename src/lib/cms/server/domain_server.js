@@ -0,0 +1,289 @@
+// src/lib/cms/server/domain_server.js
+"use server";
+
+import { createAdminClient, Query } from './sdk_client';
+import { requireUser, requireTeamRole } from './authGuard';
+import { enforceRateLimit } from './rateLimiter';
+import { recordSecurityEvent } from './securityEvents';
+import {
+  normalizeDomain,
+  isValidDomain,
+  getDomainDocumentId,
+  getDomainEntry,
+  getFreeMailDomains,
+  getTeamJoinSettings
+} from './provisioning';
+import {
+  createVerificationToken,
+  getVerificationRecord,
+  checkDomainTxtRecord
+} from './domainVerification';
+
+/**
+ * Company domains of the teams the signed-in user owns
+ *
+ * Owners claim domains for their team and verify them by publishing the DNS
+ * TXT record of the claim (domainVerification.js). Verified domains enable
+ * auto-join, the team's SSO requirement and company download access
+ * (provisioning.js). DNS checks count towards the 'domain_verification' rate limit.
+ */
+
+const getEmailDomainsCollectionId = () => process.env.CMS_COLLECTION_ID_EMAIL_DOMAINS || "emailDomains";
+
+const VERIFICATION_FAILURES = {
+  record_not_found: "We couldn't find the TXT record yet. DNS changes can take a while to show up; please try again later.",
+  lookup_failed: "We couldn't look up the domain's DNS records. Please try again later."
+};
+
+/**
+ * Describe a claim for its team's owners
+ * @param {Object} doc - Claim document
+ * @returns {Object}
+ */
+const formatClaim = (doc) => ({
+  id: doc.$id,
+  domain: doc.domain,
+  teamId: doc.teamId,
+  status: doc.status,
+  verifiedAt: doc.verifiedAt || null,
+  verificationMethod: doc.verificationMethod || null,
+  lastCheckedAt: doc.lastCheckedAt || null,
+  record: doc.status !== 'verified' && doc.verificationToken
+    ? getVerificationRecord(doc.domain, doc.verificationToken)
+    : null
+});
+
+/**
+ * Load a claim and require the caller to own its team
+ * @param {string} claimId - Claim document ID
+ * @returns {Promise<{success: boolean, claim?: Object, user?: Object, status?: number, code?: string, message?: string}>}
+ */
+async function requireOwnedClaim(claimId) {
+  const signedIn = await requireUser();
+  if (!signedIn.success) {
+    return signedIn;
+  }
+
+  const { databases } = await createAdminClient();
+  let claim;
+  try {
+    claim = await databases.getDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), claimId);
+  } catch (error) {
+    if (error.code !== 404) {
+      throw error;
+    }
+  }
+  if (claim?.type !== 'company') {
+    return { success: false, status: 404, code: 'not_found', message: "Domain not found" };
+  }
+
+  const guard = await requireTeamRole(claim.teamId, 'owner');
+  if (!guard.success) {
+    return guard;
+  }
+  return { success: true, claim, user: guard.user };
+}
+
+/**
+ * List the teams the signed-in user owns with their domains and settings
+ * @returns {Promise<{success: boolean, data?: Array, message?: string}>}
+ */
+export async function getOwnedTeamDomains() {
+  const guard = await requireUser();
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { users, teams, databases } = await createAdminClient();
+    const { memberships } = await users.listMemberships(guard.user.userId);
+    const owned = memberships.filter(membership => membership.confirm && membership.roles.includes('owner'));
+    if (owned.length === 0) {
+      return { success: true, data: [] };
+    }
+
+    const claims = await databases.listDocuments(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), [
+      Query.equal('type', 'company'),
+      Query.equal('teamId', owned.map(membership => membership.teamId)),
+      Query.orderAsc('domain'),
+      Query.limit(500)
+    ]);
+
+    const data = await Promise.all(owned.map(async (membership) => {
+      const team = await teams.get(membership.teamId);
+      return {
+        teamId: team.$id,
+        teamName: team.name,
+        ...getTeamJoinSettings(team.prefs),
+        domains: claims.documents
+          .filter(doc => doc.teamId === team.$id)
+          .map(formatClaim)
+      };
+    }));
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error("[Domains] Error listing owned team domains:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to load your company domains"
+    };
+  }
+}
+
+/**
+ * Claim a domain for a team the signed-in user owns
+ * The claim stays pending until its TXT record is found
+ * @param {string} teamId - Team ID
+ * @param {string} domain - Domain to claim
+ * @returns {Promise<{success: boolean, data?: Object, message?: string}>}
+ */
+export async function claimCompanyDomain(teamId, domain) {
+  const guard = await requireTeamRole(teamId, 'owner');
+  if (!guard.success) {
+    return guard;
+  }
+
+  const normalized = normalizeDomain(domain);
+  if (!isValidDomain(normalized)) {
+    return { success: false, message: "Please enter a valid domain, like example.com" };
+  }
+
+  try {
+    const freeMail = await getFreeMailDomains();
+    const existing = await getDomainEntry(normalized);
+    if (existing?.type === 'free_mail' || freeMail.domains.some(entry => entry.domain === normalized)) {
+      return { success: false, message: `${normalized} is a free email provider and can't belong to a company` };
+    }
+    if (existing) {
+      return { success: false, message: `${normalized} is already claimed by a team` };
+    }
+
+    const { databases } = await createAdminClient();
+    const claim = await databases.createDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), getDomainDocumentId(normalized), {
+      domain: normalized,
+      type: 'company',
+      teamId,
+      status: 'pending',
+      claimedBy: guard.user.userId,
+      verificationToken: createVerificationToken(),
+      createdAt: new Date().toISOString()
+    });
+
+    return { success: true, data: formatClaim(claim) };
+
+  } catch (error) {
+    if (error.code === 409) {
+      return { success: false, message: `${normalized} is already claimed by a team` };
+    }
+    console.error(`[Domains] Error claiming ${normalized} for ${teamId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to claim the domain"
+    };
+  }
+}
+
+/**
+ * Check the TXT record of a pending claim and verify it when it's published
+ * @param {string} claimId - Claim document ID
+ * @returns {Promise<{success: boolean, data?: Object, code?: string, message?: string}>}
+ */
+export async function verifyCompanyDomain(claimId) {
+  try {
+    const owned = await requireOwnedClaim(claimId);
+    if (!owned.success) {
+      return owned;
+    }
+    const { claim, user } = owned;
+
+    if (claim.status === 'verified') {
+      return { success: true, data: formatClaim(claim), message: `${claim.domain} is already verified` };
+    }
+
+    const rateLimit = await enforceRateLimit('domain_verification', { userId: user.userId });
+    if (!rateLimit.success) {
+      return rateLimit;
+    }
+
+    const { databases } = await createAdminClient();
+    const now = new Date().toISOString();
+
+    // Claims made before DNS verification existed get their token now
+    if (!claim.verificationToken) {
+      const updated = await databases.updateDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), claimId, {
+        verificationToken: createVerificationToken()
+      });
+      return {
+        success: false,
+        code: 'record_not_found',
+        data: formatClaim(updated),
+        message: "Add the TXT record shown for this domain, then check again."
+      };
+    }
+
+    const check = await checkDomainTxtRecord(claim.domain, claim.verificationToken);
+    const updated = await databases.updateDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), claimId, check.verified
+      ? {
+        status: 'verified',
+        verifiedAt: now,
+        verifiedBy: user.userId,
+        verificationMethod: 'dns',
+        lastCheckedAt: now
+      }
+      : { lastCheckedAt: now });
+
+    await recordSecurityEvent({
+      type: 'domain_verification',
+      outcome: check.verified ? 'success' : 'failure',
+      userId: user.userId,
+      details: { domain: claim.domain, teamId: claim.teamId, reason: check.reason }
+    });
+
+    if (!check.verified) {
+      return {
+        success: false,
+        code: check.reason,
+        data: formatClaim(updated),
+        message: VERIFICATION_FAILURES[check.reason]
+      };
+    }
+
+    return { success: true, data: formatClaim(updated), message: `${claim.domain} is verified` };
+
+  } catch (error) {
+    console.error(`[Domains] Error verifying ${claimId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to verify the domain"
+    };
+  }
+}
+
+/**
+ * Remove a domain from a team the signed-in user owns
+ * Sign-ups from it no longer join the team; current members stay
+ * @param {string} claimId - Claim document ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function removeCompanyDomain(claimId) {
+  try {
+    const owned = await requireOwnedClaim(claimId);
+    if (!owned.success) {
+      return owned;
+    }
+
+    const { databases } = await createAdminClient();
+    await databases.deleteDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), claimId);
+
+    return { success: true, message: `${owned.claim.domain} was removed` };
+
+  } catch (error) {
+    console.error(`[Domains] Error removing ${claimId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to remove the domain"
+    };
+  }
+}
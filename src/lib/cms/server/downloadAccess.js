@@ -0,0 +1,149 @@
+// src/lib/cms/server/downloadAccess.js
+
+import { createDocument } from './sdk_db';
+import { getPlanById } from './plans';
+
+/**
+ * Download access records that don't check the caller: plan purchases grant
+ * access to the plan's files here, and the admin actions in downloads.js use
+ * the same insert after their guard.
+ */
+
+const userFilesCollectionId = process.env.CMS_COLLECTION_ID_USER_DOWNLOADABLE_FILES;
+
+/**
+ * Creates a new download access record without checking the caller
+ * Used by the admin actions in downloads.js and for plan purchases
+ * @param {Object} accessData - Access information object
+ * @returns {Promise<Object>} - Response with success status and data
+ */
+export const insertDownloadAccess = async (accessData) => {
+  try {
+    // Validate required parameters based on source type
+    const { sourceType, fileID, fileName, fileUrl } = accessData;
+
+    if (!sourceType || !fileID || !fileName || !fileUrl) {
+      return {
+        success: false,
+        message: 'Source type, file ID, file name, and file URL are required'
+      };
+    }
+
+    // Validate source parameter based on sourceType
+    if (sourceType === 'admin' && !accessData.userId) {
+      return {
+        success: false,
+        message: 'User ID is required for admin source type'
+      };
+    }
+
+    if (sourceType === 'company' && (!accessData.companyId)) {
+      return {
+        success: false,
+        message: 'Company ID is required for company source type'
+      };
+    }
+
+    // Prepare base access data
+    const accessRecord = {
+      fileID,
+      fileName,
+      fileUrl,
+      sourceType,
+      source: accessData.source || '',
+      uploadedAt: new Date().toISOString(),
+      enabled: accessData.enabled ?? true,
+      downloadCount: 0,
+      lastDownloadedAt: null,
+      ...accessData
+    };
+
+    // Create the access record
+    const result = await createDocument(userFilesCollectionId, accessRecord);
+
+    if (!result.success) {
+      return {
+        success: false,
+        message: result.message || 'Failed to create download access'
+      };
+    }
+
+    return {
+      success: true,
+      data: result.data
+    };
+  } catch (error) {
+    console.error('Error creating download access:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create download access'
+    };
+  }
+};
+
+/**
+ * Create download access for all files in a plan (after a purchase)
+ * @param {string} userId - User ID
+ * @param {string} planId - Plan ID
+ * @param {string} orderId - Order ID
+ * @param {string} subscriptionId - subsciption ID
+ * @param {Object} orderDetails - Order details (order number, type, etc.)
+ * @returns {Promise<Object>} - Response with success status and created access records
+ */
+export async function grantPlanDownloadAccess(userId, planId, orderId, subscriptionId, orderDetails) {
+  try {
+    // Get all files associated with the plan
+    const planResponse = await getPlanById(planId);
+    const planFiles = planResponse.planFiles || [];
+    const accessRecords = [];
+    const errors = [];
+
+    // Create access for each file
+    for (const file of planFiles) {
+      const accessData = {
+        userId,
+        fileID: file.fileID,
+        source: orderDetails.orderNumber,
+        sourceType: 'order',
+        order: orderId,
+        fileName: file.fileName,
+        fileUrl: file.fileUrl,
+        fileType: file.fileType,
+        fileSize: file.fileSize,
+        fileSizeFormatted: file.fileSizeFormatted,
+        description: file.description,
+        category: file.category,
+        version: file.version,
+        subscriptionId: subscriptionId
+      };
+
+      const result = await insertDownloadAccess(accessData);
+
+      if (result.success) {
+        accessRecords.push(result.data);
+      } else {
+        errors.push({
+          fileID: file.fileID,
+          error: result.message
+        });
+      }
+    }
+
+    return {
+      success: errors.length === 0,
+      message: errors.length === 0
+        ? 'All download access records created successfully'
+        : `Created ${accessRecords.length} of ${planFiles.length} access records`,
+      data: {
+        created: accessRecords,
+        failed: errors
+      }
+    };
+  } catch (error) {
+    console.error('Error creating plan download access:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create plan download access'
+    };
+  }
+}
@@ -3,7 +3,9 @@ import { Query } from 'appwrite';
 import { createDocument, getDocuments, updateDocument, deleteDocument, getDocument } from './sdk_db';
 import { ID } from './sdk_client';
 import { uploadFile as sdkUploadFile } from './sdk_storage';
-import { getPlanById } from './plans';
+import { getVerifiedCompanyTeamIds } from './provisioning';
+import { insertDownloadAccess, grantPlanDownloadAccess } from './downloadAccess';
+import { requireTeam, requireUser, getConfirmedTeamIds } from './authGuard';
 const userFilesCollectionId = process.env.CMS_COLLECTION_ID_USER_DOWNLOADABLE_FILES;
 const userDownloadsCollectionId = process.env.CMS_COLLECTION_ID_USER_DOWNLOADS;
 const userFilesBucketId = process.env.CMS_BUCKET_ID_USER_DOWNLOADABLE_FILES;
@@ -151,11 +153,9 @@ export async function getAllUserDownloadItems(limit = null, offset = 0, options
 }
 
 /**
- * Get user download items based on user and company info with filtering, sorting, and pagination
- * @param {string} userId - The user ID
- * @param {string} companyName - Company name
- * @param {string} companyDomain - Company domain
- * @param {string} teamId - Team ID
+ * Get the signed-in user's download items with filtering, sorting, and pagination
+ * Covers public files and those shared with the user, their teams and their
+ * company teams (only teams with a verified domain get company access)
  * @param {number} limit - Maximum number of items to return
  * @param {number} offset - Offset for pagination
  * @param {Object} options - Additional options for filtering and pagination
@@ -168,15 +168,16 @@ export async function getAllUserDownloadItems(limit = null, offset = 0, options
  * @param {string} options.sortOrder - Sort direction ('asc' or 'desc', default: 'desc')
  * @returns {Promise<Object>} - Download items response
  */
-export async function getUserDownloadItems(
-  userId,
-  companyIds,
-  teamIds,
-  limit = null,
-  offset = 0,
-  options = {}
-) {
+export async function getUserDownloadItems(limit = null, offset = 0, options = {}) {
+  const guard = await requireUser();
+  if (!guard.success) {
+    return { ...guard, downloads: [], total: 0 };
+  }
+
   try {
+    const userId = guard.user.userId;
+    const teamIds = await getConfirmedTeamIds(userId);
+
     // Extract options
     const {
       search = null,
@@ -196,8 +197,10 @@ export async function getUserDownloadItems(
       orConditions.push(Query.equal('userId', userId));
     }
 
-    if (companyIds && companyIds.length > 0) {
-      orConditions.push(Query.equal('companyId', companyIds));
+    // Company access needs a verified domain: anyone can start an unverified company team
+    const verifiedCompanyIds = await getVerifiedCompanyTeamIds(teamIds);
+    if (verifiedCompanyIds.length > 0) {
+      orConditions.push(Query.equal('companyId', verifiedCompanyIds));
     }
 
     if (teamIds && teamIds.length > 0) {
@@ -403,67 +406,12 @@ function formatFileSize(bytes) {
  * @returns {Promise<Object>} - Response with success status and data
  */
 export async function createDownloadAccess(accessData) {
-  try {
-    // Validate required parameters based on source type
-    const { sourceType, fileID, fileName, fileUrl } = accessData;
-
-    if (!sourceType || !fileID || !fileName || !fileUrl) {
-      return {
-        success: false,
-        message: 'Source type, file ID, file name, and file URL are required'
-      };
-    }
-
-    // Validate source parameter based on sourceType
-    if (sourceType === 'admin' && !accessData.userId) {
-      return {
-        success: false,
-        message: 'User ID is required for admin source type'
-      };
-    }
-
-    if (sourceType === 'company' && (!accessData.companyId)) {
-      return {
-        success: false,
-        message: 'Company ID is required for company source type'
-      };
-    }
-
-    // Prepare base access data
-    const accessRecord = {
-      fileID,
-      fileName,
-      fileUrl,
-      sourceType,
-      source: accessData.source || '',
-      uploadedAt: new Date().toISOString(),
-      enabled: accessData.enabled ?? true,
-      downloadCount: 0,
-      lastDownloadedAt: null,
-      ...accessData
-    };
-
-    // Create the access record
-    const result = await createDocument(userFilesCollectionId, accessRecord);
-
-    if (!result.success) {
-      return {
-        success: false,
-        message: result.message || 'Failed to create download access'
-      };
-    }
-
-    return {
-      success: true,
-      data: result.data
-    };
-  } catch (error) {
-    console.error('Error creating download access:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to create download access'
-    };
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
   }
+
+  return await insertDownloadAccess(accessData);
 }
 
 
@@ -524,6 +472,7 @@ export async function checkDownloadAccess(userId, fileID) {
 
 /**
  * Create download access for all files in a plan
+ * Purchases grant it through grantPlanDownloadAccess (downloadAccess.js)
  * @param {string} userId - User ID
  * @param {string} planId - Plan ID
  * @param {string} orderId - Order ID
@@ -532,61 +481,12 @@ export async function checkDownloadAccess(userId, fileID) {
  * @returns {Promise<Object>} - Response with success status and created access records
  */
 export async function createPlanDownloadAccess(userId, planId, orderId, subscriptionId, orderDetails) {
-  try {
-    // Get all files associated with the plan
-    const planResponse = await getPlanById(planId);
-    const planFiles = planResponse.planFiles || [];
-    const accessRecords = [];
-    const errors = [];
-
-    // Create access for each file
-    for (const file of planFiles) {
-      const accessData = {
-        userId,
-        fileID: file.fileID,
-        source: orderDetails.orderNumber,
-        sourceType: 'order',
-        order: orderId,
-        fileName: file.fileName,
-        fileUrl: file.fileUrl,
-        fileType: file.fileType,
-        fileSize: file.fileSize,
-        fileSizeFormatted: file.fileSizeFormatted,
-        description: file.description,
-        category: file.category,
-        version: file.version,
-        subscriptionId: subscriptionId
-      };
-
-      const result = await createDownloadAccess(accessData);
-
-      if (result.success) {
-        accessRecords.push(result.data);
-      } else {
-        errors.push({
-          fileID: file.fileID,
-          error: result.message
-        });
-      }
-    }
-
-    return {
-      success: errors.length === 0,
-      message: errors.length === 0
-        ? 'All download access records created successfully'
-        : `Created ${accessRecords.length} of ${planFiles.length} access records`,
-      data: {
-        created: accessRecords,
-        failed: errors
-      }
-    };
-  } catch (error) {
-    console.error('Error creating plan download access:', error);
-    return {
-      success: false,
-      message: error.message || 'Failed to create plan download access'
-    };
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
   }
+
+  return await grantPlanDownloadAccess(userId, planId, orderId, subscriptionId, orderDetails);
 }
 
 /**
@@ -595,6 +495,11 @@ export async function createPlanDownloadAccess(userId, planId, orderId, subscrip
  * @returns {Promise<Object>} - Response with success status and created record
  */
 export async function createUserDownloadAccess(accessData) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!accessData.userId || !accessData.fileID) {
       return {
@@ -607,7 +512,7 @@ export async function createUserDownloadAccess(accessData) {
     accessData.sourceType = 'admin';
     accessData.source = 'Admin';
 
-    return await createDownloadAccess(accessData);
+    return await insertDownloadAccess(accessData);
   } catch (error) {
     console.error('Error creating user download access:', error);
     return {
@@ -623,6 +528,11 @@ export async function createUserDownloadAccess(accessData) {
  * @returns {Promise<Object>} - Response with success status and created record
  */
 export async function createCompanyDownloadAccess(accessData) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!accessData.companyId || !accessData.fileID) {
       return {
@@ -635,7 +545,7 @@ export async function createCompanyDownloadAccess(accessData) {
     accessData.sourceType = 'company';
     accessData.source = accessData.companyId;
 
-    return await createDownloadAccess(accessData);
+    return await insertDownloadAccess(accessData);
   } catch (error) {
     console.error('Error creating company download access:', error);
     return {
@@ -651,6 +561,11 @@ export async function createCompanyDownloadAccess(accessData) {
  * @returns {Promise<Object>} - Response with success status and created record
  */
 export async function createPublicDownloadAccess(accessData) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!accessData.fileID) {
       return {
@@ -664,7 +579,7 @@ export async function createPublicDownloadAccess(accessData) {
     accessData.source = 'System';
     accessData.isPublic = true;
 
-    return await createDownloadAccess(accessData);
+    return await insertDownloadAccess(accessData);
   } catch (error) {
     console.error('Error creating public download access:', error);
     return {
@@ -681,6 +596,11 @@ export async function createPublicDownloadAccess(accessData) {
  * @returns {Promise<Object>} - Response with success status and created record
  */
 export async function handleDownloadAccessCreation(formData, currentUserId) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     const { sourceType } = formData;
 
@@ -811,6 +731,11 @@ export async function recordDownloadActivity(accessRecordId, userId, clientInfo
  * @returns {Promise<Object>} - Response with success status
  */
 export async function toggleDownloadEnabled(fileId, enabled) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!fileId) {
       return {
@@ -855,6 +780,11 @@ export async function toggleDownloadEnabled(fileId, enabled) {
  * @returns {Promise<Object>} - Response with success status
  */
 export async function deleteDownloadFile(fileId) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!fileId) {
       return {
@@ -899,6 +829,11 @@ export async function deleteDownloadFile(fileId) {
  * @returns {Promise<Object>} A standardized response with file details
  */
 export const uploadFile = async (formData, bucketId = userFilesBucketId) => {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     // Extract the file from FormData
     const file = formData.get('file');
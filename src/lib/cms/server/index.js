@@ -145,8 +145,8 @@ export async function getUserSessions(userId) {
 export async function deleteUserSessions(userId) {
     return await _deleteUserSessions(userId);
 }
-export async function deleteUserSession(userId) {
-    return await _deleteUserSession(userId);
+export async function deleteUserSession(userId, sessionId) {
+    return await _deleteUserSession(userId, sessionId);
 }
 export async function getPrefs(userId) {
     return await _getPrefs(userId);
@@ -0,0 +1,438 @@
+// src/lib/cms/server/invitation_server.js
+"use server";
+
+import { createAdminClient, Query } from './sdk_client';
+import { requireUser, requireTeamRole } from './authGuard';
+import { enforceRateLimit, recordRateLimitFailure, resetRateLimit } from './rateLimiter';
+import { recordSecurityEvent } from './securityEvents';
+import { refreshSessionTeams } from './sessionCookie';
+import { TEAM_ROLES, isTeamRoleInCatalogue } from './team_roles';
+import {
+  getInvitationState,
+  createTeamInvitation,
+  renewTeamInvitation,
+  sendInvitationEmail,
+  findInvitationByToken,
+  acceptTeamInvitation
+} from './teamInvitations';
+
+/**
+ * Team invitations: owner actions for the teams the signed-in user owns, and
+ * the lookup and acceptance behind the emailed links (teamInvitations.js).
+ * Sending counts towards the 'team_invitation' rate limit per owner and per
+ * invited address; unknown links count towards 'team_invitation_accept'.
+ */
+
+const getInvitationsCollectionId = () => process.env.CMS_COLLECTION_ID_TEAM_INVITATIONS || "teamInvitations";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const INVITATION_ERRORS = {
+  invalid: "This invitation link isn't valid. Ask the team owner to send a new one.",
+  expired: "This invitation has expired. Ask the team owner to send a new one.",
+  accepted: "This invitation has already been accepted.",
+  revoked: "This invitation was withdrawn by the team owner."
+};
+
+/**
+ * Describe an invitation for its team's owners
+ * @param {Object} doc - Invitation document
+ * @returns {Object}
+ */
+const formatInvitation = (doc) => ({
+  id: doc.$id,
+  teamId: doc.teamId,
+  email: doc.email,
+  role: doc.role,
+  state: getInvitationState(doc),
+  expiresAt: doc.expiresAt,
+  sentAt: doc.sentAt,
+  sendCount: doc.sendCount || 1,
+  createdAt: doc.createdAt
+});
+
+/**
+ * Load an invitation and require the caller to own its team
+ * @param {string} invitationId - Invitation document ID
+ * @returns {Promise<{success: boolean, invitation?: Object, user?: Object, status?: number, code?: string, message?: string}>}
+ */
+async function requireOwnedInvitation(invitationId) {
+  const signedIn = await requireUser();
+  if (!signedIn.success) {
+    return signedIn;
+  }
+
+  const { databases } = await createAdminClient();
+  let invitation;
+  try {
+    invitation = await databases.getDocument(process.env.CMS_DB_ID, getInvitationsCollectionId(), invitationId);
+  } catch (error) {
+    if (error.code !== 404) {
+      throw error;
+    }
+  }
+  if (!invitation) {
+    return { success: false, status: 404, code: 'not_found', message: "Invitation not found" };
+  }
+
+  const guard = await requireTeamRole(invitation.teamId, 'owner');
+  if (!guard.success) {
+    return guard;
+  }
+  return { success: true, invitation, user: guard.user };
+}
+
+/**
+ * Email an invitation on behalf of an owner
+ * @param {Object} invitation - Invitation document
+ * @param {string} token - Token of the invitation
+ * @param {string} inviterId - User ID of the owner
+ * @param {string} hostURL - Base URL for the link; PASSKEY_ORIGIN takes precedence
+ * @returns {Promise<object>} Result of sendMail
+ */
+async function emailInvitation(invitation, token, inviterId, hostURL) {
+  const { teams, users } = await createAdminClient();
+  const team = await teams.get(invitation.teamId);
+  const inviter = await users.get(inviterId);
+
+  return await sendInvitationEmail({
+    invitation,
+    token,
+    teamName: team.name,
+    inviterName: inviter.name || inviter.email,
+    // The configured origin wins so a forged hostURL can't send the link elsewhere
+    origin: process.env.PASSKEY_ORIGIN || hostURL
+  });
+}
+
+/**
+ * List the teams the signed-in user owns with their open invitations
+ * @returns {Promise<{success: boolean, data?: Array, message?: string}>}
+ */
+export async function getTeamInvitations() {
+  const guard = await requireUser();
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { users, teams, databases } = await createAdminClient();
+    const { memberships } = await users.listMemberships(guard.user.userId);
+    const owned = memberships.filter(membership => membership.confirm && membership.roles.includes('owner'));
+    if (owned.length === 0) {
+      return { success: true, data: [] };
+    }
+
+    const invitations = await databases.listDocuments(process.env.CMS_DB_ID, getInvitationsCollectionId(), [
+      Query.equal('teamId', owned.map(membership => membership.teamId)),
+      Query.equal('status', 'pending'),
+      Query.orderDesc('sentAt'),
+      Query.limit(500)
+    ]);
+
+    const data = await Promise.all(owned.map(async (membership) => {
+      const team = await teams.get(membership.teamId);
+      return {
+        teamId: team.$id,
+        teamName: team.name,
+        invitations: invitations.documents
+          .filter(doc => doc.teamId === team.$id)
+          .map(formatInvitation)
+      };
+    }));
+
+    return { success: true, data };
+
+  } catch (error) {
+    console.error("[Invitations] Error listing team invitations:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to load your team invitations"
+    };
+  }
+}
+
+/**
+ * Invite an email address to a team the signed-in user owns
+ * An open invitation for the same address is resent with the new role
+ * @param {string} teamId - Team ID
+ * @param {string} email - Address to invite
+ * @param {string} role - Role from the catalogue (team_roles.js)
+ * @param {string} hostURL - Base URL for the link; PASSKEY_ORIGIN takes precedence
+ * @returns {Promise<{success: boolean, data?: Object, message?: string}>}
+ */
+export async function inviteTeamMember(teamId, email, role, hostURL) {
+  const guard = await requireTeamRole(teamId, 'owner');
+  if (!guard.success) {
+    return guard;
+  }
+
+  const address = String(email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(address)) {
+    return { success: false, message: "Please enter a valid email address" };
+  }
+  if (!isTeamRoleInCatalogue(role)) {
+    return { success: false, message: "Please choose a role" };
+  }
+
+  try {
+    const rateLimit = await enforceRateLimit('team_invitation', { userId: guard.user.userId, email: address });
+    if (!rateLimit.success) {
+      return rateLimit;
+    }
+
+    const { users, teams } = await createAdminClient();
+    const existing = await users.list([Query.equal('email', address), Query.limit(1)]);
+    if (existing.users.length > 0) {
+      const { memberships } = await teams.listMemberships(teamId, [Query.equal('userId', existing.users[0].$id)]);
+      if (memberships.some(membership => membership.roles.includes(role))) {
+        return { success: false, message: `${address} is already a ${TEAM_ROLES[role].label.toLowerCase()} of this team` };
+      }
+    }
+
+    const { invitation, token } = await createTeamInvitation({
+      teamId,
+      email: address,
+      role,
+      invitedBy: guard.user.userId
+    });
+
+    const mail = await emailInvitation(invitation, token, guard.user.userId, hostURL);
+    if (!mail.success) {
+      return {
+        success: false,
+        message: "The invitation was saved, but we couldn't send the email. Please try resending it later."
+      };
+    }
+
+    await recordSecurityEvent({
+      type: 'team_invitation_sent',
+      outcome: 'success',
+      userId: guard.user.userId,
+      details: { teamId, email: address, role }
+    });
+
+    return { success: true, data: formatInvitation(invitation), message: `Invitation sent to ${address}` };
+
+  } catch (error) {
+    console.error(`[Invitations] Error inviting ${address} to ${teamId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to send the invitation"
+    };
+  }
+}
+
+/**
+ * Send an open or expired invitation again with a new link and expiry
+ * Earlier links of the invitation stop working
+ * @param {string} invitationId - Invitation document ID
+ * @param {string} hostURL - Base URL for the link; PASSKEY_ORIGIN takes precedence
+ * @returns {Promise<{success: boolean, data?: Object, message?: string}>}
+ */
+export async function resendTeamInvitation(invitationId, hostURL) {
+  try {
+    const owned = await requireOwnedInvitation(invitationId);
+    if (!owned.success) {
+      return owned;
+    }
+
+    if (owned.invitation.status !== 'pending') {
+      return { success: false, message: INVITATION_ERRORS[owned.invitation.status] };
+    }
+
+    const rateLimit = await enforceRateLimit('team_invitation', {
+      userId: owned.user.userId,
+      email: owned.invitation.email
+    });
+    if (!rateLimit.success) {
+      return rateLimit;
+    }
+
+    const { invitation, token } = await renewTeamInvitation(owned.invitation);
+    const mail = await emailInvitation(invitation, token, owned.user.userId, hostURL);
+    if (!mail.success) {
+      return {
+        success: false,
+        message: "We couldn't send the invitation email. Please try again later."
+      };
+    }
+
+    await recordSecurityEvent({
+      type: 'team_invitation_sent',
+      outcome: 'success',
+      userId: owned.user.userId,
+      details: { teamId: invitation.teamId, email: invitation.email, role: invitation.role, resend: true }
+    });
+
+    return { success: true, data: formatInvitation(invitation), message: `Invitation resent to ${invitation.email}` };
+
+  } catch (error) {
+    console.error(`[Invitations] Error resending ${invitationId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to resend the invitation"
+    };
+  }
+}
+
+/**
+ * Withdraw an invitation so its link stops working
+ * @param {string} invitationId - Invitation document ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function revokeTeamInvitation(invitationId) {
+  try {
+    const owned = await requireOwnedInvitation(invitationId);
+    if (!owned.success) {
+      return owned;
+    }
+
+    if (owned.invitation.status !== 'pending') {
+      return { success: false, message: INVITATION_ERRORS[owned.invitation.status] };
+    }
+
+    const { databases } = await createAdminClient();
+    await databases.updateDocument(process.env.CMS_DB_ID, getInvitationsCollectionId(), invitationId, {
+      status: 'revoked',
+      revokedAt: new Date().toISOString()
+    });
+
+    await recordSecurityEvent({
+      type: 'team_invitation_revoked',
+      outcome: 'success',
+      userId: owned.user.userId,
+      details: { teamId: owned.invitation.teamId, email: owned.invitation.email }
+    });
+
+    return { success: true, message: `Invitation for ${owned.invitation.email} withdrawn` };
+
+  } catch (error) {
+    console.error(`[Invitations] Error revoking ${invitationId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to withdraw the invitation"
+    };
+  }
+}
+
+/**
+ * Describe the invitation behind a link, for its landing page
+ * Anyone with the link may call this: the link was emailed to the invited address
+ * @param {string} token - Token from the link
+ * @returns {Promise<{success: boolean, data?: {teamName: string, email: string, role: string, roleLabel: string, expiresAt: string, hasAccount: boolean}, code?: string, message?: string}>} -
+ *   code is 'invalid', 'expired', 'accepted' or 'revoked' when the link can't be used
+ */
+export async function getInvitationDetails(token) {
+  try {
+    const rateLimit = await enforceRateLimit('team_invitation_accept');
+    if (!rateLimit.success) {
+      return rateLimit;
+    }
+
+    const invitation = await findInvitationByToken(token);
+    if (!invitation) {
+      await recordRateLimitFailure('team_invitation_accept');
+      return { success: false, code: 'invalid', message: INVITATION_ERRORS.invalid };
+    }
+
+    const state = getInvitationState(invitation);
+    if (state !== 'pending') {
+      return { success: false, code: state, message: INVITATION_ERRORS[state] };
+    }
+
+    const { teams, users } = await createAdminClient();
+    const team = await teams.get(invitation.teamId);
+    const existing = await users.list([Query.equal('email', invitation.email), Query.limit(1)]);
+
+    return {
+      success: true,
+      data: {
+        teamName: team.name,
+        email: invitation.email,
+        role: invitation.role,
+        roleLabel: TEAM_ROLES[invitation.role]?.label || invitation.role,
+        expiresAt: invitation.expiresAt,
+        hasAccount: existing.users.length > 0
+      }
+    };
+
+  } catch (error) {
+    console.error("[Invitations] Error looking up invitation:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to load the invitation"
+    };
+  }
+}
+
+/**
+ * Accept an invitation with the signed-in account
+ * The account's email must be the invited address. The session cookie is
+ * reissued with the new team so team pages open without signing in again.
+ * @param {string} token - Token from the link
+ * @param {string} hostURL - Base URL for team confirmation links; PASSKEY_ORIGIN takes precedence
+ * @returns {Promise<{success: boolean, data?: {teamId: string, teamName: string}, code?: string, message?: string}>}
+ */
+export async function acceptInvitation(token, hostURL) {
+  const guard = await requireUser();
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const rateLimit = await enforceRateLimit('team_invitation_accept');
+    if (!rateLimit.success) {
+      return rateLimit;
+    }
+
+    const invitation = await findInvitationByToken(token);
+    if (!invitation) {
+      await recordRateLimitFailure('team_invitation_accept');
+      return { success: false, code: 'invalid', message: INVITATION_ERRORS.invalid };
+    }
+
+    const state = getInvitationState(invitation);
+    if (state !== 'pending') {
+      return { success: false, code: state, message: INVITATION_ERRORS[state] };
+    }
+
+    const { users, teams } = await createAdminClient();
+    const user = await users.get(guard.user.userId);
+    if (user.email.toLowerCase() !== invitation.email) {
+      return {
+        success: false,
+        code: 'wrong_account',
+        message: `This invitation is for ${invitation.email}. Sign in with that address to accept it.`
+      };
+    }
+
+    const accepted = await acceptTeamInvitation(invitation, user, process.env.PASSKEY_ORIGIN || hostURL);
+    if (!accepted.success) {
+      return accepted;
+    }
+
+    await resetRateLimit('team_invitation_accept');
+    await recordSecurityEvent({
+      type: 'team_invitation_accepted',
+      outcome: 'success',
+      userId: user.$id,
+      details: { teamId: invitation.teamId, role: invitation.role }
+    });
+
+    const refreshed = await refreshSessionTeams();
+    if (!refreshed.success) {
+      console.error("[Invitations] Failed to refresh session teams:", refreshed.message);
+    }
+
+    const team = await teams.get(invitation.teamId);
+    return { success: true, data: { teamId: team.$id, teamName: team.name } };
+
+  } catch (error) {
+    console.error("[Invitations] Error accepting invitation:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to accept the invitation"
+    };
+  }
+}
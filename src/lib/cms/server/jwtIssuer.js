@@ -0,0 +1,213 @@
+// src/lib/cms/server/jwtIssuer.js
+
+import { SignJWT, CompactEncrypt } from 'jose';
+import { randomUUID } from 'crypto';
+import pako from 'pako';
+import { loadUserMemberships, loadUser } from './userRecords';
+import { setCookie } from './cookieService';
+import { getCurrentJwtKey } from './jwtKeyring';
+
+/**
+ * Issues session and claim tokens. Verification lives in jwtVerification.js,
+ * revocation in jwt.js.
+ */
+
+/**
+ * Generates a signed and encrypted JWT token using `jose`
+ * Both layers are created with the keyring's current key and carry its `kid`
+ * @param {Object} payload - The data to encode in the JWT
+ * @param {number} expirationInSeconds - The expiration time for the token in seconds
+ * @returns {Promise<string>} - The generated encrypted JWT token
+ */
+export const generateEncryptedJWT = async (payload, expirationInSeconds) => {
+  const { kid, signingKey, encryptionKey } = await getCurrentJwtKey();
+
+  try {
+    // Step 1: Sign the payload to create a JWS (Signed JWT)
+    const signedToken = await new SignJWT(payload)
+      .setProtectedHeader({ alg: 'HS256', kid }) // HMAC SHA-256
+      .setIssuedAt()
+      .setJti(randomUUID()) // Lets a single token be revoked
+      .setExpirationTime(Math.floor(Date.now() / 1000) + expirationInSeconds)
+      .setIssuer('cyberitex-admin')
+      .setAudience('cyberitex-clients')
+      .sign(signingKey);
+
+    // Step 2: Compress the signed token if it's large (over 1KB)
+    const signedTokenBytes = new TextEncoder().encode(signedToken);
+    let bytesToEncrypt;
+
+    // Only compress if the payload is large enough to benefit from compression
+    if (signedTokenBytes.length > 1024) {
+      try {
+        const compressed = pako.deflate(signedTokenBytes);
+        // Only use compression if it actually reduces size
+        if (compressed.length < signedTokenBytes.length) {
+          bytesToEncrypt = new Uint8Array([1, ...compressed]); // Prefix with 1 to indicate compression
+        } else {
+          bytesToEncrypt = new Uint8Array([0, ...signedTokenBytes]); // Prefix with 0 to indicate no compression
+        }
+      } catch (compressionError) {
+        console.error('Compression failed, using uncompressed token');
+        bytesToEncrypt = new Uint8Array([0, ...signedTokenBytes]); // Prefix with 0 to indicate no compression
+      }
+    } else {
+      // Small payload, don't compress
+      bytesToEncrypt = new Uint8Array([0, ...signedTokenBytes]); // Prefix with 0 to indicate no compression
+    }
+
+    // Step 3: Encrypt the (possibly compressed) signed JWT token
+    const encryptedToken = await new CompactEncrypt(bytesToEncrypt)
+      .setProtectedHeader({ alg: 'dir', enc: 'A256GCM', kid }) // Symmetric encryption
+      .encrypt(encryptionKey);
+
+    return encryptedToken; // Return the encrypted JWE token
+  } catch (error) {
+    // Safer error logging that doesn't expose details in production
+    if (process.env.NODE_ENV === 'development') {
+      console.error('JWT generation error:', error.message);
+    } else {
+      console.error('JWT generation error occurred');
+    }
+    throw new Error(`Failed to generate encrypted JWT: ${process.env.NODE_ENV === 'development' ? error.message : 'See server logs'}`);
+  }
+};
+
+/**
+ * Team claims of a session token: the user's current team memberships
+ * The middleware authorizes routes from these claims
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{teamId: string, teamName: string, roles: string[]}>>}
+ */
+export const getTeamClaims = async (userId) => {
+  const membershipsResponse = await loadUserMemberships(userId);
+  const userMemberships = membershipsResponse?.data?.memberships || [];
+  return userMemberships.map((m) => ({
+    teamId: m.teamId,
+    teamName: m.teamName,
+    roles: m.roles,
+  }));
+};
+
+/**
+ * Generates a JWT and sets it as a session cookie
+ * @param {Object} session - The session data
+ * @param {Object} options - Optional cookie options
+ * @returns {Promise<Object>} Success or error response
+ */
+export const generateJWT = async (session, options = {}) => {
+  try {
+    const userData = await loadUser(session.userId);
+
+    // Construct payload
+    const payload = {
+      session,
+      userId: session.userId,
+      email: userData?.data?.email,
+      teams: await getTeamClaims(session.userId),
+    };
+
+    const currentTime = Math.floor(Date.now() / 1000);
+    const sessionExpireTime = Math.floor(
+      new Date(session.expire).getTime() / 1000
+    );
+    const expirationInSeconds = sessionExpireTime - currentTime;
+    
+    if (expirationInSeconds <= 0) {
+      throw new Error(
+        "Session expiration time is invalid or has already passed."
+      );
+    }
+
+    // Generate a signed JWT
+    const JWTToken = await generateEncryptedJWT(
+      payload,
+      expirationInSeconds
+    );
+
+    // Set cookie options
+    const cookieOptions = {
+      httpOnly: true,
+      sameSite: "strict",
+      expires: new Date(session.expire),
+      path: "/",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: expirationInSeconds,
+      ...options
+    };
+
+    // Set the cookie
+    const cookieResult = await setCookie(process.env.COOKIE_NAME, JWTToken, cookieOptions);
+    
+    return {
+      success: cookieResult.success,
+      message: cookieResult.message || 'JWT session established',
+      token: process.env.NODE_ENV === 'development' ? JWTToken : undefined // Only return token in development
+    };
+  } catch (error) {
+    console.error('Error generating JWT session:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to generate JWT session'
+    };
+  }
+};
+
+/**
+ * Generates a JWT with only the session $id and user ID and sets it as a session cookie
+ * @param {Object} session - The session data
+ * @param {Object} options - Optional cookie options
+ * @returns {Promise<Object>} Success or error response
+ */
+export const generateJWTWEB = async (session, options = {}) => {
+  try {
+    const payload = {
+      $id: session.$id,
+      userId: session.userId,
+    };
+
+    const currentTime = Math.floor(Date.now() / 1000);
+    const sessionExpireTime = Math.floor(
+      new Date(session.expire).getTime() / 1000
+    );
+    const expirationInSeconds = sessionExpireTime - currentTime;
+    
+    if (expirationInSeconds <= 0) {
+      throw new Error(
+        "Session expiration time is invalid or has already passed."
+      );
+    }
+
+    // Generate a signed JWT
+    const JWTToken = await generateEncryptedJWT(
+      payload,
+      expirationInSeconds
+    );
+
+    // Set cookie options
+    const cookieOptions = {
+      httpOnly: true,
+      sameSite: "strict",
+      expires: new Date(session.expire),
+      path: "/",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: expirationInSeconds,
+      ...options
+    };
+
+    // Set the cookie
+    const cookieResult = await setCookie(process.env.COOKIE_NAME, JWTToken, cookieOptions);
+    
+    return {
+      success: cookieResult.success,
+      message: cookieResult.message || 'JWT session established',
+      token: process.env.NODE_ENV === 'development' ? JWTToken : undefined // Only return token in development
+    };
+  } catch (error) {
+    console.error('Error generating JWT session:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to generate JWT session'
+    };
+  }
+};
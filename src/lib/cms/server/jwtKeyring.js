@@ -0,0 +1,185 @@
+// src/lib/cms/server/jwtKeyring.js
+
+/**
+ * Keyring for the session JWT signing and encryption keys
+ *
+ * The current key (JWT_SIGNING_SECRET / JWT_ENCRYPTION_SECRET, identified by
+ * JWT_KEY_ID) signs and encrypts every new token. Keys listed in
+ * JWT_PREVIOUS_KEYS are still accepted for verification until their
+ * `expiresAt`, so a secret can be rotated without signing everyone out:
+ *
+ *   JWT_PREVIOUS_KEYS='[{"kid":"2025-01","signingSecret":"...","encryptionSecret":"...","expiresAt":"2025-03-01T00:00:00Z"}]'
+ *
+ * Tokens carry the key ID in the `kid` header of both the JWE and the inner JWS.
+ * Uses Web Crypto only, so the middleware can load it in the Edge runtime.
+ */
+
+const ENCRYPTION_KEY_BYTES = 32; // A256GCM with direct key agreement
+
+let cachedKeyring = null;
+let cachedSource = null;
+
+/**
+ * Derive a stable, non-secret key ID when JWT_KEY_ID is not set
+ * @param {string} signingSecret - Signing secret
+ * @param {string} encryptionSecret - Encryption secret
+ * @returns {Promise<string>} - Key ID
+ */
+const deriveKeyId = async (signingSecret, encryptionSecret) => {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(`${signingSecret}:${encryptionSecret}`)
+  );
+  return Array.from(new Uint8Array(digest).slice(0, 4))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Turn secrets into a keyring entry
+ * @param {Object} params
+ * @returns {Promise<Object>} - Key with encoded secrets
+ */
+const toKey = async ({ kid, signingSecret, encryptionSecret, expiresAt = null, current = false }) => ({
+  kid: kid || await deriveKeyId(signingSecret, encryptionSecret),
+  signingKey: new TextEncoder().encode(signingSecret),
+  encryptionKey: new TextEncoder().encode(encryptionSecret),
+  expiresAt: expiresAt ? new Date(expiresAt) : null,
+  current
+});
+
+/**
+ * Parse the keyring from the environment (cached until the variables change)
+ * @returns {Promise<{current: Object|null, previous: Object[], warnings: string[]}>}
+ */
+async function loadKeyring() {
+  const source = [
+    process.env.JWT_SIGNING_SECRET,
+    process.env.JWT_ENCRYPTION_SECRET,
+    process.env.JWT_KEY_ID,
+    process.env.JWT_PREVIOUS_KEYS
+  ].join('\n');
+
+  if (cachedKeyring && cachedSource === source) {
+    return cachedKeyring;
+  }
+
+  const warnings = [];
+  let current = null;
+
+  if (process.env.JWT_SIGNING_SECRET && process.env.JWT_ENCRYPTION_SECRET) {
+    current = await toKey({
+      kid: process.env.JWT_KEY_ID,
+      signingSecret: process.env.JWT_SIGNING_SECRET,
+      encryptionSecret: process.env.JWT_ENCRYPTION_SECRET,
+      current: true
+    });
+
+    if (current.encryptionKey.length !== ENCRYPTION_KEY_BYTES) {
+      warnings.push(`JWT_ENCRYPTION_SECRET must be exactly ${ENCRYPTION_KEY_BYTES} bytes`);
+    }
+  }
+
+  let previous = [];
+  if (process.env.JWT_PREVIOUS_KEYS) {
+    try {
+      const entries = JSON.parse(process.env.JWT_PREVIOUS_KEYS);
+      if (!Array.isArray(entries)) {
+        throw new Error("expected an array");
+      }
+
+      previous = await Promise.all(entries
+        .filter((entry, index) => {
+          if (!entry?.signingSecret || !entry?.encryptionSecret) {
+            warnings.push(`JWT_PREVIOUS_KEYS entry ${index + 1} is missing signingSecret or encryptionSecret and is ignored`);
+            return false;
+          }
+          return true;
+        })
+        .map(entry => toKey(entry)));
+    } catch (error) {
+      warnings.push(`JWT_PREVIOUS_KEYS is not valid JSON (${error.message}); previous keys are ignored`);
+      previous = [];
+    }
+  }
+
+  for (const key of previous) {
+    if (current && key.kid === current.kid) {
+      warnings.push(`Previous key '${key.kid}' has the same key ID as the current key`);
+    }
+    if (!key.expiresAt) {
+      warnings.push(`Previous key '${key.kid}' has no expiresAt and is accepted indefinitely`);
+    } else if (Number.isNaN(key.expiresAt.getTime())) {
+      warnings.push(`Previous key '${key.kid}' has an invalid expiresAt and is ignored`);
+    } else if (key.expiresAt < new Date()) {
+      warnings.push(`Previous key '${key.kid}' expired on ${key.expiresAt.toISOString()} and can be removed`);
+    }
+  }
+
+  cachedKeyring = { current, previous, warnings };
+  cachedSource = source;
+  return cachedKeyring;
+}
+
+/**
+ * Whether a previous key is still inside its grace period
+ * @param {Object} key - Keyring entry
+ * @returns {boolean}
+ */
+const isAccepted = (key) =>
+  !key.expiresAt || (!Number.isNaN(key.expiresAt.getTime()) && key.expiresAt > new Date());
+
+/**
+ * Get the key used to sign and encrypt new tokens
+ * @returns {Promise<Object>} - { kid, signingKey, encryptionKey }
+ * @throws {Error} - If the current secrets are not configured
+ */
+export async function getCurrentJwtKey() {
+  if (!process.env.JWT_SIGNING_SECRET) {
+    throw new Error('JWT_SIGNING_SECRET is not defined in environment variables');
+  }
+
+  if (!process.env.JWT_ENCRYPTION_SECRET) {
+    throw new Error('JWT_ENCRYPTION_SECRET is not defined in environment variables');
+  }
+
+  return (await loadKeyring()).current;
+}
+
+/**
+ * Get the keys a token may be verified with
+ * Tokens issued before key IDs were introduced have no `kid` and are tried
+ * against every accepted key, current first.
+ * @param {string} kid - Optional: key ID from the token header
+ * @returns {Promise<Object[]>} - Matching keys
+ */
+export async function getJwtVerificationKeys(kid = null) {
+  const { current, previous } = await loadKeyring();
+  const accepted = [current, ...previous.filter(isAccepted)].filter(Boolean);
+
+  return kid ? accepted.filter(key => key.kid === kid) : accepted;
+}
+
+/**
+ * Describe the keyring without exposing any secrets
+ * @returns {Promise<{currentKid: string|null, keys: Object[], warnings: string[]}>}
+ */
+export async function getJwtKeyringStatus() {
+  const { current, previous, warnings } = await loadKeyring();
+
+  const keys = [
+    ...(current ? [{ kid: current.kid, role: 'current', active: true, expiresAt: null }] : []),
+    ...previous.map(key => ({
+      kid: key.kid,
+      role: 'previous',
+      active: isAccepted(key),
+      expiresAt: key.expiresAt && !Number.isNaN(key.expiresAt.getTime()) ? key.expiresAt.toISOString() : null
+    }))
+  ];
+
+  return {
+    currentKid: current?.kid || null,
+    keys,
+    warnings: current ? warnings : ['JWT_SIGNING_SECRET and JWT_ENCRYPTION_SECRET must both be set', ...warnings]
+  };
+}
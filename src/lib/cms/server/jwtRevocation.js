@@ -0,0 +1,226 @@
+// src/lib/cms/server/jwtRevocation.js
+
+import { createHash } from 'crypto';
+import { createAdminClient } from './sdk_client';
+import { getSessionPolicy } from './sessionRegistry';
+
+/**
+ * Server-side revocation of session tokens
+ *
+ * Two kinds of entries, both kept only as long as a token they cover could
+ * still be valid:
+ * - token:<jti>   a single revoked token, until the token's own expiry
+ * - user:<userId> every token of the user issued up to `revokedBefore`
+ *                 ("sign out everywhere", deactivated and deleted users)
+ *
+ * Stores (JWT_REVOCATION_STORE):
+ * - memory:   per-process Map; fine for a single instance
+ * - appwrite: shared collection (CMS_COLLECTION_ID_REVOKED_TOKENS) for multiple instances
+ */
+
+const MEMORY_STORE_MAX_ENTRIES = 10000;
+
+/**
+ * In-memory store (per server process)
+ * @returns {Object} Store with get/set
+ */
+export function createMemoryRevocationStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt < Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry || null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      if (entries.size >= MEMORY_STORE_MAX_ENTRIES) {
+        // Drop expired entries first; only evict live ones as a last resort
+        for (const [existingKey, existing] of entries) {
+          if (existing.expiresAt < Date.now()) {
+            entries.delete(existingKey);
+          }
+        }
+        if (entries.size >= MEMORY_STORE_MAX_ENTRIES) {
+          console.warn("[Revocation] Memory store is full; use JWT_REVOCATION_STORE=appwrite");
+          entries.delete(entries.keys().next().value);
+        }
+      }
+      entries.set(key, entry);
+    }
+  };
+}
+
+/**
+ * Appwrite collection store (shared between server instances)
+ * @returns {Object} Store with get/set
+ */
+export function createAppwriteRevocationStore() {
+  const collectionId = () => process.env.CMS_COLLECTION_ID_REVOKED_TOKENS || "revokedTokens";
+  // Document IDs are limited to 36 characters, so keys are hashed
+  const documentId = (key) => createHash('sha256').update(key).digest('hex').substring(0, 36);
+
+  return {
+    async get(key) {
+      const { databases } = await createAdminClient();
+      try {
+        const doc = await databases.getDocument(process.env.CMS_DB_ID, collectionId(), documentId(key));
+        const entry = {
+          revokedBefore: new Date(doc.revokedBefore).getTime(),
+          expiresAt: new Date(doc.expiresAt).getTime()
+        };
+        return entry.expiresAt < Date.now() ? null : entry;
+      } catch (error) {
+        if (error.code === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async set(key, entry) {
+      const { databases } = await createAdminClient();
+      const data = {
+        key: key.substring(0, 255),
+        revokedBefore: new Date(entry.revokedBefore).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString()
+      };
+      try {
+        await databases.updateDocument(process.env.CMS_DB_ID, collectionId(), documentId(key), data);
+      } catch (error) {
+        if (error.code !== 404) {
+          throw error;
+        }
+        try {
+          await databases.createDocument(process.env.CMS_DB_ID, collectionId(), documentId(key), data);
+        } catch (createError) {
+          // Another request created it first
+          if (createError.code !== 409) {
+            throw createError;
+          }
+          await databases.updateDocument(process.env.CMS_DB_ID, collectionId(), documentId(key), data);
+        }
+      }
+    }
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Get the configured store (created once per process)
+ * @returns {Object} Revocation store
+ */
+function getStore() {
+  if (!activeStore) {
+    activeStore = process.env.JWT_REVOCATION_STORE === 'appwrite'
+      ? createAppwriteRevocationStore()
+      : createMemoryRevocationStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the store, e.g. with a custom implementation ({ get, set })
+ * @param {Object} store - Revocation store
+ */
+export function setRevocationStore(store) {
+  activeStore = store;
+}
+
+/**
+ * Longest time any session token can stay valid, in milliseconds
+ * @returns {number}
+ */
+const getLongestTokenLifetimeMs = () =>
+  Math.max(...['password', 'sso', 'passkey'].map(provider => getSessionPolicy(provider).maxLifetime)) * 1000;
+
+/**
+ * Revoke a single token until it expires
+ * @param {string} jti - Token ID
+ * @param {number} expiresAt - Token expiry in milliseconds
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function revokeToken(jti, expiresAt) {
+  if (!jti) {
+    return {
+      success: false,
+      message: "Token has no ID to revoke"
+    };
+  }
+
+  try {
+    await getStore().set(`token:${jti}`, {
+      revokedBefore: Date.now(),
+      expiresAt
+    });
+
+    return {
+      success: true,
+      message: "Token revoked"
+    };
+
+  } catch (error) {
+    console.error(`[Revocation] Failed to revoke token ${jti}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to revoke token"
+    };
+  }
+}
+
+/**
+ * Revoke every token issued to a user so far, on every device
+ * Tokens issued later in the same second are revoked too, since `iat` has
+ * second precision
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function revokeUserTokens(userId) {
+  try {
+    const now = Date.now();
+    await getStore().set(`user:${userId}`, {
+      revokedBefore: now,
+      expiresAt: now + getLongestTokenLifetimeMs()
+    });
+
+    return {
+      success: true,
+      message: "All tokens for the user revoked"
+    };
+
+  } catch (error) {
+    console.error(`[Revocation] Failed to revoke tokens for ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to revoke user tokens"
+    };
+  }
+}
+
+/**
+ * Check a verified token payload against the revocation list
+ * Throws when the store is unavailable, so an outage rejects tokens rather
+ * than letting revoked ones through
+ * @param {Object} payload - Verified JWT payload
+ * @returns {Promise<boolean>} - True when the token has been revoked
+ */
+export async function isTokenRevoked(payload) {
+  const store = getStore();
+
+  if (payload.jti && await store.get(`token:${payload.jti}`)) {
+    return true;
+  }
+
+  if (payload.userId) {
+    const userEntry = await store.get(`user:${payload.userId}`);
+    if (userEntry && payload.iat <= Math.floor(userEntry.revokedBefore / 1000)) {
+      return true;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,48 @@
+// src/lib/cms/server/jwtVerification.js
+
+import { decodeSessionToken } from './sessionToken';
+import { isTokenRevoked } from './jwtRevocation';
+
+/**
+ * Verification of session and claim tokens for server code
+ * Kept out of jwt.js so the browser can't call it as a server action, and out
+ * of sessionToken.js because the revocation check needs the database.
+ */
+
+/**
+ * Verifies and decrypts an encrypted JWT token using `jose`
+ * On top of the stateless checks in decodeSessionToken, the token must not be
+ * on the server-side revocation list
+ * @param {string} token - The encrypted JWT token to verify and decode
+ * @returns {Promise<Object>} - The decoded payload if the token is valid
+ * @throws {Error} - If the token is invalid, expired, or decryption fails
+ */
+export const verifyJWT = async (token) => {
+  if (!process.env.JWT_SIGNING_SECRET || !process.env.JWT_ENCRYPTION_SECRET) {
+    throw new Error('JWT secrets are not defined in environment variables');
+  }
+
+  if (!token) {
+    throw new Error('Token is not defined');
+  }
+
+  try {
+    // Steps 1-3: Decrypt, decompress and verify the signed JWT
+    const payload = await decodeSessionToken(token);
+
+    // Step 4: Reject tokens revoked on the server (signed out, or the user signed out everywhere)
+    if (await isTokenRevoked(payload)) {
+      throw new Error('Token has been revoked');
+    }
+
+    return payload;
+  } catch (error) {
+    // Safer error logging that doesn't expose details in production
+    if (process.env.NODE_ENV === 'development') {
+      console.error('JWT verification error:', error.message);
+    } else {
+      console.error('JWT verification error occurred');
+    }
+    throw new Error('Invalid or expired token');
+  }
+};
@@ -0,0 +1,126 @@
+// src/lib/cms/server/magicLink.js
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { createAdminClient, ID, Query } from './sdk_client';
+import { getRequestContext } from './requestContext';
+
+/**
+ * Email sign-in links ("magic links")
+ *
+ * A link carries a token `<payload>.<signature>`: the payload names a record in
+ * the magic links collection (CMS_COLLECTION_ID_MAGIC_LINKS), the user and the
+ * expiry, and is signed with HMAC-SHA256 under MAGIC_LINK_SECRET (falling back
+ * to JWT_SIGNING_SECRET). Tampered or expired tokens are rejected without a
+ * database lookup. Using a link deletes its record, and Appwrite only lets one
+ * delete succeed, so each link signs in once. Requesting a new link replaces
+ * the user's earlier ones.
+ */
+
+const DEFAULT_MAGIC_LINK_TTL_SECONDS = 15 * 60;
+
+const getMagicLinksCollectionId = () => process.env.CMS_COLLECTION_ID_MAGIC_LINKS || "magicLinks";
+
+/**
+ * How long a link stays valid (MAGIC_LINK_TTL, seconds)
+ * @returns {number}
+ */
+export function getMagicLinkTtl() {
+  const ttl = parseInt(process.env.MAGIC_LINK_TTL, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_MAGIC_LINK_TTL_SECONDS;
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload - base64url payload
+ * @returns {string} - base64url signature
+ * @throws {Error} - If no signing secret is configured
+ */
+const signPayload = (payload) => {
+  const secret = process.env.MAGIC_LINK_SECRET || process.env.JWT_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('MAGIC_LINK_SECRET is not defined in environment variables');
+  }
+  // Prefixed so the signature can't be mistaken for one made for another purpose
+  return createHmac('sha256', secret).update(`magic-link.${payload}`).digest('base64url');
+};
+
+/**
+ * Create a sign-in link token for a user, replacing their earlier links
+ * @param {string} userId - User ID
+ * @returns {Promise<{token: string, expiresAt: string}>}
+ */
+export async function createMagicLinkToken(userId) {
+  const { databases } = await createAdminClient();
+  const databaseId = process.env.CMS_DB_ID;
+
+  const earlier = await databases.listDocuments(databaseId, getMagicLinksCollectionId(), [
+    Query.equal('userId', userId),
+    Query.limit(100)
+  ]);
+  for (const doc of earlier.documents) {
+    await databases.deleteDocument(databaseId, getMagicLinksCollectionId(), doc.$id).catch(() => {});
+  }
+
+  const expiresAt = new Date(Date.now() + getMagicLinkTtl() * 1000);
+  const { ip } = await getRequestContext();
+  const record = await databases.createDocument(databaseId, getMagicLinksCollectionId(), ID.unique(), {
+    userId,
+    expiresAt: expiresAt.toISOString(),
+    requestIp: ip
+  });
+
+  const payload = Buffer.from(JSON.stringify({
+    id: record.$id,
+    uid: userId,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${signPayload(payload)}`,
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * Use up a sign-in link token
+ * @param {string} token - Token from the link
+ * @returns {Promise<{success: boolean, userId?: string, code?: string}>} - code is
+ *   'invalid_link', 'expired_link' or 'used_link' on failure
+ */
+export async function consumeMagicLinkToken(token) {
+  const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!payload || !signature) {
+    return { success: false, code: 'invalid_link' };
+  }
+
+  const expected = Buffer.from(signPayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { success: false, code: 'invalid_link' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { success: false, code: 'invalid_link' };
+  }
+
+  const { databases } = await createAdminClient();
+
+  // Claim the link: only one delete of the record can succeed
+  try {
+    await databases.deleteDocument(process.env.CMS_DB_ID, getMagicLinksCollectionId(), claims.id);
+  } catch (error) {
+    if (error.code === 404) {
+      return { success: false, code: 'used_link' };
+    }
+    throw error;
+  }
+
+  if (claims.exp * 1000 < Date.now()) {
+    return { success: false, code: 'expired_link' };
+  }
+
+  return { success: true, userId: claims.uid };
+}
@@ -0,0 +1,73 @@
+// src/lib/cms/server/mailer.js
+
+import nodemailer from 'nodemailer';
+import { createAdminClient } from './sdk_client';
+
+/**
+ * Transactional email through the SMTP server configured on the admin settings
+ * page (smtp.js). The configuration is read on every send, so changes apply
+ * without a restart. The sender is MAIL_FROM, falling back to the SMTP user.
+ */
+
+/**
+ * Load the stored SMTP configuration
+ * @returns {Promise<Object>} - SMTP configuration document
+ * @throws {Error} - If no configuration is stored
+ */
+async function loadSMTPConfig() {
+  const databaseId = process.env.CMS_DB_SETTINGS_ID;
+  const collectionId = process.env.CMS_COLLECTION_ID_SMTP_CONFIG;
+  if (!databaseId || !collectionId) {
+    throw new Error("Missing required environment variables for SMTP config.");
+  }
+
+  const { databases } = await createAdminClient();
+  const result = await databases.listDocuments(databaseId, collectionId);
+  if (!result.documents.length) {
+    throw new Error("No SMTP configuration found.");
+  }
+
+  return result.documents[0];
+}
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - Optional: HTML body
+ * @returns {Promise<{success: boolean, messageId?: string, message?: string}>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  try {
+    const config = await loadSMTPConfig();
+
+    const transporter = nodemailer.createTransport({
+      host: config.smtp_host,
+      port: Number(config.smtp_port),
+      // Stored as a string by the settings page
+      secure: config.smtp_secure === true || config.smtp_secure === "true",
+      auth: {
+        user: config.smtp_user,
+        pass: config.smtp_password
+      }
+    });
+
+    const info = await transporter.sendMail({
+      from: process.env.MAIL_FROM || config.smtp_user,
+      to,
+      subject,
+      text,
+      html
+    });
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`[Mailer] Failed to send "${subject}":`, error.message);
+    return {
+      success: false,
+      message: error.message || "Failed to send email"
+    };
+  }
+}
@@ -0,0 +1,129 @@
+// src/lib/cms/server/maintenanceJobs.js
+
+import { createAdminClient } from './sdk_client';
+
+/**
+ * Last-run records for scheduled maintenance jobs
+ *
+ * Each job keeps a single document (ID = job ID) in the maintenance jobs
+ * collection (CMS_COLLECTION_ID_MAINTENANCE_JOBS), overwritten on every run,
+ * so the admin interface can show when a job last ran and whether it is healthy.
+ */
+
+const DEFAULT_STALE_AFTER_HOURS = 24;
+
+const getMaintenanceJobsCollectionId = () =>
+  process.env.CMS_COLLECTION_ID_MAINTENANCE_JOBS || "maintenanceJobs";
+
+/**
+ * Record the outcome of a job run
+ * Never throws, so a missing jobs collection can't fail the job itself
+ * @param {string} jobId - Job ID (e.g. 'challenge_cleanup')
+ * @param {Object} run - Run details
+ * @param {boolean} run.success - Whether the run completed without errors
+ * @param {string} run.trigger - What started the run ('cron' or 'manual')
+ * @param {number} run.durationMs - Run time in milliseconds
+ * @param {Object} run.result - Optional: counts reported by the job, stored as JSON
+ * @param {string} run.error - Optional: error message of a failed run
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function recordJobRun(jobId, { success, trigger, durationMs, result = null, error = null }) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const now = new Date().toISOString();
+
+    const data = {
+      lastRunAt: now,
+      lastStatus: success ? 'success' : 'failure',
+      lastTrigger: trigger,
+      lastDurationMs: Math.round(durationMs),
+      lastResult: result ? JSON.stringify(result).substring(0, 1000) : null,
+      lastError: error ? error.substring(0, 1000) : null,
+      ...(success ? { lastSuccessAt: now } : {})
+    };
+
+    try {
+      await databases.updateDocument(databaseId, getMaintenanceJobsCollectionId(), jobId, data);
+    } catch (updateError) {
+      if (updateError.code !== 404) {
+        throw updateError;
+      }
+      await databases.createDocument(databaseId, getMaintenanceJobsCollectionId(), jobId, data);
+    }
+
+    return {
+      success: true,
+      message: "Job run recorded"
+    };
+
+  } catch (error) {
+    console.error(`[Maintenance] Failed to record ${jobId} run:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to record job run"
+    };
+  }
+}
+
+/**
+ * Get the last run of a job and whether it is healthy
+ * A job is healthy when its last run succeeded and it succeeded recently
+ * @param {string} jobId - Job ID
+ * @param {number} staleAfterHours - Hours after the last success before the job counts as stale
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getJobStatus(jobId, staleAfterHours = DEFAULT_STALE_AFTER_HOURS) {
+  try {
+    const { databases } = await createAdminClient();
+
+    let jobDoc;
+    try {
+      jobDoc = await databases.getDocument(process.env.CMS_DB_ID, getMaintenanceJobsCollectionId(), jobId);
+    } catch (error) {
+      if (error.code === 404) {
+        return {
+          success: true,
+          data: { jobId, hasRun: false, healthy: false },
+          message: "Job has not run yet"
+        };
+      }
+      throw error;
+    }
+
+    let lastResult = null;
+    try {
+      lastResult = jobDoc.lastResult ? JSON.parse(jobDoc.lastResult) : null;
+    } catch (error) {
+      lastResult = { raw: jobDoc.lastResult };
+    }
+
+    const stale = !jobDoc.lastSuccessAt ||
+      Date.now() - new Date(jobDoc.lastSuccessAt).getTime() > staleAfterHours * 60 * 60 * 1000;
+
+    return {
+      success: true,
+      data: {
+        jobId,
+        hasRun: true,
+        lastRunAt: jobDoc.lastRunAt,
+        lastStatus: jobDoc.lastStatus,
+        lastTrigger: jobDoc.lastTrigger,
+        lastSuccessAt: jobDoc.lastSuccessAt || null,
+        lastDurationMs: jobDoc.lastDurationMs,
+        lastResult,
+        lastError: jobDoc.lastError || null,
+        stale,
+        healthy: jobDoc.lastStatus === 'success' && !stale
+      },
+      message: "Job status retrieved"
+    };
+
+  } catch (error) {
+    console.error(`[Maintenance] Failed to get ${jobId} status:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to get job status"
+    };
+  }
+}
@@ -0,0 +1,210 @@
+// src/lib/cms/server/passkey_admin.js
+"use server";
+
+import { deleteCredential, getQuarantinedCredentials, releaseCredentialQuarantine } from './passkey_credentials';
+import { createAdminClient } from './sdk_client';
+import { loadUser } from './userRecords';
+import { recordSecurityEvent } from './securityEvents';
+import { getCurrentSessionIdentity } from './stepUp';
+import { requireTeam } from './authGuard';
+import { getAttestationPolicyStatus } from './passkey_attestation';
+
+/**
+ * Admin review of passkey credentials flagged by the security checks, and the
+ * attestation policy status
+ */
+
+/**
+ * Load a credential and make sure it is currently quarantined
+ * @param {string} credentialDocId - Credential document ID
+ * @returns {Promise<{success: boolean, credential?: any, message?: string}>}
+ */
+async function getQuarantinedCredential(credentialDocId) {
+  const { databases } = await createAdminClient();
+  const credential = await databases.getDocument(
+    process.env.CMS_DB_ID,
+    process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS,
+    credentialDocId
+  );
+
+  if (!credential.quarantined) {
+    return {
+      success: false,
+      message: "Passkey is not quarantined"
+    };
+  }
+
+  return {
+    success: true,
+    credential
+  };
+}
+
+/**
+ * List quarantined passkeys with their owners for review
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getQuarantinedPasskeys() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const result = await getQuarantinedCredentials();
+    if (!result.success) {
+      return result;
+    }
+
+    const passkeys = await Promise.all(result.credentials.map(async (cred) => {
+      const userResult = await loadUser(cred.userId);
+      return {
+        id: cred.$id,
+        userId: cred.userId,
+        userEmail: userResult.success ? userResult.data.email : null,
+        userName: userResult.success ? userResult.data.name : null,
+        nickname: cred.nickname || null,
+        authenticatorName: cred.authenticatorName || null,
+        counter: cred.counter,
+        quarantinedAt: cred.quarantinedAt,
+        quarantineReason: cred.quarantineReason,
+        lastUsedAt: cred.lastUsedAt || null,
+        lastUsedIp: cred.lastUsedIp || null
+      };
+    }));
+
+    return {
+      success: true,
+      data: passkeys,
+      message: `Found ${passkeys.length} quarantined passkeys`
+    };
+
+  } catch (error) {
+    console.error("Error getting quarantined passkeys:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to get quarantined passkeys"
+    };
+  }
+}
+
+/**
+ * Restore a quarantined passkey after review (e.g. a restored device backup)
+ * @param {string} credentialDocId - Credential document ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function restoreQuarantinedPasskey(credentialDocId) {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const lookup = await getQuarantinedCredential(credentialDocId);
+    if (!lookup.success) {
+      return lookup;
+    }
+
+    const result = await releaseCredentialQuarantine(credentialDocId);
+    if (!result.success) {
+      return result;
+    }
+
+    const admin = await getCurrentSessionIdentity();
+    await recordSecurityEvent({
+      type: 'credential_restored',
+      outcome: 'success',
+      userId: lookup.credential.userId,
+      credentialId: credentialDocId,
+      details: {
+        adminId: admin.success ? admin.userId : null,
+        quarantineReason: lookup.credential.quarantineReason
+      }
+    });
+
+    console.log(`[Passkey Admin] Restored quarantined passkey ${credentialDocId}`);
+
+    return {
+      success: true,
+      message: "Passkey restored"
+    };
+
+  } catch (error) {
+    console.error("Error restoring quarantined passkey:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to restore passkey"
+    };
+  }
+}
+
+/**
+ * Permanently revoke a quarantined passkey
+ * @param {string} credentialDocId - Credential document ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function revokeQuarantinedPasskey(credentialDocId) {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const lookup = await getQuarantinedCredential(credentialDocId);
+    if (!lookup.success) {
+      return lookup;
+    }
+
+    const result = await deleteCredential(credentialDocId);
+    if (!result.success) {
+      return result;
+    }
+
+    const admin = await getCurrentSessionIdentity();
+    await recordSecurityEvent({
+      type: 'credential_revoked',
+      outcome: 'success',
+      userId: lookup.credential.userId,
+      credentialId: credentialDocId,
+      details: {
+        adminId: admin.success ? admin.userId : null,
+        quarantineReason: lookup.credential.quarantineReason
+      }
+    });
+
+    console.log(`[Passkey Admin] Revoked quarantined passkey ${credentialDocId}`);
+
+    return {
+      success: true,
+      message: "Passkey revoked"
+    };
+
+  } catch (error) {
+    console.error("Error revoking quarantined passkey:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to revoke passkey"
+    };
+  }
+}
+
+/**
+ * Get the attestation policy and the state of the FIDO metadata blob
+ * @returns {Promise<{success: boolean, data?: Object, code?: string, message?: string}>}
+ */
+export async function getAttestationStatus() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    return { success: true, data: await getAttestationPolicyStatus() };
+  } catch (error) {
+    console.error("[Passkey Admin] Failed to read the attestation status:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to read the attestation status"
+    };
+  }
+}
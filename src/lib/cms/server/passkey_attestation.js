@@ -0,0 +1,238 @@
+// src/lib/cms/server/passkey_attestation.js
+
+import { readFile } from 'fs/promises';
+import { MetadataService } from '@simplewebauthn/server';
+import { decodeAttestationObject } from '@simplewebauthn/server/helpers';
+
+import { getPasskeyAttestationPolicy } from './passkey_config';
+
+/**
+ * Attestation policy engine for passkey registration
+ *
+ * Policies (PASSKEY_ATTESTATION):
+ * - none:       attestation is not requested; only the AAGUID allow/deny lists apply
+ * - indirect:   attestation is requested and verified when the client provides it,
+ *               anonymized ('none') statements are still accepted
+ * - direct:     a certificate-backed statement is required and the authenticator must
+ *               be present in the local FIDO metadata blob
+ * - enterprise: like direct, and the AAGUID must be on the allow list
+ *
+ * Registration (passkey_server.js) calls this module directly; admins see its
+ * status through getAttestationStatus in passkey_admin.js. The metadata blob
+ * path (PASSKEY_METADATA_PATH) is read here, not from the public policy.
+ */
+
+// Status reports that mean an authenticator model can no longer be trusted
+const COMPROMISED_STATUSES = [
+  'REVOKED',
+  'USER_VERIFICATION_BYPASS',
+  'ATTESTATION_KEY_COMPROMISE',
+  'USER_KEY_REMOTE_COMPROMISE',
+  'USER_KEY_PHYSICAL_COMPROMISE'
+];
+
+const ZERO_AAGUID = '00000000-0000-0000-0000-000000000000';
+
+// Loaded metadata entries keyed by AAGUID, shared across requests in this server process
+let metadataCache = null;
+
+const getMetadataPath = () => process.env.PASSKEY_METADATA_PATH || null;
+
+/**
+ * Parse a locally stored FIDO MDS3 blob (JWT) or JSON export into metadata entries
+ * The file is trusted as-is: download it from the FIDO Alliance MDS and store it with the deployment.
+ * @param {string} contents - File contents
+ * @returns {Array} - Metadata entries ({ aaguid, metadataStatement, statusReports })
+ */
+function parseMetadataBlob(contents) {
+  const trimmed = contents.trim();
+  let payload;
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    payload = JSON.parse(trimmed);
+  } else {
+    // MDS3 blobs are JWTs; the entries live in the payload segment
+    const [, payloadSegment] = trimmed.split('.');
+    if (!payloadSegment) {
+      throw new Error("Metadata blob is neither JSON nor a JWT");
+    }
+    payload = JSON.parse(Buffer.from(payloadSegment, 'base64url').toString('utf8'));
+  }
+
+  // Accept a full blob payload, a bare entries array, or an array of metadata statements
+  const entries = Array.isArray(payload) ? payload : payload.entries || [];
+  return entries
+    .map(entry => entry.metadataStatement
+      ? entry
+      : { aaguid: entry.aaguid, metadataStatement: entry, statusReports: [] })
+    .filter(entry => entry.aaguid || entry.metadataStatement?.aaguid)
+    .map(entry => ({
+      ...entry,
+      aaguid: (entry.aaguid || entry.metadataStatement.aaguid).toLowerCase()
+    }));
+}
+
+/**
+ * Load the local FIDO metadata blob and prime SimpleWebAuthn's MetadataService with it,
+ * so attestation statements are validated against its root certificates
+ * @param {boolean} forceReload - Reload the blob even if it is already cached
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function loadAttestationMetadata(forceReload = false) {
+  try {
+    if (metadataCache && !forceReload) {
+      return {
+        success: true,
+        data: { entries: metadataCache.entries.size, loadedAt: metadataCache.loadedAt },
+        message: "Metadata already loaded"
+      };
+    }
+
+    const metadataPath = getMetadataPath();
+    if (!metadataPath) {
+      metadataCache = { entries: new Map(), loadedAt: new Date().toISOString(), path: null };
+      return {
+        success: true,
+        data: { entries: 0, loadedAt: metadataCache.loadedAt },
+        message: "No metadata blob configured"
+      };
+    }
+
+    const contents = await readFile(metadataPath, 'utf8');
+    const entries = parseMetadataBlob(contents);
+
+    await MetadataService.initialize({
+      mdsServers: [], // Never download: only the locally stored blob is trusted
+      statements: entries.map(entry => entry.metadataStatement),
+      verificationMode: 'permissive' // Unknown AAGUIDs are handled by the policy below
+    });
+
+    metadataCache = {
+      entries: new Map(entries.map(entry => [entry.aaguid, entry])),
+      loadedAt: new Date().toISOString(),
+      path: metadataPath
+    };
+
+    console.log(`[Passkey] Loaded ${entries.length} authenticator metadata entries`);
+
+    return {
+      success: true,
+      data: { entries: entries.length, loadedAt: metadataCache.loadedAt },
+      message: `Loaded ${entries.length} metadata entries`
+    };
+
+  } catch (error) {
+    console.error("Error loading attestation metadata:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to load attestation metadata"
+    };
+  }
+}
+
+/**
+ * Look up the metadata entry for an authenticator model
+ * @param {string} aaguid - Authenticator AAGUID
+ * @returns {Promise<Object|null>} - Metadata entry or null when unknown
+ */
+export async function getAuthenticatorMetadata(aaguid) {
+  if (!aaguid) {
+    return null;
+  }
+
+  await loadAttestationMetadata();
+  return metadataCache?.entries.get(aaguid.toLowerCase()) || null;
+}
+
+/**
+ * Check a verified registration against the configured attestation policy
+ * Call after verifyRegistrationResponse() succeeded and before storing the credential
+ * @param {Object} registrationInfo - `registrationInfo` from verifyRegistrationResponse()
+ * @returns {Promise<{success: boolean, code?: string, data?: any, message?: string}>}
+ */
+export async function evaluateAttestationPolicy(registrationInfo) {
+  const reject = (message) => ({
+    success: false,
+    code: 'attestation_rejected',
+    message
+  });
+
+  try {
+    const policy = await getPasskeyAttestationPolicy();
+    const aaguid = (registrationInfo.aaguid || ZERO_AAGUID).toLowerCase();
+    const fmt = registrationInfo.fmt;
+
+    if (policy.aaguidDenyList.includes(aaguid)) {
+      return reject("This type of authenticator is not allowed. Please use a different device.");
+    }
+
+    const requiresAllowList = policy.attestation === 'enterprise' || policy.aaguidAllowList.length > 0;
+    if (requiresAllowList && !policy.aaguidAllowList.includes(aaguid)) {
+      return reject("This authenticator is not on the list of approved devices.");
+    }
+
+    const entry = await getAuthenticatorMetadata(aaguid);
+
+    // Never accept authenticator models the FIDO Alliance has flagged as compromised
+    const latestStatus = entry?.statusReports?.length
+      ? entry.statusReports[entry.statusReports.length - 1].status
+      : null;
+    if (latestStatus && COMPROMISED_STATUSES.includes(latestStatus)) {
+      return reject("This authenticator model has a known security issue and cannot be registered.");
+    }
+
+    if (policy.attestation === 'direct' || policy.attestation === 'enterprise') {
+      if (fmt === 'none') {
+        return reject("Your authenticator did not provide the required attestation.");
+      }
+
+      // Self attestation (no certificate chain) doesn't prove the authenticator model
+      const attestationObject = decodeAttestationObject(registrationInfo.attestationObject);
+      const x5c = attestationObject.get('attStmt')?.get('x5c');
+      if (!x5c || x5c.length === 0) {
+        return reject("Your authenticator's attestation could not be verified.");
+      }
+
+      if (!entry) {
+        return reject("This authenticator is not listed in the trusted metadata.");
+      }
+    }
+
+    return {
+      success: true,
+      data: {
+        aaguid,
+        fmt,
+        policy: policy.attestation,
+        description: entry?.metadataStatement?.description || null
+      },
+      message: "Attestation accepted"
+    };
+
+  } catch (error) {
+    console.error("Error evaluating attestation policy:", error);
+    return reject(error.message || "Failed to evaluate attestation");
+  }
+}
+
+/**
+ * Get attestation policy status for the admin interface (getAttestationStatus)
+ * @returns {Promise<Object>} - Policy settings and metadata blob status
+ */
+export async function getAttestationPolicyStatus() {
+  const policy = await getPasskeyAttestationPolicy();
+  const metadata = await loadAttestationMetadata();
+
+  return {
+    attestation: policy.attestation,
+    aaguidAllowList: policy.aaguidAllowList,
+    aaguidDenyList: policy.aaguidDenyList,
+    metadata: {
+      configured: !!getMetadataPath(),
+      loaded: metadata.success,
+      entries: metadata.data?.entries || 0,
+      loadedAt: metadata.data?.loadedAt || null,
+      error: metadata.success ? null : metadata.message
+    }
+  };
+}
@@ -0,0 +1,237 @@
+// src/lib/cms/server/passkey_challenges.js
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { createAdminClient, ID } from './sdk_client';
+import { getCookie, setCookie } from './cookieService';
+import { generateChallenge } from './passkey_utils';
+
+/**
+ * WebAuthn challenge storage for the passkey ceremonies in passkey_server.js.
+ * Each challenge is bound to the browser it was issued to and can be consumed
+ * once; these helpers don't check the caller, so they stay out of the server actions.
+ */
+
+const CHALLENGE_TYPES = ['registration', 'authentication', 'step_up'];
+const CHALLENGE_NONCE_COOKIE_SUFFIX = '_pk_nonce';
+const CHALLENGE_NONCE_MAX_AGE = 60 * 60; // 1 hour, refreshed with every challenge
+
+const getChallengeNonceCookieName = () => `${process.env.COOKIE_NAME}${CHALLENGE_NONCE_COOKIE_SUFFIX}`;
+
+/**
+ * Get the browser nonce that challenges are bound to, creating it on first use
+ * The nonce lives in an httpOnly cookie, so a challenge ID leaked to another
+ * browser can't be used to complete the ceremony there
+ * @returns {Promise<string>} - Base64url encoded nonce
+ */
+async function getOrCreateChallengeNonce() {
+  const nonceCookie = await getCookie(getChallengeNonceCookieName());
+  const nonce = nonceCookie.exists && nonceCookie.data.value
+    ? nonceCookie.data.value
+    : await generateChallenge();
+
+  // Re-set on every challenge to extend the cookie's lifetime
+  const cookieResult = await setCookie(getChallengeNonceCookieName(), nonce, {
+    httpOnly: true,
+    sameSite: "strict",
+    path: "/",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: CHALLENGE_NONCE_MAX_AGE
+  });
+
+  if (!cookieResult.success) {
+    throw new Error(cookieResult.message);
+  }
+
+  return nonce;
+}
+
+/**
+ * Hash a challenge nonce for storage
+ * @param {string} nonce - Browser nonce
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashChallengeNonce = (nonce) => createHash('sha256').update(nonce).digest('hex');
+
+/**
+ * Check that the current request comes from the browser a challenge was issued to
+ * @param {Object} challengeDoc - Challenge document
+ * @returns {Promise<boolean>}
+ */
+async function isChallengeBoundToBrowser(challengeDoc) {
+  const nonceCookie = await getCookie(getChallengeNonceCookieName());
+  if (!challengeDoc.nonceHash || !nonceCookie.exists || !nonceCookie.data.value) {
+    return false;
+  }
+
+  const expected = Buffer.from(challengeDoc.nonceHash, 'hex');
+  const actual = Buffer.from(hashChallengeNonce(nonceCookie.data.value), 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Store a challenge in the database, bound to the requesting browser
+ * @param {string} userId - User ID
+ * @param {string} challenge - Base64url encoded challenge
+ * @param {string} type - Challenge type ('registration', 'authentication' or 'step_up')
+ * @param {number} expirationMinutes - Challenge expiration in minutes (default: 5)
+ * @returns {Promise<{success: boolean, challengeId?: string, message?: string}>}
+ */
+export async function storeChallenge(userId, challenge, type, expirationMinutes = 5) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const challengesCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CHALLENGES;
+
+    if (!challengesCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CHALLENGES environment variable is required");
+    }
+
+    if (!CHALLENGE_TYPES.includes(type)) {
+      throw new Error(`Unknown challenge type: ${type}`);
+    }
+
+    const expiresAt = new Date(Date.now() + expirationMinutes * 60 * 1000).toISOString();
+    const nonce = await getOrCreateChallengeNonce();
+
+    const challengeDoc = await databases.createDocument(
+      databaseId,
+      challengesCollectionId,
+      ID.unique(),
+      {
+        userId,
+        challenge,
+        type,
+        expiresAt,
+        nonceHash: hashChallengeNonce(nonce)
+      }
+    );
+
+    return {
+      success: true,
+      challengeId: challengeDoc.$id,
+      message: "Challenge stored successfully"
+    };
+
+  } catch (error) {
+    console.error("Error storing challenge:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to store challenge"
+    };
+  }
+}
+
+/**
+ * Consume a challenge: read it and invalidate it in one step, then validate it
+ * Deleting the document is the claim, so when two verifications race for the same
+ * challenge only the one whose delete succeeds can continue. A challenge is
+ * burned even when validation fails and can never be used twice.
+ * @param {string} challengeId - Challenge document ID
+ * @param {string} expectedType - Challenge type the verification requires
+ * @returns {Promise<{success: boolean, challenge?: any, code?: string, userId?: string, message?: string}>}
+ */
+export async function consumeChallenge(challengeId, expectedType) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const challengesCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CHALLENGES;
+
+    if (!challengesCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CHALLENGES environment variable is required");
+    }
+
+    if (!challengeId) {
+      return {
+        success: false,
+        code: 'challenge_not_found',
+        message: "Challenge not found"
+      };
+    }
+
+    let challengeDoc;
+    try {
+      challengeDoc = await databases.getDocument(databaseId, challengesCollectionId, challengeId);
+      await databases.deleteDocument(databaseId, challengesCollectionId, challengeId);
+    } catch (error) {
+      if (error.code === 404) {
+        return {
+          success: false,
+          code: challengeDoc ? 'challenge_consumed' : 'challenge_not_found',
+          message: challengeDoc ? "Challenge has already been used" : "Challenge not found"
+        };
+      }
+      throw error;
+    }
+
+    if (new Date(challengeDoc.expiresAt) < new Date()) {
+      return {
+        success: false,
+        code: 'challenge_expired',
+        userId: challengeDoc.userId,
+        message: "Challenge has expired"
+      };
+    }
+
+    if (challengeDoc.type !== expectedType) {
+      return {
+        success: false,
+        code: 'challenge_type_mismatch',
+        userId: challengeDoc.userId,
+        message: "Challenge was issued for a different operation"
+      };
+    }
+
+    if (!(await isChallengeBoundToBrowser(challengeDoc))) {
+      return {
+        success: false,
+        code: 'challenge_binding_mismatch',
+        userId: challengeDoc.userId,
+        message: "Challenge was issued to a different browser"
+      };
+    }
+
+    return {
+      success: true,
+      challenge: challengeDoc,
+      message: "Challenge consumed successfully"
+    };
+
+  } catch (error) {
+    console.error("Error consuming challenge:", error);
+    return {
+      success: false,
+      message: error.message || "Challenge not found or expired"
+    };
+  }
+}
+
+/**
+ * Delete a challenge from the database
+ * @param {string} challengeId - Challenge document ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function deleteChallenge(challengeId) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const challengesCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CHALLENGES;
+
+    if (!challengesCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CHALLENGES environment variable is required");
+    }
+
+    await databases.deleteDocument(databaseId, challengesCollectionId, challengeId);
+
+    return {
+      success: true,
+      message: "Challenge deleted successfully"
+    };
+
+  } catch (error) {
+    console.error("Error deleting challenge:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to delete challenge"
+    };
+  }
+}
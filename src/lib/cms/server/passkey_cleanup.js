@@ -0,0 +1,107 @@
+// src/lib/cms/server/passkey_cleanup.js
+
+import { createAdminClient, Query } from './sdk_client';
+import { recordJobRun } from './maintenanceJobs';
+
+export const CHALLENGE_CLEANUP_JOB_ID = 'challenge_cleanup';
+const CLEANUP_PAGE_SIZE = 100;
+
+/**
+ * Clean up expired challenges (run periodically)
+ * Pages through every expired challenge and records the run so the admin
+ * settings page can show the job's health
+ * @param {string} trigger - What started the run ('manual' or 'cron')
+ * @returns {Promise<{success: boolean, deletedCount?: number, scannedCount?: number, failedCount?: number, durationMs?: number, message?: string}>}
+ */
+export async function runChallengeCleanup(trigger = 'manual') {
+  const startedAt = Date.now();
+  let scannedCount = 0;
+  let deletedCount = 0;
+  let failedCount = 0;
+
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const challengesCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CHALLENGES;
+
+    if (!challengesCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CHALLENGES environment variable is required");
+    }
+
+    const now = new Date().toISOString();
+
+    // Deleted documents drop out of the query, so only the ones that failed
+    // to delete have to be skipped on the next page
+    while (true) {
+      const page = await databases.listDocuments(
+        databaseId,
+        challengesCollectionId,
+        [
+          Query.lessThan('expiresAt', now),
+          Query.limit(CLEANUP_PAGE_SIZE),
+          Query.offset(failedCount)
+        ]
+      );
+
+      scannedCount += page.documents.length;
+
+      for (const challenge of page.documents) {
+        try {
+          await databases.deleteDocument(databaseId, challengesCollectionId, challenge.$id);
+          deletedCount++;
+        } catch (error) {
+          // Already consumed or removed by a concurrent run
+          if (error.code !== 404) {
+            console.error(`Error deleting challenge ${challenge.$id}:`, error);
+            failedCount++;
+          }
+        }
+      }
+
+      if (page.documents.length < CLEANUP_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const counts = { scannedCount, deletedCount, failedCount };
+
+    await recordJobRun(CHALLENGE_CLEANUP_JOB_ID, {
+      success: failedCount === 0,
+      trigger,
+      durationMs,
+      result: counts,
+      error: failedCount > 0 ? `${failedCount} expired challenges could not be deleted` : null
+    });
+
+    console.log(`🧹 Cleaned up ${deletedCount} expired challenges (${trigger})`);
+
+    return {
+      success: failedCount === 0,
+      ...counts,
+      durationMs,
+      message: failedCount > 0
+        ? `Cleaned up ${deletedCount} expired challenges, ${failedCount} could not be deleted`
+        : `Cleaned up ${deletedCount} expired challenges`
+    };
+
+  } catch (error) {
+    console.error("❌ Error cleaning up expired challenges:", error);
+
+    await recordJobRun(CHALLENGE_CLEANUP_JOB_ID, {
+      success: false,
+      trigger,
+      durationMs: Date.now() - startedAt,
+      result: { scannedCount, deletedCount, failedCount },
+      error: error.message || "Failed to cleanup expired challenges"
+    });
+
+    return {
+      success: false,
+      scannedCount,
+      deletedCount,
+      failedCount,
+      message: error.message || "Failed to cleanup expired challenges"
+    };
+  }
+}
@@ -1,6 +1,8 @@
 // src/lib/cms/server/passkey_config.js
 "use server";
 
+import { requireTeam } from './authGuard';
+
 /**
  * Server-side passkey configuration
  * Safely exports environment variables to client-side components
@@ -34,12 +36,43 @@ export async function getPasskeyConfig() {
   };
 }
 
+/**
+ * Parse a comma-separated AAGUID list from an environment variable
+ * @param {string} value - Raw environment value
+ * @returns {string[]} Lower-cased AAGUIDs
+ */
+const parseAaguidList = (value) =>
+  (value || "")
+    .split(",")
+    .map(aaguid => aaguid.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Get the attestation policy used for passkey registration
+ * Server-side only: enforced in verifyPasskeyRegistration
+ * @returns {Promise<Object>} Attestation policy settings
+ */
+export async function getPasskeyAttestationPolicy() {
+  const attestation = (process.env.PASSKEY_ATTESTATION || "none").toLowerCase();
+
+  return {
+    attestation: ["none", "indirect", "direct", "enterprise"].includes(attestation) ? attestation : "none",
+    aaguidAllowList: parseAaguidList(process.env.PASSKEY_AAGUID_ALLOWLIST),
+    aaguidDenyList: parseAaguidList(process.env.PASSKEY_AAGUID_DENYLIST),
+  };
+}
+
 /**
  * Get server-side only passkey configuration
  * Includes sensitive environment variables that should never be sent to client
  * @returns {Promise<Object>} Server-side passkey configuration
  */
 export async function getPasskeyServerConfig() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   return {
     // Include all client config
     ...(await getPasskeyConfig()),
@@ -53,10 +86,10 @@ export async function getPasskeyServerConfig() {
 }
 
 /**
- * Validate passkey environment configuration
- * @returns {Promise<{valid: boolean, missing: string[], warnings: string[]}>}
+ * Validate passkey environment configuration (unguarded)
+ * @returns {{valid: boolean, missing: string[], warnings: string[]}}
  */
-export async function validatePasskeyConfig() {
+function checkPasskeyConfig() {
   const required = [
     'PASSKEY_RP_NAME',
     'PASSKEY_RP_ID',
@@ -74,7 +107,47 @@ export async function validatePasskeyConfig() {
     'PASSKEY_TIMEOUT',
     'PASSKEY_USER_VERIFICATION',
     'PASSKEY_AUTHENTICATOR_ATTACHMENT',
-    'PASSKEY_RESIDENT_KEY'
+    'PASSKEY_RESIDENT_KEY',
+    'PASSKEY_STEP_UP_ENABLED',
+    'PASSKEY_STEP_UP_MAX_AGE',
+    'PASSKEY_ATTESTATION',
+    'PASSKEY_AAGUID_ALLOWLIST',
+    'PASSKEY_AAGUID_DENYLIST',
+    'PASSKEY_METADATA_PATH',
+    'CMS_COLLECTION_ID_PASSKEY_SECURITY_EVENTS',
+    'RATE_LIMIT_ENABLED',
+    'RATE_LIMIT_STORE',
+    'CMS_COLLECTION_ID_RATE_LIMITS',
+    'CRON_SECRET',
+    'CMS_COLLECTION_ID_MAINTENANCE_JOBS',
+    'CMS_COLLECTION_ID_SESSIONS',
+    'JWT_KEY_ID',
+    'JWT_PREVIOUS_KEYS',
+    'JWT_REVOCATION_STORE',
+    'CMS_COLLECTION_ID_REVOKED_TOKENS',
+    'SESSION_DURATION',
+    'SESSION_IDLE_TIMEOUT',
+    'SESSION_MAX_LIFETIME',
+    'TWO_FACTOR_ENCRYPTION_KEY',
+    'TOTP_ISSUER',
+    'CMS_COLLECTION_ID_TWO_FACTOR',
+    'CMS_COLLECTION_ID_TWO_FACTOR_CODES',
+    'MAGIC_LINK_SECRET',
+    'MAGIC_LINK_TTL',
+    'MAIL_FROM',
+    'CMS_COLLECTION_ID_MAGIC_LINKS',
+    'BOT_PROTECTION_PROVIDER',
+    'BOT_PROTECTION_MODE',
+    'LOGIN_RISK_CHALLENGE_SCORE',
+    'LOGIN_RISK_BLOCK_SCORE',
+    'CMS_COLLECTION_ID_LOGIN_RISK',
+    'CMS_COLLECTION_ID_EMAIL_DOMAINS',
+    'CMS_COLLECTION_ID_TEAM_JOIN_REQUESTS',
+    'DOMAIN_VERIFICATION_DNS_SERVERS',
+    'CMS_COLLECTION_ID_TEAM_INVITATIONS',
+    'TEAM_INVITATION_TTL',
+    'TRUSTED_PROXY_COUNT',
+    'CLIENT_IP_HEADER'
   ];
 
   const missing = required.filter(key => !process.env[key]);
@@ -94,6 +167,81 @@ export async function validatePasskeyConfig() {
     warnings.push("PASSKEY_TIMEOUT should be between 30 seconds and 5 minutes");
   }
 
+  const attestation = process.env.PASSKEY_ATTESTATION?.toLowerCase();
+  if (attestation && !["none", "indirect", "direct", "enterprise"].includes(attestation)) {
+    warnings.push("PASSKEY_ATTESTATION must be one of none, indirect, direct or enterprise (falling back to none)");
+  }
+
+  if ((attestation === "direct" || attestation === "enterprise") && !process.env.PASSKEY_METADATA_PATH) {
+    warnings.push(`PASSKEY_ATTESTATION is '${attestation}' but PASSKEY_METADATA_PATH is not set, so every registration will be rejected`);
+  }
+
+  if (attestation === "enterprise" && !process.env.PASSKEY_AAGUID_ALLOWLIST) {
+    warnings.push("Enterprise attestation requires PASSKEY_AAGUID_ALLOWLIST to list the approved authenticators");
+  }
+
+  if (process.env.RATE_LIMIT_STORE && !["memory", "appwrite"].includes(process.env.RATE_LIMIT_STORE)) {
+    warnings.push("RATE_LIMIT_STORE must be 'memory' or 'appwrite' (falling back to memory)");
+  }
+
+  if (process.env.JWT_REVOCATION_STORE && !["memory", "appwrite"].includes(process.env.JWT_REVOCATION_STORE)) {
+    warnings.push("JWT_REVOCATION_STORE must be 'memory' or 'appwrite' (falling back to memory)");
+  }
+
+  if (process.env.RATE_LIMIT_ENABLED === "false" && process.env.NODE_ENV === "production") {
+    warnings.push("Rate limiting is disabled in production environment");
+  }
+
+  const idleTimeout = parseInt(process.env.SESSION_IDLE_TIMEOUT || "28800");
+  const sessionDuration = parseInt(process.env.SESSION_DURATION || "86400");
+  if (idleTimeout > sessionDuration) {
+    warnings.push("SESSION_IDLE_TIMEOUT is longer than SESSION_DURATION, so idle sessions end when their cookie expires instead");
+  }
+
+  const proxyCount = process.env.TRUSTED_PROXY_COUNT;
+  if (proxyCount !== undefined && !/^\d+$/.test(proxyCount)) {
+    warnings.push("TRUSTED_PROXY_COUNT must be a whole number (falling back to 1)");
+  }
+
+  if (proxyCount === "0" && !process.env.CLIENT_IP_HEADER) {
+    warnings.push("TRUSTED_PROXY_COUNT is 0 and CLIENT_IP_HEADER is not set, so client IP addresses are unknown and per-IP rate limits are skipped");
+  }
+
+  if (!process.env.CRON_SECRET && process.env.NODE_ENV === "production") {
+    warnings.push("CRON_SECRET is not set, so expired challenges are only removed by the manual cleanup");
+  }
+
+  const botProvider = process.env.BOT_PROTECTION_PROVIDER;
+  if (botProvider && !["recaptcha", "hcaptcha", "turnstile", "none"].includes(botProvider)) {
+    warnings.push("BOT_PROTECTION_PROVIDER must be recaptcha, hcaptcha, turnstile or none, so every bot protection check fails until it is fixed");
+  }
+
+  if (!botProvider && !process.env.RECAPTCHA_PROJECT_ID) {
+    warnings.push("BOT_PROTECTION_PROVIDER is not set and RECAPTCHA_PROJECT_ID is missing, so every bot protection check fails");
+  }
+
+  if (botProvider === "none" && process.env.NODE_ENV === "production") {
+    warnings.push("BOT_PROTECTION_PROVIDER is 'none', so sign-in and sign-up forms accept any bot protection token");
+  }
+
+  if (botProvider && botProvider !== process.env.NEXT_PUBLIC_BOT_PROTECTION_PROVIDER) {
+    warnings.push("NEXT_PUBLIC_BOT_PROTECTION_PROVIDER doesn't match BOT_PROTECTION_PROVIDER, so browser tokens will fail the check");
+  }
+
+  if (process.env.BOT_PROTECTION_MODE && !["monitor", "challenge", "enforce"].includes(process.env.BOT_PROTECTION_MODE)) {
+    warnings.push("BOT_PROTECTION_MODE must be monitor, challenge or enforce (falling back to each action's default)");
+  }
+
+  const challengeScore = parseInt(process.env.LOGIN_RISK_CHALLENGE_SCORE || '40', 10);
+  const blockScore = parseInt(process.env.LOGIN_RISK_BLOCK_SCORE || '80', 10);
+  if (challengeScore >= blockScore) {
+    warnings.push("LOGIN_RISK_CHALLENGE_SCORE is not below LOGIN_RISK_BLOCK_SCORE, so risky sign-ins are blocked without a second-factor step");
+  }
+
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    warnings.push("TWO_FACTOR_ENCRYPTION_KEY is not set, so users can't set up an authenticator app");
+  }
+
   return {
     valid: missing.length === 0,
     missing,
@@ -102,12 +250,30 @@ export async function validatePasskeyConfig() {
   };
 }
 
+/**
+ * Validate passkey environment configuration
+ * @returns {Promise<{valid: boolean, missing: string[], warnings: string[]}>}
+ */
+export async function validatePasskeyConfig() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return checkPasskeyConfig();
+}
+
 /**
  * Get passkey configuration status for admin interface
  * @returns {Promise<Object>} Configuration status information
  */
 export async function getPasskeyConfigStatus() {
-  const validation = await validatePasskeyConfig();
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  const validation = checkPasskeyConfig();
   const config = await getPasskeyConfig();
   
   return {
@@ -121,15 +287,15 @@ export async function getPasskeyConfigStatus() {
       developmentMode: config.developmentMode
     },
     validation,
-    recommendations: await getConfigRecommendations()
+    recommendations: buildConfigRecommendations()
   };
 }
 
 /**
- * Get configuration recommendations based on current environment
- * @returns {Promise<string[]>} Array of recommendation messages
+ * Build configuration recommendations based on current environment (unguarded)
+ * @returns {string[]} Array of recommendation messages
  */
-export async function getConfigRecommendations() {
+function buildConfigRecommendations() {
   const recommendations = [];
   const isProduction = process.env.NODE_ENV === "production";
   
@@ -159,12 +325,30 @@ export async function getConfigRecommendations() {
   return recommendations;
 }
 
+/**
+ * Get configuration recommendations based on current environment
+ * @returns {Promise<string[]>} Array of recommendation messages
+ */
+export async function getConfigRecommendations() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return buildConfigRecommendations();
+}
+
 /**
  * Get safe environment variables for client-side display (admin interface)
  * Masks sensitive values while showing configuration status
  * @returns {Promise<Object[]>} Array of environment variable objects
  */
 export async function getPasskeyEnvVarsForDisplay() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const envVars = [
     {
       key: 'PASSKEY_RP_NAME',
@@ -201,6 +385,13 @@ export async function getPasskeyEnvVarsForDisplay() {
       sensitive: false,
       description: 'Appwrite collection ID for passkey credentials'
     },
+    {
+      key: 'CMS_COLLECTION_ID_PASSKEY_SECURITY_EVENTS',
+      value: process.env.CMS_COLLECTION_ID_PASSKEY_SECURITY_EVENTS || 'passKeySecurityEvents (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for passkey security events'
+    },
     {
       key: 'CMS_DB_ID',
       value: process.env.CMS_DB_ID ? '***SET***' : 'Not Set',
@@ -249,6 +440,280 @@ export async function getPasskeyEnvVarsForDisplay() {
       required: false,
       sensitive: false,
       description: 'User verification requirement (required/preferred/discouraged)'
+    },
+    {
+      key: 'PASSKEY_STEP_UP_ENABLED',
+      value: process.env.PASSKEY_STEP_UP_ENABLED || 'true (default)',
+      required: false,
+      sensitive: false,
+      description: 'Require passkey re-authentication for sensitive actions'
+    },
+    {
+      key: 'PASSKEY_STEP_UP_MAX_AGE',
+      value: process.env.PASSKEY_STEP_UP_MAX_AGE || '300 (default)',
+      required: false,
+      sensitive: false,
+      description: 'How long a step-up verification stays valid, in seconds'
+    },
+    {
+      key: 'PASSKEY_ATTESTATION',
+      value: process.env.PASSKEY_ATTESTATION || 'none (default)',
+      required: false,
+      sensitive: false,
+      description: 'Attestation policy (none/indirect/direct/enterprise)'
+    },
+    {
+      key: 'PASSKEY_AAGUID_ALLOWLIST',
+      value: process.env.PASSKEY_AAGUID_ALLOWLIST || 'Not Configured',
+      required: false,
+      sensitive: false,
+      description: 'Comma-separated AAGUIDs allowed to register (empty allows all)'
+    },
+    {
+      key: 'PASSKEY_AAGUID_DENYLIST',
+      value: process.env.PASSKEY_AAGUID_DENYLIST || 'Not Configured',
+      required: false,
+      sensitive: false,
+      description: 'Comma-separated AAGUIDs that may never register'
+    },
+    {
+      key: 'PASSKEY_METADATA_PATH',
+      value: process.env.PASSKEY_METADATA_PATH || 'Not Configured',
+      required: false,
+      sensitive: false,
+      description: 'Path to the locally stored FIDO metadata (MDS3) blob'
+    },
+    {
+      key: 'RATE_LIMIT_ENABLED',
+      value: process.env.RATE_LIMIT_ENABLED || 'true (default)',
+      required: false,
+      sensitive: false,
+      description: 'Throttle login, registration and password recovery attempts'
+    },
+    {
+      key: 'BOT_PROTECTION_PROVIDER',
+      value: process.env.BOT_PROTECTION_PROVIDER
+        || (process.env.RECAPTCHA_PROJECT_ID ? 'recaptcha (from RECAPTCHA_PROJECT_ID)' : 'not set (checks fail)'),
+      required: false,
+      sensitive: false,
+      description: 'Bot protection for sign-in and sign-up forms: recaptcha, hcaptcha, turnstile, or none for development'
+    },
+    {
+      key: 'BOT_PROTECTION_MODE',
+      value: process.env.BOT_PROTECTION_MODE || 'per action (default)',
+      required: false,
+      sensitive: false,
+      description: 'monitor, challenge or enforce for every action (override per action with BOT_PROTECTION_MODE_<ACTION>)'
+    },
+    {
+      key: 'LOGIN_RISK_CHALLENGE_SCORE',
+      value: process.env.LOGIN_RISK_CHALLENGE_SCORE || '40 (default)',
+      required: false,
+      sensitive: false,
+      description: 'Login risk score (0-100) from which a sign-in needs a second factor'
+    },
+    {
+      key: 'LOGIN_RISK_BLOCK_SCORE',
+      value: process.env.LOGIN_RISK_BLOCK_SCORE || '80 (default)',
+      required: false,
+      sensitive: false,
+      description: 'Login risk score (0-100) from which a sign-in is blocked'
+    },
+    {
+      key: 'DOMAIN_VERIFICATION_DNS_SERVERS',
+      value: process.env.DOMAIN_VERIFICATION_DNS_SERVERS || 'system resolver (default)',
+      required: false,
+      sensitive: false,
+      description: 'Comma-separated name servers asked for company domain TXT records'
+    },
+    {
+      key: 'RATE_LIMIT_STORE',
+      value: process.env.RATE_LIMIT_STORE || 'memory (default)',
+      required: false,
+      sensitive: false,
+      description: "Rate limit storage (memory for one instance, appwrite to share between instances)"
+    },
+    {
+      key: 'TRUSTED_PROXY_COUNT',
+      value: process.env.TRUSTED_PROXY_COUNT || '1 (default)',
+      required: false,
+      sensitive: false,
+      description: 'Proxies in front of the app that append to X-Forwarded-For; the client IP is read from the right past them'
+    },
+    {
+      key: 'CLIENT_IP_HEADER',
+      value: process.env.CLIENT_IP_HEADER || 'not set (uses X-Forwarded-For)',
+      required: false,
+      sensitive: false,
+      description: 'Header set by the hosting platform with the client IP (e.g. x-real-ip or cf-connecting-ip)'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_RATE_LIMITS',
+      value: process.env.CMS_COLLECTION_ID_RATE_LIMITS || 'authRateLimits (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for rate limit counters'
+    },
+    {
+      key: 'CRON_SECRET',
+      value: process.env.CRON_SECRET ? '***SET***' : 'Not Configured',
+      required: false,
+      sensitive: true,
+      description: 'Shared secret for scheduled jobs (sent as a Bearer token)'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_MAINTENANCE_JOBS',
+      value: process.env.CMS_COLLECTION_ID_MAINTENANCE_JOBS || 'maintenanceJobs (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for scheduled job health'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_SESSIONS',
+      value: process.env.CMS_COLLECTION_ID_SESSIONS || 'authSessions (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for the sign-in session registry'
+    },
+    {
+      key: 'JWT_KEY_ID',
+      value: process.env.JWT_KEY_ID || 'Derived from secrets (default)',
+      required: false,
+      sensitive: false,
+      description: 'Key ID (kid) of the current session signing and encryption secrets'
+    },
+    {
+      key: 'JWT_PREVIOUS_KEYS',
+      value: process.env.JWT_PREVIOUS_KEYS ? '***SET***' : 'Not Configured',
+      required: false,
+      sensitive: true,
+      description: 'JSON list of retired session keys still accepted until their expiresAt'
+    },
+    {
+      key: 'JWT_REVOCATION_STORE',
+      value: process.env.JWT_REVOCATION_STORE || 'memory (default)',
+      required: false,
+      sensitive: false,
+      description: 'Revoked session token storage (memory for one instance, appwrite to share between instances)'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_REVOKED_TOKENS',
+      value: process.env.CMS_COLLECTION_ID_REVOKED_TOKENS || 'revokedTokens (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for revoked session tokens'
+    },
+    {
+      key: 'TWO_FACTOR_ENCRYPTION_KEY',
+      value: process.env.TWO_FACTOR_ENCRYPTION_KEY ? '***SET***' : 'Not Configured',
+      required: false,
+      sensitive: true,
+      description: 'Secret used to encrypt authenticator app (TOTP) secrets; changing it disables existing authenticators'
+    },
+    {
+      key: 'TOTP_ISSUER',
+      value: process.env.TOTP_ISSUER || 'PASSKEY_RP_NAME (default)',
+      required: false,
+      sensitive: false,
+      description: 'Name shown for this site in authenticator apps'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_TWO_FACTOR',
+      value: process.env.CMS_COLLECTION_ID_TWO_FACTOR || 'twoFactor (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for authenticator apps'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_TWO_FACTOR_CODES',
+      value: process.env.CMS_COLLECTION_ID_TWO_FACTOR_CODES || 'twoFactorCodes (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for recovery codes and used authenticator codes'
+    },
+    {
+      key: 'MAGIC_LINK_SECRET',
+      value: process.env.MAGIC_LINK_SECRET ? '***SET***' : 'JWT_SIGNING_SECRET (default)',
+      required: false,
+      sensitive: true,
+      description: 'Secret used to sign email sign-in links'
+    },
+    {
+      key: 'MAGIC_LINK_TTL',
+      value: process.env.MAGIC_LINK_TTL || '900 (default)',
+      required: false,
+      sensitive: false,
+      description: 'Seconds an email sign-in link stays valid'
+    },
+    {
+      key: 'MAIL_FROM',
+      value: process.env.MAIL_FROM || 'SMTP user (default)',
+      required: false,
+      sensitive: false,
+      description: 'Sender address of account emails'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_MAGIC_LINKS',
+      value: process.env.CMS_COLLECTION_ID_MAGIC_LINKS || 'magicLinks (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for unused email sign-in links'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_LOGIN_RISK',
+      value: process.env.CMS_COLLECTION_ID_LOGIN_RISK || 'loginRiskAssessments (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for login risk decisions (admin review and login history)'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_EMAIL_DOMAINS',
+      value: process.env.CMS_COLLECTION_ID_EMAIL_DOMAINS || 'emailDomains (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for the free-mail domain list and company domain claims'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_TEAM_JOIN_REQUESTS',
+      value: process.env.CMS_COLLECTION_ID_TEAM_JOIN_REQUESTS || 'teamJoinRequests (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for sign-ups waiting to join a team in approval mode'
+    },
+    {
+      key: 'CMS_COLLECTION_ID_TEAM_INVITATIONS',
+      value: process.env.CMS_COLLECTION_ID_TEAM_INVITATIONS || 'teamInvitations (default)',
+      required: false,
+      sensitive: false,
+      description: 'Appwrite collection ID for emailed team invitations'
+    },
+    {
+      key: 'TEAM_INVITATION_TTL',
+      value: process.env.TEAM_INVITATION_TTL || '604800 (default)',
+      required: false,
+      sensitive: false,
+      description: 'How long a team invitation link stays valid, in seconds'
+    },
+    {
+      key: 'SESSION_DURATION',
+      value: process.env.SESSION_DURATION || '86400 (default)',
+      required: false,
+      sensitive: false,
+      description: 'Sliding session length in seconds (override per method with SESSION_PASSWORD_, SESSION_OAUTH_, SESSION_PASSKEY_ or SESSION_MAGIC_LINK_DURATION)'
+    },
+    {
+      key: 'SESSION_IDLE_TIMEOUT',
+      value: process.env.SESSION_IDLE_TIMEOUT || '28800 (default)',
+      required: false,
+      sensitive: false,
+      description: 'Seconds of inactivity before a session ends (override per method with SESSION_<METHOD>_IDLE_TIMEOUT)'
+    },
+    {
+      key: 'SESSION_MAX_LIFETIME',
+      value: process.env.SESSION_MAX_LIFETIME || '2592000 (default)',
+      required: false,
+      sensitive: false,
+      description: 'Absolute session lifetime in seconds, however active (override per method with SESSION_<METHOD>_MAX_LIFETIME)'
     }
   ];
 
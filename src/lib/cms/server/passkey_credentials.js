@@ -0,0 +1,359 @@
+// src/lib/cms/server/passkey_credentials.js
+
+import { createAdminClient, ID, Query } from './sdk_client';
+import { getCredentialById } from './passkey_utils';
+
+/**
+ * Writes to stored passkey credentials that don't check the caller.
+ * The registration and sign-in flows (passkey_server.js) store credentials,
+ * record each use and quarantine credentials whose counter goes backwards;
+ * owners rename and delete their passkeys through passkey_server.js, and
+ * admins delete, list and release quarantined ones through passkey_admin.js.
+ */
+
+/**
+ * Store a passkey credential in the database
+ * @param {string} userId - User ID
+ * @param {Object} credentialData - Credential data from SimpleWebAuthn
+ * @returns {Promise<{success: boolean, credentialId?: string, message?: string}>}
+ */
+export async function storeCredential(userId, credentialData) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
+
+    if (!credentialsCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
+    }
+
+    // Check if credential already exists (application-level uniqueness check)
+    const existingCredential = await getCredentialById(credentialData.credentialId);
+    if (existingCredential.success) {
+      return {
+        success: false,
+        message: "Credential with this ID already exists"
+      };
+    }
+
+    const credentialDoc = await databases.createDocument(
+      databaseId,
+      credentialsCollectionId,
+      ID.unique(),
+      {
+        userId,
+        credentialId: credentialData.credentialId,
+        credentialPublicKey: credentialData.credentialPublicKey,
+        counter: credentialData.counter || 0,
+        deviceType: credentialData.deviceType || 'multiDevice',
+        backedUp: credentialData.backedUp || false,
+        transports: credentialData.transports ? JSON.stringify(credentialData.transports) : null,
+        createdAt: new Date().toISOString(),
+        aaguid: credentialData.aaguid || null,
+        authenticatorName: credentialData.authenticatorName || null,
+        backupEligible: credentialData.backupEligible ?? credentialData.deviceType === 'multiDevice',
+        nickname: credentialData.nickname || null,
+        lastUsedAt: credentialData.lastUsedAt || null,
+        lastUsedIp: credentialData.lastUsedIp || null,
+        lastUsedUserAgent: credentialData.lastUsedUserAgent?.substring(0, 512) || null
+      }
+    );
+
+    return {
+      success: true,
+      credentialId: credentialDoc.$id,
+      message: "Credential stored successfully"
+    };
+
+  } catch (error) {
+    console.error("Error storing credential:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to store credential"
+    };
+  }
+}
+
+/**
+ * Record a successful use of a credential
+ * @param {string} credentialDocId - Credential document ID
+ * @param {Object} usage - Usage details
+ * @param {number} usage.counter - Optional: new signature counter
+ * @param {boolean} usage.backedUp - Optional: current backup state reported by the authenticator
+ * @param {string} usage.ip - Optional: client IP address
+ * @param {string} usage.userAgent - Optional: client user agent
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function updateCredentialUsage(credentialDocId, { counter, backedUp, ip, userAgent } = {}) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
+
+    if (!credentialsCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
+    }
+
+    const data = {
+      lastUsedAt: new Date().toISOString(),
+      lastUsedIp: ip || null,
+      lastUsedUserAgent: userAgent?.substring(0, 512) || null
+    };
+
+    if (typeof counter === 'number') {
+      data.counter = counter;
+    }
+
+    if (typeof backedUp === 'boolean') {
+      data.backedUp = backedUp;
+    }
+
+    await databases.updateDocument(
+      databaseId,
+      credentialsCollectionId,
+      credentialDocId,
+      data
+    );
+
+    return {
+      success: true,
+      message: "Credential usage updated successfully"
+    };
+
+  } catch (error) {
+    console.error("Error updating credential usage:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to update credential usage"
+    };
+  }
+}
+
+/**
+ * Update the user-editable nickname of a credential
+ * @param {string} credentialDocId - Credential document ID
+ * @param {string|null} nickname - New nickname (null clears it)
+ * @returns {Promise<{success: boolean, credential?: any, message?: string}>}
+ */
+export async function updateCredentialNickname(credentialDocId, nickname) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
+
+    if (!credentialsCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
+    }
+
+    const credential = await databases.updateDocument(
+      databaseId,
+      credentialsCollectionId,
+      credentialDocId,
+      { nickname }
+    );
+
+    return {
+      success: true,
+      credential,
+      message: "Nickname updated successfully"
+    };
+
+  } catch (error) {
+    console.error("Error updating credential nickname:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to update nickname"
+    };
+  }
+}
+
+/**
+ * Quarantine a credential so it can no longer be used to sign in
+ * @param {string} credentialDocId - Credential document ID
+ * @param {string} reason - Why the credential was quarantined
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function quarantineCredential(credentialDocId, reason) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
+
+    if (!credentialsCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
+    }
+
+    await databases.updateDocument(
+      databaseId,
+      credentialsCollectionId,
+      credentialDocId,
+      {
+        quarantined: true,
+        quarantinedAt: new Date().toISOString(),
+        quarantineReason: reason?.substring(0, 256) || null
+      }
+    );
+
+    return {
+      success: true,
+      message: "Credential quarantined successfully"
+    };
+
+  } catch (error) {
+    console.error("Error quarantining credential:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to quarantine credential"
+    };
+  }
+}
+
+/**
+ * Lift a credential's quarantine
+ * The counter is reset so the next sign-in establishes a new baseline
+ * @param {string} credentialDocId - Credential document ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function releaseCredentialQuarantine(credentialDocId) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
+
+    if (!credentialsCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
+    }
+
+    await databases.updateDocument(
+      databaseId,
+      credentialsCollectionId,
+      credentialDocId,
+      {
+        quarantined: false,
+        quarantinedAt: null,
+        quarantineReason: null,
+        counter: 0
+      }
+    );
+
+    return {
+      success: true,
+      message: "Credential quarantine lifted successfully"
+    };
+
+  } catch (error) {
+    console.error("Error releasing credential quarantine:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to release credential quarantine"
+    };
+  }
+}
+
+/**
+ * Get all quarantined credentials
+ * @returns {Promise<{success: boolean, credentials?: Array, message?: string}>}
+ */
+export async function getQuarantinedCredentials() {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
+
+    if (!credentialsCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
+    }
+
+    const credentials = await databases.listDocuments(
+      databaseId,
+      credentialsCollectionId,
+      [
+        Query.equal('quarantined', true),
+        Query.orderDesc('quarantinedAt'),
+        Query.limit(100)
+      ]
+    );
+
+    return {
+      success: true,
+      credentials: credentials.documents,
+      message: `Found ${credentials.documents.length} quarantined credentials`
+    };
+
+  } catch (error) {
+    console.error("Error getting quarantined credentials:", error);
+    return {
+      success: false,
+      credentials: [],
+      message: error.message || "Failed to get quarantined credentials"
+    };
+  }
+}
+
+/**
+ * Update credential counter (for replay attack protection)
+ * @param {string} credentialDocId - Credential document ID
+ * @param {number} newCounter - New counter value
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function updateCredentialCounter(credentialDocId, newCounter) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
+
+    if (!credentialsCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
+    }
+
+    await databases.updateDocument(
+      databaseId,
+      credentialsCollectionId,
+      credentialDocId,
+      { counter: newCounter }
+    );
+
+    return {
+      success: true,
+      message: "Counter updated successfully"
+    };
+
+  } catch (error) {
+    console.error("Error updating credential counter:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to update counter"
+    };
+  }
+}
+
+/**
+ * Delete a credential
+ * @param {string} credentialDocId - Credential document ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function deleteCredential(credentialDocId) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
+
+    if (!credentialsCollectionId) {
+      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
+    }
+
+    await databases.deleteDocument(databaseId, credentialsCollectionId, credentialDocId);
+
+    return {
+      success: true,
+      message: "Credential deleted successfully"
+    };
+
+  } catch (error) {
+    console.error("Error deleting credential:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to delete credential"
+    };
+  }
+}
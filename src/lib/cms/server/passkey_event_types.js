@@ -0,0 +1,36 @@
+// src/lib/cms/server/passkey_event_types.js
+
+/**
+ * Security event types (passkeys, two-factor, account recovery, email links, single sign-on, bot protection, company domains and team invitations) and their labels for the admin interface.
+ * Kept out of passkey_events.js because "use server" modules can only export
+ * async functions.
+ */
+export const SECURITY_EVENT_TYPES = {
+  registration: 'Passkey registration',
+  authentication: 'Passkey sign-in',
+  step_up: 'Step-up verification',
+  passkey_renamed: 'Passkey renamed',
+  passkey_deleted: 'Passkey deleted',
+  challenge_expired: 'Challenge expired',
+  counter_regression: 'Counter regression',
+  quarantined_credential_used: 'Quarantined passkey used',
+  credential_restored: 'Quarantined passkey restored',
+  credential_revoked: 'Quarantined passkey revoked',
+  totp_enabled: 'Authenticator app enabled',
+  totp_disabled: 'Authenticator app disabled',
+  second_factor: 'Two-factor sign-in',
+  recovery_codes_generated: 'Recovery codes generated',
+  recovery_code_used: 'Recovery code used',
+  recovery_codes_revoked: 'Recovery codes turned off',
+  account_recovery: 'Account recovery',
+  magic_link_requested: 'Sign-in link sent',
+  magic_link_login: 'Sign-in link used',
+  sso_login: 'Single sign-on',
+  bot_protection: 'Bot protection check',
+  domain_verification: 'Company domain verification',
+  team_invitation_sent: 'Team invitation sent',
+  team_invitation_revoked: 'Team invitation withdrawn',
+  team_invitation_accepted: 'Team invitation accepted'
+};
+
+export const SECURITY_EVENT_OUTCOMES = ['success', 'failure', 'blocked'];
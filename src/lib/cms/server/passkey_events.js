@@ -0,0 +1,136 @@
+// src/lib/cms/server/passkey_events.js
+"use server";
+
+import { createAdminClient, Query } from './sdk_client';
+import { requireTeam, requireSelfOrTeam } from './authGuard';
+import { getSecurityEventsCollectionId } from './securityEvents';
+
+/**
+ * Reading the security event log (admins, and users for their own events)
+ * Events are written by recordSecurityEvent in securityEvents.js.
+ */
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse the stored JSON details of an event
+ * @param {Object} eventDoc - Security event document
+ * @returns {Object} - Event with parsed details
+ */
+const formatSecurityEvent = (eventDoc) => {
+  let details = null;
+  try {
+    details = eventDoc.details ? JSON.parse(eventDoc.details) : null;
+  } catch (error) {
+    details = { raw: eventDoc.details };
+  }
+
+  return {
+    id: eventDoc.$id,
+    userId: eventDoc.userId,
+    credentialId: eventDoc.credentialId,
+    type: eventDoc.type,
+    outcome: eventDoc.outcome,
+    ip: eventDoc.ip,
+    userAgent: eventDoc.userAgent,
+    details,
+    createdAt: eventDoc.createdAt
+  };
+};
+
+/**
+ * Query security events, newest first (unguarded; callers check access)
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.userId - Only events for this user
+ * @param {string} filters.credentialId - Only events for this credential document
+ * @param {string} filters.type - Only events of this type
+ * @param {string} filters.outcome - Only events with this outcome
+ * @param {string} filters.from - Only events at or after this ISO date
+ * @param {string} filters.to - Only events at or before this ISO date
+ * @param {number} filters.limit - Page size (default 25, max 100)
+ * @param {number} filters.offset - Number of events to skip
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+async function querySecurityEvents(filters = {}) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+
+    const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+    const queries = [
+      Query.orderDesc('createdAt'),
+      Query.limit(limit),
+      Query.offset(offset)
+    ];
+
+    if (filters.userId) queries.push(Query.equal('userId', filters.userId));
+    if (filters.credentialId) queries.push(Query.equal('credentialId', filters.credentialId));
+    if (filters.type) queries.push(Query.equal('type', filters.type));
+    if (filters.outcome) queries.push(Query.equal('outcome', filters.outcome));
+    if (filters.from) queries.push(Query.greaterThanEqual('createdAt', new Date(filters.from).toISOString()));
+    if (filters.to) queries.push(Query.lessThanEqual('createdAt', new Date(filters.to).toISOString()));
+
+    const result = await databases.listDocuments(
+      databaseId,
+      getSecurityEventsCollectionId(),
+      queries
+    );
+
+    return {
+      success: true,
+      data: {
+        events: result.documents.map(formatSecurityEvent),
+        total: result.total,
+        limit,
+        offset
+      },
+      message: `Found ${result.total} security events`
+    };
+
+  } catch (error) {
+    console.error("Error getting security events:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to get security events"
+    };
+  }
+}
+
+/**
+ * Query security events across all users (admin security events page)
+ * @param {Object} filters - Optional filters, see querySecurityEvents()
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getSecurityEvents(filters = {}) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return await querySecurityEvents(filters);
+}
+
+/**
+ * Query the security events of a single user (audit trail)
+ * @param {string} userId - User ID
+ * @param {Object} filters - Optional filters, see querySecurityEvents()
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getUserSecurityEvents(userId, filters = {}) {
+  if (!userId) {
+    return {
+      success: false,
+      message: "User ID is required"
+    };
+  }
+
+  const guard = await requireSelfOrTeam(userId, 'admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return await querySecurityEvents({ ...filters, userId });
+}
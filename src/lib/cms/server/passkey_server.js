@@ -9,22 +9,380 @@ import {
 } from '@simplewebauthn/server';
 
 import {
-  storeChallenge,
-  getChallenge,
-  deleteChallenge,
-  storeCredential,
   getUserCredentials,
   getCredentialById,
-  updateCredentialCounter,
   getRelyingPartyConfig,
   validatePasskeyEnvironment,
   uint8ArrayToHex,
-  hexToUint8Array
+  hexToUint8Array,
+  base64urlToHex,
+  hexToBase64url
 } from './passkey_utils';
+import {
+  storeCredential,
+  deleteCredential,
+  updateCredentialUsage,
+  updateCredentialNickname,
+  quarantineCredential
+} from './passkey_credentials';
+import { storeChallenge, consumeChallenge, deleteChallenge } from './passkey_challenges';
+
+import { createAdminClient, Query } from './sdk_client';
+import { registerPasskeyUser } from './sdk_account';
+import { generateJWT } from './jwtIssuer';
+import { getUserIdByEmail } from './userRecords';
+import { getCurrentSessionIdentity, issueStepUpClaim, requireStepUp } from './stepUp';
+import { getPasskeyConfig, getPasskeyAttestationPolicy } from './passkey_config';
+import { loadAttestationMetadata, evaluateAttestationPolicy } from './passkey_attestation';
+import { resolveAuthenticatorName } from './passkey_authenticators';
+import { recordSecurityEvent } from './securityEvents';
+import { getRequestContext } from './requestContext';
+import { requireSelfOrTeam } from './authGuard';
+import { createSessionRecord, revokeSessionRecord, revokeUserSessionRecords } from './sessionRegistry';
+import { revokeUserTokens } from './jwtRevocation';
+import { enforceRateLimit, recordRateLimitFailure, resetRateLimit } from './rateLimiter';
+import { readAccountRecovery, endAccountRecovery } from './accountRecovery';
+import { getTwoFactorState, generateRecoveryCodes } from './twoFactor';
+
+const MAX_NICKNAME_LENGTH = 64;
+
+/**
+ * Build the allowCredentials / excludeCredentials list for a set of stored credentials
+ * @param {Array} credentials - Stored credential documents
+ * @param {boolean} includeQuarantined - Include quarantined credentials (needed for excludeCredentials)
+ * @returns {Promise<Array>} - Credential descriptors for SimpleWebAuthn
+ */
+async function toCredentialDescriptors(credentials, includeQuarantined = false) {
+  const usable = includeQuarantined ? credentials : credentials.filter(cred => !cred.quarantined);
+  return await Promise.all(usable.map(async (cred) => ({
+    id: await hexToBase64url(cred.credentialId),
+    type: 'public-key',
+    transports: cred.transports ? JSON.parse(cred.transports) : undefined
+  })));
+}
+
+/**
+ * Verify an authentication response against the stored credential it claims to be
+ * Failures carry a `reason` for the security log; quarantine blocks are logged here already
+ * @param {Object} challengeDoc - Stored challenge document
+ * @param {Object} authenticationResponse - Response from WebAuthn API
+ * @returns {Promise<{success: boolean, storedCredential?: any, authenticationInfo?: any, code?: string, reason?: string, message?: string}>}
+ */
+async function verifyAssertion(challengeDoc, authenticationResponse) {
+  const rpConfig = await getRelyingPartyConfig();
+
+  // Get the credential from database
+  const credentialId = await base64urlToHex(authenticationResponse.rawId);
+  const credResult = await getCredentialById(credentialId);
+
+  if (!credResult.success) {
+    return {
+      success: false,
+      reason: 'credential_not_found',
+      message: "Credential not found"
+    };
+  }
+
+  const storedCredential = credResult.credential;
+
+  if (storedCredential.quarantined) {
+    await recordSecurityEvent({
+      type: 'quarantined_credential_used',
+      outcome: 'blocked',
+      userId: storedCredential.userId,
+      credentialId: storedCredential.$id
+    });
+    return {
+      success: false,
+      code: 'credential_quarantined',
+      reason: 'credential_quarantined',
+      storedCredential,
+      message: "This passkey has been suspended for your security. Please sign in another way or contact support."
+    };
+  }
+
+  // Verify the authentication response
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response: authenticationResponse,
+      expectedChallenge: challengeDoc.challenge,
+      expectedOrigin: rpConfig.origin,
+      expectedRPID: rpConfig.rpID,
+      credential: {
+        id: await hexToBase64url(storedCredential.credentialId),
+        publicKey: await hexToUint8Array(storedCredential.credentialPublicKey),
+        // The counter is checked below, once the signature is known to be genuine
+        counter: 0,
+        transports: storedCredential.transports ? JSON.parse(storedCredential.transports) : undefined
+      },
+      requireUserVerification: false,
+    });
+  } catch (error) {
+    console.error("[Passkey Server] Assertion verification error:", error.message);
+    return {
+      success: false,
+      reason: 'verification_error',
+      storedCredential,
+      message: "Authentication verification failed"
+    };
+  }
+
+  const { verified, authenticationInfo } = verification;
+
+  if (!verified) {
+    return {
+      success: false,
+      reason: 'verification_failed',
+      storedCredential,
+      message: "Authentication verification failed"
+    };
+  }
+
+  // A counter that doesn't move forward means the key may have been cloned
+  const { newCounter, credentialBackedUp } = authenticationInfo;
+  const storedCounter = storedCredential.counter || 0;
+  if (storedCounter > 0 && newCounter <= storedCounter) {
+    console.warn(`[Passkey Server] Counter regression on credential ${storedCredential.$id} (${storedCounter} -> ${newCounter})`);
+    await quarantineCredential(
+      storedCredential.$id,
+      `Signature counter regressed from ${storedCounter} to ${newCounter}`
+    );
+    await recordSecurityEvent({
+      type: 'counter_regression',
+      outcome: 'blocked',
+      userId: storedCredential.userId,
+      credentialId: storedCredential.$id,
+      details: { storedCounter, newCounter }
+    });
+    return {
+      success: false,
+      code: 'credential_quarantined',
+      reason: 'counter_regression',
+      storedCredential,
+      message: "This passkey has been suspended for your security. Please sign in another way or contact support."
+    };
+  }
+
+  // Record the use
+  const { ip, userAgent } = await getRequestContext();
+  await updateCredentialUsage(storedCredential.$id, {
+    counter: newCounter > storedCounter ? newCounter : undefined,
+    backedUp: credentialBackedUp,
+    ip,
+    userAgent
+  });
+
+  return {
+    success: true,
+    storedCredential,
+    authenticationInfo
+  };
+}
+
+/**
+ * Log a challenge that could not be used (expired, unknown, already used,
+ * issued for another operation or to another browser)
+ * @param {Object} challengeResult - Failed result from consumeChallenge()
+ * @param {string} flow - Event type of the flow ('registration', 'authentication', 'step_up')
+ */
+async function recordChallengeFailure(challengeResult, flow) {
+  // Sign-up and discoverable challenges belong to a placeholder ID, not a user
+  const userId = challengeResult.userId && !challengeResult.userId.startsWith('temp_') && challengeResult.userId !== 'discoverable'
+    ? challengeResult.userId
+    : null;
+
+  if (challengeResult.code === 'challenge_expired') {
+    await recordSecurityEvent({ type: 'challenge_expired', outcome: 'failure', userId, details: { flow } });
+  } else {
+    await recordSecurityEvent({
+      type: flow,
+      outcome: 'failure',
+      userId,
+      details: { reason: challengeResult.code || 'invalid_challenge' }
+    });
+  }
+}
+
+/**
+ * Log a failed assertion for a flow
+ * Quarantine blocks are skipped because verifyAssertion() already logged them
+ * @param {Object} assertion - Failed result from verifyAssertion()
+ * @param {string} flow - Event type of the flow ('authentication', 'step_up')
+ */
+async function recordAssertionFailure(assertion, flow) {
+  if (assertion.code === 'credential_quarantined') {
+    return;
+  }
+
+  await recordSecurityEvent({
+    type: flow,
+    outcome: 'failure',
+    userId: assertion.storedCredential?.userId || null,
+    credentialId: assertion.storedCredential?.$id || null,
+    details: { reason: assertion.reason }
+  });
+}
+
+/**
+ * Load a credential document and make sure it belongs to the given user
+ * @param {string} userId - User ID
+ * @param {string} credentialDocId - Credential document ID
+ * @returns {Promise<{success: boolean, credential?: any, message?: string}>}
+ */
+async function getOwnedCredential(userId, credentialDocId) {
+  const { databases } = await createAdminClient();
+  const databaseId = process.env.CMS_DB_ID;
+  const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
+
+  const credential = await databases.getDocument(
+    databaseId,
+    credentialsCollectionId,
+    credentialDocId
+  );
+
+  if (credential.userId !== userId) {
+    return {
+      success: false,
+      message: "Unauthorized: Credential does not belong to user"
+    };
+  }
+
+  return {
+    success: true,
+    credential
+  };
+}
+
+/**
+ * Collect the ways a user can sign in
+ * Quarantined passkeys are left out because they can't be used to sign in
+ * @param {string} userId - User ID
+ * @returns {Promise<{hasPassword: boolean, hasSocialLogin: boolean, passkeyIds: string[]}>}
+ */
+async function getSignInMethods(userId) {
+  const { users } = await createAdminClient();
+
+  const [user, identities, credentialsResult] = await Promise.all([
+    users.get(userId),
+    users.listIdentities([Query.equal('userId', userId), Query.limit(1)]),
+    getUserCredentials(userId)
+  ]);
+
+  if (!credentialsResult.success) {
+    throw new Error(credentialsResult.message);
+  }
 
-import { registerUser } from './sdk_account';
-import { generateJWT } from './jwt';
-import { getUserIdByEmail } from './sdk_users';
+  return {
+    hasPassword: !!user.password,
+    hasSocialLogin: identities.total > 0,
+    passkeyIds: credentialsResult.credentials
+      .filter(cred => !cred.quarantined)
+      .map(cred => cred.$id)
+  };
+}
+
+/**
+ * Register a passkey login in the session registry and set the session cookie
+ * Blocked users get no session (code 'user_blocked')
+ * @param {Object} storedCredential - Credential document used to sign in
+ * @returns {Promise<{success: boolean, sessionId?: string, code?: string, message?: string}>}
+ */
+async function startPasskeySession(storedCredential) {
+  const { users } = await createAdminClient();
+  const user = await users.get(storedCredential.userId);
+  if (!user.status) {
+    return {
+      success: false,
+      code: 'user_blocked',
+      message: "This account has been blocked. Please contact support."
+    };
+  }
+
+  const registered = await createSessionRecord({
+    userId: storedCredential.userId,
+    provider: 'passkey',
+    credentialId: storedCredential.$id
+  });
+  if (!registered.success) {
+    return registered;
+  }
+
+  const jwtResult = await generateJWT({
+    $id: registered.session.$id,
+    userId: storedCredential.userId,
+    provider: 'passkey',
+    providerUid: storedCredential.credentialId.substring(0, 20), // First 20 chars as identifier
+    expire: registered.session.expiresAt
+  });
+  if (!jwtResult.success) {
+    await revokeSessionRecord(registered.session.$id);
+    return jwtResult;
+  }
+
+  return {
+    success: true,
+    sessionId: registered.session.$id
+  };
+}
+
+/**
+ * Check that this browser may add a passkey to an existing account: it is signed
+ * in as that account, or it is recovering the account with a recovery code
+ * @param {string} userId - Account the passkey is for
+ * @returns {Promise<{allowed: boolean, recovery?: boolean}>}
+ */
+async function getPasskeyEnrollmentAccess(userId) {
+  const identity = await getCurrentSessionIdentity();
+  if (identity.success && identity.userId === userId) {
+    return { allowed: true, recovery: false };
+  }
+
+  const recovery = await readAccountRecovery();
+  if (recovery?.userId === userId) {
+    return { allowed: true, recovery: true };
+  }
+
+  return { allowed: false };
+}
+
+/**
+ * Give a user recovery codes when they don't have any left
+ * Failing to create them doesn't fail the passkey registration
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]|null>} - New codes to show once, or null
+ */
+async function ensureRecoveryCodes(userId) {
+  try {
+    const state = await getTwoFactorState(userId);
+    if (state.recoveryCodesRemaining > 0) {
+      return null;
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(userId);
+    await recordSecurityEvent({ type: 'recovery_codes_generated', outcome: 'success', userId });
+    return recoveryCodes;
+  } catch (error) {
+    console.error(`[Passkey Server] Failed to create recovery codes for ${userId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Undo a partially completed passkey sign-up
+ * @param {string} userId - ID of the user created during the sign-up
+ */
+async function rollbackPasskeySignUp(userId) {
+  // Not deleteUser: that is an admin action and the caller is not signed in
+  try {
+    await revokeUserTokens(userId);
+    const { users } = await createAdminClient();
+    await users.delete(userId);
+    await revokeUserSessionRecords(userId);
+  } catch (error) {
+    console.error(`[Passkey Server] Failed to roll back user ${userId}:`, error.message);
+  }
+}
 
 /**
  * Generate passkey registration options for a user
@@ -42,7 +400,14 @@ export async function generatePasskeyRegistrationOptions(email, userId = null) {
       };
     }
 
+    const rateLimit = await enforceRateLimit('passkey_registration_options', { email });
+    if (!rateLimit.success) {
+      return rateLimit;
+    }
+
     const rpConfig = await getRelyingPartyConfig();
+    const passkeyConfig = await getPasskeyConfig();
+    const attestationPolicy = await getPasskeyAttestationPolicy();
     
     // If no userId provided, check if user exists or generate a new one
     let actualUserId = userId;
@@ -60,16 +425,24 @@ export async function generatePasskeyRegistrationOptions(email, userId = null) {
       }
     }
 
+    // Adding a passkey to an existing account requires being signed in as that
+    // account (or recovering it with a recovery code)
+    if (!actualUserId.startsWith('temp_')) {
+      const access = await getPasskeyEnrollmentAccess(actualUserId);
+      if (!access.allowed) {
+        return {
+          success: false,
+          message: "This email is already registered. Please sign in to add a passkey to your account."
+        };
+      }
+    }
+
     // Check for existing credentials to avoid duplicate registrations
     let excludeCredentials = [];
     if (!actualUserId.startsWith('temp_')) {
       const existingCreds = await getUserCredentials(actualUserId);
       if (existingCreds.success && existingCreds.credentials.length > 0) {
-        excludeCredentials = existingCreds.credentials.map(cred => ({
-          id: hexToUint8Array(cred.credentialId),
-          type: 'public-key',
-          transports: cred.transports ? JSON.parse(cred.transports) : undefined
-        }));
+        excludeCredentials = await toCredentialDescriptors(existingCreds.credentials, true);
       }
     }
 
@@ -80,12 +453,16 @@ export async function generatePasskeyRegistrationOptions(email, userId = null) {
       userID: new TextEncoder().encode(actualUserId), // Convert string to Uint8Array
       userName: email,
       userDisplayName: email.split('@')[0], // Use part before @ as display name
-      attestationType: 'none', // 'direct', 'indirect', or 'none'
+      // SimpleWebAuthn has no 'indirect' conveyance; request 'direct' and let the policy accept anonymized statements
+      attestationType: attestationPolicy.attestation === 'indirect' ? 'direct' : attestationPolicy.attestation,
       excludeCredentials,
       authenticatorSelection: {
-        authenticatorAttachment: 'platform', // 'platform', 'cross-platform', or undefined
-        userVerification: 'preferred', // 'required', 'preferred', or 'discouraged'
-        residentKey: 'preferred', // 'required', 'preferred', or 'discouraged'
+        // 'platform', 'cross-platform', or undefined (any)
+        authenticatorAttachment: ['platform', 'cross-platform'].includes(passkeyConfig.authenticatorAttachment)
+          ? passkeyConfig.authenticatorAttachment
+          : undefined,
+        userVerification: passkeyConfig.userVerification, // 'required', 'preferred', or 'discouraged'
+        residentKey: passkeyConfig.residentKey, // 'required', 'preferred', or 'discouraged'
       },
       supportedAlgorithmIDs: [-7, -257], // ES256 and RS256
     });
@@ -128,20 +505,36 @@ export async function generatePasskeyRegistrationOptions(email, userId = null) {
 
 /**
  * Verify passkey registration response and create user account
+ * For new users (temporary `temp_` IDs) this is a passwordless sign-up: the Appwrite
+ * user is created without a password and the credential is stored under the real ID.
+ * If storing the credential fails the new account is removed again, so a sign-up
+ * either fully succeeds or leaves nothing behind. The challenge is consumed up front,
+ * so it can't be replayed for a second sign-up.
+ * The configured attestation policy is enforced before anything is created.
+ * A browser recovering the account with a recovery code may add one passkey and
+ * is then signed in with it. Users without recovery codes get a new set.
  * @param {string} email - User's email address
  * @param {string} challengeId - Challenge ID from registration options
  * @param {Object} registrationResponse - Response from WebAuthn API
  * @param {string} hostURL - Host URL for user registration
+ * @param {string} botToken - Optional: bot protection token, checked when a new account is created
  * @returns {Promise<{success: boolean, data?: any, message?: string}>}
  */
-export async function verifyPasskeyRegistration(email, challengeId, registrationResponse, hostURL) {
+export async function verifyPasskeyRegistration(email, challengeId, registrationResponse, hostURL, botToken = null) {
   try {
     console.log(`[Passkey Server] Starting verification for ${email}`);
+
+    const rateLimit = await enforceRateLimit('passkey_registration', { email });
+    if (!rateLimit.success) {
+      return rateLimit;
+    }
     
-    // Get the stored challenge
-    const challengeResult = await getChallenge(challengeId);
+    // Claim the challenge; it can't be used again whatever the outcome
+    const challengeResult = await consumeChallenge(challengeId, 'registration');
     if (!challengeResult.success) {
       console.error("[Passkey Server] Challenge retrieval failed:", challengeResult.message);
+      await recordRateLimitFailure('passkey_registration', { email });
+      await recordChallengeFailure(challengeResult, 'registration');
       return {
         success: false,
         message: "Invalid or expired challenge"
@@ -151,22 +544,46 @@ export async function verifyPasskeyRegistration(email, challengeId, registration
     const { challenge: challengeDoc } = challengeResult;
     const rpConfig = await getRelyingPartyConfig();
 
+    // Sign-ups have no user yet; the email identifies the attempt
+    const existingUserId = challengeDoc.userId.startsWith('temp_') ? null : challengeDoc.userId;
+    const recordRegistrationFailure = async (reason, details = {}) => {
+      await recordRateLimitFailure('passkey_registration', { email });
+      await recordSecurityEvent({
+        type: 'registration',
+        outcome: 'failure',
+        userId: existingUserId,
+        details: { reason, email, ...details }
+      });
+    };
+
     console.log("[Passkey Server] Verifying registration response...");
 
+    // Attestation statements are validated against the local FIDO metadata blob
+    const metadataResult = await loadAttestationMetadata();
+    if (!metadataResult.success) {
+      console.error("[Passkey Server] Attestation metadata unavailable:", metadataResult.message);
+    }
+
     // Verify the registration response
-    const verification = await verifyRegistrationResponse({
-      response: registrationResponse,
-      expectedChallenge: challengeDoc.challenge,
-      expectedOrigin: rpConfig.origin,
-      expectedRPID: rpConfig.rpID,
-    });
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: registrationResponse,
+        expectedChallenge: challengeDoc.challenge,
+        expectedOrigin: rpConfig.origin,
+        expectedRPID: rpConfig.rpID,
+        requireUserVerification: (await getPasskeyConfig()).userVerification === 'required',
+      });
+    } catch (error) {
+      await recordRegistrationFailure('verification_error', { error: error.message });
+      throw error;
+    }
 
     const { verified, registrationInfo } = verification;
 
     if (!verified) {
       console.error("[Passkey Server] Registration verification failed");
-      // Clean up challenge
-      await deleteChallenge(challengeId);
+      await recordRegistrationFailure('verification_failed');
       return {
         success: false,
         message: "Registration verification failed"
@@ -175,91 +592,141 @@ export async function verifyPasskeyRegistration(email, challengeId, registration
 
     console.log("[Passkey Server] Registration verified successfully");
 
+    // Enforce the attestation policy before any account or credential is created
+    const policyResult = await evaluateAttestationPolicy(registrationInfo);
+    if (!policyResult.success) {
+      console.warn("[Passkey Server] Attestation rejected:", policyResult.message);
+      await recordRegistrationFailure('attestation_rejected', {
+        aaguid: registrationInfo.aaguid,
+        fmt: registrationInfo.fmt
+      });
+      return policyResult;
+    }
+
     // Get credential info
     const { credential, credentialDeviceType, credentialBackedUp } = registrationInfo;
 
     // Create or get user account
     let actualUserId = challengeDoc.userId;
-    
+    let createdUserId = null;
+    let recovery = false;
+
     if (actualUserId.startsWith('temp_')) {
-      console.log("[Passkey Server] Creating new user account...");
-      // Create new user account
-      const userResult = await registerUser({
+      console.log("[Passkey Server] Creating passwordless user account...");
+      const userResult = await registerPasskeyUser({
         email,
         hostURL,
         name: email.split('@')[0], // Use email prefix as name
-        // No password for passkey-only users
+        botToken
       });
 
       if (!userResult.success) {
         console.error("[Passkey Server] User creation failed:", userResult.message);
-        await deleteChallenge(challengeId);
+        await recordRegistrationFailure('user_creation_failed');
         return {
           success: false,
+          code: userResult.code,
           message: userResult.message || "Failed to create user account"
         };
       }
 
-      actualUserId = userResult.data.$id;
+      createdUserId = userResult.data.$id;
+      actualUserId = createdUserId;
       console.log("[Passkey Server] User account created with ID:", actualUserId);
+    } else {
+      // Existing account: only its own session (or its account recovery) may attach a new passkey
+      const access = await getPasskeyEnrollmentAccess(actualUserId);
+      if (!access.allowed) {
+        await recordRegistrationFailure('session_mismatch');
+        return {
+          success: false,
+          message: "Please sign in to add a passkey to your account"
+        };
+      }
+      recovery = access.recovery;
     }
 
     // Store the credential
+    const { ip, userAgent } = await getRequestContext();
     const credentialData = {
-      credentialId: await uint8ArrayToHex(credential.id),
+      credentialId: await base64urlToHex(credential.id),
       credentialPublicKey: await uint8ArrayToHex(credential.publicKey),
       counter: credential.counter,
       deviceType: credentialDeviceType,
       backedUp: credentialBackedUp,
-      transports: registrationResponse.response.transports || []
+      transports: registrationResponse.response.transports || [],
+      aaguid: policyResult.data.aaguid,
+      authenticatorName: resolveAuthenticatorName(policyResult.data.aaguid, policyResult.data.description),
+      backupEligible: credentialDeviceType === 'multiDevice',
+      // Registration counts as the first use
+      lastUsedAt: new Date().toISOString(),
+      lastUsedIp: ip,
+      lastUsedUserAgent: userAgent
     };
 
     console.log("[Passkey Server] Storing credential...");
     const storeResult = await storeCredential(actualUserId, credentialData);
     if (!storeResult.success) {
       console.error("[Passkey Server] Credential storage failed:", storeResult.message);
-      await deleteChallenge(challengeId);
+      await recordRegistrationFailure('storage_failed');
+      if (createdUserId) {
+        await rollbackPasskeySignUp(createdUserId);
+      }
       return {
         success: false,
         message: "Failed to store credential"
       };
     }
 
-    // Clean up challenge
-    await deleteChallenge(challengeId);
-
-    // Generate session (using your existing JWT system)
-    console.log("[Passkey Server] Generating session...");
-    const sessionData = {
-      $id: `passkey_${Date.now()}`,
-      userId: actualUserId,
-      provider: 'passkey',
-      providerUid: credentialData.credentialId.substring(0, 20), // First 20 chars as identifier
-      expire: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-    };
+    // Recovery ends with the new passkey; the restricted recovery session can't be used again
+    if (recovery) {
+      await endAccountRecovery(actualUserId);
+    }
 
-    await generateJWT(sessionData);
+    // Sign-ups and recovered accounts are signed in right away; existing accounts keep their current session
+    if (createdUserId || recovery) {
+      console.log("[Passkey Server] Generating session...");
+      const sessionResult = await startPasskeySession({
+        $id: storeResult.credentialId,
+        userId: actualUserId,
+        credentialId: credentialData.credentialId
+      });
+      if (!sessionResult.success) {
+        console.error("[Passkey Server] Session creation failed:", sessionResult.message);
+      }
+    }
 
     console.log(`[Passkey Server] Successfully registered passkey for ${email}`);
 
+    const recoveryCodes = await ensureRecoveryCodes(actualUserId);
+
+    await resetRateLimit('passkey_registration', { email });
+    await recordSecurityEvent({
+      type: 'registration',
+      outcome: 'success',
+      userId: actualUserId,
+      credentialId: storeResult.credentialId,
+      details: {
+        signUp: !!createdUserId,
+        recovery,
+        aaguid: credentialData.aaguid,
+        authenticatorName: credentialData.authenticatorName
+      }
+    });
+
     return {
       success: true,
       data: {
         userId: actualUserId,
-        credentialId: storeResult.credentialId
+        credentialId: storeResult.credentialId,
+        // Only set when new codes were created; shown to the user once
+        recoveryCodes
       },
       message: "Passkey registered successfully"
     };
 
   } catch (error) {
     console.error("Error verifying registration:", error);
-    // Clean up challenge on error
-    try {
-      await deleteChallenge(challengeId);
-    } catch (cleanupError) {
-      console.error("Error cleaning up challenge:", cleanupError);
-    }
-    
     return {
       success: false,
       message: error.message || "Registration verification failed"
@@ -281,7 +748,13 @@ export async function generatePasskeyAuthenticationOptions(email = null) {
       };
     }
 
-    const rpConfig = getRelyingPartyConfig();
+    // Anonymous and every call writes a challenge document
+    const rateLimit = await enforceRateLimit('passkey_options', { email });
+    if (!rateLimit.success) {
+      return rateLimit;
+    }
+
+    const rpConfig = await getRelyingPartyConfig();
     let allowCredentials = [];
     let userId = null;
 
@@ -294,11 +767,7 @@ export async function generatePasskeyAuthenticationOptions(email = null) {
           const credsResult = await getUserCredentials(userId);
           
           if (credsResult.success && credsResult.credentials.length > 0) {
-            allowCredentials = await Promise.all(credsResult.credentials.map(async (cred) => ({
-              id: await hexToUint8Array(cred.credentialId),
-              type: 'public-key',
-              transports: cred.transports ? JSON.parse(cred.transports) : undefined
-            })));
+            allowCredentials = await toCredentialDescriptors(credsResult.credentials);
           }
         }
       } catch (error) {
@@ -358,9 +827,19 @@ export async function generatePasskeyAuthenticationOptions(email = null) {
  */
 export async function verifyPasskeyAuthentication(challengeId, authenticationResponse) {
   try {
-    // Get the stored challenge
-    const challengeResult = await getChallenge(challengeId);
+    // Throttle guessing per claimed credential as well as per IP
+    const rateLimitIds = { credentialId: authenticationResponse?.rawId };
+    const rateLimit = await enforceRateLimit('passkey_login', rateLimitIds);
+    if (!rateLimit.success) {
+      await deleteChallenge(challengeId);
+      return rateLimit;
+    }
+
+    // Claim the challenge; it can't be used again whatever the outcome
+    const challengeResult = await consumeChallenge(challengeId, 'authentication');
     if (!challengeResult.success) {
+      await recordRateLimitFailure('passkey_login', rateLimitIds);
+      await recordChallengeFailure(challengeResult, 'authentication');
       return {
         success: false,
         message: "Invalid or expired challenge"
@@ -368,113 +847,284 @@ export async function verifyPasskeyAuthentication(challengeId, authenticationRes
     }
 
     const { challenge: challengeDoc } = challengeResult;
-    const rpConfig = await getRelyingPartyConfig();
 
-    // Get the credential from database
-    const credentialId = await uint8ArrayToHex(new Uint8Array(authenticationResponse.rawId));
-    const credResult = await getCredentialById(credentialId);
-    
-    if (!credResult.success) {
-      await deleteChallenge(challengeId);
+    const assertion = await verifyAssertion(challengeDoc, authenticationResponse);
+    if (!assertion.success) {
+      await recordRateLimitFailure('passkey_login', rateLimitIds);
+      await recordAssertionFailure(assertion, 'authentication');
       return {
         success: false,
-        message: "Credential not found"
+        code: assertion.code,
+        message: assertion.message
       };
     }
 
-    const storedCredential = credResult.credential;
+    const { storedCredential } = assertion;
+
+    const sessionResult = await startPasskeySession(storedCredential);
+    if (!sessionResult.success) {
+      if (sessionResult.code === 'user_blocked') {
+        await recordSecurityEvent({
+          type: 'authentication',
+          outcome: 'blocked',
+          userId: storedCredential.userId,
+          credentialId: storedCredential.$id,
+          details: { reason: 'user_blocked' }
+        });
+      }
+      return {
+        success: false,
+        code: sessionResult.code,
+        message: sessionResult.message || "Failed to start session"
+      };
+    }
 
-    // Prepare authenticator data for verification
-    const authenticator = {
-      credentialID: await hexToUint8Array(storedCredential.credentialId),
-      credentialPublicKey: await hexToUint8Array(storedCredential.credentialPublicKey),
-      counter: storedCredential.counter,
-      transports: storedCredential.transports ? JSON.parse(storedCredential.transports) : undefined
-    };
+    console.log(`[Passkey] Successfully authenticated user ${storedCredential.userId}`);
 
-    // Verify the authentication response
-    const verification = await verifyAuthenticationResponse({
-      response: authenticationResponse,
-      expectedChallenge: challengeDoc.challenge,
-      expectedOrigin: rpConfig.origin,
-      expectedRPID: rpConfig.rpID,
-      authenticator,
+    await resetRateLimit('passkey_login', rateLimitIds);
+    await recordSecurityEvent({
+      type: 'authentication',
+      outcome: 'success',
+      userId: storedCredential.userId,
+      credentialId: storedCredential.$id
     });
 
-    const { verified, authenticationInfo } = verification;
+    return {
+      success: true,
+      data: {
+        userId: storedCredential.userId,
+        credentialId: storedCredential.$id
+      },
+      message: "Authentication successful"
+    };
+
+  } catch (error) {
+    console.error("Error verifying authentication:", error);
+    return {
+      success: false,
+      message: error.message || "Authentication verification failed"
+    };
+  }
+}
 
-    if (!verified) {
-      await deleteChallenge(challengeId);
+/**
+ * Generate passkey authentication options for step-up re-authentication
+ * Restricted to the credentials of the user signed in on the current session
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function generatePasskeyStepUpOptions() {
+  try {
+    if (!(await validatePasskeyEnvironment())) {
       return {
         success: false,
-        message: "Authentication verification failed"
+        message: "Server configuration error. Please check environment variables."
       };
     }
 
-    // Update credential counter to prevent replay attacks
-    const { newCounter } = authenticationInfo;
-    if (newCounter > storedCredential.counter) {
-      await updateCredentialCounter(storedCredential.$id, newCounter);
+    const identity = await getCurrentSessionIdentity();
+    if (!identity.success) {
+      return {
+        success: false,
+        message: "You must be signed in to confirm your identity"
+      };
     }
 
-    // Clean up challenge
-    await deleteChallenge(challengeId);
+    const credsResult = await getUserCredentials(identity.userId);
+    const allowCredentials = credsResult.success
+      ? await toCredentialDescriptors(credsResult.credentials)
+      : [];
+    if (allowCredentials.length === 0) {
+      return {
+        success: false,
+        code: 'no_passkeys',
+        message: "Add a passkey to your account before performing this action"
+      };
+    }
 
-    // Generate session using your existing JWT system
-    const sessionData = {
-      $id: `passkey_auth_${Date.now()}`,
-      userId: storedCredential.userId,
-      provider: 'passkey',
-      providerUid: credentialId.substring(0, 20),
-      expire: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-    };
+    const rpConfig = await getRelyingPartyConfig();
 
-    await generateJWT(sessionData);
+    const options = await generateAuthenticationOptions({
+      rpID: rpConfig.rpID,
+      allowCredentials,
+      userVerification: 'required',
+      timeout: 60000, // 60 seconds
+    });
 
-    console.log(`[Passkey] Successfully authenticated user ${storedCredential.userId}`);
+    const challengeResult = await storeChallenge(
+      identity.userId,
+      options.challenge,
+      'step_up',
+      5 // 5 minutes expiration
+    );
+
+    if (!challengeResult.success) {
+      return {
+        success: false,
+        message: "Failed to store challenge. Please try again."
+      };
+    }
 
     return {
       success: true,
       data: {
-        userId: storedCredential.userId,
-        credentialId: storedCredential.$id
+        options,
+        challengeId: challengeResult.challengeId
       },
-      message: "Authentication successful"
+      message: "Step-up options generated successfully"
     };
 
   } catch (error) {
-    console.error("Error verifying authentication:", error);
-    // Clean up challenge on error
-    try {
+    console.error("Error generating step-up options:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to generate step-up options"
+    };
+  }
+}
+
+/**
+ * Verify a step-up passkey assertion and mint a short-lived "recently verified" claim
+ * bound to the current session, instead of issuing a new session
+ * @param {string} challengeId - Challenge ID from step-up options
+ * @param {Object} authenticationResponse - Response from WebAuthn API
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function verifyPasskeyStepUp(challengeId, authenticationResponse) {
+  try {
+    const identity = await getCurrentSessionIdentity();
+    if (!identity.success) {
       await deleteChallenge(challengeId);
-    } catch (cleanupError) {
-      console.error("Error cleaning up challenge:", cleanupError);
+      return {
+        success: false,
+        message: "You must be signed in to confirm your identity"
+      };
     }
-    
+
+    const rateLimitIds = { userId: identity.userId };
+    const rateLimit = await enforceRateLimit('step_up', rateLimitIds);
+    if (!rateLimit.success) {
+      await deleteChallenge(challengeId);
+      return rateLimit;
+    }
+
+    const challengeResult = await consumeChallenge(challengeId, 'step_up');
+    if (!challengeResult.success) {
+      await recordRateLimitFailure('step_up', rateLimitIds);
+      await recordChallengeFailure(challengeResult, 'step_up');
+      return {
+        success: false,
+        message: "Invalid or expired challenge"
+      };
+    }
+
+    const { challenge: challengeDoc } = challengeResult;
+
+    if (challengeDoc.userId !== identity.userId) {
+      await recordRateLimitFailure('step_up', rateLimitIds);
+      await recordSecurityEvent({
+        type: 'step_up',
+        outcome: 'failure',
+        userId: identity.userId,
+        details: { reason: 'challenge_mismatch' }
+      });
+      return {
+        success: false,
+        message: "Challenge does not belong to the current session"
+      };
+    }
+
+    const assertion = await verifyAssertion(challengeDoc, authenticationResponse);
+    if (!assertion.success) {
+      await recordRateLimitFailure('step_up', rateLimitIds);
+      await recordAssertionFailure(assertion, 'step_up');
+      return {
+        success: false,
+        code: assertion.code,
+        message: assertion.message
+      };
+    }
+
+    if (assertion.storedCredential.userId !== identity.userId) {
+      await recordRateLimitFailure('step_up', rateLimitIds);
+      await recordSecurityEvent({
+        type: 'step_up',
+        outcome: 'failure',
+        userId: identity.userId,
+        credentialId: assertion.storedCredential.$id,
+        details: { reason: 'credential_mismatch', credentialOwner: assertion.storedCredential.userId }
+      });
+      return {
+        success: false,
+        message: "Passkey does not belong to the signed-in user"
+      };
+    }
+
+    const claimResult = await issueStepUpClaim(identity.userId, identity.sessionId, {
+      method: 'passkey',
+      credentialId: assertion.storedCredential.$id
+    });
+
+    if (!claimResult.success) {
+      return claimResult;
+    }
+
+    console.log(`[Passkey] Step-up verified for user ${identity.userId}`);
+
+    await resetRateLimit('step_up', rateLimitIds);
+    await recordSecurityEvent({
+      type: 'step_up',
+      outcome: 'success',
+      userId: identity.userId,
+      credentialId: assertion.storedCredential.$id
+    });
+
+    return {
+      success: true,
+      data: claimResult.data,
+      message: "Identity confirmed"
+    };
+
+  } catch (error) {
+    console.error("Error verifying step-up:", error);
     return {
       success: false,
-      message: error.message || "Authentication verification failed"
+      message: error.message || "Step-up verification failed"
     };
   }
 }
 
 /**
  * Get user's passkey credentials (for account management)
+ * Callers must be the user or an admin
  * @param {string} userId - User ID
  * @returns {Promise<{success: boolean, data?: any, message?: string}>}
  */
 export async function getUserPasskeys(userId) {
   try {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+      return guard;
+    }
+
     const result = await getUserCredentials(userId);
     
     if (result.success) {
       // Format credentials for frontend display
       const formattedCredentials = result.credentials.map(cred => ({
         id: cred.$id,
+        nickname: cred.nickname || null,
+        authenticatorName: cred.authenticatorName || null,
+        aaguid: cred.aaguid || null,
         createdAt: cred.createdAt,
+        lastUsedAt: cred.lastUsedAt || null,
+        lastUsedIp: cred.lastUsedIp || null,
+        lastUsedUserAgent: cred.lastUsedUserAgent || null,
         deviceType: cred.deviceType,
+        backupEligible: cred.backupEligible ?? cred.deviceType === 'multiDevice',
+        backupState: cred.backedUp,
         backedUp: cred.backedUp,
         transports: cred.transports ? JSON.parse(cred.transports) : [],
+        quarantined: !!cred.quarantined,
         // Don't expose sensitive data like public keys
       }));
 
@@ -496,29 +1146,71 @@ export async function getUserPasskeys(userId) {
   }
 }
 
+/**
+ * Get the sign-in methods of the signed-in user (for account management)
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getUserSignInMethods(userId) {
+  try {
+    const identity = await getCurrentSessionIdentity();
+    if (!identity.success || identity.userId !== userId) {
+      return {
+        success: false,
+        message: "You must be signed in to view your sign-in methods"
+      };
+    }
+
+    const methods = await getSignInMethods(userId);
+
+    return {
+      success: true,
+      data: {
+        hasPassword: methods.hasPassword,
+        hasSocialLogin: methods.hasSocialLogin,
+        passkeyCount: methods.passkeyIds.length
+      },
+      message: "Sign-in methods retrieved successfully"
+    };
+
+  } catch (error) {
+    console.error("Error getting sign-in methods:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to get sign-in methods"
+    };
+  }
+}
+
 /**
  * Delete a user's passkey credential
+ * Requires a recent passkey step-up on the current session, and is refused when
+ * the passkey is the account's last sign-in method
  * @param {string} userId - User ID
  * @param {string} credentialDocId - Credential document ID
- * @returns {Promise<{success: boolean, message?: string}>}
+ * @returns {Promise<{success: boolean, code?: string, message?: string}>}
  */
 export async function deleteUserPasskey(userId, credentialDocId) {
   try {
+    const stepUp = await requireStepUp(userId);
+    if (!stepUp.success) {
+      return stepUp;
+    }
+
     // First verify the credential belongs to the user
-    const { databases } = await createAdminClient();
-    const databaseId = process.env.CMS_DB_ID;
-    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
-
-    const credential = await databases.getDocument(
-      databaseId,
-      credentialsCollectionId,
-      credentialDocId
-    );
+    const ownership = await getOwnedCredential(userId, credentialDocId);
+    if (!ownership.success) {
+      return ownership;
+    }
 
-    if (credential.userId !== userId) {
+    // Never remove the last way into an account
+    const methods = await getSignInMethods(userId);
+    const otherPasskeys = methods.passkeyIds.filter(id => id !== credentialDocId);
+    if (!ownership.credential.quarantined && !methods.hasPassword && !methods.hasSocialLogin && otherPasskeys.length === 0) {
       return {
         success: false,
-        message: "Unauthorized: Credential does not belong to user"
+        code: 'last_sign_in_method',
+        message: "This passkey is the only way to sign in to your account. Add another passkey or set a password before removing it."
       };
     }
 
@@ -526,6 +1218,16 @@ export async function deleteUserPasskey(userId, credentialDocId) {
     
     if (result.success) {
       console.log(`[Passkey] Deleted passkey ${credentialDocId} for user ${userId}`);
+      await recordSecurityEvent({
+        type: 'passkey_deleted',
+        outcome: 'success',
+        userId,
+        credentialId: credentialDocId,
+        details: {
+          nickname: ownership.credential.nickname || null,
+          authenticatorName: ownership.credential.authenticatorName || null
+        }
+      });
     }
 
     return result;
@@ -537,4 +1239,70 @@ export async function deleteUserPasskey(userId, credentialDocId) {
       message: error.message || "Failed to delete passkey"
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Rename a user's passkey credential
+ * @param {string} userId - User ID
+ * @param {string} credentialDocId - Credential document ID
+ * @param {string} nickname - New nickname (empty clears it and falls back to the authenticator name)
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function renameUserPasskey(userId, credentialDocId, nickname) {
+  try {
+    const identity = await getCurrentSessionIdentity();
+    if (!identity.success || identity.userId !== userId) {
+      return {
+        success: false,
+        message: "You must be signed in to rename this passkey"
+      };
+    }
+
+    const trimmed = typeof nickname === 'string' ? nickname.trim() : '';
+    if (trimmed.length > MAX_NICKNAME_LENGTH) {
+      return {
+        success: false,
+        message: `Nickname must be ${MAX_NICKNAME_LENGTH} characters or less`
+      };
+    }
+
+    const ownership = await getOwnedCredential(userId, credentialDocId);
+    if (!ownership.success) {
+      return ownership;
+    }
+
+    const result = await updateCredentialNickname(credentialDocId, trimmed || null);
+    if (!result.success) {
+      return result;
+    }
+
+    console.log(`[Passkey] Renamed passkey ${credentialDocId} for user ${userId}`);
+
+    await recordSecurityEvent({
+      type: 'passkey_renamed',
+      outcome: 'success',
+      userId,
+      credentialId: credentialDocId,
+      details: {
+        from: ownership.credential.nickname || null,
+        to: result.credential.nickname
+      }
+    });
+
+    return {
+      success: true,
+      data: {
+        id: credentialDocId,
+        nickname: result.credential.nickname
+      },
+      message: "Passkey renamed successfully"
+    };
+
+  } catch (error) {
+    console.error("Error renaming user passkey:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to rename passkey"
+    };
+  }
+}
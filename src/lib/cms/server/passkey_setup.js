@@ -2,6 +2,974 @@
 "use server";
 
 import { createAdminClient, ID, Permission, Role } from './sdk_client';
+import { getJobStatus } from './maintenanceJobs';
+import { runChallengeCleanup, CHALLENGE_CLEANUP_JOB_ID } from './passkey_cleanup';
+import { requireTeam } from './authGuard';
+
+// Passkey challenges attributes (shared by initial setup and the attribute migration)
+const CHALLENGE_ATTRIBUTES = [
+  { key: 'userId', type: 'string', size: 36, required: true },
+  { key: 'challenge', type: 'string', size: 500, required: true },
+  { key: 'type', type: 'enum', elements: ['registration', 'authentication', 'step_up'], required: true },
+  { key: 'expiresAt', type: 'datetime', required: true },
+  // SHA-256 of the browser nonce cookie the challenge was issued to
+  { key: 'nonceHash', type: 'string', size: 64, required: false }
+];
+
+// Passkey credentials attributes (shared by initial setup and the attribute migration)
+const CREDENTIAL_ATTRIBUTES = [
+  { key: 'userId', type: 'string', size: 36, required: true },
+  { key: 'credentialId', type: 'string', size: 512, required: true },
+  { key: 'credentialPublicKey', type: 'string', size: 2000, required: true },
+  { key: 'counter', type: 'integer', required: false, default: 0 },
+  { key: 'deviceType', type: 'enum', elements: ['singleDevice', 'multiDevice'], required: true },
+  { key: 'backedUp', type: 'boolean', required: true },
+  { key: 'transports', type: 'string', size: 500, required: false },
+  { key: 'createdAt', type: 'datetime', required: true },
+  { key: 'aaguid', type: 'string', size: 36, required: false },
+  { key: 'authenticatorName', type: 'string', size: 128, required: false },
+  { key: 'backupEligible', type: 'boolean', required: false },
+  { key: 'nickname', type: 'string', size: 64, required: false },
+  { key: 'lastUsedAt', type: 'datetime', required: false },
+  { key: 'lastUsedIp', type: 'string', size: 64, required: false },
+  { key: 'lastUsedUserAgent', type: 'string', size: 512, required: false },
+  { key: 'quarantined', type: 'boolean', required: false },
+  { key: 'quarantinedAt', type: 'datetime', required: false },
+  { key: 'quarantineReason', type: 'string', size: 256, required: false }
+];
+
+// Security events attributes (audit trail for passkey activity)
+const SECURITY_EVENT_ATTRIBUTES = [
+  { key: 'userId', type: 'string', size: 36, required: false },
+  { key: 'credentialId', type: 'string', size: 36, required: false },
+  { key: 'type', type: 'string', size: 64, required: true },
+  { key: 'outcome', type: 'enum', elements: ['success', 'failure', 'blocked'], required: true },
+  { key: 'ip', type: 'string', size: 64, required: false },
+  { key: 'userAgent', type: 'string', size: 512, required: false },
+  { key: 'details', type: 'string', size: 2000, required: false },
+  { key: 'createdAt', type: 'datetime', required: true }
+];
+
+// Rate limit counters (used when RATE_LIMIT_STORE=appwrite)
+const RATE_LIMIT_ATTRIBUTES = [
+  { key: 'key', type: 'string', size: 255, required: true },
+  { key: 'count', type: 'integer', required: false, default: 0 },
+  { key: 'lockouts', type: 'integer', required: false, default: 0 },
+  { key: 'windowStart', type: 'datetime', required: true },
+  { key: 'blockedUntil', type: 'datetime', required: true },
+  { key: 'updatedAt', type: 'datetime', required: true },
+  { key: 'expiresAt', type: 'datetime', required: true }
+];
+
+// Session token revocation list (used when JWT_REVOCATION_STORE=appwrite)
+const REVOKED_TOKEN_ATTRIBUTES = [
+  { key: 'key', type: 'string', size: 255, required: true },
+  { key: 'revokedBefore', type: 'datetime', required: true },
+  { key: 'expiresAt', type: 'datetime', required: true }
+];
+
+// Sign-in session registry (document ID = session $id in the session JWT)
+const SESSION_ATTRIBUTES = [
+  { key: 'userId', type: 'string', size: 36, required: true },
+  { key: 'provider', type: 'string', size: 32, required: true },
+  { key: 'providerSessionId', type: 'string', size: 36, required: false },
+  { key: 'credentialId', type: 'string', size: 36, required: false },
+  { key: 'ip', type: 'string', size: 64, required: false },
+  { key: 'userAgent', type: 'string', size: 512, required: false },
+  // Approximate location from the hosting edge's geo headers
+  { key: 'location', type: 'string', size: 128, required: false },
+  { key: 'createdAt', type: 'datetime', required: true },
+  { key: 'lastActiveAt', type: 'datetime', required: false },
+  { key: 'expiresAt', type: 'datetime', required: true },
+  { key: 'absoluteExpiresAt', type: 'datetime', required: false }
+];
+
+// Two-factor settings (document ID = user ID); secrets are stored encrypted
+// and recovery grants as a token hash
+const TWO_FACTOR_ATTRIBUTES = [
+  { key: 'userId', type: 'string', size: 36, required: true },
+  { key: 'totpEnabled', type: 'boolean', required: true },
+  { key: 'totpSecret', type: 'string', size: 256, required: false },
+  { key: 'totpPendingSecret', type: 'string', size: 256, required: false },
+  { key: 'totpPendingExpiresAt', type: 'datetime', required: false },
+  { key: 'totpEnabledAt', type: 'datetime', required: false },
+  { key: 'totpLastUsedStep', type: 'integer', required: false },
+  { key: 'recoveryCodesGeneratedAt', type: 'datetime', required: false },
+  { key: 'recoveryGrantHash', type: 'string', size: 64, required: false },
+  { key: 'recoveryGrantExpiresAt', type: 'datetime', required: false },
+  { key: 'updatedAt', type: 'datetime', required: true }
+];
+
+// Unused recovery codes and used TOTP time steps (twoFactor.js);
+// document ID = hash of the code or step
+const TWO_FACTOR_CODE_ATTRIBUTES = [
+  { key: 'userId', type: 'string', size: 36, required: true },
+  { key: 'type', type: 'enum', elements: ['recovery', 'totp_step'], required: true },
+  { key: 'expiresAt', type: 'datetime', required: false },
+  { key: 'createdAt', type: 'datetime', required: true }
+];
+
+// Unused email sign-in links; a link's record is deleted when it's used
+const MAGIC_LINK_ATTRIBUTES = [
+  { key: 'userId', type: 'string', size: 36, required: true },
+  { key: 'expiresAt', type: 'datetime', required: true },
+  { key: 'requestIp', type: 'string', size: 64, required: false }
+];
+
+// Risk decisions of sign-ins (riskEngine.js); completed ones are the login history
+const LOGIN_RISK_ATTRIBUTES = [
+  { key: 'userId', type: 'string', size: 36, required: true },
+  { key: 'provider', type: 'string', size: 32, required: true },
+  { key: 'decision', type: 'enum', elements: ['allow', 'second_factor', 'block'], required: true },
+  { key: 'score', type: 'integer', required: true },
+  { key: 'signals', type: 'string', size: 1024, required: false },
+  { key: 'ip', type: 'string', size: 64, required: false },
+  { key: 'userAgent', type: 'string', size: 512, required: false },
+  { key: 'location', type: 'string', size: 128, required: false },
+  { key: 'deviceHash', type: 'string', size: 64, required: false },
+  { key: 'completed', type: 'boolean', required: true },
+  { key: 'reviewedAt', type: 'datetime', required: false },
+  { key: 'reviewedBy', type: 'string', size: 36, required: false },
+  { key: 'createdAt', type: 'datetime', required: true }
+];
+
+// Free-mail domains and company domain claims (provisioning.js); document ID = hash of the domain
+const EMAIL_DOMAIN_ATTRIBUTES = [
+  { key: 'domain', type: 'string', size: 253, required: true },
+  { key: 'type', type: 'enum', elements: ['free_mail', 'company'], required: true },
+  { key: 'teamId', type: 'string', size: 36, required: false },
+  { key: 'status', type: 'enum', elements: ['pending', 'verified'], required: false },
+  { key: 'claimedBy', type: 'string', size: 36, required: false },
+  { key: 'verifiedAt', type: 'datetime', required: false },
+  { key: 'verifiedBy', type: 'string', size: 36, required: false },
+  { key: 'createdAt', type: 'datetime', required: true },
+  { key: 'verificationToken', type: 'string', size: 64, required: false },
+  { key: 'verificationMethod', type: 'enum', elements: ['dns', 'admin'], required: false },
+  { key: 'lastCheckedAt', type: 'datetime', required: false }
+];
+
+// New users waiting to join a team in approval mode
+const TEAM_JOIN_REQUEST_ATTRIBUTES = [
+  { key: 'teamId', type: 'string', size: 36, required: true },
+  { key: 'userId', type: 'string', size: 36, required: true },
+  { key: 'email', type: 'string', size: 320, required: true },
+  { key: 'role', type: 'string', size: 32, required: true },
+  { key: 'hostURL', type: 'string', size: 512, required: false },
+  { key: 'status', type: 'enum', elements: ['pending', 'approved', 'rejected'], required: true },
+  { key: 'decidedAt', type: 'datetime', required: false },
+  { key: 'decidedBy', type: 'string', size: 36, required: false },
+  { key: 'createdAt', type: 'datetime', required: true }
+];
+
+// Invitations to join a team; only a hash of the emailed token is stored
+const TEAM_INVITATION_ATTRIBUTES = [
+  { key: 'teamId', type: 'string', size: 36, required: true },
+  { key: 'email', type: 'string', size: 320, required: true },
+  { key: 'role', type: 'string', size: 32, required: true },
+  { key: 'status', type: 'enum', elements: ['pending', 'accepted', 'revoked'], required: true },
+  { key: 'tokenHash', type: 'string', size: 64, required: true },
+  { key: 'expiresAt', type: 'datetime', required: true },
+  { key: 'invitedBy', type: 'string', size: 36, required: true },
+  { key: 'sentAt', type: 'datetime', required: true },
+  { key: 'sendCount', type: 'integer', required: false, default: 1 },
+  { key: 'acceptedAt', type: 'datetime', required: false },
+  { key: 'acceptedBy', type: 'string', size: 36, required: false },
+  { key: 'revokedAt', type: 'datetime', required: false },
+  { key: 'createdAt', type: 'datetime', required: true }
+];
+
+// Last run of each scheduled maintenance job (document ID = job ID)
+const MAINTENANCE_JOB_ATTRIBUTES = [
+  { key: 'lastRunAt', type: 'datetime', required: true },
+  { key: 'lastStatus', type: 'enum', elements: ['success', 'failure'], required: true },
+  { key: 'lastTrigger', type: 'string', size: 16, required: false },
+  { key: 'lastSuccessAt', type: 'datetime', required: false },
+  { key: 'lastDurationMs', type: 'integer', required: false, default: 0 },
+  { key: 'lastResult', type: 'string', size: 1000, required: false },
+  { key: 'lastError', type: 'string', size: 1000, required: false }
+];
+
+/**
+ * Create a single collection attribute from a descriptor
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @param {string} collectionId - Collection ID
+ * @param {Object} attr - Attribute descriptor ({ key, type, size?, elements?, required, default? })
+ */
+async function createAttribute(databases, databaseId, collectionId, attr) {
+  if (attr.type === 'enum') {
+    await databases.createEnumAttribute(
+      databaseId,
+      collectionId,
+      attr.key,
+      attr.elements,
+      attr.required
+    );
+  } else if (attr.type === 'datetime') {
+    await databases.createDatetimeAttribute(
+      databaseId,
+      collectionId,
+      attr.key,
+      attr.required
+    );
+  } else if (attr.type === 'boolean') {
+    await databases.createBooleanAttribute(
+      databaseId,
+      collectionId,
+      attr.key,
+      attr.required
+    );
+  } else if (attr.type === 'integer') {
+    await databases.createIntegerAttribute(
+      databaseId,
+      collectionId,
+      attr.key,
+      attr.required,
+      undefined,
+      undefined,
+      attr.default
+    );
+  } else {
+    await databases.createStringAttribute(
+      databaseId,
+      collectionId,
+      attr.key,
+      attr.size,
+      attr.required
+    );
+  }
+}
+
+/**
+ * Create the passkey security events collection with its attributes and indexes
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createSecurityEventsCollection(databases, databaseId) {
+  try {
+    console.log("Creating passkey security events collection...");
+
+    const eventsCollection = await databases.createCollection(
+      databaseId,
+      "passKeySecurityEvents",
+      'passkey_security_events',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created security events collection: ${eventsCollection.$id}`);
+
+    for (const attr of SECURITY_EVENT_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, eventsCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      eventsCollection.$id,
+      'userId_index',
+      'key',
+      ['userId']
+    );
+    console.log("  ✅ Created userId index");
+
+    await databases.createIndex(
+      databaseId,
+      eventsCollection.$id,
+      'type_index',
+      'key',
+      ['type']
+    );
+    console.log("  ✅ Created type index");
+
+    await databases.createIndex(
+      databaseId,
+      eventsCollection.$id,
+      'credentialId_index',
+      'key',
+      ['credentialId']
+    );
+    console.log("  ✅ Created credentialId index");
+
+    await databases.createIndex(
+      databaseId,
+      eventsCollection.$id,
+      'outcome_index',
+      'key',
+      ['outcome']
+    );
+    console.log("  ✅ Created outcome index");
+
+    await databases.createIndex(
+      databaseId,
+      eventsCollection.$id,
+      'createdAt_index',
+      'key',
+      ['createdAt']
+    );
+    console.log("  ✅ Created createdAt index");
+
+    return eventsCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Security events collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "passKeySecurityEvents");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the rate limit collection used by the shared (Appwrite) rate limit store
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createRateLimitsCollection(databases, databaseId) {
+  try {
+    console.log("Creating rate limits collection...");
+
+    const rateLimitsCollection = await databases.createCollection(
+      databaseId,
+      "authRateLimits",
+      'auth_rate_limits',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created rate limits collection: ${rateLimitsCollection.$id}`);
+
+    for (const attr of RATE_LIMIT_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, rateLimitsCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      rateLimitsCollection.$id,
+      'expires_index',
+      'key',
+      ['expiresAt']
+    );
+    console.log("  ✅ Created expires index");
+
+    return rateLimitsCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Rate limits collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "authRateLimits");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the collection used by the shared (Appwrite) token revocation store
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createRevokedTokensCollection(databases, databaseId) {
+  try {
+    console.log("Creating revoked tokens collection...");
+
+    const revokedTokensCollection = await databases.createCollection(
+      databaseId,
+      "revokedTokens",
+      'revoked_tokens',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created revoked tokens collection: ${revokedTokensCollection.$id}`);
+
+    for (const attr of REVOKED_TOKEN_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, revokedTokensCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      revokedTokensCollection.$id,
+      'expires_index',
+      'key',
+      ['expiresAt']
+    );
+    console.log("  ✅ Created expires index");
+
+    return revokedTokensCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Revoked tokens collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "revokedTokens");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the collection holding each user's authenticator app settings
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createTwoFactorCollection(databases, databaseId) {
+  try {
+    console.log("Creating two-factor collection...");
+
+    const twoFactorCollection = await databases.createCollection(
+      databaseId,
+      "twoFactor",
+      'two_factor',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created two-factor collection: ${twoFactorCollection.$id}`);
+
+    for (const attr of TWO_FACTOR_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, twoFactorCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return twoFactorCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Two-factor collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "twoFactor");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the collection of recovery codes and used TOTP time steps
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createTwoFactorCodesCollection(databases, databaseId) {
+  try {
+    console.log("Creating two-factor codes collection...");
+
+    const twoFactorCodesCollection = await databases.createCollection(
+      databaseId,
+      "twoFactorCodes",
+      'two_factor_codes',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created two-factor codes collection: ${twoFactorCodesCollection.$id}`);
+
+    for (const attr of TWO_FACTOR_CODE_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, twoFactorCodesCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      twoFactorCodesCollection.$id,
+      'userId_index',
+      'key',
+      ['userId']
+    );
+    console.log("  ✅ Created userId index");
+
+    return twoFactorCodesCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Two-factor codes collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "twoFactorCodes");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the collection of unused email sign-in links
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createMagicLinksCollection(databases, databaseId) {
+  try {
+    console.log("Creating magic links collection...");
+
+    const magicLinksCollection = await databases.createCollection(
+      databaseId,
+      "magicLinks",
+      'magic_links',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created magic links collection: ${magicLinksCollection.$id}`);
+
+    for (const attr of MAGIC_LINK_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, magicLinksCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      magicLinksCollection.$id,
+      'userId_index',
+      'key',
+      ['userId']
+    );
+    console.log("  ✅ Created userId index");
+
+    return magicLinksCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Magic links collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "magicLinks");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the collection of login risk decisions
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createLoginRiskCollection(databases, databaseId) {
+  try {
+    console.log("Creating login risk collection...");
+
+    const loginRiskCollection = await databases.createCollection(
+      databaseId,
+      "loginRiskAssessments",
+      'login_risk_assessments',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created login risk collection: ${loginRiskCollection.$id}`);
+
+    for (const attr of LOGIN_RISK_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, loginRiskCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      loginRiskCollection.$id,
+      'userId_index',
+      'key',
+      ['userId']
+    );
+    console.log("  ✅ Created userId index");
+
+    await databases.createIndex(
+      databaseId,
+      loginRiskCollection.$id,
+      'decision_index',
+      'key',
+      ['decision']
+    );
+    console.log("  ✅ Created decision index");
+
+    await databases.createIndex(
+      databaseId,
+      loginRiskCollection.$id,
+      'createdAt_index',
+      'key',
+      ['createdAt']
+    );
+    console.log("  ✅ Created createdAt index");
+
+    return loginRiskCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Login risk collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "loginRiskAssessments");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the collection of free-mail domains and company domain claims
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createEmailDomainsCollection(databases, databaseId) {
+  try {
+    console.log("Creating email domains collection...");
+
+    const emailDomainsCollection = await databases.createCollection(
+      databaseId,
+      "emailDomains",
+      'email_domains',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created email domains collection: ${emailDomainsCollection.$id}`);
+
+    for (const attr of EMAIL_DOMAIN_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, emailDomainsCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      emailDomainsCollection.$id,
+      'type_index',
+      'key',
+      ['type']
+    );
+    console.log("  ✅ Created type index");
+
+    await databases.createIndex(
+      databaseId,
+      emailDomainsCollection.$id,
+      'teamId_index',
+      'key',
+      ['teamId']
+    );
+    console.log("  ✅ Created teamId index");
+
+    return emailDomainsCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Email domains collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "emailDomains");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the collection of team join requests
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createTeamJoinRequestsCollection(databases, databaseId) {
+  try {
+    console.log("Creating team join requests collection...");
+
+    const joinRequestsCollection = await databases.createCollection(
+      databaseId,
+      "teamJoinRequests",
+      'team_join_requests',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created team join requests collection: ${joinRequestsCollection.$id}`);
+
+    for (const attr of TEAM_JOIN_REQUEST_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, joinRequestsCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      joinRequestsCollection.$id,
+      'status_index',
+      'key',
+      ['status']
+    );
+    console.log("  ✅ Created status index");
+
+    await databases.createIndex(
+      databaseId,
+      joinRequestsCollection.$id,
+      'teamId_index',
+      'key',
+      ['teamId']
+    );
+    console.log("  ✅ Created teamId index");
+
+    return joinRequestsCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Team join requests collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "teamJoinRequests");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the collection of team invitations
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createTeamInvitationsCollection(databases, databaseId) {
+  try {
+    console.log("Creating team invitations collection...");
+
+    const invitationsCollection = await databases.createCollection(
+      databaseId,
+      "teamInvitations",
+      'team_invitations',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created team invitations collection: ${invitationsCollection.$id}`);
+
+    for (const attr of TEAM_INVITATION_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, invitationsCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      invitationsCollection.$id,
+      'teamId_index',
+      'key',
+      ['teamId']
+    );
+    console.log("  ✅ Created teamId index");
+
+    await databases.createIndex(
+      databaseId,
+      invitationsCollection.$id,
+      'email_index',
+      'key',
+      ['email']
+    );
+    console.log("  ✅ Created email index");
+
+    await databases.createIndex(
+      databaseId,
+      invitationsCollection.$id,
+      'tokenHash_unique',
+      'unique',
+      ['tokenHash']
+    );
+    console.log("  ✅ Created tokenHash unique index");
+
+    return invitationsCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Team invitations collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "teamInvitations");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the session registry collection shared by password, passkey and SSO logins
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createSessionsCollection(databases, databaseId) {
+  try {
+    console.log("Creating sessions collection...");
+
+    const sessionsCollection = await databases.createCollection(
+      databaseId,
+      "authSessions",
+      'auth_sessions',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created sessions collection: ${sessionsCollection.$id}`);
+
+    for (const attr of SESSION_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, sessionsCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await databases.createIndex(
+      databaseId,
+      sessionsCollection.$id,
+      'userId_index',
+      'key',
+      ['userId']
+    );
+    console.log("  ✅ Created userId index");
+
+    await databases.createIndex(
+      databaseId,
+      sessionsCollection.$id,
+      'expires_index',
+      'key',
+      ['expiresAt']
+    );
+    console.log("  ✅ Created expires index");
+
+    await databases.createIndex(
+      databaseId,
+      sessionsCollection.$id,
+      'created_index',
+      'key',
+      ['createdAt']
+    );
+    console.log("  ✅ Created createdAt index");
+
+    return sessionsCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Sessions collection already exists, skipping...");
+      const migrationResult = await migrateSessionAttributes();
+      if (!migrationResult.success) {
+        throw new Error(migrationResult.message);
+      }
+
+      try {
+        return await databases.getCollection(databaseId, "authSessions");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the collection holding the last run of each maintenance job
+ * Skips creation when the collection already exists
+ * @param {Object} databases - Appwrite Databases service
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} - Created or existing collection
+ */
+async function createMaintenanceJobsCollection(databases, databaseId) {
+  try {
+    console.log("Creating maintenance jobs collection...");
+
+    const jobsCollection = await databases.createCollection(
+      databaseId,
+      "maintenanceJobs",
+      'maintenance_jobs',
+      [] // Server-side only: written and read with the admin client
+    );
+
+    console.log(`✅ Created maintenance jobs collection: ${jobsCollection.$id}`);
+
+    for (const attr of MAINTENANCE_JOB_ATTRIBUTES) {
+      await createAttribute(databases, databaseId, jobsCollection.$id, attr);
+      console.log(`  ✅ Created attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return jobsCollection;
+
+  } catch (error) {
+    if (error.code === 409) {
+      console.log("⚠️  Maintenance jobs collection already exists, skipping...");
+      try {
+        return await databases.getCollection(databaseId, "maintenanceJobs");
+      } catch (e) {
+        console.log("Could not fetch existing collection info");
+        return null;
+      }
+    }
+    throw error;
+  }
+}
 
 /**
  * Creates the required Appwrite collections for passkey functionality
@@ -9,6 +977,11 @@ import { createAdminClient, ID, Permission, Role } from './sdk_client';
  * @returns {Promise<{success: boolean, data?: any, message?: string}>}
  */
 export async function createPasskeyCollections() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     const { databases } = await createAdminClient();
     const databaseId = process.env.CMS_DB_ID;
@@ -19,7 +992,19 @@ export async function createPasskeyCollections() {
 
     const results = {
       challengesCollection: null,
-      credentialsCollection: null
+      credentialsCollection: null,
+      securityEventsCollection: null,
+      rateLimitsCollection: null,
+      maintenanceJobsCollection: null,
+      sessionsCollection: null,
+      revokedTokensCollection: null,
+      twoFactorCollection: null,
+      twoFactorCodesCollection: null,
+      magicLinksCollection: null,
+      loginRiskCollection: null,
+      emailDomainsCollection: null,
+      teamJoinRequestsCollection: null,
+      teamInvitationsCollection: null
     };
 
     // Collection 1: Passkey Challenges (temporary storage)
@@ -42,38 +1027,8 @@ export async function createPasskeyCollections() {
       console.log(`✅ Created challenges collection: ${challengesCollection.$id}`);
 
       // Create attributes for challenges collection
-      const challengeAttributes = [
-        { key: 'userId', type: 'string', size: 36, required: true },
-        { key: 'challenge', type: 'string', size: 500, required: true },
-        { key: 'type', type: 'enum', elements: ['registration', 'authentication'], required: true },
-        { key: 'expiresAt', type: 'datetime', required: true }
-      ];
-
-      for (const attr of challengeAttributes) {
-        if (attr.type === 'enum') {
-          await databases.createEnumAttribute(
-            databaseId,
-            challengesCollection.$id,
-            attr.key,
-            attr.elements,
-            attr.required
-          );
-        } else if (attr.type === 'datetime') {
-          await databases.createDatetimeAttribute(
-            databaseId,
-            challengesCollection.$id,
-            attr.key,
-            attr.required
-          );
-        } else {
-          await databases.createStringAttribute(
-            databaseId,
-            challengesCollection.$id,
-            attr.key,
-            attr.size,
-            attr.required
-          );
-        }
+      for (const attr of CHALLENGE_ATTRIBUTES) {
+        await createAttribute(databases, databaseId, challengesCollection.$id, attr);
         console.log(`  ✅ Created attribute: ${attr.key}`);
         
         // Add small delay to avoid rate limiting
@@ -109,6 +1064,11 @@ export async function createPasskeyCollections() {
         } catch (e) {
           console.log("Could not fetch existing collection info");
         }
+
+        const migrationResult = await migratePasskeyChallengeAttributes();
+        if (!migrationResult.success) {
+          throw new Error(migrationResult.message);
+        }
       } else {
         throw error;
       }
@@ -134,59 +1094,8 @@ export async function createPasskeyCollections() {
       console.log(`✅ Created credentials collection: ${credentialsCollection.$id}`);
 
       // Create attributes for credentials collection
-      const credentialAttributes = [
-        { key: 'userId', type: 'string', size: 36, required: true },
-        { key: 'credentialId', type: 'string', size: 512, required: true },
-        { key: 'credentialPublicKey', type: 'string', size: 2000, required: true },
-        { key: 'counter', type: 'integer', required: false, default: 0 },
-        { key: 'deviceType', type: 'enum', elements: ['singleDevice', 'multiDevice'], required: true },
-        { key: 'backedUp', type: 'boolean', required: true },
-        { key: 'transports', type: 'string', size: 500, required: false },
-        { key: 'createdAt', type: 'datetime', required: true }
-      ];
-
-      for (const attr of credentialAttributes) {
-        if (attr.type === 'enum') {
-          await databases.createEnumAttribute(
-            databaseId,
-            credentialsCollection.$id,
-            attr.key,
-            attr.elements,
-            attr.required
-          );
-        } else if (attr.type === 'datetime') {
-          await databases.createDatetimeAttribute(
-            databaseId,
-            credentialsCollection.$id,
-            attr.key,
-            attr.required
-          );
-        } else if (attr.type === 'boolean') {
-          await databases.createBooleanAttribute(
-            databaseId,
-            credentialsCollection.$id,
-            attr.key,
-            attr.required
-          );
-        } else if (attr.type === 'integer') {
-          await databases.createIntegerAttribute(
-            databaseId,
-            credentialsCollection.$id,
-            attr.key,
-            attr.required,
-            undefined,
-            undefined,
-            attr.default
-          );
-        } else {
-          await databases.createStringAttribute(
-            databaseId,
-            credentialsCollection.$id,
-            attr.key,
-            attr.size,
-            attr.required
-          );
-        }
+      for (const attr of CREDENTIAL_ATTRIBUTES) {
+        await createAttribute(databases, databaseId, credentialsCollection.$id, attr);
         console.log(`  ✅ Created attribute: ${attr.key}`);
         
         // Add small delay to avoid rate limiting
@@ -224,16 +1133,69 @@ export async function createPasskeyCollections() {
         } catch (e) {
           console.log("Could not fetch existing collection info");
         }
+
+        const migrationResult = await migratePasskeyCredentialAttributes();
+        if (!migrationResult.success) {
+          throw new Error(migrationResult.message);
+        }
       } else {
         throw error;
       }
     }
 
+    // Collection 3: Passkey Security Events (audit trail)
+    results.securityEventsCollection = await createSecurityEventsCollection(databases, databaseId);
+
+    // Collection 4: Rate Limits (shared rate limit store)
+    results.rateLimitsCollection = await createRateLimitsCollection(databases, databaseId);
+
+    // Collection 5: Maintenance Jobs (scheduled job health)
+    results.maintenanceJobsCollection = await createMaintenanceJobsCollection(databases, databaseId);
+
+    // Collection 6: Sessions (registry of sign-in sessions)
+    results.sessionsCollection = await createSessionsCollection(databases, databaseId);
+
+    // Collection 7: Revoked Tokens (session token revocation list)
+    results.revokedTokensCollection = await createRevokedTokensCollection(databases, databaseId);
+
+    // Collection 8: Two-Factor (authenticator apps)
+    results.twoFactorCollection = await createTwoFactorCollection(databases, databaseId);
+
+    // Collection 9: Two-Factor Codes (recovery codes and used TOTP steps)
+    results.twoFactorCodesCollection = await createTwoFactorCodesCollection(databases, databaseId);
+
+    // Collection 10: Magic Links (unused email sign-in links)
+    results.magicLinksCollection = await createMagicLinksCollection(databases, databaseId);
+
+    // Collection 11: Login Risk (risk decisions and login history)
+    results.loginRiskCollection = await createLoginRiskCollection(databases, databaseId);
+
+    // Collection 12: Email Domains (free-mail list and company domain claims)
+    results.emailDomainsCollection = await createEmailDomainsCollection(databases, databaseId);
+
+    // Collection 13: Team Join Requests (sign-ups waiting for approval)
+    results.teamJoinRequestsCollection = await createTeamJoinRequestsCollection(databases, databaseId);
+
+    // Collection 14: Team Invitations (emailed invitations to join a team)
+    results.teamInvitationsCollection = await createTeamInvitationsCollection(databases, databaseId);
+
     console.log("\n" + "=".repeat(70));
     console.log("🎉 PASSKEY COLLECTIONS SETUP COMPLETE!");
     console.log("=".repeat(70));
     console.log("✅ Challenges Collection ID: passKeyChallenges");
     console.log("✅ Credentials Collection ID: passKeyCredentials");
+    console.log("✅ Security Events Collection ID: passKeySecurityEvents");
+    console.log("✅ Rate Limits Collection ID: authRateLimits");
+    console.log("✅ Maintenance Jobs Collection ID: maintenanceJobs");
+    console.log("✅ Sessions Collection ID: authSessions");
+    console.log("✅ Revoked Tokens Collection ID: revokedTokens");
+    console.log("✅ Two-Factor Collection ID: twoFactor");
+    console.log("✅ Two-Factor Codes Collection ID: twoFactorCodes");
+    console.log("✅ Magic Links Collection ID: magicLinks");
+    console.log("✅ Login Risk Collection ID: loginRiskAssessments");
+    console.log("✅ Email Domains Collection ID: emailDomains");
+    console.log("✅ Team Join Requests Collection ID: teamJoinRequests");
+    console.log("✅ Team Invitations Collection ID: teamInvitations");
     console.log("✅ Your .env variables are already set correctly!");
     console.log("=".repeat(70));
     console.log("\n🎯 Next Steps:");
@@ -246,7 +1208,19 @@ export async function createPasskeyCollections() {
       success: true,
       data: {
         challengesCollectionId: "passKeyChallenges",
-        credentialsCollectionId: "passKeyCredentials"
+        credentialsCollectionId: "passKeyCredentials",
+        securityEventsCollectionId: "passKeySecurityEvents",
+        rateLimitsCollectionId: "authRateLimits",
+        maintenanceJobsCollectionId: "maintenanceJobs",
+        sessionsCollectionId: "authSessions",
+        revokedTokensCollectionId: "revokedTokens",
+        twoFactorCollectionId: "twoFactor",
+        twoFactorCodesCollectionId: "twoFactorCodes",
+        magicLinksCollectionId: "magicLinks",
+        loginRiskCollectionId: "loginRiskAssessments",
+        emailDomainsCollectionId: "emailDomains",
+        teamJoinRequestsCollectionId: "teamJoinRequests",
+        teamInvitationsCollectionId: "teamInvitations"
       },
       message: "Passkey collections created successfully"
     };
@@ -260,17 +1234,274 @@ export async function createPasskeyCollections() {
   }
 }
 
+/**
+ * Add credential attributes introduced after the initial setup to an existing collection
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function migratePasskeyCredentialAttributes() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS || "passKeyCredentials";
+
+    const existing = await databases.listAttributes(databaseId, credentialsCollectionId);
+    const existingKeys = new Set(existing.attributes.map(attr => attr.key));
+    const missing = CREDENTIAL_ATTRIBUTES.filter(attr => !existingKeys.has(attr.key));
+
+    for (const attr of missing) {
+      await createAttribute(databases, databaseId, credentialsCollectionId, attr);
+      console.log(`  ✅ Added attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return {
+      success: true,
+      data: { added: missing.map(attr => attr.key) },
+      message: missing.length > 0
+        ? `Added ${missing.length} credential attributes`
+        : "Credential attributes are up to date"
+    };
+
+  } catch (error) {
+    console.error("❌ Error migrating passkey credential attributes:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to migrate credential attributes"
+    };
+  }
+}
+
+/**
+ * Add attributes introduced after the initial setup to an existing two-factor collection
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function migrateTwoFactorAttributes() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const twoFactorCollectionId = process.env.CMS_COLLECTION_ID_TWO_FACTOR || "twoFactor";
+
+    const existing = await databases.listAttributes(databaseId, twoFactorCollectionId);
+    const existingKeys = new Set(existing.attributes.map(attr => attr.key));
+    const missing = TWO_FACTOR_ATTRIBUTES.filter(attr => !existingKeys.has(attr.key));
+
+    for (const attr of missing) {
+      await createAttribute(databases, databaseId, twoFactorCollectionId, attr);
+      console.log(`  ✅ Added attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return {
+      success: true,
+      data: { added: missing.map(attr => attr.key) },
+      message: missing.length > 0
+        ? `Added ${missing.length} two-factor attributes`
+        : "Two-factor attributes are up to date"
+    };
+
+  } catch (error) {
+    console.error("❌ Error migrating two-factor attributes:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to migrate two-factor attributes"
+    };
+  }
+}
+
+/**
+ * Add attributes introduced after the initial setup to an existing email domains collection
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function migrateEmailDomainAttributes() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const emailDomainsCollectionId = process.env.CMS_COLLECTION_ID_EMAIL_DOMAINS || "emailDomains";
+
+    const existing = await databases.listAttributes(databaseId, emailDomainsCollectionId);
+    const existingKeys = new Set(existing.attributes.map(attr => attr.key));
+    const missing = EMAIL_DOMAIN_ATTRIBUTES.filter(attr => !existingKeys.has(attr.key));
+
+    for (const attr of missing) {
+      await createAttribute(databases, databaseId, emailDomainsCollectionId, attr);
+      console.log(`  ✅ Added attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return {
+      success: true,
+      data: { added: missing.map(attr => attr.key) },
+      message: missing.length > 0
+        ? `Added ${missing.length} email domain attributes`
+        : "Email domain attributes are up to date"
+    };
+
+  } catch (error) {
+    console.error("❌ Error migrating email domain attributes:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to migrate email domain attributes"
+    };
+  }
+}
+
+/**
+ * Add attributes introduced after the initial setup to an existing sessions collection
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function migrateSessionAttributes() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const sessionsCollectionId = process.env.CMS_COLLECTION_ID_SESSIONS || "authSessions";
+
+    const existing = await databases.listAttributes(databaseId, sessionsCollectionId);
+    const existingKeys = new Set(existing.attributes.map(attr => attr.key));
+    const missing = SESSION_ATTRIBUTES.filter(attr => !existingKeys.has(attr.key));
+
+    for (const attr of missing) {
+      await createAttribute(databases, databaseId, sessionsCollectionId, attr);
+      console.log(`  ✅ Added attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return {
+      success: true,
+      data: { added: missing.map(attr => attr.key) },
+      message: missing.length > 0
+        ? `Added ${missing.length} session attributes`
+        : "Session attributes are up to date"
+    };
+
+  } catch (error) {
+    console.error("❌ Error migrating session attributes:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to migrate session attributes"
+    };
+  }
+}
+
+/**
+ * Bring an existing challenges collection up to date: add missing attributes
+ * and extend the type enum with challenge types introduced after the initial setup
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function migratePasskeyChallengeAttributes() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const challengesCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CHALLENGES || "passKeyChallenges";
+
+    const existing = await databases.listAttributes(databaseId, challengesCollectionId);
+    const existingByKey = new Map(existing.attributes.map(attr => [attr.key, attr]));
+    const missing = CHALLENGE_ATTRIBUTES.filter(attr => !existingByKey.has(attr.key));
+    const updated = [];
+
+    for (const attr of missing) {
+      await createAttribute(databases, databaseId, challengesCollectionId, attr);
+      console.log(`  ✅ Added attribute: ${attr.key}`);
+
+      // Add small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    for (const attr of CHALLENGE_ATTRIBUTES.filter(attr => attr.type === 'enum')) {
+      const current = existingByKey.get(attr.key);
+      if (current && attr.elements.some(element => !current.elements.includes(element))) {
+        await databases.updateEnumAttribute(
+          databaseId,
+          challengesCollectionId,
+          attr.key,
+          attr.elements,
+          attr.required,
+          null
+        );
+        updated.push(attr.key);
+        console.log(`  ✅ Updated enum values: ${attr.key}`);
+      }
+    }
+
+    const changes = missing.length + updated.length;
+
+    return {
+      success: true,
+      data: { added: missing.map(attr => attr.key), updated },
+      message: changes > 0
+        ? `Updated ${changes} challenge attributes`
+        : "Challenge attributes are up to date"
+    };
+
+  } catch (error) {
+    console.error("❌ Error migrating passkey challenge attributes:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to migrate challenge attributes"
+    };
+  }
+}
+
 /**
  * Helper function to check if passkey collections exist
  * @returns {Promise<{success: boolean, exists: boolean, collections?: any}>}
  */
 export async function checkPasskeyCollections() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     const { databases } = await createAdminClient();
     const databaseId = process.env.CMS_DB_ID;
 
     let challengesExists = false;
     let credentialsExists = false;
+    let securityEventsExists = false;
+    let rateLimitsExists = false;
+    let maintenanceJobsExists = false;
+    let sessionsExists = false;
+    let revokedTokensExists = false;
+    let twoFactorExists = false;
+    let twoFactorCodesExists = false;
+    let magicLinksExists = false;
+    let loginRiskExists = false;
+    let emailDomainsExists = false;
+    let teamJoinRequestsExists = false;
+    let teamInvitationsExists = false;
 
     try {
       await databases.getCollection(databaseId, "passKeyChallenges");
@@ -286,12 +1517,108 @@ export async function checkPasskeyCollections() {
       // Collection doesn't exist
     }
 
+    try {
+      await databases.getCollection(databaseId, "passKeySecurityEvents");
+      securityEventsExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "authRateLimits");
+      rateLimitsExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "maintenanceJobs");
+      maintenanceJobsExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "authSessions");
+      sessionsExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "revokedTokens");
+      revokedTokensExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "twoFactor");
+      twoFactorExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "twoFactorCodes");
+      twoFactorCodesExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "magicLinks");
+      magicLinksExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "loginRiskAssessments");
+      loginRiskExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "emailDomains");
+      emailDomainsExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "teamJoinRequests");
+      teamJoinRequestsExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
+    try {
+      await databases.getCollection(databaseId, "teamInvitations");
+      teamInvitationsExists = true;
+    } catch (e) {
+      // Collection doesn't exist
+    }
+
     return {
       success: true,
-      exists: challengesExists && credentialsExists,
+      exists: challengesExists && credentialsExists && securityEventsExists && rateLimitsExists && maintenanceJobsExists && sessionsExists && revokedTokensExists && twoFactorExists && twoFactorCodesExists && magicLinksExists && loginRiskExists && emailDomainsExists && teamJoinRequestsExists && teamInvitationsExists,
       collections: {
         challenges: challengesExists,
-        credentials: credentialsExists
+        credentials: credentialsExists,
+        securityEvents: securityEventsExists,
+        rateLimits: rateLimitsExists,
+        maintenanceJobs: maintenanceJobsExists,
+        sessions: sessionsExists,
+        revokedTokens: revokedTokensExists,
+        twoFactor: twoFactorExists,
+        twoFactorCodes: twoFactorCodesExists,
+        magicLinks: magicLinksExists,
+        loginRisk: loginRiskExists,
+        emailDomains: emailDomainsExists,
+        teamJoinRequests: teamJoinRequestsExists,
+        teamInvitations: teamInvitationsExists
       }
     };
 
@@ -305,68 +1632,91 @@ export async function checkPasskeyCollections() {
 }
 
 /**
- * Clean up expired challenges (run periodically)
- * @returns {Promise<{success: boolean, deletedCount?: number, message?: string}>}
+ * Clean up expired challenges now (admin settings page)
+ * The cron route calls runChallengeCleanup directly
+ * @param {string} trigger - What started the run ('manual' or 'cron')
+ * @returns {Promise<{success: boolean, deletedCount?: number, scannedCount?: number, failedCount?: number, durationMs?: number, message?: string}>}
  */
-export async function cleanupExpiredChallenges() {
-  try {
-    const { databases } = await createAdminClient();
-    const databaseId = process.env.CMS_DB_ID;
-    const challengesCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CHALLENGES;
-
-    if (!challengesCollectionId) {
-      throw new Error("CMS_COLLECTION_ID_PASSKEY_CHALLENGES environment variable is required");
-    }
-
-    const now = new Date();
-    
-    // Get all challenges and filter expired ones
-    const allChallenges = await databases.listDocuments(
-      databaseId,
-      challengesCollectionId
-    );
-
-    let deletedCount = 0;
-    for (const challenge of allChallenges.documents) {
-      if (new Date(challenge.expiresAt) < now) {
-        await databases.deleteDocument(databaseId, challengesCollectionId, challenge.$id);
-        deletedCount++;
-      }
-    }
-
-    console.log(`🧹 Cleaned up ${deletedCount} expired challenges`);
+export async function cleanupExpiredChallenges(trigger = 'manual') {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
 
-    return {
-      success: true,
-      deletedCount,
-      message: `Cleaned up ${deletedCount} expired challenges`
-    };
+  return await runChallengeCleanup(trigger);
+}
 
-  } catch (error) {
-    console.error("❌ Error cleaning up expired challenges:", error);
-    return {
-      success: false,
-      message: error.message || "Failed to cleanup expired challenges"
-    };
+/**
+ * Get the last run of the challenge cleanup job (for the admin settings page)
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getChallengeCleanupStatus() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
   }
+
+  return await getJobStatus(CHALLENGE_CLEANUP_JOB_ID);
 }
 
 /**
  * Setup script runner - call this from a separate script or API endpoint
  */
 export async function runPasskeySetup() {
+  const guard = await requireTeam('super_admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   console.log("🚀 Starting Passkey Collections Setup for CyberITEX...");
   
   // Check if collections already exist
   const checkResult = await checkPasskeyCollections();
   if (checkResult.exists) {
-    console.log("⚠️  Passkey collections already exist. Setup complete!");
+    console.log("⚠️  Passkey collections already exist. Checking for missing attributes...");
+    const challengeMigration = await migratePasskeyChallengeAttributes();
+    if (!challengeMigration.success) {
+      return challengeMigration;
+    }
+
+    const migrationResult = await migratePasskeyCredentialAttributes();
+    if (!migrationResult.success) {
+      return migrationResult;
+    }
+
+    const sessionMigration = await migrateSessionAttributes();
+    if (!sessionMigration.success) {
+      return sessionMigration;
+    }
+
+    const twoFactorMigration = await migrateTwoFactorAttributes();
+    if (!twoFactorMigration.success) {
+      return twoFactorMigration;
+    }
+
+    const emailDomainMigration = await migrateEmailDomainAttributes();
+    if (!emailDomainMigration.success) {
+      return emailDomainMigration;
+    }
+
     return {
       success: true,
-      message: "Collections already exist",
+      message: `Collections already exist. ${challengeMigration.message}. ${migrationResult.message}. ${sessionMigration.message}. ${twoFactorMigration.message}. ${emailDomainMigration.message}`,
       data: {
         challengesCollectionId: "passKeyChallenges",
-        credentialsCollectionId: "passKeyCredentials"
+        credentialsCollectionId: "passKeyCredentials",
+        securityEventsCollectionId: "passKeySecurityEvents",
+        rateLimitsCollectionId: "authRateLimits",
+        maintenanceJobsCollectionId: "maintenanceJobs",
+        sessionsCollectionId: "authSessions",
+        revokedTokensCollectionId: "revokedTokens",
+        twoFactorCollectionId: "twoFactor",
+        twoFactorCodesCollectionId: "twoFactorCodes",
+        magicLinksCollectionId: "magicLinks",
+        loginRiskCollectionId: "loginRiskAssessments",
+        emailDomainsCollectionId: "emailDomains",
+        teamJoinRequestsCollectionId: "teamJoinRequests",
+        teamInvitationsCollectionId: "teamInvitations"
       }
     };
   }
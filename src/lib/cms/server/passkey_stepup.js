@@ -0,0 +1,32 @@
+// src/lib/cms/server/passkey_stepup.js
+"use server";
+
+import { deleteCookie } from './cookieService';
+import { requireStepUp, getStepUpCookieName } from './stepUp';
+
+/**
+ * Step-up status for the browser. Claims are minted and checked in stepUp.js;
+ * these actions only read or drop the claim of the caller's own session.
+ */
+
+/**
+ * Get the step-up status for the current session (for UI hints)
+ * @returns {Promise<{success: boolean, verified: boolean, verifiedAt?: string, reason?: string}>}
+ */
+export async function getStepUpStatus() {
+  const result = await requireStepUp();
+  return {
+    success: true,
+    verified: result.success,
+    verifiedAt: result.data?.verifiedAt,
+    reason: result.reason
+  };
+}
+
+/**
+ * Drop the step-up claim for the current browser
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function clearStepUpClaim() {
+  return await deleteCookie(getStepUpCookieName());
+}
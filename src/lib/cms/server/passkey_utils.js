@@ -1,7 +1,7 @@
 // src/lib/cms/server/passkey_utils.js
 "use server";
 
-import { createAdminClient, ID, Query } from './sdk_client';
+import { createAdminClient, Query } from './sdk_client';
 
 /**
  * Utility functions for passkey implementation with SimpleWebAuthn
@@ -59,192 +59,32 @@ export async function hexToUint8Array(hex) {
 }
 
 /**
- * Generate a secure random challenge
- * @returns {Promise<string>} - Base64url encoded challenge
- */
-export async function generateChallenge() {
-  const challenge = crypto.getRandomValues(new Uint8Array(32));
-  return await arrayBufferToBase64url(challenge.buffer);
-}
-
-/**
- * Store a challenge in the database
- * @param {string} userId - User ID
- * @param {string} challenge - Base64url encoded challenge
- * @param {string} type - Challenge type ('registration' or 'authentication')
- * @param {number} expirationMinutes - Challenge expiration in minutes (default: 5)
- * @returns {Promise<{success: boolean, challengeId?: string, message?: string}>}
+ * Convert base64url string to hex string (WebAuthn credential ID -> database format)
+ * @param {string} base64url - Base64url encoded string
+ * @returns {Promise<string>} - Hex encoded string
  */
-export async function storeChallenge(userId, challenge, type, expirationMinutes = 5) {
-  try {
-    const { databases } = await createAdminClient();
-    const databaseId = process.env.CMS_DB_ID;
-    const challengesCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CHALLENGES;
-
-    if (!challengesCollectionId) {
-      throw new Error("CMS_COLLECTION_ID_PASSKEY_CHALLENGES environment variable is required");
-    }
-
-    const expiresAt = new Date(Date.now() + expirationMinutes * 60 * 1000).toISOString();
-
-    const challengeDoc = await databases.createDocument(
-      databaseId,
-      challengesCollectionId,
-      ID.unique(),
-      {
-        userId,
-        challenge,
-        type,
-        expiresAt
-      }
-    );
-
-    return {
-      success: true,
-      challengeId: challengeDoc.$id,
-      message: "Challenge stored successfully"
-    };
-
-  } catch (error) {
-    console.error("Error storing challenge:", error);
-    return {
-      success: false,
-      message: error.message || "Failed to store challenge"
-    };
-  }
+export async function base64urlToHex(base64url) {
+  const buffer = await base64urlToArrayBuffer(base64url);
+  return await uint8ArrayToHex(new Uint8Array(buffer));
 }
 
 /**
- * Retrieve and validate a challenge from the database
- * @param {string} challengeId - Challenge document ID
- * @returns {Promise<{success: boolean, challenge?: any, message?: string}>}
- */
-export async function getChallenge(challengeId) {
-  try {
-    const { databases } = await createAdminClient();
-    const databaseId = process.env.CMS_DB_ID;
-    const challengesCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CHALLENGES;
-
-    if (!challengesCollectionId) {
-      throw new Error("CMS_COLLECTION_ID_PASSKEY_CHALLENGES environment variable is required");
-    }
-
-    const challengeDoc = await databases.getDocument(
-      databaseId,
-      challengesCollectionId,
-      challengeId
-    );
-
-    // Check if challenge has expired
-    if (new Date(challengeDoc.expiresAt) < new Date()) {
-      // Delete expired challenge
-      await databases.deleteDocument(databaseId, challengesCollectionId, challengeId);
-      return {
-        success: false,
-        message: "Challenge has expired"
-      };
-    }
-
-    return {
-      success: true,
-      challenge: challengeDoc,
-      message: "Challenge retrieved successfully"
-    };
-
-  } catch (error) {
-    console.error("Error getting challenge:", error);
-    return {
-      success: false,
-      message: error.message || "Challenge not found or expired"
-    };
-  }
-}
-
-/**
- * Delete a challenge from the database
- * @param {string} challengeId - Challenge document ID
- * @returns {Promise<{success: boolean, message?: string}>}
+ * Convert hex string to base64url string (database format -> WebAuthn credential ID)
+ * @param {string} hex - Hex encoded string
+ * @returns {Promise<string>} - Base64url encoded string
  */
-export async function deleteChallenge(challengeId) {
-  try {
-    const { databases } = await createAdminClient();
-    const databaseId = process.env.CMS_DB_ID;
-    const challengesCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CHALLENGES;
-
-    if (!challengesCollectionId) {
-      throw new Error("CMS_COLLECTION_ID_PASSKEY_CHALLENGES environment variable is required");
-    }
-
-    await databases.deleteDocument(databaseId, challengesCollectionId, challengeId);
-
-    return {
-      success: true,
-      message: "Challenge deleted successfully"
-    };
-
-  } catch (error) {
-    console.error("Error deleting challenge:", error);
-    return {
-      success: false,
-      message: error.message || "Failed to delete challenge"
-    };
-  }
+export async function hexToBase64url(hex) {
+  const bytes = await hexToUint8Array(hex);
+  return await arrayBufferToBase64url(bytes);
 }
 
 /**
- * Store a passkey credential in the database
- * @param {string} userId - User ID
- * @param {Object} credentialData - Credential data from SimpleWebAuthn
- * @returns {Promise<{success: boolean, credentialId?: string, message?: string}>}
+ * Generate a secure random challenge
+ * @returns {Promise<string>} - Base64url encoded challenge
  */
-export async function storeCredential(userId, credentialData) {
-  try {
-    const { databases } = await createAdminClient();
-    const databaseId = process.env.CMS_DB_ID;
-    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
-
-    if (!credentialsCollectionId) {
-      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
-    }
-
-    // Check if credential already exists (application-level uniqueness check)
-    const existingCredential = await getCredentialById(credentialData.credentialId);
-    if (existingCredential.success) {
-      return {
-        success: false,
-        message: "Credential with this ID already exists"
-      };
-    }
-
-    const credentialDoc = await databases.createDocument(
-      databaseId,
-      credentialsCollectionId,
-      ID.unique(),
-      {
-        userId,
-        credentialId: credentialData.credentialId,
-        credentialPublicKey: credentialData.credentialPublicKey,
-        counter: credentialData.counter || 0,
-        deviceType: credentialData.deviceType || 'multiDevice',
-        backedUp: credentialData.backedUp || false,
-        transports: credentialData.transports ? JSON.stringify(credentialData.transports) : null,
-        createdAt: new Date().toISOString()
-      }
-    );
-
-    return {
-      success: true,
-      credentialId: credentialDoc.$id,
-      message: "Credential stored successfully"
-    };
-
-  } catch (error) {
-    console.error("Error storing credential:", error);
-    return {
-      success: false,
-      message: error.message || "Failed to store credential"
-    };
-  }
+export async function generateChallenge() {
+  const challenge = crypto.getRandomValues(new Uint8Array(32));
+  return await arrayBufferToBase64url(challenge.buffer);
 }
 
 /**
@@ -327,74 +167,6 @@ export async function getCredentialById(credentialId) {
   }
 }
 
-/**
- * Update credential counter (for replay attack protection)
- * @param {string} credentialDocId - Credential document ID
- * @param {number} newCounter - New counter value
- * @returns {Promise<{success: boolean, message?: string}>}
- */
-export async function updateCredentialCounter(credentialDocId, newCounter) {
-  try {
-    const { databases } = await createAdminClient();
-    const databaseId = process.env.CMS_DB_ID;
-    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
-
-    if (!credentialsCollectionId) {
-      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
-    }
-
-    await databases.updateDocument(
-      databaseId,
-      credentialsCollectionId,
-      credentialDocId,
-      { counter: newCounter }
-    );
-
-    return {
-      success: true,
-      message: "Counter updated successfully"
-    };
-
-  } catch (error) {
-    console.error("Error updating credential counter:", error);
-    return {
-      success: false,
-      message: error.message || "Failed to update counter"
-    };
-  }
-}
-
-/**
- * Delete a credential
- * @param {string} credentialDocId - Credential document ID
- * @returns {Promise<{success: boolean, message?: string}>}
- */
-export async function deleteCredential(credentialDocId) {
-  try {
-    const { databases } = await createAdminClient();
-    const databaseId = process.env.CMS_DB_ID;
-    const credentialsCollectionId = process.env.CMS_COLLECTION_ID_PASSKEY_CREDENTIALS;
-
-    if (!credentialsCollectionId) {
-      throw new Error("CMS_COLLECTION_ID_PASSKEY_CREDENTIALS environment variable is required");
-    }
-
-    await databases.deleteDocument(databaseId, credentialsCollectionId, credentialDocId);
-
-    return {
-      success: true,
-      message: "Credential deleted successfully"
-    };
-
-  } catch (error) {
-    console.error("Error deleting credential:", error);
-    return {
-      success: false,
-      message: error.message || "Failed to delete credential"
-    };
-  }
-}
-
 /**
  * Get relying party configuration
  * @returns {Promise<Object>} - RP configuration for SimpleWebAuthn
@@ -5,6 +5,7 @@ import {
     getDocuments,
     deleteDocument
 } from './sdk_db';
+import { requireTeam } from './authGuard';
 import { subDays } from 'date-fns';
 /**
  * Fetch payments with pagination, sorting, and filtering
@@ -21,6 +22,11 @@ import { subDays } from 'date-fns';
  */
 const orderPaymentsId = process.env.CMS_COLLECTION_ID_ORDER_PAYMENTS;
 export async function getPayments(options = {}) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         const {
             search = null,
@@ -168,6 +174,11 @@ export async function getPaymentById(paymentId) {
  * @returns {Promise<Object>} - Promise that resolves to success/failure information
  */
 export async function deletePaymentByAdmin(paymentId) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
 
         await deleteDocument(
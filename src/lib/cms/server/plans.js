@@ -3,6 +3,7 @@
 import { Query } from './sdk_client';
 import { createDocument, getDocument, getDocuments, updateDocument, deleteDocument } from './sdk_db';
 import { getPricingByPlan, getDownloadablesByPlan } from './pricing';
+import { requireTeam } from './authGuard';
 
 /**
  * Get a plan by ID
@@ -27,6 +28,11 @@ export async function getPlanById(planId) {
  * @returns {Promise<Object>} The updated plan
  */
 export async function updatePlan(planId, data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   // Add updatedAt timestamp
   const updateData = {
     ...data,
@@ -49,6 +55,11 @@ export async function updatePlan(planId, data) {
  * @returns {Promise<Object>} The created plan
  */
 export async function createPlan(data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   // Add timestamps if not provided
   const planData = {
     ...data,
@@ -72,6 +83,11 @@ export async function createPlan(data) {
  * @returns {Promise<Object>} The result of the deletion
  */
 export async function deletePlan(planId) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await deleteDocument(process.env.CMS_COLLECTION_ID_PRODUCT_PLANS, planId);
 
   if (!response.success) {
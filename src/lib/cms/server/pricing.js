@@ -2,6 +2,7 @@
 
 import { ID } from './sdk_client';
 import { createDocument, getDocument, updateDocument, deleteDocument, getDocumentsByRelation } from './sdk_db';
+import { requireTeam } from './authGuard';
 
 /**
  * Creates a new pricing option
@@ -9,6 +10,11 @@ import { createDocument, getDocument, updateDocument, deleteDocument, getDocumen
  * @returns {Promise<Object>} The created pricing document
  */
 export async function createPricing(data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   // Ensure required fields are present
   if (!data.plan || !data.name || !data.pricingModel) {
     throw new Error('Missing required fields for pricing creation');
@@ -202,6 +208,11 @@ export async function createPricing(data) {
  * @returns {Promise<Object>} The created downloadable document
  */
 export async function createDownloadable(data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   // Ensure required fields are present
   if (!data.plan || !data.fileName || !data.fileID || !data.fileUrl) {
     throw new Error('Missing required fields for downloadable file creation');
@@ -280,6 +291,11 @@ export async function getPricingById(pricingId) {
  * @returns {Promise<Object>} The updated pricing document
  */
 export async function updatePricing(pricingId, data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   // Add updatedAt timestamp
   const updateData = {
     ...data,
@@ -309,6 +325,11 @@ export async function updatePricing(pricingId, data) {
  * @returns {Promise<Object>} The result of the deletion operation
  */
 export async function deletePricing(pricingId) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await deleteDocument(process.env.CMS_COLLECTION_ID_PRODUCT_PLAN_PRICING, pricingId);
 
   if (!response.success) {
@@ -325,6 +346,11 @@ export async function deletePricing(pricingId) {
  * @returns {Promise<Object>} The result of the deletion operation
  */
 export async function deleteDownloadable(downloadableId) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await deleteDocument(process.env.CMS_COLLECTION_ID_PRODUCT_PLAN_FILES, downloadableId);
 
   if (!response.success) {
@@ -2,6 +2,7 @@
 
 import { createDocument, getDocument, getDocuments, updateDocument, deleteDocument, getDocumentByField } from './sdk_db';
 import { Query } from './sdk_client';
+import { requireTeam } from './authGuard';
 /**
  * Get all products with search and filtering support
  * @returns {Promise<Object>} Object containing products array and total count
@@ -150,6 +151,11 @@ export async function getProduct(id) {
  * @returns {Promise<Object>} The created product
  */
 export async function createProduct(data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await createDocument(process.env.CMS_COLLECTION_ID_PRODUCTS, data);
 
   if (!response.success) {
@@ -167,6 +173,11 @@ export async function createProduct(data) {
  * @returns {Promise<Object>} The updated product
  */
 export async function updateProduct(id, data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await updateDocument(process.env.CMS_COLLECTION_ID_PRODUCTS, id, data);
 
   if (!response.success) {
@@ -183,6 +194,11 @@ export async function updateProduct(id, data) {
  * @returns {Promise<Object>} The result of the deletion
  */
 export async function deleteProduct(id) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await deleteDocument(process.env.CMS_COLLECTION_ID_PRODUCTS, id);
 
   if (!response.success) {
@@ -0,0 +1,436 @@
+// src/lib/cms/server/provisioning.js
+
+import { createHash } from 'crypto';
+import { createAdminClient, ID, Query } from './sdk_client';
+import { addUserToTeam, setupCompanyTeam } from './teamMembership';
+import { createVerificationToken } from './domainVerification';
+// import { createCustomer } from "@/lib/stripe/server/customers";
+
+/**
+ * Team provisioning rules for new users
+ *
+ * Every user-creation path (password, SSO and passkey sign-ups, admin-created
+ * users) calls provisionNewUser, which sets the user's preferences, adds them
+ * to the visitor team and then places them by their email domain:
+ *
+ * - free-mail domain (the admin-editable list; DEFAULT_FREE_MAIL_DOMAINS while
+ *   no domain is stored): the shared "individual" team
+ * - company domain claimed by a team and verified: that team, with the team's
+ *   default role ("member"), or, when the team's join mode is "approval", a
+ *   join request an admin approves or rejects (provisioning_admin.js)
+ * - unclaimed company domain: a new company team owned by the user, with a
+ *   pending claim on the domain; until the owner verifies it with a DNS TXT
+ *   record (domain_server.js) or an admin does, later sign-ups from the domain
+ *   don't join
+ * - domain with a pending claim: the individual team
+ *
+ * Only verified domains count: they alone enable auto-join, the team's SSO
+ * requirement (isSsoRequiredForEmail) and company download access
+ * (getVerifiedCompanyTeamIds).
+ *
+ * Free-mail domains and claims share one collection (CMS_COLLECTION_ID_EMAIL_DOMAINS),
+ * keyed by a hash of the domain so a domain can only be listed once. The join
+ * mode, default role and SSO requirement of a team live in its preferences
+ * (joinMode, defaultRole, ssoRequired).
+ */
+
+export const DEFAULT_FREE_MAIL_DOMAINS = [
+  'gmail.com', 'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com',
+  'protonmail.com', 'aol.com', 'zoho.com', 'yandex.com', 'mail.com'
+];
+
+export const TEAM_JOIN_MODES = ['auto', 'approval'];
+export const DEFAULT_TEAM_ROLE = 'member';
+
+const INDIVIDUAL_TEAM = { teamId: 'individual', teamName: 'Individual', role: 'individual' };
+
+const getEmailDomainsCollectionId = () => process.env.CMS_COLLECTION_ID_EMAIL_DOMAINS || "emailDomains";
+const getJoinRequestsCollectionId = () => process.env.CMS_COLLECTION_ID_TEAM_JOIN_REQUESTS || "teamJoinRequests";
+
+/**
+ * Lower-case a domain and strip surrounding whitespace and dots
+ * @param {string} domain - Domain as entered
+ * @returns {string}
+ */
+export function normalizeDomain(domain) {
+  return String(domain || '').trim().toLowerCase().replace(/^\.+|\.+$/g, '');
+}
+
+/**
+ * Check that a string looks like a domain name
+ * @param {string} domain - Normalized domain
+ * @returns {boolean}
+ */
+export function isValidDomain(domain) {
+  return domain.length <= 253 && /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(domain);
+}
+
+/**
+ * Check that a string can be used as a team role
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+export function isValidTeamRole(role) {
+  return /^[a-z0-9_-]{1,32}$/.test(role || '');
+}
+
+/**
+ * Document ID of a domain in the email domains collection
+ * @param {string} domain - Normalized domain
+ * @returns {string} - 36 hex characters (the longest Appwrite ID)
+ */
+export function getDomainDocumentId(domain) {
+  return createHash('sha256').update(domain).digest('hex').substring(0, 36);
+}
+
+/**
+ * Team ID derived from a company domain ("example.com" -> "com_example_com")
+ * @param {string} domain - Normalized domain
+ * @returns {string}
+ */
+export function getCompanyTeamId(domain) {
+  return `com_${domain.replace(/[^a-z0-9]/g, '_')}`.substring(0, 36);
+}
+
+/**
+ * Company name derived from a domain ("example.com" -> "Example")
+ * @param {string} domain - Normalized domain
+ * @returns {string}
+ */
+const getCompanyName = (domain) => {
+  const name = domain.split('.')[0];
+  return name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+/**
+ * Join mode, default role and SSO requirement of a team
+ * @param {Object} prefs - Team preferences
+ * @returns {{joinMode: string, defaultRole: string, ssoRequired: boolean}}
+ */
+export function getTeamJoinSettings(prefs = {}) {
+  return {
+    joinMode: TEAM_JOIN_MODES.includes(prefs.joinMode) ? prefs.joinMode : 'auto',
+    defaultRole: isValidTeamRole(prefs.defaultRole) ? prefs.defaultRole : DEFAULT_TEAM_ROLE,
+    ssoRequired: prefs.ssoRequired === true
+  };
+}
+
+/**
+ * Look up the entry of a domain (free-mail or claim)
+ * @param {string} domain - Normalized domain
+ * @returns {Promise<Object|null>} - Domain document, null when the domain isn't listed
+ * @throws {Error} - If the lookup fails for another reason
+ */
+export async function getDomainEntry(domain) {
+  const { databases } = await createAdminClient();
+  try {
+    return await databases.getDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), getDomainDocumentId(domain));
+  } catch (error) {
+    if (error.code === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load the free-mail domain list
+ * @returns {Promise<{domains: Array<{id: string|null, domain: string}>, isDefault: boolean}>} -
+ *   isDefault is true while no domain is stored and the built-in list applies
+ */
+export async function getFreeMailDomains() {
+  const { databases } = await createAdminClient();
+  const result = await databases.listDocuments(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), [
+    Query.equal('type', 'free_mail'),
+    Query.orderAsc('domain'),
+    Query.limit(5000)
+  ]);
+
+  if (result.total === 0) {
+    return {
+      domains: DEFAULT_FREE_MAIL_DOMAINS.map(domain => ({ id: null, domain })),
+      isDefault: true
+    };
+  }
+  return {
+    domains: result.documents.map(doc => ({ id: doc.$id, domain: doc.domain })),
+    isDefault: false
+  };
+}
+
+/**
+ * Record a pending claim of a team on a domain
+ * @param {string} domain - Normalized domain
+ * @param {string} teamId - Claiming team
+ * @param {string|null} claimedBy - User who caused the claim
+ * @returns {Promise<boolean>} - False when the domain is already listed
+ */
+async function createPendingClaim(domain, teamId, claimedBy) {
+  const { databases } = await createAdminClient();
+  try {
+    await databases.createDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), getDomainDocumentId(domain), {
+      domain,
+      type: 'company',
+      teamId,
+      status: 'pending',
+      claimedBy,
+      verificationToken: createVerificationToken(),
+      createdAt: new Date().toISOString()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 409) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Ask a team's admins to let a new user in
+ * @param {Object} params
+ * @param {string} params.teamId - Team the user wants to join
+ * @param {string} params.userId - New user
+ * @param {string} params.email - User's email
+ * @param {string} params.role - Role the user gets when approved
+ * @param {string} params.hostURL - Base URL for the membership confirmation link
+ * @returns {Promise<Object>} - Join request document
+ */
+async function createJoinRequest({ teamId, userId, email, role, hostURL }) {
+  const { databases } = await createAdminClient();
+  return await databases.createDocument(process.env.CMS_DB_ID, getJoinRequestsCollectionId(), ID.unique(), {
+    teamId,
+    userId,
+    email,
+    role,
+    hostURL,
+    status: 'pending',
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Decide which team a new user belongs in by their email domain, creating a
+ * company team and its pending claim for the first sign-up from a domain
+ * @param {Object} params
+ * @param {string} params.userId - New user
+ * @param {string} params.email - User's email
+ * @param {string} params.domain - Normalized email domain
+ * @param {string} params.hostURL - Base URL for team confirmation links
+ * @returns {Promise<{teamId: string|null, teamName: string, joined: boolean, joinRequestId?: string}>}
+ */
+async function placeInTeam({ userId, email, domain, hostURL }) {
+  let entry;
+  try {
+    entry = await getDomainEntry(domain);
+  } catch (error) {
+    // Without the rules nobody auto-joins a company; the built-in list still applies
+    console.error(`[Provisioning] Failed to look up ${domain}:`, error);
+    entry = DEFAULT_FREE_MAIL_DOMAINS.includes(domain) ? { type: 'free_mail' } : { type: 'company', status: 'unknown' };
+  }
+
+  const joinIndividual = async () => {
+    const result = await setupCompanyTeam(INDIVIDUAL_TEAM.teamId, INDIVIDUAL_TEAM.teamName, userId, email, hostURL, INDIVIDUAL_TEAM.role, domain);
+    if (!result.success) {
+      console.warn(`[Provisioning] Team setup warning: ${result.message}`);
+    }
+    return { teamId: INDIVIDUAL_TEAM.teamId, teamName: INDIVIDUAL_TEAM.teamName, joined: result.success };
+  };
+
+  if (!entry) {
+    const freeMail = await getFreeMailDomains();
+    if (freeMail.isDefault && DEFAULT_FREE_MAIL_DOMAINS.includes(domain)) {
+      entry = { type: 'free_mail' };
+    }
+  }
+
+  if (entry?.type === 'free_mail') {
+    return await joinIndividual();
+  }
+
+  const { teams } = await createAdminClient();
+
+  if (!entry) {
+    const teamId = getCompanyTeamId(domain);
+    let teamExists = true;
+    try {
+      await teams.get(teamId);
+    } catch (error) {
+      if (error.code !== 404) {
+        throw error;
+      }
+      teamExists = false;
+    }
+
+    const claimed = await createPendingClaim(domain, teamId, teamExists ? null : userId);
+    // Lost a race with another sign-up from the domain, or the team was made
+    // before domain claims existed: it takes no one new until it's verified
+    if (!claimed || teamExists) {
+      return await joinIndividual();
+    }
+
+    const teamName = getCompanyName(domain);
+    const result = await setupCompanyTeam(teamId, teamName, userId, email, hostURL, 'owner', domain);
+    if (!result.success) {
+      console.warn(`[Provisioning] Team setup warning: ${result.message}`);
+    }
+    return { teamId, teamName, joined: result.success };
+  }
+
+  if (entry.status !== 'verified') {
+    return await joinIndividual();
+  }
+
+  const team = await teams.get(entry.teamId);
+  const { joinMode, defaultRole } = getTeamJoinSettings(team.prefs);
+
+  if (joinMode === 'approval') {
+    const request = await createJoinRequest({ teamId: team.$id, userId, email, role: defaultRole, hostURL });
+    return { teamId: team.$id, teamName: team.name, joined: false, joinRequestId: request.$id };
+  }
+
+  const result = await addUserToTeam(team.$id, userId, email, hostURL, [defaultRole]);
+  if (!result.success) {
+    console.warn(`[Provisioning] Failed to add ${userId} to ${team.$id}: ${result.message}`);
+  }
+  return { teamId: team.$id, teamName: team.name, joined: result.success };
+}
+
+/**
+ * Check whether an email address must sign in with SSO: its domain is verified
+ * for a team that requires SSO
+ * Fails open when the rules can't be read, like the other sign-in checks
+ * @param {string} email - Email address
+ * @returns {Promise<{required: boolean, teamId?: string}>}
+ */
+export async function isSsoRequiredForEmail(email) {
+  const domain = normalizeDomain(String(email || '').split('@')[1]);
+  if (!domain) {
+    return { required: false };
+  }
+
+  try {
+    const entry = await getDomainEntry(domain);
+    if (entry?.type !== 'company' || entry.status !== 'verified') {
+      return { required: false };
+    }
+
+    const { teams } = await createAdminClient();
+    const team = await teams.get(entry.teamId);
+    return getTeamJoinSettings(team.prefs).ssoRequired
+      ? { required: true, teamId: entry.teamId }
+      : { required: false };
+  } catch (error) {
+    console.error(`[Provisioning] Failed to check the SSO requirement of ${domain}:`, error);
+    return { required: false };
+  }
+}
+
+/**
+ * Keep the teams that have at least one verified domain
+ * @param {string[]} teamIds - Team IDs
+ * @returns {Promise<string[]>}
+ */
+export async function getVerifiedCompanyTeamIds(teamIds) {
+  if (!teamIds?.length) {
+    return [];
+  }
+
+  const { databases } = await createAdminClient();
+  const result = await databases.listDocuments(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), [
+    Query.equal('type', 'company'),
+    Query.equal('status', 'verified'),
+    Query.equal('teamId', teamIds),
+    Query.limit(5000)
+  ]);
+
+  const verified = new Set(result.documents.map(doc => doc.teamId));
+  return teamIds.filter(teamId => verified.has(teamId));
+}
+
+/**
+ * Sets up preferences and team memberships for a newly created user.
+ * Shared by every user-creation path so the provisioning rules apply to all.
+ * @param {Object} newUser - Created user (only `$id` is required)
+ * @param {Object} params
+ * @param {string} params.email - User's email address
+ * @param {string} params.name - Optional display name
+ * @param {string} params.firstName - Optional: first name when it isn't the first word of name
+ * @param {string} params.lastName - Optional: last name when it isn't the second word of name
+ * @param {string} params.hostURL - Base URL for team confirmation links
+ * @param {string} params.authMethod - 'password', 'sso', 'passkey' or 'admin'
+ * @param {string} params.company - Optional company name (defaults to the team's)
+ * @returns {Promise<{teamId: string|null, company: string, domain: string, joined: boolean, joinRequestId?: string}>}
+ */
+export async function provisionNewUser(newUser, { email, name = "", firstName, lastName, hostURL, authMethod, company }) {
+  // // Create Stripe customer - use name if available, otherwise default to username
+  // const stripeResponse = await createCustomer(email, name || email.split("@")[0].toLowerCase(), {
+  //     uid: newUser.$id,
+  // });
+
+  const domain = normalizeDomain(email.split("@")[1]);
+
+  // Add user to visitor team
+  const visitorTeamId = process.env.CMS_TEAM_ID_VISITOR;
+  if (!visitorTeamId) {
+    throw new Error("VISITOR_TEAM_ID is not set in environment variables.");
+  }
+  await addUserToTeam(visitorTeamId, newUser.$id, email, hostURL);
+
+  // Company, individual or pending join request, by the rules above
+  let placement;
+  try {
+    placement = await placeInTeam({ userId: newUser.$id, email, domain, hostURL });
+  } catch (error) {
+    // Continue with registration even if team setup has issues
+    console.error(`[Provisioning] Failed to place ${newUser.$id} in a team:`, error);
+    placement = { teamId: null, teamName: INDIVIDUAL_TEAM.teamName, joined: false };
+  }
+  const companyName = company || placement.teamName;
+
+  const { users } = await createAdminClient();
+  const currentPrefs = await users.getPrefs(newUser.$id);
+  await users.updatePrefs(newUser.$id, {
+    ...currentPrefs,
+    firstName: firstName ?? (name?.split(" ")[0] || ""),
+    lastName: lastName ?? (name?.split(" ")[1] || ""),
+    company: companyName,
+    domain,
+    // stripeCustomerId: stripeResponse.data,
+    stripeCustomerId: "",
+    notificationEmails: "True",
+    notificationsPush: "True",
+    notificationsMarketingEmail: "True",
+    notificationsTipsEmail: "True",
+    themeColor: "System",
+    SSO: authMethod === 'sso' ? "True" : "", // Track if user registered via SSO
+    passkeyOnly: authMethod === 'passkey' ? "True" : "" // Track users created without a password
+  });
+
+  return { ...placement, company: companyName, domain };
+}
+
+/**
+ * Provisions a user on their first SSO sign-in.
+ * Only call this after the OAuth2 token has been exchanged for a session: the
+ * email and name are read from the Appwrite user, never from the browser.
+ * Users that already have preferences were provisioned before and are skipped.
+ * @param {string} userId - User ID of the exchanged SSO session
+ * @param {string} hostURL - Base URL for team confirmation links
+ * @returns {Promise<{provisioned: boolean}>}
+ */
+export async function provisionSSOUser(userId, hostURL) {
+  const { users } = await createAdminClient();
+  const user = await users.get(userId);
+  if (user.prefs && Object.keys(user.prefs).length > 0) {
+    return { provisioned: false };
+  }
+
+  await provisionNewUser(user, {
+    email: user.email,
+    name: user.name,
+    hostURL,
+    authMethod: 'sso'
+  });
+  return { provisioned: true };
+}
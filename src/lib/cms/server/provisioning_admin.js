@@ -0,0 +1,420 @@
+// src/lib/cms/server/provisioning_admin.js
+"use server";
+
+import { createAdminClient, Query } from './sdk_client';
+import { requireTeam } from './authGuard';
+import { addUserToTeam, setupCompanyTeam } from './teamMembership';
+import { createVerificationToken } from './domainVerification';
+import {
+  DEFAULT_FREE_MAIL_DOMAINS,
+  TEAM_JOIN_MODES,
+  normalizeDomain,
+  isValidDomain,
+  isValidTeamRole,
+  getDomainDocumentId,
+  getDomainEntry,
+  getFreeMailDomains,
+  getTeamJoinSettings
+} from './provisioning';
+
+/**
+ * Admin management of the provisioning rules (see provisioning.js):
+ * the free-mail domain list, company domain claims, team join settings and
+ * join requests of teams in approval mode
+ */
+
+const getEmailDomainsCollectionId = () => process.env.CMS_COLLECTION_ID_EMAIL_DOMAINS || "emailDomains";
+const getJoinRequestsCollectionId = () => process.env.CMS_COLLECTION_ID_TEAM_JOIN_REQUESTS || "teamJoinRequests";
+
+/**
+ * Standard handler for provisioning operations
+ * @param {Function} operation - Async function to execute
+ * @param {string} errorMessage - Default error message
+ */
+const handleProvisioningOperation = async (operation, errorMessage) => {
+  try {
+    const response = await operation();
+    return {
+      success: true,
+      data: response
+    };
+  } catch (error) {
+    console.error(`[Provisioning] ${errorMessage}:`, error);
+    return {
+      success: false,
+      message: error.message || errorMessage
+    };
+  }
+};
+
+/**
+ * Normalize and validate a domain entered by an admin
+ * @param {string} domain - Domain as entered
+ * @returns {string} - Normalized domain
+ * @throws {Error} - If it isn't a domain name
+ */
+const requireValidDomain = (domain) => {
+  const normalized = normalizeDomain(domain);
+  if (!isValidDomain(normalized)) {
+    throw new Error(`"${domain}" is not a valid domain`);
+  }
+  return normalized;
+};
+
+/**
+ * Store the built-in free-mail list so it can be edited entry by entry
+ * @param {Object} databases - Appwrite Databases service
+ */
+async function storeDefaultFreeMailDomains(databases) {
+  for (const domain of DEFAULT_FREE_MAIL_DOMAINS) {
+    try {
+      await databases.createDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), getDomainDocumentId(domain), {
+        domain,
+        type: 'free_mail',
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      // Claimed by a company in the meantime, which wins
+      if (error.code !== 409) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Get the free-mail domain list
+ * @returns {Promise<{success: boolean, data?: {domains: Array, isDefault: boolean}, message?: string}>}
+ */
+export async function listFreeMailDomains() {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(
+    () => getFreeMailDomains(),
+    "Failed to load free-mail domains"
+  );
+}
+
+/**
+ * Add a domain to the free-mail list
+ * Sign-ups from it join the individual team instead of a company team
+ * @param {string} domain - Domain to add
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function addFreeMailDomain(domain) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(async () => {
+    const normalized = requireValidDomain(domain);
+    const { databases } = await createAdminClient();
+
+    const existing = await getDomainEntry(normalized);
+    if (existing) {
+      throw new Error(existing.type === 'free_mail'
+        ? `${normalized} is already on the free-mail list`
+        : `${normalized} is claimed by team ${existing.teamId}; remove the claim first`);
+    }
+
+    if ((await getFreeMailDomains()).isDefault) {
+      await storeDefaultFreeMailDomains(databases);
+    }
+
+    return await databases.createDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), getDomainDocumentId(normalized), {
+      domain: normalized,
+      type: 'free_mail',
+      createdAt: new Date().toISOString()
+    });
+  }, "Failed to add free-mail domain");
+}
+
+/**
+ * Remove a domain from the free-mail list
+ * Removing the last domain brings back the built-in list
+ * @param {string} domain - Domain to remove
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function removeFreeMailDomain(domain) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(async () => {
+    const normalized = normalizeDomain(domain);
+    const { databases } = await createAdminClient();
+
+    if ((await getFreeMailDomains()).isDefault) {
+      await storeDefaultFreeMailDomains(databases);
+    }
+
+    const existing = await getDomainEntry(normalized);
+    if (existing?.type !== 'free_mail') {
+      throw new Error(`${normalized} is not on the free-mail list`);
+    }
+
+    await databases.deleteDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), existing.$id);
+    return { domain: normalized };
+  }, "Failed to remove free-mail domain");
+}
+
+/**
+ * List company domain claims with the join settings of their teams
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - 'pending' or 'verified'
+ * @returns {Promise<{success: boolean, data?: Array, message?: string}>}
+ */
+export async function listDomainClaims(filters = {}) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(async () => {
+    const { databases, teams } = await createAdminClient();
+
+    const queries = [
+      Query.equal('type', 'company'),
+      Query.orderAsc('domain'),
+      Query.limit(500)
+    ];
+    if (filters.status) queries.push(Query.equal('status', filters.status));
+
+    const result = await databases.listDocuments(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), queries);
+
+    const teamCache = new Map();
+    return await Promise.all(result.documents.map(async (doc) => {
+      if (!teamCache.has(doc.teamId)) {
+        teamCache.set(doc.teamId, teams.get(doc.teamId).catch(() => null));
+      }
+      const team = await teamCache.get(doc.teamId);
+
+      return {
+        id: doc.$id,
+        domain: doc.domain,
+        teamId: doc.teamId,
+        teamName: team?.name || null,
+        status: doc.status,
+        claimedBy: doc.claimedBy || null,
+        verifiedAt: doc.verifiedAt || null,
+        verifiedBy: doc.verifiedBy || null,
+        verificationMethod: doc.verificationMethod || null,
+        createdAt: doc.createdAt,
+        ...getTeamJoinSettings(team?.prefs)
+      };
+    }));
+  }, "Failed to load domain claims");
+}
+
+/**
+ * Claim a domain for a team (creating the team if it doesn't exist)
+ * @param {Object} params
+ * @param {string} params.domain - Domain to claim
+ * @param {string} params.teamId - Team ID
+ * @param {string} params.teamName - Name for the team if it's created
+ * @param {boolean} params.verified - Verify the claim right away
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function claimDomainForTeam({ domain, teamId, teamName, verified = false }) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(async () => {
+    const normalized = requireValidDomain(domain);
+    if (!teamId) {
+      throw new Error("Team ID is required");
+    }
+
+    const { databases, teams } = await createAdminClient();
+
+    const existing = await getDomainEntry(normalized);
+    if (existing) {
+      throw new Error(existing.type === 'free_mail'
+        ? `${normalized} is on the free-mail list; remove it first`
+        : `${normalized} is already claimed by team ${existing.teamId}`);
+    }
+
+    try {
+      await teams.get(teamId);
+    } catch (error) {
+      if (error.code !== 404) {
+        throw error;
+      }
+      await teams.create(teamId, teamName || teamId);
+      await teams.updatePrefs(teamId, { domain: normalized });
+    }
+
+    const now = new Date().toISOString();
+    return await databases.createDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), getDomainDocumentId(normalized), {
+      domain: normalized,
+      type: 'company',
+      teamId,
+      status: verified ? 'verified' : 'pending',
+      claimedBy: guard.user.userId,
+      verifiedAt: verified ? now : null,
+      verifiedBy: verified ? guard.user.userId : null,
+      verificationMethod: verified ? 'admin' : null,
+      verificationToken: createVerificationToken(),
+      createdAt: now
+    });
+  }, "Failed to claim domain");
+}
+
+/**
+ * Verify a pending domain claim without a DNS check, or set a verified one back to pending
+ * @param {string} claimId - Claim document ID
+ * @param {boolean} verified - New state
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function setDomainClaimVerified(claimId, verified) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(async () => {
+    const { databases } = await createAdminClient();
+    const claim = await databases.getDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), claimId);
+    if (claim.type !== 'company') {
+      throw new Error(`${claim.domain} is not a company domain`);
+    }
+
+    return await databases.updateDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), claimId, {
+      status: verified ? 'verified' : 'pending',
+      verifiedAt: verified ? new Date().toISOString() : null,
+      verifiedBy: verified ? guard.user.userId : null,
+      verificationMethod: verified ? 'admin' : null
+    });
+  }, "Failed to update domain claim");
+}
+
+/**
+ * Remove a domain claim; the team and its members stay
+ * @param {string} claimId - Claim document ID
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function removeDomainClaim(claimId) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(async () => {
+    const { databases } = await createAdminClient();
+    const claim = await databases.getDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), claimId);
+    if (claim.type !== 'company') {
+      throw new Error(`${claim.domain} is not a company domain`);
+    }
+
+    await databases.deleteDocument(process.env.CMS_DB_ID, getEmailDomainsCollectionId(), claimId);
+    return { domain: claim.domain };
+  }, "Failed to remove domain claim");
+}
+
+/**
+ * Set how new users from a team's verified domains join it and sign in
+ * @param {string} teamId - Team ID
+ * @param {Object} settings
+ * @param {string} settings.joinMode - 'auto' or 'approval'
+ * @param {string} settings.defaultRole - Role new members get
+ * @param {boolean} settings.ssoRequired - Emails on the team's verified domains must use SSO
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function updateTeamJoinSettings(teamId, { joinMode, defaultRole, ssoRequired = false }) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(async () => {
+    if (!TEAM_JOIN_MODES.includes(joinMode)) {
+      throw new Error(`Join mode must be one of: ${TEAM_JOIN_MODES.join(', ')}`);
+    }
+    if (!isValidTeamRole(defaultRole)) {
+      throw new Error("Default role may only use lower-case letters, digits, - and _ (up to 32 characters)");
+    }
+
+    const { teams } = await createAdminClient();
+    const prefs = await teams.getPrefs(teamId);
+    await teams.updatePrefs(teamId, { ...prefs, joinMode, defaultRole, ssoRequired: ssoRequired === true });
+    return { teamId, joinMode, defaultRole, ssoRequired: ssoRequired === true };
+  }, "Failed to update team join settings");
+}
+
+/**
+ * List join requests, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - 'pending', 'approved' or 'rejected' (default 'pending')
+ * @returns {Promise<{success: boolean, data?: Array, message?: string}>}
+ */
+export async function listJoinRequests(filters = {}) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(async () => {
+    const { databases } = await createAdminClient();
+    const result = await databases.listDocuments(process.env.CMS_DB_ID, getJoinRequestsCollectionId(), [
+      Query.equal('status', filters.status || 'pending'),
+      Query.orderDesc('createdAt'),
+      Query.limit(100)
+    ]);
+
+    return result.documents.map(doc => ({
+      id: doc.$id,
+      teamId: doc.teamId,
+      userId: doc.userId,
+      email: doc.email,
+      role: doc.role,
+      status: doc.status,
+      decidedAt: doc.decidedAt || null,
+      decidedBy: doc.decidedBy || null,
+      createdAt: doc.createdAt
+    }));
+  }, "Failed to load join requests");
+}
+
+/**
+ * Approve or reject a join request
+ * Approved users join the team with the requested role, rejected ones the
+ * individual team
+ * @param {string} requestId - Join request document ID
+ * @param {boolean} approve - Approve (true) or reject (false)
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function decideJoinRequest(requestId, approve) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  return handleProvisioningOperation(async () => {
+    const { databases } = await createAdminClient();
+    const request = await databases.getDocument(process.env.CMS_DB_ID, getJoinRequestsCollectionId(), requestId);
+    if (request.status !== 'pending') {
+      throw new Error("This join request has already been decided");
+    }
+
+    const hostURL = request.hostURL || process.env.PASSKEY_ORIGIN;
+    const result = approve
+      ? await addUserToTeam(request.teamId, request.userId, request.email, hostURL, [request.role])
+      : await setupCompanyTeam('individual', 'Individual', request.userId, request.email, hostURL, 'individual', request.email.split('@')[1]);
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    return await databases.updateDocument(process.env.CMS_DB_ID, getJoinRequestsCollectionId(), requestId, {
+      status: approve ? 'approved' : 'rejected',
+      decidedAt: new Date().toISOString(),
+      decidedBy: guard.user.userId
+    });
+  }, "Failed to decide join request");
+}
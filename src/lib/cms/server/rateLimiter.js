@@ -0,0 +1,366 @@
+// src/lib/cms/server/rateLimiter.js
+
+import { createHash } from 'crypto';
+import { createAdminClient } from './sdk_client';
+import { getRequestContext } from './requestContext';
+
+/**
+ * Rate limiting and lockout for authentication endpoints
+ *
+ * Each action has a policy with per-identifier limits (ip, email, credentialId,
+ * userId). 'attempts' policies count every call (e.g. anonymous challenge
+ * generation), 'failures' policies only count failed attempts and are reset by
+ * the caller on success. Past half the limit every counted attempt adds an
+ * exponential backoff; reaching the limit locks the identifier out, and repeat
+ * lockouts double in length.
+ *
+ * Stores (RATE_LIMIT_STORE):
+ * - memory:   per-process Map; fine for a single instance
+ * - appwrite: shared collection (CMS_COLLECTION_ID_RATE_LIMITS) for multiple instances
+ */
+
+const RATE_LIMIT_POLICIES = {
+  password_login: { mode: 'failures', windowSeconds: 900, limits: { ip: 20, email: 5 } },
+  password_recovery: { mode: 'attempts', windowSeconds: 3600, limits: { ip: 10, email: 3 } },
+  password_reset: { mode: 'failures', windowSeconds: 3600, limits: { ip: 10, userId: 5 } },
+  registration: { mode: 'attempts', windowSeconds: 3600, limits: { ip: 10, email: 3 } },
+  passkey_options: { mode: 'attempts', windowSeconds: 300, limits: { ip: 30, email: 10 } },
+  passkey_login: { mode: 'failures', windowSeconds: 900, limits: { ip: 20, credentialId: 5 } },
+  passkey_registration_options: { mode: 'attempts', windowSeconds: 3600, limits: { ip: 20, email: 10 } },
+  passkey_registration: { mode: 'failures', windowSeconds: 3600, limits: { ip: 10, email: 5 } },
+  step_up: { mode: 'failures', windowSeconds: 900, limits: { ip: 20, userId: 5 } },
+  second_factor: { mode: 'failures', windowSeconds: 900, limits: { ip: 20, userId: 5 } },
+  recovery_code_login: { mode: 'failures', windowSeconds: 3600, limits: { ip: 10, email: 5 } },
+  magic_link: { mode: 'attempts', windowSeconds: 3600, limits: { ip: 10, email: 3 } },
+  magic_link_login: { mode: 'failures', windowSeconds: 900, limits: { ip: 20 } },
+  sso_login: { mode: 'failures', windowSeconds: 900, limits: { ip: 20 } },
+  domain_verification: { mode: 'attempts', windowSeconds: 3600, limits: { ip: 30, userId: 10 } },
+  team_invitation: { mode: 'attempts', windowSeconds: 3600, limits: { ip: 30, userId: 20, email: 3 } },
+  team_invitation_accept: { mode: 'failures', windowSeconds: 900, limits: { ip: 20 } }
+};
+
+const BACKOFF_MAX_SECONDS = 60;
+const LOCKOUT_BASE_SECONDS = 300; // first lockout: 5 minutes
+const LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+const LOCKOUT_MEMORY_SECONDS = 24 * 60 * 60; // escalation is forgotten after a quiet day
+const MEMORY_STORE_MAX_ENTRIES = 10000;
+
+/**
+ * In-memory store (per server process)
+ * @returns {Object} Store with get/set/delete
+ */
+export function createMemoryRateLimitStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const record = entries.get(key);
+      if (record && record.expiresAt < Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return record || null;
+    },
+    async set(key, record) {
+      // Map keeps insertion order, so the first key is the least recently written
+      entries.delete(key);
+      if (entries.size >= MEMORY_STORE_MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, record);
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Appwrite collection store (shared between server instances)
+ * @returns {Object} Store with get/set/delete
+ */
+export function createAppwriteRateLimitStore() {
+  const collectionId = () => process.env.CMS_COLLECTION_ID_RATE_LIMITS || "authRateLimits";
+  // Document IDs are limited to 36 characters, so keys are hashed
+  const documentId = (key) => createHash('sha256').update(key).digest('hex').substring(0, 36);
+
+  const toDocument = (key, record) => ({
+    key: key.substring(0, 255),
+    count: record.count,
+    lockouts: record.lockouts,
+    windowStart: new Date(record.windowStart).toISOString(),
+    blockedUntil: new Date(record.blockedUntil).toISOString(),
+    updatedAt: new Date(record.updatedAt).toISOString(),
+    expiresAt: new Date(record.expiresAt).toISOString()
+  });
+
+  return {
+    async get(key) {
+      const { databases } = await createAdminClient();
+      try {
+        const doc = await databases.getDocument(process.env.CMS_DB_ID, collectionId(), documentId(key));
+        const record = {
+          count: doc.count,
+          lockouts: doc.lockouts,
+          windowStart: new Date(doc.windowStart).getTime(),
+          blockedUntil: new Date(doc.blockedUntil).getTime(),
+          updatedAt: new Date(doc.updatedAt).getTime(),
+          expiresAt: new Date(doc.expiresAt).getTime()
+        };
+        return record.expiresAt < Date.now() ? null : record;
+      } catch (error) {
+        if (error.code === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async set(key, record) {
+      const { databases } = await createAdminClient();
+      const data = toDocument(key, record);
+      try {
+        await databases.updateDocument(process.env.CMS_DB_ID, collectionId(), documentId(key), data);
+      } catch (error) {
+        if (error.code !== 404) {
+          throw error;
+        }
+        try {
+          await databases.createDocument(process.env.CMS_DB_ID, collectionId(), documentId(key), data);
+        } catch (createError) {
+          // Another request created it first
+          if (createError.code !== 409) {
+            throw createError;
+          }
+          await databases.updateDocument(process.env.CMS_DB_ID, collectionId(), documentId(key), data);
+        }
+      }
+    },
+    async delete(key) {
+      const { databases } = await createAdminClient();
+      try {
+        await databases.deleteDocument(process.env.CMS_DB_ID, collectionId(), documentId(key));
+      } catch (error) {
+        if (error.code !== 404) {
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+let activeStore = null;
+
+/**
+ * Get the configured store (created once per process)
+ * @returns {Object} Rate limit store
+ */
+function getStore() {
+  if (!activeStore) {
+    activeStore = process.env.RATE_LIMIT_STORE === 'appwrite'
+      ? createAppwriteRateLimitStore()
+      : createMemoryRateLimitStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the store, e.g. with a custom implementation ({ get, set, delete })
+ * @param {Object} store - Rate limit store
+ */
+export function setRateLimitStore(store) {
+  activeStore = store;
+}
+
+/**
+ * Build the store keys for an action's identifiers
+ * The client IP is added automatically when the policy limits by IP
+ * @param {string} action - Policy name
+ * @param {Object} identifiers - { email?, credentialId?, userId? }
+ * @returns {Promise<Array<{key: string, limit: number}>>}
+ */
+async function getKeys(action, identifiers) {
+  const policy = RATE_LIMIT_POLICIES[action];
+  if (!policy) {
+    throw new Error(`Unknown rate limit action: ${action}`);
+  }
+
+  const values = { ...identifiers };
+  if (policy.limits.ip && !values.ip) {
+    values.ip = (await getRequestContext()).ip;
+  }
+  if (values.email) {
+    values.email = values.email.trim().toLowerCase();
+  }
+
+  return Object.entries(policy.limits)
+    .filter(([kind]) => values[kind])
+    .map(([kind, limit]) => ({ key: `${action}:${kind}:${values[kind]}`, limit }));
+}
+
+/**
+ * Count one attempt against a record and apply backoff or lockout
+ * @param {Object|null} record - Current record
+ * @param {number} limit - Attempts allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Object} Updated record
+ */
+function countAttempt(record, limit, windowMs) {
+  const now = Date.now();
+
+  if (!record || now - record.windowStart > windowMs) {
+    const rememberLockouts = record && now - record.updatedAt < LOCKOUT_MEMORY_SECONDS * 1000;
+    record = {
+      count: 0,
+      lockouts: rememberLockouts ? record.lockouts : 0,
+      windowStart: now,
+      blockedUntil: 0
+    };
+  }
+
+  record.count += 1;
+  const backoffAfter = Math.floor(limit / 2);
+
+  if (record.count >= limit) {
+    record.lockouts += 1;
+    const lockoutSeconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** (record.lockouts - 1), LOCKOUT_MAX_SECONDS);
+    record.blockedUntil = now + lockoutSeconds * 1000;
+    record.count = 0;
+    record.windowStart = now;
+  } else if (record.count > backoffAfter) {
+    const backoffSeconds = Math.min(2 ** (record.count - backoffAfter - 1), BACKOFF_MAX_SECONDS);
+    record.blockedUntil = now + backoffSeconds * 1000;
+  }
+
+  record.updatedAt = now;
+  record.expiresAt = Math.max(record.windowStart + windowMs, record.blockedUntil) + LOCKOUT_MEMORY_SECONDS * 1000;
+  return record;
+}
+
+/**
+ * Structured error for a blocked request
+ * @param {number} retryAfter - Seconds until the next attempt is allowed
+ * @returns {Object} Error result
+ */
+const rateLimited = (retryAfter) => ({
+  success: false,
+  code: 'rate_limited',
+  retryAfter,
+  message: retryAfter > 90
+    ? `Too many attempts. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`
+    : `Too many attempts. Please try again in ${retryAfter} seconds.`
+});
+
+/**
+ * Check whether an action is allowed, counting the attempt for 'attempts' policies
+ * Fails open when the store is unavailable so an outage doesn't block every sign-in
+ * @param {string} action - Policy name (see RATE_LIMIT_POLICIES)
+ * @param {Object} identifiers - { email?, credentialId?, userId?, ip? }
+ * @returns {Promise<{success: boolean, code?: string, retryAfter?: number, message?: string}>}
+ */
+export async function enforceRateLimit(action, identifiers = {}) {
+  if (process.env.RATE_LIMIT_ENABLED === "false") {
+    return { success: true };
+  }
+
+  try {
+    const store = getStore();
+    const keys = await getKeys(action, identifiers);
+    const records = await Promise.all(keys.map(({ key }) => store.get(key)));
+
+    const now = Date.now();
+    const blockedUntil = Math.max(0, ...records.map(record => record?.blockedUntil || 0));
+    if (blockedUntil > now) {
+      return rateLimited(Math.ceil((blockedUntil - now) / 1000));
+    }
+
+    const policy = RATE_LIMIT_POLICIES[action];
+    if (policy.mode === 'attempts') {
+      const windowMs = policy.windowSeconds * 1000;
+      await Promise.all(keys.map(({ key, limit }, index) =>
+        store.set(key, countAttempt(records[index], limit, windowMs))
+      ));
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error(`[Rate Limit] Failed to check ${action}:`, error);
+    return { success: true };
+  }
+}
+
+/**
+ * How close the identifiers are to an action's limits, without counting an attempt
+ * Used as a signal (e.g. by the login risk engine) rather than to block
+ * @param {string} action - Policy name
+ * @param {Object} identifiers - { email?, credentialId?, userId?, ip? }
+ * @returns {Promise<number>} - 0 (no recent attempts) to 1 (at the limit, or locked out within the last day)
+ */
+export async function getRateLimitPressure(action, identifiers = {}) {
+  if (process.env.RATE_LIMIT_ENABLED === "false") {
+    return 0;
+  }
+
+  try {
+    const store = getStore();
+    const windowMs = RATE_LIMIT_POLICIES[action].windowSeconds * 1000;
+    const keys = await getKeys(action, identifiers);
+    const records = await Promise.all(keys.map(({ key }) => store.get(key)));
+
+    const now = Date.now();
+    return Math.max(0, ...records.map((record, index) => {
+      if (!record) {
+        return 0;
+      }
+      if (record.lockouts > 0) {
+        return 1;
+      }
+      return now - record.windowStart > windowMs ? 0 : Math.min(record.count / keys[index].limit, 1);
+    }));
+  } catch (error) {
+    console.error(`[Rate Limit] Failed to read ${action}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Count a failed attempt for a 'failures' policy
+ * @param {string} action - Policy name
+ * @param {Object} identifiers - { email?, credentialId?, userId?, ip? }
+ */
+export async function recordRateLimitFailure(action, identifiers = {}) {
+  if (process.env.RATE_LIMIT_ENABLED === "false") {
+    return;
+  }
+
+  try {
+    const store = getStore();
+    const windowMs = RATE_LIMIT_POLICIES[action].windowSeconds * 1000;
+    const keys = await getKeys(action, identifiers);
+
+    await Promise.all(keys.map(async ({ key, limit }) => {
+      const record = await store.get(key);
+      await store.set(key, countAttempt(record, limit, windowMs));
+    }));
+  } catch (error) {
+    console.error(`[Rate Limit] Failed to record ${action} failure:`, error);
+  }
+}
+
+/**
+ * Clear counters after a successful attempt
+ * Only pass the identifiers that were proven (e.g. the account), never the IP,
+ * so one valid login can't reset the counter for a whole address
+ * @param {string} action - Policy name
+ * @param {Object} identifiers - { email?, credentialId?, userId? }
+ */
+export async function resetRateLimit(action, identifiers = {}) {
+  try {
+    const store = getStore();
+    const keys = await getKeys(action, identifiers);
+    await Promise.all(keys
+      .filter(({ key }) => !key.startsWith(`${action}:ip:`))
+      .map(({ key }) => store.delete(key)));
+  } catch (error) {
+    console.error(`[Rate Limit] Failed to reset ${action}:`, error);
+  }
+}
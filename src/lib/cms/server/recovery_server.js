@@ -0,0 +1,266 @@
+// src/lib/cms/server/recovery_server.js
+"use server";
+
+import { createAdminClient } from './sdk_client';
+import { getUserIdByEmail } from './userRecords';
+import { getCurrentSessionIdentity, requireStepUp } from './stepUp';
+import { recordSecurityEvent } from './securityEvents';
+import { enforceRateLimit, recordRateLimitFailure, resetRateLimit } from './rateLimiter';
+import { grantAccountRecovery, readAccountRecovery, endAccountRecovery } from './accountRecovery';
+import {
+  getTwoFactorState,
+  generateRecoveryCodes,
+  clearRecoveryCodes,
+  consumeRecoveryCode,
+  checkSecondFactorCode
+} from './twoFactor';
+
+/**
+ * Recovery codes: account recovery on the login page and code management in
+ * the account area
+ *
+ * Codes are created when a passkey or authenticator app is set up. On the login
+ * page a code (plus the password, when the account has one) starts a restricted
+ * recovery session that can only register a new passkey (see accountRecovery.js). Changing the codes of a signed-in user
+ * needs a code from their authenticator app, or a passkey step-up when they
+ * don't use one.
+ */
+
+const notSignedIn = (identity) => ({
+  success: false,
+  code: identity.code || 'unauthenticated',
+  message: identity.message || "You must be signed in to do this"
+});
+
+/**
+ * Confirm the signed-in user may change their recovery codes
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the authenticator app (ignored without one)
+ * @returns {Promise<{success: boolean, code?: string, message?: string}>}
+ */
+async function confirmRecoveryCodeChange(userId, code) {
+  const state = await getTwoFactorState(userId);
+  if (state.totpEnabled) {
+    return await checkSecondFactorCode(userId, code);
+  }
+
+  return await requireStepUp(userId);
+}
+
+/**
+ * Check an account password without signing in
+ * @param {Object} user - Appwrite user (from users.get)
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>}
+ */
+async function isPasswordCorrect(user, password) {
+  if (!password) {
+    return false;
+  }
+
+  const { account, users } = await createAdminClient();
+  try {
+    const session = await account.createEmailPasswordSession(user.email, password);
+    await users.deleteSession(user.$id, session.$id);
+    return true;
+  } catch (error) {
+    if (error.code !== 401) {
+      throw error;
+    }
+    return false;
+  }
+}
+
+/**
+ * Start account recovery with a recovery code (login page)
+ * On success this browser may register a new passkey for the account.
+ * Accounts with a password need it as well, so for a password and
+ * authenticator app account a backup code never stands in for both factors.
+ * @param {string} email - Account email
+ * @param {string} code - Recovery code
+ * @param {string} password - Account password (required when the account has one)
+ * @returns {Promise<{success: boolean, data?: any, code?: string, retryAfter?: number, message?: string}>}
+ */
+export async function signInWithRecoveryCode(email, code, password) {
+  const rateLimitIds = { email };
+  const rateLimit = await enforceRateLimit('recovery_code_login', rateLimitIds);
+  if (!rateLimit.success) {
+    return rateLimit;
+  }
+
+  const invalid = {
+    success: false,
+    code: 'invalid_code',
+    message: "That email, password and recovery code don't match, or the code has already been used."
+  };
+
+  try {
+    const userResult = await getUserIdByEmail(email);
+    const userId = userResult.success ? userResult.data : null;
+
+    const { users } = await createAdminClient();
+    const user = userId ? await users.get(userId) : null;
+
+    // Blocked accounts fail the same way as unknown ones. The password is
+    // checked first so a wrong one doesn't use up the code
+    const passwordOk = user?.status && (!user.password || await isPasswordCorrect(user, password));
+    const recovery = passwordOk
+      ? await consumeRecoveryCode(userId, code)
+      : { success: false };
+
+    if (!recovery.success) {
+      await recordRateLimitFailure('recovery_code_login', rateLimitIds);
+      await recordSecurityEvent({
+        type: 'account_recovery',
+        outcome: 'failure',
+        userId,
+        details: { reason: !user ? 'unknown_account' : passwordOk ? 'invalid_code' : 'invalid_password', email }
+      });
+      return invalid;
+    }
+
+    const grant = await grantAccountRecovery(userId);
+    if (!grant.success) {
+      return {
+        success: false,
+        message: grant.message || "Failed to start account recovery"
+      };
+    }
+
+    await resetRateLimit('recovery_code_login', rateLimitIds);
+    await recordSecurityEvent({
+      type: 'recovery_code_used',
+      outcome: 'success',
+      userId,
+      details: { remaining: recovery.remaining, purpose: 'account_recovery' }
+    });
+    await recordSecurityEvent({ type: 'account_recovery', outcome: 'success', userId });
+
+    return {
+      success: true,
+      data: {
+        userId,
+        email: user.email,
+        expiresAt: grant.expiresAt,
+        remainingRecoveryCodes: recovery.remaining
+      }
+    };
+  } catch (error) {
+    console.error("[Recovery] Failed to start account recovery:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to start account recovery"
+    };
+  }
+}
+
+/**
+ * Get the account recovery this browser is in, if any
+ * @returns {Promise<{success: boolean, data?: {active: boolean, userId?: string, email?: string, expiresAt?: string}, message?: string}>}
+ */
+export async function getAccountRecoveryStatus() {
+  try {
+    const grant = await readAccountRecovery();
+    if (!grant) {
+      return { success: true, data: { active: false } };
+    }
+
+    const { users } = await createAdminClient();
+    const user = await users.get(grant.userId);
+
+    return {
+      success: true,
+      data: {
+        active: true,
+        userId: grant.userId,
+        email: user.email,
+        expiresAt: grant.expiresAt
+      }
+    };
+  } catch (error) {
+    console.error("[Recovery] Failed to read account recovery:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to read account recovery"
+    };
+  }
+}
+
+/**
+ * Leave account recovery without registering a passkey
+ * @returns {Promise<{success: boolean}>}
+ */
+export async function cancelAccountRecovery() {
+  const grant = await readAccountRecovery();
+  if (grant) {
+    await endAccountRecovery(grant.userId);
+  }
+  return { success: true };
+}
+
+/**
+ * Replace the signed-in user's recovery codes with a new set; the old codes stop working
+ * @param {string} code - Code from the authenticator app, when one is set up
+ * @returns {Promise<{success: boolean, data?: {recoveryCodes: string[]}, code?: string, message?: string}>}
+ */
+export async function regenerateRecoveryCodes(code = null) {
+  const identity = await getCurrentSessionIdentity();
+  if (!identity.success) {
+    return notSignedIn(identity);
+  }
+
+  try {
+    const check = await confirmRecoveryCodeChange(identity.userId, code);
+    if (!check.success) {
+      return check;
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(identity.userId);
+    await recordSecurityEvent({ type: 'recovery_codes_generated', outcome: 'success', userId: identity.userId });
+
+    return {
+      success: true,
+      data: { recoveryCodes },
+      message: "New recovery codes generated"
+    };
+  } catch (error) {
+    console.error("[Recovery] Failed to regenerate recovery codes:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to generate recovery codes"
+    };
+  }
+}
+
+/**
+ * Make all of the signed-in user's recovery codes stop working
+ * @param {string} code - Code from the authenticator app, when one is set up
+ * @returns {Promise<{success: boolean, code?: string, message?: string}>}
+ */
+export async function revokeRecoveryCodes(code = null) {
+  const identity = await getCurrentSessionIdentity();
+  if (!identity.success) {
+    return notSignedIn(identity);
+  }
+
+  try {
+    const check = await confirmRecoveryCodeChange(identity.userId, code);
+    if (!check.success) {
+      return check;
+    }
+
+    await clearRecoveryCodes(identity.userId);
+    await recordSecurityEvent({ type: 'recovery_codes_revoked', outcome: 'success', userId: identity.userId });
+
+    return {
+      success: true,
+      message: "Recovery codes turned off"
+    };
+  } catch (error) {
+    console.error("[Recovery] Failed to revoke recovery codes:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to turn off recovery codes"
+    };
+  }
+}
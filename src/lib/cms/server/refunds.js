@@ -222,6 +222,8 @@ import {
     deleteDocument
 } from './sdk_db';
 import { Query } from './sdk_client';
+import { requireStepUp } from './stepUp';
+import { requireTeam } from './authGuard';
 
 import { subDays } from 'date-fns';
 
@@ -263,7 +265,18 @@ const paymentsCollectionId = process.env.CMS_COLLECTION_ID_ORDER_PAYMENTS;
  * @returns {Object} - Result of the refund operation
  */
 export async function processPaymentRefund(paymentId, refundAmount, reason, isPartial = false) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
+        // Refunds move money, so require a recent passkey step-up
+        const stepUp = await requireStepUp();
+        if (!stepUp.success) {
+            return stepUp;
+        }
+
         // 1. Get the original payment record
         const paymentResult = await getDocument(paymentsCollectionId, paymentId);
         if (!paymentResult.success) {
@@ -493,6 +506,11 @@ export async function getPaymentRefunds(paymentId) {
  * @returns {Promise<Object>} - Promise that resolves to refunds data
  */
 export async function getRefunds(options = {}) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         const {
             search = null,
@@ -641,6 +659,11 @@ export async function getRefundById(refundId) {
  * @returns {Promise<Object>} - Promise that resolves to success/failure information
  */
 export async function deleteRefundByAdmin(refundId) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         await deleteDocument(refundsCollectionId, refundId);
 
@@ -663,6 +686,11 @@ export async function deleteRefundByAdmin(refundId) {
  * @returns {Promise<Object>} - Refund statistics
  */
 export async function getRefundStats(options = {}) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         const {
             timeFilter = '30days',
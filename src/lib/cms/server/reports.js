@@ -2,8 +2,10 @@
 "use server";
 
 import { createDocument, getDocumentByField } from './sdk_db';
-import { getUserSessionFromCookie, getUser } from '@/lib/cms/server/sdk_users';
+import { getUserSessionFromCookie } from '@/lib/cms/server/sdk_users';
+import { loadUser } from '@/lib/cms/server/userRecords';
 import { z } from 'zod';
+import { requireTeam } from './authGuard';
 
 // Get the security assessments collection ID from environment variables
 const SECURITY_ASSESSMENTS_COLLECTION = process.env.CMS_COLLECTION_ID_SECURITY_ASSESSMENTS
@@ -55,7 +57,7 @@ export async function registerEmailSecurityReport(results, reportId, options = {
     try {
       const sessionResponse = await getUserSessionFromCookie();
       if (sessionResponse?.success) {
-        const userResponse = await getUser(sessionResponse.session.userId);
+        const userResponse = await loadUser(sessionResponse.session.userId);
         if (userResponse.success) {
           userId = userResponse.data.$id;
           userEmail = userResponse.data.email;
@@ -256,6 +258,11 @@ export async function getEmailSecurityReportsByDomain(domain) {
  * @returns {Promise<Object>} The result of the update operation
  */
 export async function updateReportStatus(reportId, status) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!reportId || !status) {
       return {
@@ -0,0 +1,90 @@
+// src/lib/cms/server/requestContext.js
+
+import { headers } from "next/headers";
+
+const DEFAULT_TRUSTED_PROXY_COUNT = 1;
+
+/**
+ * Number of proxies in front of the app that append to x-forwarded-for
+ * (TRUSTED_PROXY_COUNT, 1 by default)
+ * @returns {number}
+ */
+const getTrustedProxyCount = () => {
+  const count = parseInt(process.env.TRUSTED_PROXY_COUNT ?? `${DEFAULT_TRUSTED_PROXY_COUNT}`, 10);
+  return Number.isFinite(count) && count >= 0 ? count : DEFAULT_TRUSTED_PROXY_COUNT;
+};
+
+/**
+ * Client IP address of the request
+ *
+ * When the platform sets a header with the client address itself
+ * (CLIENT_IP_HEADER, e.g. x-real-ip on Vercel or cf-connecting-ip on
+ * Cloudflare), that header is used. Otherwise x-forwarded-for is read from the
+ * right: every trusted proxy appends the address it received the request from,
+ * so the entry the outermost trusted proxy added is the client. Entries left
+ * of it come from the client and are ignored.
+ * @param {Headers} headersList - Request headers
+ * @returns {string|null}
+ */
+const getClientIp = (headersList) => {
+  const platformHeader = process.env.CLIENT_IP_HEADER;
+  if (platformHeader) {
+    return headersList.get(platformHeader)?.trim() || null;
+  }
+
+  const proxyCount = getTrustedProxyCount();
+  const forwardedFor = headersList.get("x-forwarded-for");
+  if (proxyCount === 0 || !forwardedFor) {
+    return null;
+  }
+
+  const entries = forwardedFor.split(",").map(entry => entry.trim()).filter(Boolean);
+  return entries[Math.max(0, entries.length - proxyCount)] || null;
+};
+
+/**
+ * Approximate client location from the geo headers added by the hosting edge
+ * (Vercel or Cloudflare); there is no IP lookup, so it's null elsewhere
+ * @param {Headers} headersList - Request headers
+ * @returns {string|null} - e.g. "Berlin, BE, DE"
+ */
+const getLocationFromHeaders = (headersList) => {
+  const decode = (value) => {
+    try {
+      return value ? decodeURIComponent(value) : null;
+    } catch (error) {
+      return value;
+    }
+  };
+
+  const city = decode(headersList.get("x-vercel-ip-city") || headersList.get("cf-ipcity"));
+  const region = headersList.get("x-vercel-ip-country-region") || headersList.get("cf-region-code");
+  const country = headersList.get("x-vercel-ip-country") || headersList.get("cf-ipcountry");
+
+  // Cloudflare uses XX for unknown and T1 for Tor
+  const parts = [city, region, ['XX', 'T1'].includes(country) ? null : country].filter(Boolean);
+  return parts.length > 0 ? parts.join(", ").substring(0, 128) : null;
+};
+
+/**
+ * Get client details for the current request (for auditing and security checks)
+ * @returns {Promise<{ip: string|null, userAgent: string|null, location: string|null}>} Client IP, user agent and approximate location
+ */
+export const getRequestContext = async () => {
+  try {
+    const headersList = await headers();
+
+    return {
+      ip: getClientIp(headersList),
+      userAgent: headersList.get("user-agent") || null,
+      location: getLocationFromHeaders(headersList)
+    };
+  } catch (error) {
+    // headers() is unavailable outside of a request (e.g. scripts)
+    return {
+      ip: null,
+      userAgent: null,
+      location: null
+    };
+  }
+};
@@ -0,0 +1,228 @@
+// src/lib/cms/server/riskEngine.js
+
+import { createHash, randomBytes } from 'crypto';
+import { createAdminClient, ID, Query } from './sdk_client';
+import { getRequestContext } from './requestContext';
+import { getCookie, setCookie } from './cookieService';
+
+/**
+ * Login risk engine
+ *
+ * Scores a sign-in once its first factor succeeded and decides whether it is
+ * allowed, needs a second factor (passkey, authenticator app or recovery code)
+ * or is blocked. Signals and their weights:
+ *
+ *   bot:              up to 40, from the bot protection score (all 40 when the check failed)
+ *   new_device:       20, the browser's device cookie wasn't used for an earlier sign-in
+ *   new_network:      15, nor the IP's network
+ *   new_country:      15, nor the country (from the hosting edge's geo headers)
+ *   failed_attempts:  up to 30, from the rate limiter's recent failures
+ *
+ * Device, network and country only count once the user has signed in before.
+ * From LOGIN_RISK_CHALLENGE_SCORE (default 40) a second factor is needed, from
+ * LOGIN_RISK_BLOCK_SCORE (default 80) the sign-in is blocked.
+ *
+ * Every assessment is stored (CMS_COLLECTION_ID_LOGIN_RISK) for admin review;
+ * the completed ones are the login history later assessments compare against.
+ */
+
+const RISK_WEIGHTS = {
+  bot: 40,
+  new_device: 20,
+  new_network: 15,
+  new_country: 15,
+  failed_attempts: 30
+};
+
+const DEFAULT_CHALLENGE_SCORE = 40;
+const DEFAULT_BLOCK_SCORE = 80;
+const HISTORY_SIZE = 50;
+
+const DEVICE_COOKIE_SUFFIX = '_device';
+const DEVICE_COOKIE_MAX_AGE = 400 * 24 * 60 * 60; // the longest browsers keep a cookie
+
+const getLoginRiskCollectionId = () => process.env.CMS_COLLECTION_ID_LOGIN_RISK || "loginRiskAssessments";
+
+/**
+ * Read a score threshold from the environment
+ * @param {string} key - Environment variable
+ * @param {number} fallback - Default
+ * @returns {number}
+ */
+const readThreshold = (key, fallback) => {
+  const value = parseInt(process.env[key], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const hashValue = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Network of an IP address: the /24 of IPv4, the /64 of IPv6
+ * @param {string|null} ip - IP address
+ * @returns {string|null}
+ */
+const getNetwork = (ip) => {
+  if (!ip) {
+    return null;
+  }
+  return ip.includes(':')
+    ? ip.split(':').slice(0, 4).join(':')
+    : ip.split('.').slice(0, 3).join('.');
+};
+
+/**
+ * Country code at the end of a location ("Berlin, BE, DE" -> "DE")
+ * @param {string|null} location - Location from the request context
+ * @returns {string|null}
+ */
+const getCountry = (location) => location?.split(',').pop().trim() || null;
+
+/**
+ * Hash of this browser's device ID, issuing a device cookie on first use
+ * @returns {Promise<string>}
+ */
+async function getDeviceHash() {
+  const cookieName = `${process.env.COOKIE_NAME}${DEVICE_COOKIE_SUFFIX}`;
+  const deviceCookie = await getCookie(cookieName);
+  let deviceId = deviceCookie.exists ? deviceCookie.data?.value : null;
+
+  if (!deviceId) {
+    deviceId = randomBytes(32).toString('hex');
+    await setCookie(cookieName, deviceId, {
+      httpOnly: true,
+      sameSite: "lax",
+      path: "/",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: DEVICE_COOKIE_MAX_AGE
+    });
+  }
+
+  return hashValue(deviceId);
+}
+
+/**
+ * Score the signals of a sign-in
+ * @param {Object} params
+ * @param {Object} params.context - { ip, location, deviceHash }
+ * @param {Array} params.history - Earlier completed assessments of the user
+ * @param {Object} params.botCheck - Result of checkBotProtection
+ * @param {number} params.failurePressure - getRateLimitPressure of the sign-in action
+ * @returns {{score: number, signals: Object}}
+ */
+function scoreSignals({ context, history, botCheck, failurePressure }) {
+  const signals = {};
+
+  if (botCheck && !botCheck.unavailable) {
+    if (botCheck.passed === false) {
+      signals.bot = RISK_WEIGHTS.bot;
+    } else if (typeof botCheck.score === 'number') {
+      signals.bot = Math.round((1 - botCheck.score) * RISK_WEIGHTS.bot);
+    }
+  }
+
+  if (history.length === 0) {
+    signals.first_login = 0;
+  } else {
+    if (!history.some(entry => entry.deviceHash === context.deviceHash)) {
+      signals.new_device = RISK_WEIGHTS.new_device;
+    }
+
+    const network = getNetwork(context.ip);
+    if (network && !history.some(entry => getNetwork(entry.ip) === network)) {
+      signals.new_network = RISK_WEIGHTS.new_network;
+    }
+
+    const country = getCountry(context.location);
+    if (country && !history.some(entry => getCountry(entry.location) === country)) {
+      signals.new_country = RISK_WEIGHTS.new_country;
+    }
+  }
+
+  if (failurePressure > 0) {
+    signals.failed_attempts = Math.round(failurePressure * RISK_WEIGHTS.failed_attempts);
+  }
+
+  // Zero-weight entries stay in the record as context for reviewers
+  const score = Math.min(Object.values(signals).reduce((sum, weight) => sum + weight, 0), 100);
+  return { score, signals };
+}
+
+/**
+ * Assess a sign-in and record the decision
+ * Fails open (allow, nothing recorded) when the assessment can't be made, like
+ * the rate limiter, so an outage doesn't lock everyone out
+ * @param {Object} params
+ * @param {string} params.userId - User signing in
+ * @param {string} params.provider - Sign-in method ('password', 'magic_link' or 'sso')
+ * @param {Object} params.botCheck - Optional: result of checkBotProtection
+ * @param {number} params.failurePressure - Optional: getRateLimitPressure of the sign-in action
+ * @returns {Promise<{decision: string, score: number, signals: Object, assessmentId: string|null}>} -
+ *   decision is 'allow', 'second_factor' or 'block'
+ */
+export async function assessLoginRisk({ userId, provider, botCheck = null, failurePressure = 0 }) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const { ip, userAgent, location } = await getRequestContext();
+    const deviceHash = await getDeviceHash();
+
+    const history = await databases.listDocuments(databaseId, getLoginRiskCollectionId(), [
+      Query.equal('userId', userId),
+      Query.equal('completed', true),
+      Query.orderDesc('createdAt'),
+      Query.limit(HISTORY_SIZE)
+    ]);
+
+    const { score, signals } = scoreSignals({
+      context: { ip, location, deviceHash },
+      history: history.documents,
+      botCheck,
+      failurePressure
+    });
+
+    let decision = 'allow';
+    if (score >= readThreshold('LOGIN_RISK_BLOCK_SCORE', DEFAULT_BLOCK_SCORE)) {
+      decision = 'block';
+    } else if (score >= readThreshold('LOGIN_RISK_CHALLENGE_SCORE', DEFAULT_CHALLENGE_SCORE)) {
+      decision = 'second_factor';
+    }
+
+    const assessment = await databases.createDocument(databaseId, getLoginRiskCollectionId(), ID.unique(), {
+      userId,
+      provider,
+      decision,
+      score,
+      signals: JSON.stringify(signals),
+      ip,
+      userAgent: userAgent?.substring(0, 512) || null,
+      location,
+      deviceHash,
+      completed: false,
+      createdAt: new Date().toISOString()
+    });
+
+    return { decision, score, signals, assessmentId: assessment.$id };
+  } catch (error) {
+    console.error(`[Risk] Failed to assess sign-in of ${userId}:`, error);
+    return { decision: 'allow', score: 0, signals: {}, assessmentId: null };
+  }
+}
+
+/**
+ * Mark an assessed sign-in as completed, making its device and network known
+ * @param {string|null} assessmentId - From assessLoginRisk
+ */
+export async function completeLoginRisk(assessmentId) {
+  if (!assessmentId) {
+    return;
+  }
+
+  try {
+    const { databases } = await createAdminClient();
+    await databases.updateDocument(process.env.CMS_DB_ID, getLoginRiskCollectionId(), assessmentId, {
+      completed: true
+    });
+  } catch (error) {
+    console.error(`[Risk] Failed to complete assessment ${assessmentId}:`, error);
+  }
+}
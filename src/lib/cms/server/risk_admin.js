@@ -0,0 +1,131 @@
+// src/lib/cms/server/risk_admin.js
+"use server";
+
+import { createAdminClient, Query } from './sdk_client';
+import { requireTeam } from './authGuard';
+
+/**
+ * Admin review of login risk decisions (see riskEngine.js)
+ */
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const getLoginRiskCollectionId = () => process.env.CMS_COLLECTION_ID_LOGIN_RISK || "loginRiskAssessments";
+
+/**
+ * Parse the stored JSON signals of an assessment
+ * @param {Object} doc - Assessment document
+ * @returns {Object} - Assessment for the admin interface
+ */
+const formatAssessment = (doc) => {
+  let signals = {};
+  try {
+    signals = doc.signals ? JSON.parse(doc.signals) : {};
+  } catch (error) {
+    signals = { raw: doc.signals };
+  }
+
+  return {
+    id: doc.$id,
+    userId: doc.userId,
+    provider: doc.provider,
+    decision: doc.decision,
+    score: doc.score,
+    signals,
+    ip: doc.ip,
+    userAgent: doc.userAgent,
+    location: doc.location,
+    completed: doc.completed,
+    reviewedAt: doc.reviewedAt || null,
+    reviewedBy: doc.reviewedBy || null,
+    createdAt: doc.createdAt
+  };
+};
+
+/**
+ * List login risk decisions, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.userId - Only decisions for this user
+ * @param {string} filters.decision - 'allow', 'second_factor' or 'block'
+ * @param {boolean} filters.unreviewed - Only decisions nobody reviewed yet
+ * @param {number} filters.limit - Page size (default 25, max 100)
+ * @param {number} filters.offset - Number of decisions to skip
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getLoginRiskDecisions(filters = {}) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { databases } = await createAdminClient();
+
+    const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+    const queries = [
+      Query.orderDesc('createdAt'),
+      Query.limit(limit),
+      Query.offset(offset)
+    ];
+
+    if (filters.userId) queries.push(Query.equal('userId', filters.userId));
+    if (filters.decision) queries.push(Query.equal('decision', filters.decision));
+    if (filters.unreviewed) queries.push(Query.isNull('reviewedAt'));
+
+    const result = await databases.listDocuments(process.env.CMS_DB_ID, getLoginRiskCollectionId(), queries);
+
+    return {
+      success: true,
+      data: {
+        decisions: result.documents.map(formatAssessment),
+        total: result.total,
+        limit,
+        offset
+      },
+      message: `Found ${result.total} login risk decisions`
+    };
+
+  } catch (error) {
+    console.error("[Risk Admin] Error getting login risk decisions:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to get login risk decisions"
+    };
+  }
+}
+
+/**
+ * Mark a login risk decision as reviewed
+ * @param {string} assessmentId - Assessment document ID
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function markLoginRiskReviewed(assessmentId) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
+  try {
+    const { databases } = await createAdminClient();
+    const doc = await databases.updateDocument(process.env.CMS_DB_ID, getLoginRiskCollectionId(), assessmentId, {
+      reviewedAt: new Date().toISOString(),
+      reviewedBy: guard.user.userId
+    });
+
+    return {
+      success: true,
+      data: formatAssessment(doc),
+      message: "Marked as reviewed"
+    };
+
+  } catch (error) {
+    console.error(`[Risk Admin] Error reviewing ${assessmentId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to mark as reviewed"
+    };
+  }
+}
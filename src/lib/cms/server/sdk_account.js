@@ -1,11 +1,22 @@
 // src\lib\cms\server\sdk_account.js
 "use server";
-import { verifyRecaptchaToken } from '@/lib/recaptcha/server';
+import { checkBotProtection } from '@/lib/botProtection/server';
 
 import { createAdminClient, createClient, createSessionClient, ID } from './sdk_client';
-import { updatePrefs } from "./sdk_users";
-import { addToTeam, setupUserCompanyTeam } from "./sdk_teams";
-// import { createCustomer } from "@/lib/stripe/server/customers";
+import { getUserIdByEmail } from "./userRecords";
+import { provisionNewUser, provisionSSOUser, isSsoRequiredForEmail } from "./provisioning";
+import { verifyJWT } from "./jwtVerification";
+import { generateJWT, generateEncryptedJWT } from "./jwtIssuer";
+import { getCookie, setCookie, deleteCookie } from "./cookieService";
+import { enforceRateLimit, recordRateLimitFailure, resetRateLimit, getRateLimitPressure } from "./rateLimiter";
+import { createSessionRecord, revokeSessionRecord } from "./sessionRegistry";
+import { revokeToken } from "./jwtRevocation";
+import { isSecondFactorRequired, getTwoFactorState, verifyTotpCode, consumeRecoveryCode } from "./twoFactor";
+import { getUserCredentials } from "./passkey_utils";
+import { recordSecurityEvent } from "./securityEvents";
+import { createMagicLinkToken, consumeMagicLinkToken, getMagicLinkTtl } from "./magicLink";
+import { sendMail } from "./mailer";
+import { assessLoginRisk, completeLoginRisk } from "./riskEngine";
 
 /**
  * Handles API operations with standardized error handling
@@ -27,6 +38,25 @@ async function handleOperation(operation, errorContext) {
     }
 }
 
+// Sign-in and sign-up result for emails on a verified domain whose team requires SSO
+const SSO_REQUIRED = {
+    success: false,
+    code: 'sso_required',
+    message: "Your organization requires you to sign in with single sign-on."
+};
+
+/**
+ * Maps Appwrite duplicate-user errors to user-friendly messages
+ * @param {Error} error - Error thrown by Appwrite
+ */
+function toRegistrationError(error) {
+    if (error.message.includes("A user with the same email already exists")) {
+        return new Error("This email is already registered. Please sign in instead or use a different email address.");
+    } else if (error.message.includes("A user with the same")) {
+        return new Error("An account with these credentials already exists. Please sign in or use different credentials.");
+    }
+    return error;
+}
 
 export async function registerUser({
     email, // Required parameter
@@ -34,139 +64,866 @@ export async function registerUser({
     hostURL, // Required parameter
     userId = ID.unique(),
     name = "",
-    recaptchaToken
+    botToken
 }) {
-    // Handle reCAPTCHA verification if token is provided and in production
-    if (recaptchaToken && process.env.NODE_ENV === 'production') {
+    // SSO users are provisioned by completeSSOLogin, from the exchanged session
+    if (!email || !password) {
+        return {
+            success: false,
+            message: "Email and password are required."
+        };
+    }
+
+    const botCheck = await checkBotProtection(botToken, 'register');
+    if (!botCheck.success) {
+        return botCheck;
+    }
+
+    const rateLimit = await enforceRateLimit('registration', { email });
+    if (!rateLimit.success) {
+        return rateLimit;
+    }
+
+    if ((await isSsoRequiredForEmail(email)).required) {
+        return SSO_REQUIRED;
+    }
+
+    return handleOperation(async () => {
+        const { account } = await createAdminClient();
+
         try {
-            const verification = await verifyRecaptchaToken(recaptchaToken, 'register');
-            if (!verification.success && !verification.fallback) {
-                console.error('reCAPTCHA verification failed');
-                return {
-                    success: false,
-                    message: 'Security verification failed. Please try again.'
-                };
-            }
-        } catch (recaptchaError) {
-            console.error('reCAPTCHA verification error:', recaptchaError);
-            return {
-                success: false,
-                message: 'Security verification error. Please try again.'
-            };
+            const newUser = await account.create(userId, email, password);
+
+            await provisionNewUser(newUser, {
+                email,
+                name,
+                hostURL,
+                authMethod: 'password'
+            });
+
+            return newUser;
+        } catch (error) {
+            // Handle specific error cases with more user-friendly messages
+            throw toRegistrationError(error);
         }
+    }, `Failed to register user [${email}]`);
+}
+
+/**
+ * Creates a passwordless account for a passkey-only sign-up.
+ * The Appwrite user is created without a password and provisioned exactly
+ * like an email/password sign-up (preferences, visitor and company teams).
+ * Sign-ups are bot-checked and throttled like password sign-ups.
+ * @param {Object} params
+ * @param {string} params.email - User's email address
+ * @param {string} params.hostURL - Base URL for team confirmation links
+ * @param {string} params.userId - Optional: ID for the new user
+ * @param {string} params.name - Optional display name
+ * @param {string} params.botToken - Bot protection token for the 'register' action
+ * @returns {Promise<object>} Result with the created user
+ */
+export async function registerPasskeyUser({
+    email,
+    hostURL,
+    userId = ID.unique(),
+    name = "",
+    botToken
+}) {
+    const botCheck = await checkBotProtection(botToken, 'register');
+    if (!botCheck.success) {
+        return botCheck;
+    }
+
+    const rateLimit = await enforceRateLimit('registration', { email });
+    if (!rateLimit.success) {
+        return rateLimit;
     }
 
     return handleOperation(async () => {
-        const { account } = await createAdminClient();
+        if (!email || !hostURL) {
+            throw new Error("Email and hostURL are required for passkey registration");
+        }
+        if ((await isSsoRequiredForEmail(email)).required) {
+            throw new Error(SSO_REQUIRED.message);
+        }
+
+        const { users } = await createAdminClient();
 
+        let newUser;
         try {
-            // Create user account (only for email/password flow)
-            let newUser;
-            if (email && password) {
-                newUser = await account.create(userId, email, password);
-            } else {
-                // For SSO flow, get existing user
-                newUser = { $id: userId };
-            }
+            // No phone and no password: the passkey is the only sign-in method
+            newUser = await users.create(userId, email, undefined, undefined, name || undefined);
+        } catch (error) {
+            throw toRegistrationError(error);
+        }
+
+        await provisionNewUser(newUser, {
+            email,
+            name,
+            hostURL,
+            authMethod: 'passkey'
+        });
+
+        return newUser;
+    }, `Failed to register passkey user [${email}]`);
+}
+
+
+/**
+ * Registers a login in the session registry and sets the session cookie.
+ * The cookie expires with the registry record (the provider's session policy),
+ * not the Appwrite session. Rolls the registration back if the cookie can't be issued.
+ * @param {object} session - Appwrite session backing the login
+ * @param {string} provider - Sign-in method ('password', 'sso' or 'magic_link')
+ * @returns {Promise<object>} Result of the operation
+ */
+async function startRegisteredSession(session, provider) {
+    const registered = await createSessionRecord({
+        userId: session.userId,
+        provider,
+        expire: session.expire,
+        providerSessionId: session.$id
+    });
+    if (!registered.success) {
+        return registered;
+    }
+
+    const jwtResult = await generateJWT({
+        ...session,
+        expire: registered.session.expiresAt
+    });
+    if (!jwtResult.success) {
+        await revokeSessionRecord(session.$id);
+        return jwtResult;
+    }
+
+    return { success: true };
+}
+
+// Second sign-in step for accounts with two-factor authentication
+const SECOND_FACTOR_COOKIE_SUFFIX = '_2fa';
+const SECOND_FACTOR_MAX_AGE = 300; // 5 minutes to enter the code
 
-            // // Create Stripe customer - use name if available, otherwise default to username
-            const username = email.split("@")[0].toLowerCase();
-            const customerName = name || username;
-            // const stripeResponse = await createCustomer(email, customerName, {
-            //     uid: newUser.$id,
-            // });
-
-            const emailDomain = email.split("@")[1].toLowerCase();
-            const isPersonalEmail = ['gmail.com', 'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com', 'protonmail.com', 'aol.com', 'zoho.com', 'yandex.com', 'mail.com'].includes(emailDomain);
-
-            // Handle company name formatting
-            let companyName, teamName, teamId, role;
-
-            if (isPersonalEmail) {
-                companyName = "Individual";
-                teamName = "Individual";
-                teamId = "individual";
-                role = "individual";
-            } else {
-                // Format company name from domain (e.g., "example.com" → "Example")
-                const formattedCompanyName = emailDomain.split('.')[0].charAt(0).toUpperCase() + emailDomain.split('.')[0].slice(1);
-                companyName = formattedCompanyName; // Keep the original domain as the company identifier
-                teamName = formattedCompanyName; // Use formatted name for the team
-                teamId = `com_${emailDomain.replace(/\./g, '_')}`;
-                role = "member";
+const getSecondFactorCookieName = () => `${process.env.COOKIE_NAME}${SECOND_FACTOR_COOKIE_SUFFIX}`;
+
+/**
+ * Hold a password, email link or SSO sign-in until the second factor is checked.
+ * The Appwrite session created by the first step is kept (its secret never
+ * leaves the server) and only becomes a signed-in session once the second step
+ * succeeds, so the pending claim alone can't sign anyone in.
+ * @param {object} session - Appwrite session from the first step
+ * @param {string} provider - Sign-in method the session is registered with afterwards
+ * @param {string|null} riskAssessmentId - Login risk assessment completed with the sign-in
+ * @returns {Promise<object>} Result of the operation
+ */
+async function startSecondFactorLogin(session, provider, riskAssessmentId) {
+    const token = await generateEncryptedJWT(
+        {
+            type: 'second_factor',
+            userId: session.userId,
+            providerSessionId: session.$id,
+            provider,
+            riskAssessmentId
+        },
+        SECOND_FACTOR_MAX_AGE
+    );
+
+    return await setCookie(getSecondFactorCookieName(), token, {
+        httpOnly: true,
+        sameSite: "strict",
+        path: "/",
+        secure: process.env.NODE_ENV === "production",
+        maxAge: SECOND_FACTOR_MAX_AGE
+    });
+}
+
+/**
+ * Read the pending second-step sign-in of this browser
+ * @returns {Promise<object|null>} Verified claim, or null when there is none or it expired
+ */
+async function readSecondFactorLogin() {
+    const pendingCookie = await getCookie(getSecondFactorCookieName());
+    if (!pendingCookie.exists || !pendingCookie.data?.value) {
+        return null;
+    }
+
+    try {
+        const claim = await verifyJWT(pendingCookie.data.value);
+        return claim.type === 'second_factor' ? claim : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Make the pending claim unusable and remove it from the browser
+ * @param {object} claim - Verified claim from readSecondFactorLogin
+ */
+async function endSecondFactorLogin(claim) {
+    await revokeToken(claim.jti, claim.exp * 1000);
+    await deleteCookie(getSecondFactorCookieName());
+}
+
+/**
+ * Second factors a user can finish a sign-in with
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} Some of 'totp', 'recovery_code' and 'passkey'
+ */
+async function getSecondFactorMethods(userId) {
+    const state = await getTwoFactorState(userId);
+    const passkeys = await getUserCredentials(userId);
+
+    return [
+        ...(state.totpEnabled ? ['totp'] : []),
+        // Recovery codes back up an authenticator app even when all are used up
+        ...(state.totpEnabled || state.recoveryCodesRemaining > 0 ? ['recovery_code'] : []),
+        ...(passkeys.credentials?.some(credential => !credential.quarantined) ? ['passkey'] : [])
+    ];
+}
+
+/**
+ * Start the second sign-in step and describe it to the browser.
+ * Ends the Appwrite session again if the pending sign-in can't be stored.
+ * @param {object} session - Appwrite session from the first step
+ * @param {string} provider - Sign-in method ('password', 'magic_link' or 'sso')
+ * @param {string[]} methods - From getSecondFactorMethods (not empty)
+ * @param {string|null} riskAssessmentId - Login risk assessment of the sign-in
+ * @returns {Promise<object>} Result with code 'second_factor_required' and the usable methods
+ */
+async function requireSecondFactor(session, provider, methods, riskAssessmentId) {
+    const pending = await startSecondFactorLogin(session, provider, riskAssessmentId);
+    if (!pending.success) {
+        await endProviderSession(session);
+        return {
+            success: false,
+            message: pending.message || "Failed to start two-factor sign-in"
+        };
+    }
+
+    let message = "Enter one of your recovery codes to finish signing in.";
+    if (methods.includes('totp')) {
+        message = "Enter the code from your authenticator app to finish signing in.";
+    } else if (methods.includes('passkey')) {
+        message = "Confirm it's you with your passkey to finish signing in.";
+    }
+
+    return {
+        success: false,
+        code: 'second_factor_required',
+        methods,
+        message
+    };
+}
+
+/**
+ * End an Appwrite session that won't become a signed-in session
+ * @param {object} session - Appwrite session
+ */
+async function endProviderSession(session) {
+    const { users } = await createAdminClient();
+    await users.deleteSession(session.userId, session.$id);
+}
+
+const LOGIN_BLOCKED = {
+    success: false,
+    code: 'login_blocked',
+    message: "We couldn't sign you in from here. If this keeps happening, please contact support."
+};
+
+/**
+ * Signs in with email and password on the server and sets the session cookie.
+ * Attempts are rate limited per email and IP with progressive lockouts, and the
+ * login risk engine may block the sign-in (code 'login_blocked') or ask for more.
+ * When the account has two-factor authentication or the sign-in looks risky, no
+ * session cookie is set yet: the result has code 'second_factor_required' and the
+ * sign-in is finished by completeSecondFactorLogin (or by signing in with a passkey
+ * instead). Accounts without a second factor get an emailed sign-in link instead
+ * (code 'email_confirmation_required').
+ * Emails on a verified domain whose team requires SSO get code 'sso_required'.
+ * @param {string} email - User's email address
+ * @param {string} password - User's password
+ * @param {string} hostURL - Base URL for the sign-in link; PASSKEY_ORIGIN takes precedence
+ * @param {string} botToken - Bot protection token for the 'login' action
+ * @returns {Promise<object>} Result with the created session
+ */
+export async function loginWithPassword(email, password, hostURL, botToken) {
+    if (!email || !password) {
+        return {
+            success: false,
+            message: "Email and password are required"
+        };
+    }
+
+    const botCheck = await checkBotProtection(botToken, 'login');
+    if (!botCheck.success) {
+        return botCheck;
+    }
+
+    const rateLimitIds = { email };
+    const rateLimit = await enforceRateLimit('password_login', rateLimitIds);
+    if (!rateLimit.success) {
+        return rateLimit;
+    }
+
+    if ((await isSsoRequiredForEmail(email)).required) {
+        return SSO_REQUIRED;
+    }
+
+    try {
+        const { account } = await createAdminClient();
+        const session = await account.createEmailPasswordSession(email, password);
+
+        const risk = await assessLoginRisk({
+            userId: session.userId,
+            provider: 'password',
+            botCheck,
+            failurePressure: await getRateLimitPressure('password_login', rateLimitIds)
+        });
+        if (risk.decision === 'block') {
+            await endProviderSession(session);
+            return LOGIN_BLOCKED;
+        }
+
+        if (risk.decision === 'second_factor' || await isSecondFactorRequired(session.userId)) {
+            const methods = await getSecondFactorMethods(session.userId);
+            // The password was right; the next step has its own rate limit
+            await resetRateLimit('password_login', rateLimitIds);
+
+            if (methods.length === 0) {
+                // Nothing to step up with, so the emailed link confirms the sign-in instead
+                await endProviderSession(session);
+                return await requireEmailConfirmation(session.userId, hostURL);
             }
+            return await requireSecondFactor(session, 'password', methods, risk.assessmentId);
+        }
 
-            // Set user preferences
-            const preferences = {
-                firstName: name?.split(" ")[0] || "",
-                lastName: name?.split(" ")[1] || "",
-                company: companyName,
-                domain: emailDomain,
-                // stripeCustomerId: stripeResponse.data,
-                stripeCustomerId: "",
-                notificationEmails: "True",
-                notificationsPush: "True",
-                notificationsMarketingEmail: "True",
-                notificationsTipsEmail: "True",
-                themeColor: "System",
-                SSO: password ? "" : "True" // Track if user registered via SSO
+        const sessionResult = await startRegisteredSession(session, 'password');
+        if (!sessionResult.success) {
+            return {
+                success: false,
+                message: sessionResult.message || "Failed to establish session"
             };
-            await updatePrefs(newUser.$id, preferences);
+        }
 
-            // Add user to visitor team
-            const visitorTeamId = process.env.CMS_TEAM_ID_VISITOR;
-            if (!visitorTeamId) {
-                throw new Error("VISITOR_TEAM_ID is not set in environment variables.");
-            }
-            await addToTeam(visitorTeamId, newUser.$id, email, hostURL);
+        await completeLoginRisk(risk.assessmentId);
+        await resetRateLimit('password_login', rateLimitIds);
 
-            // Create or add user to their appropriate team (company or individual)
-            const teamResult = await setupUserCompanyTeam(teamId, teamName, newUser.$id, email, hostURL, role, emailDomain);
-            if (!teamResult.success) {
-                console.warn(`Team setup warning: ${teamResult.message}`);
-                // Continue with registration even if team setup has issues
+        return {
+            success: true,
+            data: {
+                userId: session.userId,
+                sessionId: session.$id
             }
+        };
+    } catch (error) {
+        // Only wrong credentials count towards the lockout, not server errors
+        if (error.code === 401) {
+            await recordRateLimitFailure('password_login', rateLimitIds);
+            return {
+                success: false,
+                message: "Invalid email or password."
+            };
+        }
 
-            return newUser;
-        } catch (error) {
-            // Handle specific error cases with more user-friendly messages
-            if (error.message.includes("A user with the same email already exists")) {
-                throw new Error("This email is already registered. Please sign in instead or use a different email address.");
-            } else if (error.message.includes("A user with the same")) {
-                throw new Error("An account with these credentials already exists. Please sign in or use different credentials.");
+        console.error(`Failed to log in [${email}]:`, error);
+        return {
+            success: false,
+            message: error.message || "Failed to login with email and password"
+        };
+    }
+}
+
+/**
+ * Finishes a password or email link sign-in that needs a second factor and sets the session cookie.
+ * Attempts are rate limited per user and IP.
+ * @param {string} method - 'totp' (authenticator app code) or 'recovery_code'
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<object>} Result with the created session
+ */
+export async function completeSecondFactorLogin(method, code) {
+    const claim = await readSecondFactorLogin();
+    if (!claim) {
+        return {
+            success: false,
+            code: 'second_factor_expired',
+            message: "Your sign-in has expired. Please enter your email and password again."
+        };
+    }
+
+    const rateLimitIds = { userId: claim.userId };
+    const rateLimit = await enforceRateLimit('second_factor', rateLimitIds);
+    if (!rateLimit.success) {
+        return rateLimit;
+    }
+
+    try {
+        let valid = false;
+        let remainingRecoveryCodes;
+
+        if (method === 'totp') {
+            valid = await verifyTotpCode(claim.userId, code);
+        } else if (method === 'recovery_code') {
+            const recovery = await consumeRecoveryCode(claim.userId, code);
+            valid = recovery.success;
+            remainingRecoveryCodes = recovery.remaining;
+        }
+
+        if (!valid) {
+            await recordRateLimitFailure('second_factor', rateLimitIds);
+            await recordSecurityEvent({ type: 'second_factor', outcome: 'failure', userId: claim.userId, details: { method } });
+            return {
+                success: false,
+                code: 'invalid_code',
+                message: method === 'recovery_code'
+                    ? "That recovery code isn't valid or has already been used."
+                    : "That code didn't match. Check the time on your device and try again."
+            };
+        }
+
+        // The Appwrite session from the first step must still be live
+        const { users } = await createAdminClient();
+        const { sessions } = await users.listSessions(claim.userId);
+        const session = sessions.find(s => s.$id === claim.providerSessionId);
+        if (!session || new Date(session.expire) < new Date()) {
+            await endSecondFactorLogin(claim);
+            return {
+                success: false,
+                code: 'second_factor_expired',
+                message: "Your sign-in has expired. Please enter your email and password again."
+            };
+        }
+
+        const sessionResult = await startRegisteredSession(session, claim.provider || 'password');
+        if (!sessionResult.success) {
+            return {
+                success: false,
+                message: sessionResult.message || "Failed to establish session"
+            };
+        }
+
+        await endSecondFactorLogin(claim);
+        await completeLoginRisk(claim.riskAssessmentId);
+        await resetRateLimit('second_factor', rateLimitIds);
+        await recordSecurityEvent({ type: 'second_factor', outcome: 'success', userId: claim.userId, details: { method } });
+        if (method === 'recovery_code') {
+            await recordSecurityEvent({
+                type: 'recovery_code_used',
+                outcome: 'success',
+                userId: claim.userId,
+                details: { remaining: remainingRecoveryCodes }
+            });
+        }
+
+        return {
+            success: true,
+            data: {
+                userId: session.userId,
+                sessionId: session.$id,
+                remainingRecoveryCodes
             }
-            throw error;
+        };
+    } catch (error) {
+        console.error(`Failed to complete two-factor sign-in for ${claim.userId}:`, error);
+        return {
+            success: false,
+            message: error.message || "Failed to complete sign-in"
+        };
+    }
+}
+
+/**
+ * Abandons a pending two-factor sign-in (e.g. "use a different account"),
+ * ending the Appwrite session created by the first step
+ * @returns {Promise<object>} Result of the operation
+ */
+export async function cancelSecondFactorLogin() {
+    const claim = await readSecondFactorLogin();
+    if (!claim) {
+        return { success: true };
+    }
+
+    try {
+        const { users } = await createAdminClient();
+        await users.deleteSession(claim.userId, claim.providerSessionId);
+    } catch (error) {
+        // Already gone
+        if (error.code !== 404) {
+            console.error(`Failed to end pending session of ${claim.userId}:`, error);
         }
-    }, `Failed to register user [${email}]`);
+    }
+
+    await endSecondFactorLogin(claim);
+    return { success: true };
 }
 
+/**
+ * Email a new sign-in link to a user
+ * @param {object} user - Appwrite user
+ * @param {string} origin - Base URL of the link
+ * @returns {Promise<object>} Result of sendMail
+ */
+async function sendMagicLink(user, origin) {
+    const { token } = await createMagicLinkToken(user.$id);
+    const link = `${origin}/login/verify?token=${encodeURIComponent(token)}`;
+    const minutes = Math.round(getMagicLinkTtl() / 60);
+
+    return await sendMail({
+        to: user.email,
+        subject: "Your sign-in link",
+        text: [
+            "Use this link to sign in:",
+            "",
+            link,
+            "",
+            `The link works once and expires in ${minutes} minutes.`,
+            "If you didn't ask for it, you can ignore this email."
+        ].join("\n"),
+        html: `<p>Use this link to sign in:</p>
+<p><a href="${link}">Sign in</a></p>
+<p>The link works once and expires in ${minutes} minutes.<br>If you didn't ask for it, you can ignore this email.</p>`
+    });
+}
 
 /**
- * Initiates the password recovery process
+ * Confirm a risky sign-in of an account without a second factor by email
+ * @param {string} userId - User ID
+ * @param {string} hostURL - Base URL for the sign-in link; PASSKEY_ORIGIN takes precedence
+ * @returns {Promise<object>} Result with code 'email_confirmation_required'
+ */
+async function requireEmailConfirmation(userId, hostURL) {
+    const { users } = await createAdminClient();
+    const user = await users.get(userId);
+
+    const mail = await sendMagicLink(user, process.env.PASSKEY_ORIGIN || hostURL);
+    if (!mail.success) {
+        return {
+            success: false,
+            message: "We couldn't confirm this sign-in. Please try again later."
+        };
+    }
+
+    await recordSecurityEvent({
+        type: 'magic_link_requested',
+        outcome: 'success',
+        userId,
+        details: { reason: 'login_risk' }
+    });
+    return {
+        success: false,
+        code: 'email_confirmation_required',
+        message: "We don't recognise this sign-in, so we've emailed you a link to finish it."
+    };
+}
+
+const MAGIC_LINK_ERRORS = {
+    invalid_link: "This sign-in link isn't valid. Please request a new one.",
+    expired_link: "This sign-in link has expired. Please request a new one.",
+    used_link: "This sign-in link has already been used. Please request a new one."
+};
+
+/**
+ * Emails a single-use sign-in link to the address, if it belongs to an active account.
+ * Requests are rate limited per email and IP. The result is the same whether or
+ * not an account exists, so the form can't be used to find out who has one.
  * @param {string} email - User's email address
- * @param {string} hostURL - Base URL for recovery link
- * @param {string} recaptchaToken - Optional reCAPTCHA token for verification
+ * @param {string} hostURL - Base URL for the link; PASSKEY_ORIGIN takes precedence
+ * @param {string} botToken - Bot protection token for the 'magic_link' action
  * @returns {Promise<object>} Result of the operation
  */
-export const requestPasswordRecovery = async (email, hostURL, recaptchaToken) => {
-    // Handle reCAPTCHA verification if token is provided and in production
-    if (recaptchaToken && process.env.NODE_ENV === 'production') {
+export async function requestMagicLink(email, hostURL, botToken) {
+    if (!email) {
+        return {
+            success: false,
+            message: "Email is required"
+        };
+    }
+
+    const botCheck = await checkBotProtection(botToken, 'magic_link');
+    if (!botCheck.success) {
+        return botCheck;
+    }
+
+    const rateLimit = await enforceRateLimit('magic_link', { email });
+    if (!rateLimit.success) {
+        return rateLimit;
+    }
+
+    if ((await isSsoRequiredForEmail(email)).required) {
+        return SSO_REQUIRED;
+    }
+
+    const sent = {
+        success: true,
+        message: "If an account exists for that email, we've sent a sign-in link to it."
+    };
+
+    try {
+        const userResult = await getUserIdByEmail(email);
+        if (!userResult.success) {
+            return sent;
+        }
+
+        const { users } = await createAdminClient();
+        const user = await users.get(userResult.data);
+        if (!user.status) {
+            return sent;
+        }
+
+        // The configured origin wins so a forged hostURL can't send the link elsewhere
+        const mail = await sendMagicLink(user, process.env.PASSKEY_ORIGIN || hostURL);
+        if (!mail.success) {
+            return {
+                success: false,
+                message: "We couldn't send the sign-in email. Please try again later."
+            };
+        }
+
+        await recordSecurityEvent({ type: 'magic_link_requested', outcome: 'success', userId: user.$id });
+        return sent;
+    } catch (error) {
+        console.error(`Failed to send sign-in link [${email}]:`, error);
+        return {
+            success: false,
+            message: error.message || "Failed to send sign-in link"
+        };
+    }
+}
+
+/**
+ * Signs in with a link from requestMagicLink and sets the session cookie.
+ * Failed attempts are rate limited per IP. Like a password sign-in, the login
+ * risk engine may block it, and an account with two-factor authentication (or a
+ * risky sign-in of an account with a second factor) gets code
+ * 'second_factor_required' and is finished by completeSecondFactorLogin.
+ * @param {string} token - Token from the link
+ * @returns {Promise<object>} Result with the created session
+ */
+export async function completeMagicLinkLogin(token) {
+    const rateLimitIds = {};
+    const rateLimit = await enforceRateLimit('magic_link_login', rateLimitIds);
+    if (!rateLimit.success) {
+        return rateLimit;
+    }
+
+    try {
+        const link = await consumeMagicLinkToken(token);
+
+        const { users } = await createAdminClient();
+        const user = link.success ? await users.get(link.userId) : null;
+        if (!user?.status) {
+            const code = link.code || 'invalid_link';
+            await recordRateLimitFailure('magic_link_login', rateLimitIds);
+            await recordSecurityEvent({
+                type: 'magic_link_login',
+                outcome: 'failure',
+                userId: link.userId,
+                details: { reason: code }
+            });
+            return {
+                success: false,
+                code,
+                message: MAGIC_LINK_ERRORS[code]
+            };
+        }
+
+        // Links sent before the team turned on its SSO requirement
+        if ((await isSsoRequiredForEmail(user.email)).required) {
+            return SSO_REQUIRED;
+        }
+
+        // Following the link proves the address belongs to the user
+        if (!user.emailVerification) {
+            await users.updateEmailVerification(user.$id, true);
+        }
+
+        const risk = await assessLoginRisk({
+            userId: user.$id,
+            provider: 'magic_link',
+            failurePressure: await getRateLimitPressure('magic_link_login', rateLimitIds)
+        });
+        if (risk.decision === 'block') {
+            return LOGIN_BLOCKED;
+        }
+
+        // The link already proved the email address, so without other factors a risky sign-in goes ahead
+        const methods = risk.decision === 'second_factor' || await isSecondFactorRequired(user.$id)
+            ? await getSecondFactorMethods(user.$id)
+            : [];
+
+        const session = await users.createSession(user.$id);
+
+        if (methods.length > 0) {
+            return await requireSecondFactor(session, 'magic_link', methods, risk.assessmentId);
+        }
+
+        const sessionResult = await startRegisteredSession(session, 'magic_link');
+        if (!sessionResult.success) {
+            return {
+                success: false,
+                message: sessionResult.message || "Failed to establish session"
+            };
+        }
+
+        await completeLoginRisk(risk.assessmentId);
+        await resetRateLimit('magic_link_login', rateLimitIds);
+        await recordSecurityEvent({ type: 'magic_link_login', outcome: 'success', userId: user.$id });
+
+        return {
+            success: true,
+            data: {
+                userId: session.userId,
+                sessionId: session.$id
+            }
+        };
+    } catch (error) {
+        console.error("Failed to sign in with link:", error);
+        return {
+            success: false,
+            message: error.message || "Failed to sign in with link"
+        };
+    }
+}
+
+/**
+ * Finishes an SSO (OAuth2) sign-in and sets the session cookie.
+ * The browser only brings back the userId and secret of the OAuth2 token; the
+ * session is created from them here, so sessions made any other way (e.g. with
+ * a password against the Appwrite API) can't be turned into a sign-in.
+ * Failed attempts are rate limited per IP. Like a password sign-in, the login
+ * risk engine may block it, and an account with two-factor authentication (or a
+ * risky sign-in) gets code 'second_factor_required' and is finished by
+ * completeSecondFactorLogin. First-time SSO users are provisioned (provisionSSOUser).
+ * @param {string} userId - User ID from the OAuth2 redirect
+ * @param {string} secret - Token secret from the OAuth2 redirect
+ * @param {string} hostURL - Base URL for team confirmation and sign-in links; PASSKEY_ORIGIN takes precedence
+ * @returns {Promise<object>} Result with the created session
+ */
+export async function completeSSOLogin(userId, secret, hostURL) {
+    if (!userId || !secret) {
+        return {
+            success: false,
+            message: "The single sign-on response is incomplete. Please try again."
+        };
+    }
+
+    const rateLimitIds = {};
+    const rateLimit = await enforceRateLimit('sso_login', rateLimitIds);
+    if (!rateLimit.success) {
+        return rateLimit;
+    }
+
+    try {
+        const { account, users } = await createAdminClient();
+
+        let session;
         try {
-            const verification = await verifyRecaptchaToken(recaptchaToken, 'password_reset');
-            if (!verification.success && !verification.fallback) {
-                console.error('reCAPTCHA verification failed');
-                return {
-                    success: false,
-                    message: 'Security verification failed. Please try again.'
-                };
+            session = await account.createSession(userId, secret);
+        } catch (error) {
+            if (error.code !== 401 && error.code !== 404) {
+                throw error;
+            }
+            await recordRateLimitFailure('sso_login', rateLimitIds);
+            await recordSecurityEvent({ type: 'sso_login', outcome: 'failure', userId, details: { reason: 'invalid_token' } });
+            return {
+                success: false,
+                message: "Your single sign-on has expired. Please try again."
+            };
+        }
+
+        if (session.provider !== 'oauth2') {
+            await endProviderSession(session);
+            await recordRateLimitFailure('sso_login', rateLimitIds);
+            await recordSecurityEvent({
+                type: 'sso_login',
+                outcome: 'blocked',
+                userId: session.userId,
+                details: { reason: 'not_oauth2', provider: session.provider }
+            });
+            return {
+                success: false,
+                message: "Please sign in with your single sign-on provider."
+            };
+        }
+
+        const user = await users.get(session.userId);
+        if (!user.status) {
+            await endProviderSession(session);
+            return {
+                success: false,
+                code: 'user_blocked',
+                message: "This account has been blocked. Please contact support."
+            };
+        }
+
+        // First SSO sign-in: set up preferences and teams like a sign-up
+        await provisionSSOUser(user.$id, process.env.PASSKEY_ORIGIN || hostURL);
+
+        const risk = await assessLoginRisk({
+            userId: session.userId,
+            provider: 'sso',
+            failurePressure: await getRateLimitPressure('sso_login', rateLimitIds)
+        });
+        if (risk.decision === 'block') {
+            await endProviderSession(session);
+            return LOGIN_BLOCKED;
+        }
+
+        if (risk.decision === 'second_factor' || await isSecondFactorRequired(session.userId)) {
+            const methods = await getSecondFactorMethods(session.userId);
+            await resetRateLimit('sso_login', rateLimitIds);
+
+            if (methods.length === 0) {
+                // Nothing to step up with, so the emailed link confirms the sign-in instead
+                await endProviderSession(session);
+                return await requireEmailConfirmation(session.userId, hostURL);
             }
-        } catch (recaptchaError) {
-            console.error('reCAPTCHA verification error:', recaptchaError);
+            return await requireSecondFactor(session, 'sso', methods, risk.assessmentId);
+        }
+
+        const sessionResult = await startRegisteredSession(session, 'sso');
+        if (!sessionResult.success) {
             return {
                 success: false,
-                message: 'Security verification error. Please try again.'
+                message: sessionResult.message || "Failed to establish session"
             };
         }
+
+        await completeLoginRisk(risk.assessmentId);
+        await resetRateLimit('sso_login', rateLimitIds);
+        await recordSecurityEvent({ type: 'sso_login', outcome: 'success', userId: session.userId });
+
+        return {
+            success: true,
+            data: {
+                userId: session.userId,
+                sessionId: session.$id
+            }
+        };
+    } catch (error) {
+        console.error(`Failed to complete SSO sign-in for ${userId}:`, error);
+        return {
+            success: false,
+            message: error.message || "Failed to login with SSO"
+        };
+    }
+}
+
+/**
+ * Initiates the password recovery process
+ * @param {string} email - User's email address
+ * @param {string} hostURL - Base URL for recovery link
+ * @param {string} botToken - Bot protection token for the 'password_reset' action
+ * @returns {Promise<object>} Result of the operation
+ */
+export const requestPasswordRecovery = async (email, hostURL, botToken) => {
+    const botCheck = await checkBotProtection(botToken, 'password_reset');
+    if (!botCheck.success) {
+        return botCheck;
+    }
+
+    const rateLimit = await enforceRateLimit('password_recovery', { email });
+    if (!rateLimit.success) {
+        return rateLimit;
     }
 
     return handleOperation(
@@ -181,12 +938,33 @@ export const requestPasswordRecovery = async (email, hostURL, recaptchaToken) =>
     );
 };
 
+/**
+ * Completes the password reset with the secret from the recovery email
+ * @param {string} userId - User ID from the recovery link
+ * @param {string} secret - Recovery secret from the recovery link
+ * @param {string} password - New password
+ * @returns {Promise<object>} Result of the operation
+ */
 export const completePasswordReset = async (userId, secret, password) => {
-    return handleOperation(
+    const rateLimitIds = { userId };
+    const rateLimit = await enforceRateLimit('password_reset', rateLimitIds);
+    if (!rateLimit.success) {
+        return rateLimit;
+    }
+
+    const result = await handleOperation(
         async () => {
             const { account } = await createSessionClient(secret);
             return account.updateRecovery(userId, secret, password);
         },
         "Failed to complete password reset"
     );
+
+    if (result.success) {
+        await resetRateLimit('password_reset', rateLimitIds);
+    } else {
+        await recordRateLimitFailure('password_reset', rateLimitIds);
+    }
+
+    return result;
 };
\ No newline at end of file
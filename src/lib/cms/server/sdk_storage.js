@@ -2,6 +2,7 @@
 "use server";
 
 import { createAdminClient, Role, ID, Query, Permission } from './sdk_client';
+import { requireTeam } from './authGuard';
 
 
 
@@ -62,6 +63,11 @@ export const uploadFile = async (
     fileId = ID.unique(),
     permissions = ['read("any")']
 ) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleStorageOperation(
         async () => {
             const { storage } = await createAdminClient();
@@ -98,6 +104,11 @@ export const getFile = async (bucketId, fileId) => {
  * @param {Array} permissions - New permissions for the file
  */
 export const updateFile = async (bucketId, fileId, permissions) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleStorageOperation(
         async () => {
             const { storage } = await createAdminClient();
@@ -113,6 +124,11 @@ export const updateFile = async (bucketId, fileId, permissions) => {
  * @param {string} fileId - The file's unique ID
  */
 export const deleteFile = async (bucketId, fileId) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleStorageOperation(
         async () => {
             const { storage } = await createAdminClient();
@@ -211,6 +227,11 @@ export const isBucketCreated = async (bucketId) => {
  * @param {string} bucketName - The name of the bucket
  */
 export const createBucket = async (bucketId, bucketName) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         const { storage } = await createAdminClient();
         const teamIdSuperAdmin = process.env.CMS_TEAM_ID_SUPER_ADMIN;
@@ -1,6 +1,8 @@
 "use server";
 
 import { createAdminClient } from './sdk_client';
+import { requireTeam } from './authGuard';
+import { addUserToTeam, setupCompanyTeam } from './teamMembership';
 
 /**
  * Standardized error handler for team management functions
@@ -29,6 +31,11 @@ const handleTeamOperation = async (operation, errorMessage) => {
  * List all teams
  */
 export const listTeams = async (queries = [], search) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -45,6 +52,11 @@ export const listTeams = async (queries = [], search) => {
  * @param {string} teamName - Name of the team
  */
 export const createTeam = async (teamId, teamName) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -71,6 +83,11 @@ export const createTeam = async (teamId, teamName) => {
  * @param {string} teamId - ID of the team to retrieve
  */
 export const getTeam = async (teamId) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -86,6 +103,11 @@ export const getTeam = async (teamId) => {
  * @param {string} name - New name for the team
  */
 export const updateTeamName = async (teamId, name) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -100,6 +122,11 @@ export const updateTeamName = async (teamId, name) => {
  * @param {string} teamId - ID of the team to delete
  */
 export const deleteTeam = async (teamId) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -115,6 +142,11 @@ export const deleteTeam = async (teamId) => {
  * @param {string} teamId - ID of the team
  */
 export const listTeamMemberships = async (teamId, queries = [], search) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -149,6 +181,11 @@ const sanitizeRoleName = (roleName) => {
  * @param {string} url - Redirect URL for the invitation
  */
 export const createTeamMembership = async (teamId, email, roles, url) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -171,6 +208,11 @@ export const createTeamMembership = async (teamId, email, roles, url) => {
  * @param {string} membershipId - ID of the membership to retrieve
  */
 export const getTeamMembership = async (teamId, membershipId) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -187,6 +229,11 @@ export const getTeamMembership = async (teamId, membershipId) => {
  * @param {Array<string>} roles - New roles to assign to the member
  */
 export const updateMembership = async (teamId, membershipId, roles) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -206,6 +253,11 @@ export const updateMembership = async (teamId, membershipId, roles) => {
  * @param {string} membershipId - ID of the membership to delete
  */
 export const deleteTeamMembership = async (teamId, membershipId) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -221,6 +273,11 @@ export const deleteTeamMembership = async (teamId, membershipId) => {
  * @param {string} teamId - ID of the team
  */
 export const getTeamPreferences = async (teamId) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -237,6 +294,11 @@ export const getTeamPreferences = async (teamId) => {
  * @param {Object} prefs - Preferences to update
  */
 export const updateTeamPreferences = async (teamId, prefs) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -262,6 +324,11 @@ export const createMultiTeamMembership = async (
     phone,
     userID
 ) => {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleTeamOperation(
         async () => {
             const { teams } = await createAdminClient();
@@ -293,6 +360,7 @@ export const createMultiTeamMembership = async (
 
 /**
  * Add a user to a team (creates the team if it doesn't exist)
+ * Registration uses addUserToTeam from teamMembership.js directly
  * @param {string} teamId - ID of the team
  * @param {string} userId - ID of the user
  * @param {string} email - User's email
@@ -300,88 +368,31 @@ export const createMultiTeamMembership = async (
  * @param {Array<string>} roles - Roles to assign to the user
  */
 export const addToTeam = async (teamId, userId, email, hostURL, roles = ["visitor"]) => {
-    return handleTeamOperation(
-        async () => {
-            if (!teamId || !userId || !email || !hostURL) {
-                throw new Error("Missing required parameters: teamId, userId, email, and hostURL are required");
-            }
-
-            const { teams } = await createAdminClient();
-            const confirmationUrl = `${hostURL}/account/confirm`;
-
-            // Try to create team (will fail silently if already exists)
-            try {
-                await teams.get(teamId);
-            } catch (error) {
-                if (error.code === 404) {
-                    await teams.create(teamId, "Visitor");
-                }
-            }
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
 
-            // Add user to team
-            return await teams.createMembership(
-                teamId,
-                roles,
-                email,
-                userId,
-                undefined,
-                confirmationUrl
-            );
-        },
-        "Failed to add user to team"
-    );
+    return addUserToTeam(teamId, userId, email, hostURL, roles);
 };
 
-
-
 /**
  * Creates a company or individual team if it doesn't exist and adds the user to it
+ * Registration uses setupCompanyTeam from teamMembership.js directly
  * @param {string} teamId - Team ID
  * @param {string} teamName - Team display name
  * @param {string} userId - User ID
  * @param {string} email - User email
  * @param {string} hostURL - Host URL for confirmation
  * @param {string} role - User role in the team
+ * @param {string} domain - Email domain stored in the team preferences
  * @returns {Promise<object>} Result of the operation
  */
 export async function setupUserCompanyTeam(teamId, teamName, userId, email, hostURL, role, domain) {
-    try {
-        // First try to get the team to see if it exists
-        const teamResult = await getTeam(teamId);
-
-        // If team doesn't exist, create it
-        if (!teamResult.success) {
-            const teamRes = await createTeam(teamId, teamName);
-            if (teamRes.success) {
-                const prefs = {
-                    domain: domain,
-                    industry: "",
-                    address: "",
-                    city: "",
-                    zipcode: "",
-                    state: "",
-                    country: "",
-                    website: "",
-                    contacts: JSON.stringify([{}])
-                }
-                await updateTeamPreferences(teamId, prefs);
-            }
-
-        }
-
-        // Add the user to the team with the specified role
-        const membershipResult = await addToTeam(teamId, userId, email, hostURL, [role]);
-
-        return {
-            success: true,
-            data: membershipResult.data,
-            message: `User added to ${teamName} team`
-        };
-    } catch (error) {
-        console.error(`Failed to setup team ${teamName}:`, error);
-        return {
-            success: false,
-            message: `Failed to setup team: ${error.message}`
-        };
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
     }
+
+    return setupCompanyTeam(teamId, teamName, userId, email, hostURL, role, domain);
 }
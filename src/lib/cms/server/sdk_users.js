@@ -1,13 +1,55 @@
 // src\lib\cms\server\sdk_users.js
 "use server";
 
-import { createAdminClient, createSessionClient, Query, ID } from './sdk_client';
-import { verifyJWT } from "./jwt";
+import { createAdminClient, ID } from './sdk_client';
+import { verifyJWT } from "./jwtVerification";
+import { revokeJWT } from "./jwt";
 import { deleteCookie, getCookie } from "./cookieService";
+import { readSessionCookie } from "./sessionCookie";
 import { getCartItemCount } from "./cart";
-import { addToTeam, setupUserCompanyTeam } from './sdk_teams';
+import { addUserToTeam } from './teamMembership';
+import { provisionNewUser } from './provisioning';
+import { requireStepUp, getCurrentSessionIdentity } from './stepUp';
+import {
+    validateSessionRecord,
+    listSessionRecords,
+    revokeSessionRecord,
+    revokeUserSessionRecords
+} from './sessionRegistry';
+import { revokeUserTokens } from './jwtRevocation';
+import { requireTeam, requireSelfOrTeam } from './authGuard';
+import { describeUserAgent } from './userAgent';
+import { getUserCredentials } from './passkey_utils';
+import { loadUser, loadUserMemberships, withoutPasswordHash } from './userRecords';
+import { getTwoFactorState } from './twoFactor';
+import { enforceRateLimit, recordRateLimitFailure, resetRateLimit } from './rateLimiter';
 // import { createCustomer } from '@/lib/stripe/server/customers';
 
+/**
+ * End every session of a user: registry records, Appwrite sessions and any
+ * session token still held by a browser
+ * @param {string} userId - The user ID
+ * @returns {Promise<number>} Number of registered sessions revoked
+ * @throws {Error} If any part of the sign-out fails
+ */
+const revokeAllUserSessions = async (userId) => {
+    const tokenResult = await revokeUserTokens(userId);
+    if (!tokenResult.success) {
+        throw new Error(tokenResult.message);
+    }
+
+    const result = await revokeUserSessionRecords(userId);
+    if (!result.success) {
+        throw new Error(result.message);
+    }
+
+    // Also end Appwrite sessions that never went through the registry
+    const { users } = await createAdminClient();
+    await users.deleteSessions(userId);
+
+    return result.revokedCount;
+};
+
 /**
  * Standardized error handler for user management functions
  * @param {Function} operation - Async function to execute
@@ -37,69 +79,85 @@ const handleUserOperation = async (operation, errorMessage) => {
  * @param {string} search - Optional search term
  */
 export async function getUsers(queries = [], search = '') {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
             const { users } = await createAdminClient();
             const response = search
                 ? await users.list(queries, search)
                 : await users.list(queries);
-            return response;
+            return { ...response, users: response.users.map(withoutPasswordHash) };
         },
         "Failed to fetch users"
     );
 }
 
 /**
- * Get a user by ID
+ * Get a user by ID (without the password hash)
+ * Server code that runs without the user's session uses loadUser (userRecords.js)
  * @param {string} userId - The user ID
  */
 export async function getUser(userId) {
-    return handleUserOperation(
-        async () => {
-            const { users } = await createAdminClient();
-            return await users.get(userId);
-        },
-        `Failed to fetch user with ID ${userId}`
-    );
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
+    return await loadUser(userId);
 }
 
 /**
- * Get user by current session
+ * Get the signed-in user from the session cookie
+ * Works for every sign-in method, including passkeys, which have no Appwrite session secret
  */
-export async function getUserBySession() {
-    const sessionCookie = await getCookie(process.env.COOKIE_NAME);
-
-    if (!sessionCookie.exists) {
+export async function getSessionUser() {
+    const identity = await getCurrentSessionIdentity();
+    if (!identity.success) {
         return {
             success: false,
-            message: "No session cookie found"
+            message: identity.message
         };
     }
 
+    return await loadUser(identity.userId);
+}
+
+/**
+ * Get user by current session
+ */
+export async function getUserBySession() {
     try {
-        const sessionPayload = await verifyJWT(sessionCookie.data.value);
-        const { account } = await createSessionClient(sessionPayload.session.secret);
-
-        // Try to get user data and catch 401 specifically
-        let userData;
-        try {
-            userData = await account.get(sessionPayload.userId);
-        } catch (error) {
-            // Check if it's a 401 error
-            if (error.code === 401 || error.status === 401 || error.statusCode === 401) {
-                console.log("401 Unauthorized: Deleting session cookie");
-                await deleteCookie(process.env.COOKIE_NAME);
+        // Passkey logins have no Appwrite session secret, so the registry is the source of truth
+        const current = await readSessionCookie();
+        if (!current.success) {
+            if (current.code === 'session_missing') {
                 return {
                     success: false,
-                    message: "Session unauthorized"
+                    message: current.message
                 };
             }
-            // Rethrow other errors
-            throw error;
+
+            console.log(`Session rejected (${current.code}): Deleting session cookie`);
+            await deleteCookie(process.env.COOKIE_NAME);
+            return {
+                success: false,
+                message: "Session unauthorized"
+            };
         }
 
-        // Continue with the rest of the function if account.get is successful
-        const membershipsResponse = await getUserMemberships(sessionPayload.userId);
+        const { payload: sessionPayload, sessionId } = current;
+
+        const userResult = await loadUser(sessionPayload.userId);
+        if (!userResult.success) {
+            throw new Error(userResult.message);
+        }
+        const userData = userResult.data;
+
+        const membershipsResponse = await loadUserMemberships(sessionPayload.userId);
         const userMemberships = membershipsResponse?.data?.memberships || [];
 
         const userTeams = {
@@ -125,7 +183,7 @@ export async function getUserBySession() {
             JSON.stringify(sortedUserTeams);
 
         if (!areTeamsEqual) {
-            await account.deleteSession(sessionPayload.session.$id);
+            await revokeSessionRecord(sessionId);
             await deleteCookie(process.env.COOKIE_NAME);
             throw new Error("User teams mismatch with session teams");
         }
@@ -147,39 +205,22 @@ export async function getUserBySession() {
 
 
 export async function getUserSessionFromCookie() {
-    const sessionCookie = await getCookie(process.env.COOKIE_NAME);
-
-    if (!sessionCookie.exists) {
-        return {
-            success: false,
-            message: "No session cookie found"
-        };
-    }
-
     try {
-        const sessionPayload = await verifyJWT(sessionCookie.data.value);
-        const userSessions = await getUserSessions(sessionPayload.userId);
-
-        // Check if the session exists in the user's active sessions
-        if (!userSessions.success || userSessions.data.total === 0) {
-            // console.error("No active sessions found for user");
-            await deleteCookie(process.env.COOKIE_NAME);
-            return {
-                success: false,
-                message: "No active sessions found for user"
-            };
-        }
-
-        // Check if the session ID from JWT exists in the user's sessions
-        const sessionExists = userSessions.data.sessions.some(
-            session => session.$id === sessionPayload.$id
-        );
+        // Check the session against the registry (password, passkey and SSO logins alike)
+        // and slide its expiry forward while the user is active
+        const current = await readSessionCookie();
+        if (!current.success) {
+            if (current.code === 'session_missing') {
+                return {
+                    success: false,
+                    message: current.message
+                };
+            }
 
-        if (!sessionExists) {
-            // console.error("Session ID not found in user's active sessions");
             await deleteCookie(process.env.COOKIE_NAME);
             return {
                 success: false,
+                code: current.code,
                 message: "Invalid session"
             };
         }
@@ -187,7 +228,7 @@ export async function getUserSessionFromCookie() {
         // Session is valid
         return {
             success: true,
-            session: sessionPayload
+            session: current.payload
         };
 
     } catch (error) {
@@ -219,13 +260,16 @@ export async function logout() {
     return handleUserOperation(
         async () => {
             const sessionPayload = await verifyJWT(sessionCookie.data.value);
-            const { account } = await createSessionClient(sessionPayload.session.secret);
+            const sessionId = sessionPayload.session?.$id || sessionPayload.$id;
 
-            // Delete the session
-            await account.deleteSession(sessionPayload.session.$id);
+            // Revoke the session (and its Appwrite session for password and SSO logins)
+            const revokeResult = await revokeSessionRecord(sessionId);
+            if (!revokeResult.success) {
+                throw new Error(revokeResult.message);
+            }
 
-            // Remove the cookie
-            await deleteCookie(process.env.COOKIE_NAME);
+            // Revoke the token itself and remove the cookie
+            await revokeJWT();
 
             return {
                 message: "User logged out successfully"
@@ -248,10 +292,25 @@ export async function logout() {
  * @param {string} userId - The user ID to delete
  */
 export async function deleteUser(userId) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
+            // Revoke tokens first so nothing issued to the user outlives the account
+            const tokenResult = await revokeUserTokens(userId);
+            if (!tokenResult.success) {
+                throw new Error(tokenResult.message);
+            }
+
             const { users } = await createAdminClient();
-            return await users.delete(userId);
+            const response = await users.delete(userId);
+
+            await revokeUserSessionRecords(userId);
+
+            return response;
         },
         `Failed to delete user with ID ${userId}`
     );
@@ -266,7 +325,7 @@ const updateUserStatus = async (userId, isActive) => {
     return handleUserOperation(
         async () => {
             const { users } = await createAdminClient();
-            return await users.updateStatus(userId, isActive);
+            return withoutPasswordHash(await users.updateStatus(userId, isActive));
         },
         `Failed to ${isActive ? 'activate' : 'deactivate'} user with ID ${userId}`
     );
@@ -277,7 +336,24 @@ const updateUserStatus = async (userId, isActive) => {
  * @param {string} userId - The user ID to deactivate
  */
 export async function deactivateUser(userId) {
-    return updateUserStatus(userId, false);
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
+    const result = await updateUserStatus(userId, false);
+    if (!result.success) {
+        return result;
+    }
+
+    // A deactivated user must not stay signed in anywhere
+    return handleUserOperation(
+        async () => {
+            await revokeAllUserSessions(userId);
+            return result.data;
+        },
+        `Failed to sign out deactivated user with ID ${userId}`
+    );
 }
 
 /**
@@ -285,6 +361,11 @@ export async function deactivateUser(userId) {
  * @param {string} userId - The user ID to activate
  */
 export async function activateUser(userId) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return updateUserStatus(userId, true);
 }
 
@@ -294,25 +375,100 @@ export async function activateUser(userId) {
  * @param {string} phoneNum - The new phone number
  */
 export async function updatePhone(userId, phoneNum) {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
             const { users } = await createAdminClient();
-            return await users.updatePhone(userId, phoneNum);
+            return withoutPasswordHash(await users.updatePhone(userId, phoneNum));
         },
         `Failed to update phone for user with ID ${userId}`
     );
 }
 
+/**
+ * Confirm the caller with their current password when they have nothing to
+ * step up with (no passkey, authenticator app or recovery codes)
+ * Wrong passwords count towards the 'step_up' rate limit
+ * @param {string} callerId - User ID of the caller
+ * @param {string} currentPassword - Caller's current password
+ * @param {Object} stepUp - Failed result of requireStepUp, returned when the caller can step up
+ * @returns {Promise<{success: boolean, code?: string, message?: string}>}
+ */
+const confirmWithCurrentPassword = async (callerId, currentPassword, stepUp) => {
+    const [passkeys, twoFactor] = await Promise.all([
+        getUserCredentials(callerId),
+        getTwoFactorState(callerId)
+    ]);
+    if (passkeys.credentials?.length > 0 || twoFactor.totpEnabled || twoFactor.recoveryCodesRemaining > 0) {
+        return stepUp;
+    }
+
+    if (!currentPassword) {
+        return {
+            success: false,
+            code: 'current_password_required',
+            message: "Please enter your current password to continue."
+        };
+    }
+
+    const rateLimitIds = { userId: callerId };
+    const rateLimit = await enforceRateLimit('step_up', rateLimitIds);
+    if (!rateLimit.success) {
+        return rateLimit;
+    }
+
+    const { account, users } = await createAdminClient();
+    const caller = await users.get(callerId);
+    try {
+        const session = await account.createEmailPasswordSession(caller.email, currentPassword);
+        await users.deleteSession(callerId, session.$id);
+    } catch (error) {
+        if (error.code !== 401) {
+            throw error;
+        }
+        await recordRateLimitFailure('step_up', rateLimitIds);
+        return {
+            success: false,
+            code: 'invalid_password',
+            message: "Your current password is incorrect."
+        };
+    }
+
+    await resetRateLimit('step_up', rateLimitIds);
+    return { success: true };
+};
+
 /**
  * Update a user's password
+ * Requires a recent step-up (passkey, authenticator or recovery code) on the
+ * caller's session; callers with none of those confirm their current password
  * @param {string} userId - The user ID
  * @param {string} newPassword - The new password
+ * @param {string} currentPassword - Optional: the caller's current password
  */
-export async function updatePassword(userId, newPassword) {
+export async function updatePassword(userId, newPassword, currentPassword) {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
+    const stepUp = await requireStepUp();
+    if (!stepUp.success) {
+        const confirmed = await confirmWithCurrentPassword(guard.user.userId, currentPassword, stepUp)
+            .catch(error => ({ success: false, message: error.message || "Failed to confirm your identity" }));
+        if (!confirmed.success) {
+            return confirmed;
+        }
+    }
+
     return handleUserOperation(
         async () => {
             const { users } = await createAdminClient();
-            return await users.updatePassword(userId, newPassword);
+            return withoutPasswordHash(await users.updatePassword(userId, newPassword));
         },
         `Failed to update password for user with ID ${userId}`
     );
@@ -324,24 +480,46 @@ export async function updatePassword(userId, newPassword) {
  * @param {string} newName - The new name
  */
 export async function updateName(userId, newName) {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
             const { users } = await createAdminClient();
-            return await users.updateName(userId, newName);
+            return withoutPasswordHash(await users.updateName(userId, newName));
         },
         `Failed to update name for user with ID ${userId}`
     );
 }
 
 /**
- * Get a user's active sessions
+ * Get a user's active sessions from the session registry (all sign-in methods)
+ * Each session includes its browser and OS, and `current` marks the caller's own session
  * @param {string} userId - The user ID
  */
 export async function getUserSessions(userId) {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
-            const { users } = await createAdminClient();
-            return await users.listSessions(userId);
+            const result = await listSessionRecords(userId);
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            return {
+                total: result.total,
+                sessions: result.sessions.map(session => ({
+                    ...session,
+                    ...describeUserAgent(session.userAgent),
+                    // The session the request was made with ("this device")
+                    current: session.$id === guard.user.sessionId
+                }))
+            };
         },
         `Failed to fetch sessions for user with ID ${userId}`
     );
@@ -352,25 +530,94 @@ export async function getUserSessions(userId) {
  * @param {string} userId - The user ID
  */
 export async function deleteUserSessions(userId) {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
-            const { users } = await createAdminClient();
-            return await users.deleteSessions(userId);
+            const revokedCount = await revokeAllUserSessions(userId);
+            return { revokedCount };
         },
         `Failed to delete sessions for user with ID ${userId}`
     );
 }
 
+/**
+ * Sign the current user out on every device, including this one
+ */
+export async function signOutEverywhere() {
+    const identity = await getCurrentSessionIdentity();
+    if (!identity.success) {
+        return {
+            success: false,
+            message: identity.message || "Not signed in"
+        };
+    }
+
+    return handleUserOperation(
+        async () => {
+            const revokedCount = await revokeAllUserSessions(identity.userId);
+            await deleteCookie(process.env.COOKIE_NAME);
+            return { revokedCount };
+        },
+        `Failed to sign out user with ID ${identity.userId} everywhere`
+    );
+}
+
+/**
+ * Sign the current user out on every other device, keeping this session
+ */
+export async function signOutOtherSessions() {
+    const identity = await getCurrentSessionIdentity();
+    if (!identity.success) {
+        return {
+            success: false,
+            message: identity.message || "Not signed in"
+        };
+    }
+
+    return handleUserOperation(
+        async () => {
+            const result = await revokeUserSessionRecords(identity.userId, { exceptSessionId: identity.sessionId });
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            return { revokedCount: result.revokedCount };
+        },
+        `Failed to sign out other sessions of user with ID ${identity.userId}`
+    );
+}
+
 /**
  * Delete a specific session for a user
  * @param {string} userId - The user ID
  * @param {string} sessionId - The session ID to delete
  */
 export async function deleteUserSession(userId, sessionId) {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
-            const { users } = await createAdminClient();
-            return await users.deleteSession(userId, sessionId);
+            const validation = await validateSessionRecord(sessionId, userId);
+            if (!validation.success) {
+                // Validation ends expired and idle sessions itself
+                if (['session_revoked', 'session_expired', 'session_idle'].includes(validation.code)) {
+                    return { $id: sessionId };
+                }
+                throw new Error(validation.message);
+            }
+
+            const result = await revokeSessionRecord(sessionId);
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            return result.session;
         },
         `Failed to delete session ${sessionId} for user with ID ${userId}`
     );
@@ -381,13 +628,12 @@ export async function deleteUserSession(userId, sessionId) {
  * @param {string} userId - The user ID
  */
 export async function getUserMemberships(userId) {
-    return handleUserOperation(
-        async () => {
-            const { users } = await createAdminClient();
-            return await users.listMemberships(userId);
-        },
-        `Failed to fetch memberships for user with ID ${userId}`
-    );
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
+    return await loadUserMemberships(userId);
 }
 
 /**
@@ -395,6 +641,11 @@ export async function getUserMemberships(userId) {
  * @param {string} userId - The user ID
  */
 export async function getPrefs(userId) {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
             const { users } = await createAdminClient();
@@ -410,6 +661,11 @@ export async function getPrefs(userId) {
  * @param {Object} newPreferences - The new preferences to merge with existing ones
  */
 export async function updatePrefs(userId, newPreferences) {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
             const { users } = await createAdminClient();
@@ -437,6 +693,11 @@ export async function updatePrefs(userId, newPreferences) {
  * @param {Object} newPreferences - The complete new preferences object to replace existing ones
  */
 export async function replacePrefs(userId, newPreferences) {
+    const guard = await requireSelfOrTeam(userId, 'admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
             const { users } = await createAdminClient();
@@ -448,46 +709,6 @@ export async function replacePrefs(userId, newPreferences) {
 
 
 
-/**
- * Get a user ID by email address (case insensitive)
- * @param {string} email - The email to search for
- */
-export async function getUserIdByEmail(email) {
-    return handleUserOperation(
-        async () => {
-            const { users } = await createAdminClient();
-
-            // Option 1: If your SDK/database supports case-insensitive queries
-            const response = await users.list([
-                // Some SDKs have case-insensitive query options
-                Query.equal('email', email.toLowerCase())
-            ]);
-
-            // Option 2: If case-insensitive queries aren't supported, fetch and filter
-            if (response.total === 0) {
-                // Fallback to manual filtering
-                const allUsers = await users.list();
-                const matchingUser = allUsers.users.find(
-                    user => user.email.toLowerCase() === email.toLowerCase()
-                );
-
-                if (!matchingUser) {
-                    throw new Error(`No user found with email: ${email}`);
-                }
-
-                return matchingUser.$id;
-            }
-
-            return response.users[0].$id;
-        },
-        `Failed to find user ID for email ${email}`
-    );
-}
-
-
-
-
-
 /**
  * Get all user header data in a single optimized request
  * @returns {Object} Combined header data including login status, user details, cart, and theme preference
@@ -590,11 +811,16 @@ export async function getUserHeaderData() {
  * @param {string} userData.firstName - First name (required)
  * @param {string} userData.lastName - Last name (required)
  * @param {string} userData.team - Team ID to add user to (required)
- * @param {string} userData.company - Company name (optional, derived from email)
- * @param {string} userData.domain - Company domain (optional, derived from email)
+ * @param {string} userData.company - Company name (optional, defaults to the team's)
+ * @param {string} userData.hostURL - Base URL for team confirmation links (required)
  * @returns {Promise<Object>} - Result of the operation
  */
 export async function addUserByAdmin(userData) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleUserOperation(
         async () => {
             // Validate required fields
@@ -608,27 +834,6 @@ export async function addUserByAdmin(userData) {
             // Generate full name
             const name = `${userData.firstName} ${userData.lastName}`;
 
-            // Extract domain from email if not provided
-            const emailDomain = userData.domain || userData.email.split('@')[1].toLowerCase();
-            const isPersonalEmail = ['gmail.com', 'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com', 'protonmail.com', 'aol.com', 'zoho.com', 'yandex.com', 'mail.com'].includes(emailDomain);
-
-            // Handle company name formatting (similar to registerUser)
-            let companyName, teamName, teamId, role;
-
-            if (isPersonalEmail) {
-                companyName = "Individual";
-                teamName = "Individual";
-                teamId = "individual";
-                role = "individual";
-            } else {
-                // Format company name from domain (e.g., "example.com" → "Example")
-                const formattedCompanyName = userData.company.split('.')[0].charAt(0).toUpperCase() + emailDomain.split('.')[0].slice(1) || emailDomain.split('.')[0].charAt(0).toUpperCase() + emailDomain.split('.')[0].slice(1);
-                companyName = formattedCompanyName;
-                teamName = formattedCompanyName;
-                teamId = `com_${emailDomain.replace(/\./g, '_')}`;
-                role = "member";
-            }
-
             // Create the user account
             const newUser = await account.create(
                 userId,
@@ -637,56 +842,21 @@ export async function addUserByAdmin(userData) {
                 name
             );
 
-            // Create Stripe customer if function exists
-            let stripeCustomerId = '';
-            // try {
-            //     const stripeResponse = await createCustomer(userData.email, name, {
-            //         uid: newUser.$id,
-            //     });
-
-            //     if (stripeResponse.success) {
-            //         stripeCustomerId = stripeResponse.data || '';
-            //     }
-            // } catch (error) {
-            //     // Log but don't fail if Stripe customer creation fails
-            //     console.error("Failed to create Stripe customer:", error);
-            // }
-
-            // Set user preferences
-            const preferences = {
+            // Preferences, visitor team and company team by the provisioning rules
+            const provisioned = await provisionNewUser(newUser, {
+                email: userData.email,
+                name,
                 firstName: userData.firstName,
                 lastName: userData.lastName,
-                company: companyName,
-                domain: emailDomain,
-                stripeCustomerId: stripeCustomerId,
-                notificationEmails: "True",
-                notificationsPush: "True",
-                notificationsMarketingEmail: "True",
-                notificationsTipsEmail: "True",
-                themeColor: "System",
-                SSO: "" // Admin-created users don't use SSO
-            };
-
-            await updatePrefs(newUser?.$id, preferences);
-
-            // Add user to visitor team (like in registerUser)
-            const visitorTeamId = process.env.CMS_TEAM_ID_VISITOR;
-            if (!visitorTeamId) {
-                throw new Error("VISITOR_TEAM_ID is not set in environment variables.");
-            }
-            await addToTeam(visitorTeamId, newUser.$id, userData.email, userData.hostURL);
-
-            // Create or add user to their appropriate team (company or individual)
-            const teamResult = await setupUserCompanyTeam(teamId, teamName, newUser.$id, userData.email, userData.hostURL, role, emailDomain);
-            if (!teamResult.success) {
-                console.warn(`Team setup warning: ${teamResult.message}`);
-                // Continue with registration even if team setup has issues
-            }
+                hostURL: userData.hostURL,
+                authMethod: 'admin',
+                company: userData.company
+            });
 
             // Add user to additional specified team if provided
-            if (userData.team && userData.team !== teamId) {
+            if (userData.team && userData.team !== provisioned.teamId) {
                 try {
-                    await addToTeam(userData.team, newUser.$id, userData.email, userData.hostURL, [`${userData.team}`]);
+                    await addUserToTeam(userData.team, newUser.$id, userData.email, userData.hostURL, [`${userData.team}`]);
                 } catch (teamError) {
                     console.error("Failed to add user to additional team:", teamError);
                     // Don't fail the entire operation if additional team assignment fails
@@ -702,8 +872,8 @@ export async function addUserByAdmin(userData) {
                 email: userData.email,
                 firstName: userData.firstName,
                 lastName: userData.lastName,
-                company: companyName,
-                domain: emailDomain
+                company: provisioned.company,
+                domain: provisioned.domain
             };
         },
         `Failed to add user: ${userData.email}`
@@ -0,0 +1,65 @@
+// src/lib/cms/server/securityEvents.js
+
+import { createAdminClient, ID } from './sdk_client';
+import { getRequestContext } from './requestContext';
+
+/**
+ * Security event log for passkey and sign-in activity
+ * Events are append-only and written with the admin client; recording never
+ * throws so an unavailable audit log can't break a sign-in. They are read
+ * through the guarded actions in passkey_events.js.
+ */
+
+/**
+ * Collection of the security event log
+ * @returns {string}
+ */
+export const getSecurityEventsCollectionId = () =>
+  process.env.CMS_COLLECTION_ID_PASSKEY_SECURITY_EVENTS || "passKeySecurityEvents";
+
+/**
+ * Record a security event
+ * @param {Object} event - Event details
+ * @param {string} event.type - Event type (e.g. 'counter_regression', 'credential_restored')
+ * @param {string} event.outcome - 'success', 'failure' or 'blocked'
+ * @param {string} event.userId - Optional: user the event concerns
+ * @param {string} event.credentialId - Optional: credential document ID the event concerns
+ * @param {Object} event.details - Optional: extra context, stored as JSON
+ * @returns {Promise<{success: boolean, eventId?: string, message?: string}>}
+ */
+export async function recordSecurityEvent({ type, outcome, userId = null, credentialId = null, details = null }) {
+  try {
+    const { databases } = await createAdminClient();
+    const databaseId = process.env.CMS_DB_ID;
+    const { ip, userAgent } = await getRequestContext();
+
+    const eventDoc = await databases.createDocument(
+      databaseId,
+      getSecurityEventsCollectionId(),
+      ID.unique(),
+      {
+        userId,
+        credentialId,
+        type,
+        outcome,
+        ip,
+        userAgent: userAgent?.substring(0, 512) || null,
+        details: details ? JSON.stringify(details).substring(0, 2000) : null,
+        createdAt: new Date().toISOString()
+      }
+    );
+
+    return {
+      success: true,
+      eventId: eventDoc.$id,
+      message: "Security event recorded"
+    };
+
+  } catch (error) {
+    console.error(`[Passkey Events] Failed to record ${type} event:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to record security event"
+    };
+  }
+}
@@ -0,0 +1,134 @@
+// src/lib/cms/server/sessionCookie.js
+
+import { verifyJWT } from './jwtVerification';
+import { generateEncryptedJWT, getTeamClaims } from './jwtIssuer';
+import { getCookie, setCookie } from './cookieService';
+import { validateSessionRecord, touchSessionRecord } from './sessionRegistry';
+
+/**
+ * Reading the session cookie
+ *
+ * Every server-side check of the session cookie goes through here: the token
+ * is verified, the session is checked against the registry, activity is
+ * recorded and, when the session slides forward, the cookie is reissued with
+ * the new expiry so active users stay signed in. After the signed-in user's
+ * team memberships change, refreshSessionTeams reissues it with the new teams.
+ */
+
+// Claims added by generateEncryptedJWT that are set again on reissue
+const REGISTERED_CLAIMS = ['iat', 'exp', 'iss', 'aud', 'nbf', 'jti'];
+
+/**
+ * Reissue the session cookie with a later expiry, keeping its claims
+ * Setting cookies fails while rendering a Server Component; the next server
+ * action or route handler will retry, so failures are only logged
+ * @param {Object} payload - Verified token payload
+ * @param {string} expiresAt - New ISO expiry
+ * @returns {Promise<boolean>} - Whether the cookie was reissued
+ */
+async function reissueSessionCookie(payload, expiresAt) {
+  const claims = Object.fromEntries(
+    Object.entries(payload).filter(([key]) => !REGISTERED_CLAIMS.includes(key))
+  );
+  if (claims.session) {
+    claims.session = { ...claims.session, expire: expiresAt };
+  }
+
+  const expirationInSeconds = Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000);
+  if (expirationInSeconds <= 0) {
+    return false;
+  }
+
+  try {
+    const token = await generateEncryptedJWT(claims, expirationInSeconds);
+    const cookieResult = await setCookie(process.env.COOKIE_NAME, token, {
+      httpOnly: true,
+      sameSite: "strict",
+      expires: new Date(expiresAt),
+      path: "/",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: expirationInSeconds
+    });
+    return cookieResult.success;
+  } catch (error) {
+    console.error("[Sessions] Failed to reissue session cookie:", error);
+    return false;
+  }
+}
+
+/**
+ * Read, validate and (when due) renew the current session cookie
+ * @returns {Promise<{success: boolean, payload?: Object, userId?: string, sessionId?: string, session?: Object, renewed?: boolean, code?: string, message?: string}>}
+ * @throws {Error} - If the cookie holds an invalid or expired token
+ */
+export async function readSessionCookie() {
+  const sessionCookie = await getCookie(process.env.COOKIE_NAME);
+  if (!sessionCookie.exists) {
+    return {
+      success: false,
+      code: 'session_missing',
+      message: "No session cookie found"
+    };
+  }
+
+  const payload = await verifyJWT(sessionCookie.data.value);
+  // generateJWT nests the session, generateJWTWEB stores its $id at the top level
+  const sessionId = payload.session?.$id || payload.$id;
+
+  // A valid token is not enough: the session may have been signed out, revoked or gone idle
+  const validation = await validateSessionRecord(sessionId, payload.userId);
+  if (!validation.success) {
+    return {
+      success: false,
+      code: validation.code,
+      message: validation.message
+    };
+  }
+
+  let session = validation.session;
+  let renewed = false;
+
+  const activity = await touchSessionRecord(session, { tokenExpiresAt: payload.exp * 1000 });
+  if (activity.success) {
+    session = activity.session;
+    if (activity.renewed) {
+      renewed = await reissueSessionCookie(payload, session.expiresAt);
+    }
+  }
+
+  return {
+    success: true,
+    payload,
+    userId: payload.userId,
+    sessionId,
+    session,
+    renewed
+  };
+}
+
+/**
+ * Reissue the current session cookie with the user's current team memberships
+ * The middleware authorizes routes from the team claims in the cookie, so
+ * without this a new membership only takes effect at the next sign-in
+ * @returns {Promise<{success: boolean, code?: string, message?: string}>}
+ */
+export async function refreshSessionTeams() {
+  try {
+    const current = await readSessionCookie();
+    if (!current.success) {
+      return current;
+    }
+
+    const teams = await getTeamClaims(current.userId);
+    const reissued = await reissueSessionCookie({ ...current.payload, teams }, current.session.expiresAt);
+    return reissued
+      ? { success: true }
+      : { success: false, message: "Failed to update the session" };
+  } catch (error) {
+    console.error("[Sessions] Failed to refresh session teams:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to update the session"
+    };
+  }
+}
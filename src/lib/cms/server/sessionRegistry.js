@@ -0,0 +1,496 @@
+// src/lib/cms/server/sessionRegistry.js
+
+import { createAdminClient, ID, Query } from './sdk_client';
+import { getRequestContext } from './requestContext';
+
+/**
+ * Local registry of sign-in sessions
+ *
+ * Every login (password, passkey, SSO, email link) writes a record here and the record's
+ * $id is the session $id carried in the session JWT. Validation, listing and
+ * revocation go through the registry so all providers behave the same; for
+ * logins backed by an Appwrite session (password, SSO, email link) the Appwrite session is
+ * revoked along with the record.
+ *
+ * Sessions slide: `expiresAt` is pushed forward while the user is active, up to
+ * `absoluteExpiresAt`, and a session unused for longer than the idle timeout
+ * ends early. All three limits are set per sign-in method, in seconds:
+ *
+ *   SESSION_PASSWORD_DURATION, SESSION_PASSWORD_IDLE_TIMEOUT, SESSION_PASSWORD_MAX_LIFETIME
+ *   SESSION_OAUTH_*   (SSO logins)
+ *   SESSION_PASSKEY_*
+ *   SESSION_MAGIC_LINK_*  (email link logins)
+ *
+ * falling back to SESSION_DURATION, SESSION_IDLE_TIMEOUT and SESSION_MAX_LIFETIME.
+ */
+
+const getSessionsCollectionId = () => process.env.CMS_COLLECTION_ID_SESSIONS || "authSessions";
+
+const DEFAULT_SESSION_POLICY = {
+  duration: 24 * 60 * 60,       // 24 hours
+  idleTimeout: 8 * 60 * 60,     // 8 hours
+  maxLifetime: 30 * 24 * 60 * 60 // 30 days
+};
+
+// Environment prefix of each sign-in method's session settings
+const PROVIDER_ENV_PREFIXES = {
+  password: 'PASSWORD',
+  sso: 'OAUTH',
+  passkey: 'PASSKEY',
+  magic_link: 'MAGIC_LINK'
+};
+
+// Record activity at most once a minute so every request isn't a database write
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Read a positive number of seconds from the environment
+ * @param {string[]} keys - Variables to try, most specific first
+ * @param {number} fallback - Value when none is set or valid
+ * @returns {number}
+ */
+const readSeconds = (keys, fallback) => {
+  for (const key of keys) {
+    const value = parseInt(process.env[key], 10);
+    if (Number.isFinite(value) && value > 0) {
+      return value;
+    }
+  }
+  return fallback;
+};
+
+/**
+ * Get the session lifetime settings of a sign-in method
+ * @param {string} provider - Sign-in method ('password', 'sso', 'passkey', 'magic_link')
+ * @returns {{duration: number, idleTimeout: number, maxLifetime: number}} - Seconds
+ */
+export function getSessionPolicy(provider) {
+  const prefix = PROVIDER_ENV_PREFIXES[provider];
+  const keysFor = (setting) => [
+    ...(prefix ? [`SESSION_${prefix}_${setting}`] : []),
+    `SESSION_${setting}`
+  ];
+
+  const maxLifetime = readSeconds(keysFor('MAX_LIFETIME'), DEFAULT_SESSION_POLICY.maxLifetime);
+
+  return {
+    duration: Math.min(readSeconds(keysFor('DURATION'), DEFAULT_SESSION_POLICY.duration), maxLifetime),
+    idleTimeout: readSeconds(keysFor('IDLE_TIMEOUT'), DEFAULT_SESSION_POLICY.idleTimeout),
+    maxLifetime
+  };
+}
+
+/**
+ * Absolute end of a session, falling back to its sliding expiry for records
+ * created before absolute lifetimes were stored
+ * @param {Object} sessionDoc - Session document
+ * @returns {Date}
+ */
+const getAbsoluteExpiry = (sessionDoc) => new Date(sessionDoc.absoluteExpiresAt || sessionDoc.expiresAt);
+
+/**
+ * Last time the session was used
+ * @param {Object} sessionDoc - Session document
+ * @returns {Date}
+ */
+const getLastActivity = (sessionDoc) => new Date(sessionDoc.lastActiveAt || sessionDoc.createdAt);
+
+/**
+ * Shape a session record for callers
+ * @param {Object} sessionDoc - Session document
+ * @returns {Object} - Session record
+ */
+const formatSessionRecord = (sessionDoc) => ({
+  $id: sessionDoc.$id,
+  userId: sessionDoc.userId,
+  provider: sessionDoc.provider,
+  providerSessionId: sessionDoc.providerSessionId || null,
+  credentialId: sessionDoc.credentialId || null,
+  ip: sessionDoc.ip || null,
+  userAgent: sessionDoc.userAgent || null,
+  location: sessionDoc.location || null,
+  createdAt: sessionDoc.createdAt,
+  lastActiveAt: getLastActivity(sessionDoc).toISOString(),
+  expiresAt: sessionDoc.expiresAt,
+  absoluteExpiresAt: getAbsoluteExpiry(sessionDoc).toISOString()
+});
+
+/**
+ * Delete the Appwrite session behind a record, if there is one
+ * @param {Object} sessionDoc - Session document
+ */
+async function deleteProviderSession(sessionDoc) {
+  if (!sessionDoc.providerSessionId) {
+    return;
+  }
+
+  try {
+    const { users } = await createAdminClient();
+    await users.deleteSession(sessionDoc.userId, sessionDoc.providerSessionId);
+  } catch (error) {
+    // Already gone (expired or signed out in Appwrite)
+    if (error.code !== 404) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Register a new session
+ * Its expiry follows the sign-in method's session policy; the returned
+ * `expiresAt` is the expiry to give the session cookie
+ * @param {Object} params
+ * @param {string} params.userId - User the session belongs to
+ * @param {string} params.provider - Sign-in method ('password', 'passkey', 'sso', 'magic_link')
+ * @param {string} params.expire - Optional: ISO expiry of the backing Appwrite session, which caps the session lifetime
+ * @param {string} params.providerSessionId - Optional: backing Appwrite session $id, reused as the record $id
+ * @param {string} params.credentialId - Optional: passkey credential document used to sign in
+ * @returns {Promise<{success: boolean, session?: Object, message?: string}>}
+ */
+export async function createSessionRecord({ userId, provider, expire = null, providerSessionId = null, credentialId = null }) {
+  try {
+    const { databases } = await createAdminClient();
+    const { ip, userAgent, location } = await getRequestContext();
+
+    const policy = getSessionPolicy(provider);
+    const now = Date.now();
+    const absoluteExpiresAt = Math.min(
+      now + policy.maxLifetime * 1000,
+      expire ? new Date(expire).getTime() : Infinity
+    );
+    const expiresAt = Math.min(now + policy.duration * 1000, absoluteExpiresAt);
+
+    if (expiresAt <= now) {
+      throw new Error("Session has already expired");
+    }
+
+    const sessionDoc = await databases.createDocument(
+      process.env.CMS_DB_ID,
+      getSessionsCollectionId(),
+      providerSessionId || ID.unique(),
+      {
+        userId,
+        provider,
+        providerSessionId,
+        credentialId,
+        ip,
+        userAgent: userAgent?.substring(0, 512) || null,
+        location,
+        createdAt: new Date(now).toISOString(),
+        lastActiveAt: new Date(now).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString(),
+        absoluteExpiresAt: new Date(absoluteExpiresAt).toISOString()
+      }
+    );
+
+    return {
+      success: true,
+      session: formatSessionRecord(sessionDoc)
+    };
+
+  } catch (error) {
+    // The same Appwrite session registered twice (e.g. an SSO callback reloaded)
+    if (error.code === 409 && providerSessionId) {
+      const existing = await validateSessionRecord(providerSessionId, userId);
+      if (existing.success) {
+        return existing;
+      }
+    }
+
+    console.error(`[Sessions] Failed to register ${provider} session for ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to register session"
+    };
+  }
+}
+
+/**
+ * Check that a session is registered to the user and has not expired, gone
+ * idle or been revoked
+ * @param {string} sessionId - Session $id from the session JWT
+ * @param {string} userId - User ID from the session JWT
+ * @returns {Promise<{success: boolean, session?: Object, code?: string, message?: string}>}
+ */
+export async function validateSessionRecord(sessionId, userId) {
+  if (!sessionId || !userId) {
+    return {
+      success: false,
+      code: 'session_invalid',
+      message: "Session is missing user or session ID"
+    };
+  }
+
+  try {
+    const { databases } = await createAdminClient();
+
+    let sessionDoc;
+    try {
+      sessionDoc = await databases.getDocument(process.env.CMS_DB_ID, getSessionsCollectionId(), sessionId);
+    } catch (error) {
+      if (error.code === 404) {
+        return {
+          success: false,
+          code: 'session_revoked',
+          message: "Session has been signed out"
+        };
+      }
+      throw error;
+    }
+
+    if (sessionDoc.userId !== userId) {
+      return {
+        success: false,
+        code: 'session_invalid',
+        message: "Session does not belong to this user"
+      };
+    }
+
+    const now = new Date();
+    if (new Date(sessionDoc.expiresAt) < now || getAbsoluteExpiry(sessionDoc) < now) {
+      await revokeSessionRecord(sessionId);
+      return {
+        success: false,
+        code: 'session_expired',
+        message: "Session has expired"
+      };
+    }
+
+    const { idleTimeout } = getSessionPolicy(sessionDoc.provider);
+    if (now - getLastActivity(sessionDoc) > idleTimeout * 1000) {
+      await revokeSessionRecord(sessionId);
+      return {
+        success: false,
+        code: 'session_idle',
+        message: "Session ended after a period of inactivity"
+      };
+    }
+
+    return {
+      success: true,
+      session: formatSessionRecord(sessionDoc)
+    };
+
+  } catch (error) {
+    console.error(`[Sessions] Failed to validate session ${sessionId}:`, error);
+    return {
+      success: false,
+      code: 'session_invalid',
+      message: error.message || "Failed to validate session"
+    };
+  }
+}
+
+/**
+ * Record activity on a validated session and slide its expiry forward
+ * The expiry only moves once less than half of the session duration is left,
+ * and never past the absolute lifetime
+ * @param {Object} session - Session record returned by validateSessionRecord
+ * @param {Object} options
+ * @param {number} options.tokenExpiresAt - Optional: expiry (ms) of the cookie presenting the session; renews when the cookie is the one running out
+ * @returns {Promise<{success: boolean, session?: Object, renewed?: boolean, message?: string}>}
+ */
+export async function touchSessionRecord(session, { tokenExpiresAt = null } = {}) {
+  try {
+    const policy = getSessionPolicy(session.provider);
+    const now = Date.now();
+    const data = {};
+
+    const currentExpiry = Math.min(
+      new Date(session.expiresAt).getTime(),
+      tokenExpiresAt || Infinity
+    );
+    const renewed = currentExpiry - now < (policy.duration * 1000) / 2;
+
+    if (renewed) {
+      const nextExpiry = Math.min(
+        now + policy.duration * 1000,
+        new Date(session.absoluteExpiresAt).getTime()
+      );
+      if (nextExpiry > new Date(session.expiresAt).getTime()) {
+        data.expiresAt = new Date(nextExpiry).toISOString();
+      }
+    }
+
+    if (renewed || now - new Date(session.lastActiveAt).getTime() > ACTIVITY_WRITE_INTERVAL_MS) {
+      data.lastActiveAt = new Date(now).toISOString();
+    }
+
+    if (Object.keys(data).length === 0) {
+      return {
+        success: true,
+        session,
+        renewed: false
+      };
+    }
+
+    const { databases } = await createAdminClient();
+    const sessionDoc = await databases.updateDocument(
+      process.env.CMS_DB_ID,
+      getSessionsCollectionId(),
+      session.$id,
+      data
+    );
+    const updated = formatSessionRecord(sessionDoc);
+
+    return {
+      success: true,
+      session: updated,
+      // Nothing to renew once the session is at its absolute limit
+      renewed: renewed && (!tokenExpiresAt || new Date(updated.expiresAt).getTime() > tokenExpiresAt)
+    };
+
+  } catch (error) {
+    console.error(`[Sessions] Failed to record activity on session ${session.$id}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to update session"
+    };
+  }
+}
+
+/**
+ * List a user's active sessions, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, sessions?: Object[], total?: number, message?: string}>}
+ */
+export async function listSessionRecords(userId) {
+  try {
+    const { databases } = await createAdminClient();
+
+    const result = await databases.listDocuments(
+      process.env.CMS_DB_ID,
+      getSessionsCollectionId(),
+      [
+        Query.equal('userId', userId),
+        Query.greaterThan('expiresAt', new Date().toISOString()),
+        Query.orderDesc('createdAt'),
+        Query.limit(100)
+      ]
+    );
+
+    // Idle sessions are ended on their next use; don't list them as active
+    const now = Date.now();
+    const active = result.documents.filter(sessionDoc =>
+      now - getLastActivity(sessionDoc) <= getSessionPolicy(sessionDoc.provider).idleTimeout * 1000
+    );
+
+    return {
+      success: true,
+      sessions: active.map(formatSessionRecord),
+      total: active.length
+    };
+
+  } catch (error) {
+    console.error(`[Sessions] Failed to list sessions for ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to list sessions"
+    };
+  }
+}
+
+/**
+ * Revoke a session, including its Appwrite session when it has one
+ * @param {string} sessionId - Session $id
+ * @returns {Promise<{success: boolean, session?: Object, message?: string}>}
+ */
+export async function revokeSessionRecord(sessionId) {
+  try {
+    const { databases } = await createAdminClient();
+
+    let sessionDoc;
+    try {
+      sessionDoc = await databases.getDocument(process.env.CMS_DB_ID, getSessionsCollectionId(), sessionId);
+    } catch (error) {
+      if (error.code === 404) {
+        return {
+          success: true,
+          message: "Session already revoked"
+        };
+      }
+      throw error;
+    }
+
+    await deleteProviderSession(sessionDoc);
+
+    try {
+      await databases.deleteDocument(process.env.CMS_DB_ID, getSessionsCollectionId(), sessionId);
+    } catch (error) {
+      if (error.code !== 404) {
+        throw error;
+      }
+    }
+
+    return {
+      success: true,
+      session: formatSessionRecord(sessionDoc),
+      message: "Session revoked"
+    };
+
+  } catch (error) {
+    console.error(`[Sessions] Failed to revoke session ${sessionId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to revoke session"
+    };
+  }
+}
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} options.exceptSessionId - Optional: session to keep (e.g. the current one)
+ * @returns {Promise<{success: boolean, revokedCount?: number, message?: string}>}
+ */
+export async function revokeUserSessionRecords(userId, { exceptSessionId = null } = {}) {
+  try {
+    const { databases } = await createAdminClient();
+    let revokedCount = 0;
+    let keptCount = 0;
+
+    // Revoked documents drop out of the query, so keep reading the first page
+    while (true) {
+      const page = await databases.listDocuments(
+        process.env.CMS_DB_ID,
+        getSessionsCollectionId(),
+        [
+          Query.equal('userId', userId),
+          Query.limit(100),
+          Query.offset(keptCount)
+        ]
+      );
+
+      for (const sessionDoc of page.documents) {
+        if (sessionDoc.$id === exceptSessionId) {
+          keptCount++;
+          continue;
+        }
+
+        const result = await revokeSessionRecord(sessionDoc.$id);
+        if (!result.success) {
+          throw new Error(result.message);
+        }
+        revokedCount++;
+      }
+
+      if (page.documents.length < 100) {
+        break;
+      }
+    }
+
+    return {
+      success: true,
+      revokedCount,
+      message: `Revoked ${revokedCount} sessions`
+    };
+
+  } catch (error) {
+    console.error(`[Sessions] Failed to revoke sessions for ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message || "Failed to revoke sessions"
+    };
+  }
+}
@@ -0,0 +1,105 @@
+// src/lib/cms/server/sessionToken.js
+
+import { jwtVerify, compactDecrypt, decodeProtectedHeader } from 'jose';
+import pako from 'pako';
+import { getJwtVerificationKeys } from './jwtKeyring';
+
+/**
+ * Stateless decoding of session tokens
+ *
+ * Decrypts the JWE, decompresses the inner JWS when flagged and verifies its
+ * signature and claims against the keyring. Revocation and the session
+ * registry are NOT checked here (they need the database); verifyJWT in
+ * jwtVerification.js adds those checks for server code. The middleware runs
+ * this module in the Edge runtime, so it must stay free of Node-only imports.
+ */
+
+/**
+ * Decrypt a token with the first key that fits
+ * @param {string} token - Encrypted JWT token
+ * @param {Object[]} keys - Candidate keys from the keyring
+ * @returns {Promise<{plaintext: Uint8Array, key: Object}>}
+ */
+const decryptWithKeyring = async (token, keys) => {
+  for (const key of keys) {
+    try {
+      const { plaintext } = await compactDecrypt(token, key.encryptionKey);
+      return { plaintext, key };
+    } catch (error) {
+      // Wrong key; try the next one
+    }
+  }
+  throw new Error('No accepted key could decrypt the token');
+};
+
+/**
+ * Decrypt and verify a session token
+ * The `kid` header selects the key; the current key and previous keys still in
+ * their grace period are accepted
+ * @param {string} token - The encrypted JWT token
+ * @returns {Promise<Object>} - The verified payload
+ * @throws {Error} - If the token is malformed, expired or fails verification
+ */
+export async function decodeSessionToken(token) {
+  if (!process.env.JWT_SIGNING_SECRET || !process.env.JWT_ENCRYPTION_SECRET) {
+    throw new Error('JWT secrets are not defined in environment variables');
+  }
+
+  if (!token) {
+    throw new Error('Token is not defined');
+  }
+
+  // Step 1: Decrypt the encrypted token with the key named in its header
+  const { kid } = decodeProtectedHeader(token);
+  const keys = await getJwtVerificationKeys(kid);
+  if (keys.length === 0) {
+    throw new Error(`Unknown or retired key ID: ${kid}`);
+  }
+
+  const { plaintext, key } = await decryptWithKeyring(token, keys);
+
+  // Check if plaintext has data
+  if (!plaintext || plaintext.length < 2) {
+    throw new Error('Decrypted token is invalid or empty');
+  }
+
+  // Step 2: Check if the decrypted data is compressed (first byte is the flag)
+  const compressionFlag = plaintext[0];
+  let decodedData;
+
+  if (compressionFlag === 1) {
+    // Data is compressed, decompress it (skip the first byte)
+    try {
+      const decompressedData = pako.inflate(plaintext.slice(1));
+      decodedData = new TextDecoder().decode(decompressedData);
+    } catch (decompressionError) {
+      console.error('JWT decompression error:', process.env.NODE_ENV === 'development' ? decompressionError.message : '');
+      throw new Error('Failed to decompress token');
+    }
+  } else {
+    // Data is not compressed, just decode it (skip the first byte)
+    decodedData = new TextDecoder().decode(plaintext.slice(1));
+  }
+
+  // Step 3: Verify the signed JWT with expected claims (signed with the same key pair)
+  const { payload } = await jwtVerify(
+    decodedData,
+    key.signingKey,
+    {
+      issuer: 'cyberitex-admin',
+      audience: 'cyberitex-clients'
+    }
+  );
+
+  return payload;
+}
+
+/**
+ * Team IDs carried in a session token
+ * Only tokens issued by generateJWT embed teams; others have none
+ * @param {Object} payload - Verified token payload
+ * @returns {string[]}
+ */
+export function getSessionTeamIds(payload) {
+  return Array.isArray(payload?.teams) ? payload.teams.map(team => team.teamId) : [];
+}
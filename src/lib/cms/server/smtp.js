@@ -1,6 +1,7 @@
 "use server";
 
 import { createDocument, getDocuments, updateDocument } from "./sdk_db";
+import { requireTeam } from "./authGuard";
 
 // Environment variables
 const dbId = process.env.CMS_DB_SETTINGS_ID;
@@ -37,6 +38,11 @@ const handleSMTPOperation = async (operation, errorMessage) => {
  * Get SMTP configuration from the database
  */
 export async function getSMTPConfig() {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleSMTPOperation(
         async () => {
             const result = await getDocuments(collectionId, [], dbId);
@@ -55,6 +61,11 @@ export async function getSMTPConfig() {
  * Create SMTP configuration with default values if none exists
  */
 export async function createSMTPConfig() {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleSMTPOperation(
         async () => {
             // Default configuration data
@@ -88,6 +99,11 @@ export async function createSMTPConfig() {
  * @param {Object} data - New SMTP configuration data
  */
 export async function updateSMTPConfig(data) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     return handleSMTPOperation(
         async () => {
             // Get existing configuration
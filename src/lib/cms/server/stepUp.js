@@ -0,0 +1,170 @@
+// src/lib/cms/server/stepUp.js
+
+import { verifyJWT } from './jwtVerification';
+import { generateEncryptedJWT } from './jwtIssuer';
+import { getCookie, setCookie } from './cookieService';
+import { readSessionCookie } from './sessionCookie';
+
+/**
+ * Step-up re-authentication for sensitive account actions.
+ *
+ * A successful passkey assertion (passkey_server.js) or authenticator/recovery
+ * code (totp_server.js) mints a short-lived "recently verified" claim bound to
+ * the current session $id. Sensitive server actions call requireStepUp() and
+ * fail with a structured `step_up_required` error when the claim is missing,
+ * stale or belongs to another session. The browser reads and clears the claim
+ * through the actions in passkey_stepup.js.
+ */
+
+const STEP_UP_COOKIE_SUFFIX = '_stepup';
+const DEFAULT_STEP_UP_MAX_AGE = 300; // 5 minutes
+
+export const getStepUpCookieName = () => `${process.env.COOKIE_NAME}${STEP_UP_COOKIE_SUFFIX}`;
+
+const getStepUpMaxAge = () => {
+  const maxAge = parseInt(process.env.PASSKEY_STEP_UP_MAX_AGE || `${DEFAULT_STEP_UP_MAX_AGE}`);
+  return Number.isFinite(maxAge) && maxAge > 0 ? maxAge : DEFAULT_STEP_UP_MAX_AGE;
+};
+
+const stepUpRequired = (reason, message) => ({
+  success: false,
+  code: 'step_up_required',
+  reason,
+  message: message || "Please confirm your identity to continue."
+});
+
+/**
+ * Resolve the user and session $id from the current session cookie
+ * The session must still be active in the session registry
+ * @returns {Promise<{success: boolean, userId?: string, sessionId?: string, code?: string, message?: string}>}
+ */
+export async function getCurrentSessionIdentity() {
+  try {
+    const current = await readSessionCookie();
+    if (!current.success) {
+      return {
+        success: false,
+        code: current.code,
+        message: current.message
+      };
+    }
+
+    return {
+      success: true,
+      userId: current.userId,
+      sessionId: current.sessionId
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: error.message || "Failed to read current session"
+    };
+  }
+}
+
+/**
+ * Mint a "recently verified" claim for the given session
+ * Only call this after the user proved their identity
+ * @param {string} userId - User ID that completed the step-up
+ * @param {string} sessionId - Session $id the claim is bound to
+ * @param {Object} proof
+ * @param {string} proof.method - 'passkey' or 'second_factor' (authenticator or recovery code)
+ * @param {string} proof.credentialId - Optional: credential document ID of a passkey step-up
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function issueStepUpClaim(userId, sessionId, { method = 'passkey', credentialId = null } = {}) {
+  try {
+    const maxAge = getStepUpMaxAge();
+    const verifiedAt = Date.now();
+
+    const token = await generateEncryptedJWT(
+      {
+        type: 'step_up',
+        userId,
+        sessionId,
+        method,
+        credentialId,
+        verifiedAt
+      },
+      maxAge
+    );
+
+    const cookieResult = await setCookie(getStepUpCookieName(), token, {
+      httpOnly: true,
+      sameSite: "strict",
+      path: "/",
+      secure: process.env.NODE_ENV === "production",
+      maxAge
+    });
+
+    if (!cookieResult.success) {
+      return cookieResult;
+    }
+
+    return {
+      success: true,
+      data: {
+        verifiedAt: new Date(verifiedAt).toISOString(),
+        expiresAt: new Date(verifiedAt + maxAge * 1000).toISOString()
+      },
+      message: "Step-up verification recorded"
+    };
+  } catch (error) {
+    console.error("Error issuing step-up claim:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to record step-up verification"
+    };
+  }
+}
+
+/**
+ * Require a fresh step-up claim for the current session
+ * @param {string} expectedUserId - Optional: user the claim must belong to
+ * @returns {Promise<{success: boolean, code?: string, reason?: string, data?: any, message?: string}>}
+ */
+export async function requireStepUp(expectedUserId = null) {
+  if (process.env.PASSKEY_STEP_UP_ENABLED === "false") {
+    return { success: true, message: "Step-up verification disabled" };
+  }
+
+  const identity = await getCurrentSessionIdentity();
+  if (!identity.success) {
+    return stepUpRequired('no_session', "You must be signed in to perform this action.");
+  }
+
+  if (expectedUserId && identity.userId !== expectedUserId) {
+    return stepUpRequired('user_mismatch', "Step-up verification does not match the requested account.");
+  }
+
+  const claimCookie = await getCookie(getStepUpCookieName());
+  if (!claimCookie.exists || !claimCookie.data?.value) {
+    return stepUpRequired('missing');
+  }
+
+  let claim;
+  try {
+    claim = await verifyJWT(claimCookie.data.value);
+  } catch (error) {
+    return stepUpRequired('stale');
+  }
+
+  if (claim.type !== 'step_up' || claim.userId !== identity.userId || claim.sessionId !== identity.sessionId) {
+    return stepUpRequired('session_mismatch');
+  }
+
+  if (Date.now() - claim.verifiedAt > getStepUpMaxAge() * 1000) {
+    return stepUpRequired('stale');
+  }
+
+  return {
+    success: true,
+    data: {
+      userId: claim.userId,
+      sessionId: claim.sessionId,
+      method: claim.method || 'passkey',
+      verifiedAt: new Date(claim.verifiedAt).toISOString()
+    },
+    message: "Step-up verification is current"
+  };
+}
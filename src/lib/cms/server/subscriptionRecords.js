@@ -0,0 +1,105 @@
+// src/lib/cms/server/subscriptionRecords.js
+
+import { createDocument, getDocument, updateDocument } from './sdk_db';
+
+/**
+ * Subscription writes that don't check the caller. The actions in
+ * subscriptions.js check who may change a subscription before calling them,
+ * and renewals (renewalProcessing.js) record their outcome here.
+ */
+
+// Collection names
+const SUBSCRIPTIONS_COLLECTION = 'orderSubscriptions';
+const SUBSCRIPTION_CHANGES_COLLECTION = 'orderSubscriptionChanges';
+
+/**
+ * Update a subscription
+ * @param {string} subscriptionId - The subscription ID
+ * @param {Object} data - The data to update the subscription with
+ * @returns {Promise<Object>} - Response with updated subscription or error
+ */
+export async function updateSubscription(subscriptionId, updateData = {}) {
+  try {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    // Check if the subscription exists
+    const subscriptionResponse = await getDocument(
+      SUBSCRIPTIONS_COLLECTION,
+      subscriptionId
+    );
+
+    if (!subscriptionResponse.success) {
+      throw new Error(subscriptionResponse.message || 'Failed to fetch subscription');
+    }
+
+    // Add updatedAt timestamp
+    updateData.updatedAt = new Date().toISOString();
+
+    // Update the subscription
+    const response = await updateDocument(
+      SUBSCRIPTIONS_COLLECTION,
+      subscriptionId,
+      updateData
+    );
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to update subscription');
+    }
+
+    return {
+      success: true,
+      data: response.data,
+      message: 'Subscription updated successfully'
+    };
+  } catch (error) {
+    console.error(`Error updating subscription ${subscriptionId}:`, error);
+    return {
+      success: false,
+      message: error.message || 'Failed to update subscription'
+    };
+  }
+}
+
+/**
+ * Create a subscription change record
+ * @param {string} subscriptionId - The subscription ID
+ * @param {Object} changeData - The change data
+ * @returns {Promise<Object>} - Response with created change record or error
+ */
+export async function createSubscriptionChangeRecord(subscriptionId, changeData) {
+  try {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+
+    // Prepare the change record
+    const changeRecord = {
+      subscription: subscriptionId, // This links to the subscription via relationship
+      createdAt: new Date().toISOString(),
+      ...changeData
+    };
+
+    // Create the change record
+    const response = await createDocument(
+      SUBSCRIPTION_CHANGES_COLLECTION,
+      changeRecord
+    );
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to create subscription change record');
+    }
+
+    return {
+      success: true,
+      data: response.data,
+      message: 'Subscription change record created successfully'
+    };
+  } catch (error) {
+    console.error(`Error creating subscription change record for ${subscriptionId}:`, error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create subscription change record'
+    };
+  }
+}
@@ -2,21 +2,21 @@
 'use server';
 import { subDays } from 'date-fns';
 import {
-  createDocument,
   deleteDocument,
   getDocument,
   getDocuments,
-  updateDocument,
   getDocumentsByRelation
 } from './sdk_db';
 import { Query } from './sdk_client';
-import { getUser } from './sdk_users';
+import { loadUser } from './userRecords';
+import { requireStepUp } from './stepUp';
 import { sendSubscriptionStatusEmail } from '@/functions/email/subscriptionMail';
 import { processStripeSubscriptionRenewal } from '@/lib/stripe/server/renewalPayments';
+import { requireTeam } from './authGuard';
+import { updateSubscription, createSubscriptionChangeRecord } from './subscriptionRecords';
 
 // Collection names
 const SUBSCRIPTIONS_COLLECTION = 'orderSubscriptions';
-const SUBSCRIPTION_CHANGES_COLLECTION = 'orderSubscriptionChanges';
 
 /**
  * Get subscriptions for a specific user with flexible pagination
@@ -157,6 +157,11 @@ export async function getUserSubscriptions(userId, options = {}) {
  * @returns {Promise<Object>} - Response with user subscriptions or error
  */
 export async function getSubscriptions(options = {}) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     // Set default options
     const {
@@ -301,98 +306,6 @@ export async function getSingleSubscription(subscriptionId) {
   }
 }
 
-/**
- * Update a subscription
- * @param {string} subscriptionId - The subscription ID
- * @param {Object} data - The data to update the subscription with
- * @returns {Promise<Object>} - Response with updated subscription or error
- */
-export async function updateSubscription(subscriptionId, updateData = {}) {
-  try {
-    if (!subscriptionId) {
-      throw new Error('Subscription ID is required');
-    }
-    // Check if the subscription exists
-    const subscriptionResponse = await getDocument(
-      SUBSCRIPTIONS_COLLECTION,
-      subscriptionId
-    );
-
-    if (!subscriptionResponse.success) {
-      throw new Error(subscriptionResponse.message || 'Failed to fetch subscription');
-    }
-
-    // Add updatedAt timestamp
-    updateData.updatedAt = new Date().toISOString();
-
-    // Update the subscription
-    const response = await updateDocument(
-      SUBSCRIPTIONS_COLLECTION,
-      subscriptionId,
-      updateData
-    );
-
-    if (!response.success) {
-      throw new Error(response.message || 'Failed to update subscription');
-    }
-
-    return {
-      success: true,
-      data: response.data,
-      message: 'Subscription updated successfully'
-    };
-  } catch (error) {
-    console.error(`Error updating subscription ${subscriptionId}:`, error);
-    return {
-      success: false,
-      message: error.message || 'Failed to update subscription'
-    };
-  }
-}
-
-/**
- * Create a subscription change record
- * @param {string} subscriptionId - The subscription ID
- * @param {Object} changeData - The change data
- * @returns {Promise<Object>} - Response with created change record or error
- */
-export async function createSubscriptionChangeRecord(subscriptionId, changeData) {
-  try {
-    if (!subscriptionId) {
-      throw new Error('Subscription ID is required');
-    }
-
-    // Prepare the change record
-    const changeRecord = {
-      subscription: subscriptionId, // This links to the subscription via relationship
-      createdAt: new Date().toISOString(),
-      ...changeData
-    };
-
-    // Create the change record
-    const response = await createDocument(
-      SUBSCRIPTION_CHANGES_COLLECTION,
-      changeRecord
-    );
-
-    if (!response.success) {
-      throw new Error(response.message || 'Failed to create subscription change record');
-    }
-
-    return {
-      success: true,
-      data: response.data,
-      message: 'Subscription change record created successfully'
-    };
-  } catch (error) {
-    console.error(`Error creating subscription change record for ${subscriptionId}:`, error);
-    return {
-      success: false,
-      message: error.message || 'Failed to create subscription change record'
-    };
-  }
-}
-
 /**
  * Request to cancel a subscription - creates a pending cancellation request
  * @param {string} subscriptionId - The subscription ID
@@ -458,12 +371,18 @@ export async function requestCancelSubscription(subscriptionId, userId = '', rea
 
 /**
  * Admin approval for subscription cancellation
+ * Requires a recent passkey step-up by the approving admin
  * @param {string} subscriptionId - The subscription ID
  * @param {string} adminId - Admin user ID approving the cancellation
  * @param {string} notes - Additional notes from admin
  * @returns {Promise<Object>} - Response with canceled subscription or error
  */
 export async function approveCancelSubscription(subscriptionId, adminId, notes = '') {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!subscriptionId) {
       throw new Error('Subscription ID is required');
@@ -473,6 +392,11 @@ export async function approveCancelSubscription(subscriptionId, adminId, notes =
       throw new Error('Admin ID is required for approval');
     }
 
+    const stepUp = await requireStepUp(adminId);
+    if (!stepUp.success) {
+      return stepUp;
+    }
+
     // Get current subscription data
     const subResponse = await getDocument(SUBSCRIPTIONS_COLLECTION, subscriptionId);
     if (!subResponse.success) {
@@ -604,6 +528,11 @@ export async function cancelSubscription(subscriptionId, userId = '', reason = '
  * @returns {Promise<Object>} - Response with updated subscription or error
  */
 export async function rejectCancelSubscription(subscriptionId, adminId, reason = '') {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!subscriptionId) {
       throw new Error('Subscription ID is required');
@@ -745,6 +674,11 @@ export async function requestPauseSubscription(subscriptionId, userId = '', reas
  * @returns {Promise<Object>} - Response with paused subscription or error
  */
 export async function approvePauseSubscription(subscriptionId, adminId, notes = '') {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!subscriptionId) {
       throw new Error('Subscription ID is required');
@@ -816,6 +750,11 @@ export async function approvePauseSubscription(subscriptionId, adminId, notes =
  * @returns {Promise<Object>} - Response with updated subscription or error
  */
 export async function rejectPauseSubscription(subscriptionId, adminId, reason = '') {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     if (!subscriptionId) {
       throw new Error('Subscription ID is required');
@@ -1107,7 +1046,7 @@ export async function renewSubscription(subscriptionId, userId = '', reason = ''
       throw new Error(`Subscription with status '${currentSubscription.status}' cannot be renewed`);
     }
 
-    const userData = await getUser(currentSubscription.userId);
+    const userData = await loadUser(currentSubscription.userId);
     const customerId = userData.data.prefs.stripeCustomerId;
 
     // Default options
@@ -1528,6 +1467,11 @@ export async function changeSubscriptionFrequency(subscriptionId, changeData) {
 
 
 export const deleteSubscriptionByAdmin = async (subscriptionId) => {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   try {
     // 4. Finally delete the subscription itself
     const result = await deleteDocument(SUBSCRIPTIONS_COLLECTION, subscriptionId);
@@ -1567,7 +1511,7 @@ export async function sendSubscriptionNotification(subscriptionId, actionType, c
 
     // Assuming you have a function to get user data
     // This would need to be implemented or use your existing user data fetching function
-    const userData = await getUser(subscription.userId);
+    const userData = await loadUser(subscription.userId);
     const userEmail = userData.data.email;
 
     if (!userEmail) {
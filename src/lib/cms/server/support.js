@@ -2,7 +2,9 @@
 
 import { Query } from 'appwrite';
 import { getDocuments, createDocument, updateDocument, deleteDocument } from './sdk_db';
-import { uploadFile, deleteFile } from './sdk_storage';
+import { createAdminClient, ID } from './sdk_client';
+import { deleteFile } from './sdk_storage';
+import { requireTeam } from './authGuard';
 
 
 /**
@@ -38,32 +40,33 @@ const formatResponse = (response) => {
 
 /**
  * Upload file attachments for a support ticket
+ * Uploads straight to the attachments bucket: sdk_storage's uploadFile is admin-only
  */
 async function uploadAttachments(userId, ticketId, files) {
     if (!files || files.length === 0) return [];
 
     const uploadedFiles = [];
+    const { storage } = await createAdminClient();
 
     for (const file of files) {
-        // Upload the file
-        const uploadResponse = await uploadFile(
-            process.env.CMS_BUCKET_ID_SUPPORT_TICKETS_ATTACHMENTS,
-            file,
-            undefined,
-            [`read("user:${userId}")`, `read("team:any")`]
-        );
+        try {
+            const uploaded = await storage.createFile(
+                process.env.CMS_BUCKET_ID_SUPPORT_TICKETS_ATTACHMENTS,
+                ID.unique(),
+                file,
+                [`read("user:${userId}")`, `read("team:any")`]
+            );
 
-        if (uploadResponse.success) {
             // Store complete file metadata instead of just the ID
             uploadedFiles.push({
-                fileId: uploadResponse.data.$id,
+                fileId: uploaded.$id,
                 bucketId: process.env.CMS_BUCKET_ID_SUPPORT_TICKETS_ATTACHMENTS,
-                fileName: uploadResponse.data.name,
-                mimeType: uploadResponse.data.mimeType,
-                fileSize: uploadResponse.data.sizeOriginal
+                fileName: uploaded.name,
+                mimeType: uploaded.mimeType,
+                fileSize: uploaded.sizeOriginal
             });
-        } else {
-            console.error('Error uploading file:', uploadResponse.message);
+        } catch (error) {
+            console.error('Error uploading file:', error.message);
         }
     }
 
@@ -364,6 +367,11 @@ export async function updateTicketStatus(ticketId, status) {
  * Get all support tickets (for admin view)
  */
 export async function getAllSupportTickets() {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         // Get all tickets, sorted by most recently updated
         const response = await getDocuments(
@@ -389,6 +397,11 @@ export async function getAllSupportTickets() {
  * Assign a ticket to an agent
  */
 export async function assignTicketToAgent(ticketId, agentId, agentEmail) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         if (!ticketId || !agentId) {
             return { success: false, message: 'Ticket ID and agent ID are required' };
@@ -444,6 +457,11 @@ export async function assignTicketToAgent(ticketId, agentId, agentEmail) {
  * @returns {Promise<Object>} Result of the operation
  */
 export async function deleteTicket(ticketId) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         if (!ticketId) {
             return { success: false, message: 'Ticket ID is required' };
@@ -532,6 +550,11 @@ export async function deleteTicket(ticketId) {
  * @returns {Promise<Object>} Result of the operation
  */
 export async function deleteMultipleTickets(ticketIds) {
+    const guard = await requireTeam('admin');
+    if (!guard.success) {
+        return guard;
+    }
+
     try {
         if (!ticketIds || !Array.isArray(ticketIds) || ticketIds.length === 0) {
             return { success: false, message: 'Valid ticket IDs are required' };
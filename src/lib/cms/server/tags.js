@@ -1,6 +1,7 @@
 "use server";
 
 import { createDocument, getDocuments, updateDocument, deleteDocument } from './sdk_db';
+import { requireTeam } from './authGuard';
 
 /**
  * Get all tags
@@ -27,6 +28,11 @@ export async function getTags() {
  * @returns {Promise<Object>} The created tag
  */
 export async function createTag(data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await createDocument(process.env.CMS_COLLECTION_ID_TAGS, data);
   
   if (!response.success) {
@@ -44,6 +50,11 @@ export async function createTag(data) {
  * @returns {Promise<Object>} The updated tag
  */
 export async function updateTag(id, data) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await updateDocument(process.env.CMS_COLLECTION_ID_TAGS, id, data);
   
   if (!response.success) {
@@ -60,6 +71,11 @@ export async function updateTag(id, data) {
  * @returns {Promise<Object>} The result of the deletion
  */
 export async function deleteTag(id) {
+  const guard = await requireTeam('admin');
+  if (!guard.success) {
+    return guard;
+  }
+
   const response = await deleteDocument(process.env.CMS_COLLECTION_ID_TAGS, id);
   
   if (!response.success) {
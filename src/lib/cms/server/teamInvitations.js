@@ -0,0 +1,234 @@
+// src/lib/cms/server/teamInvitations.js
+
+import { createHash, randomBytes } from 'crypto';
+import { createAdminClient, ID, Query } from './sdk_client';
+import { addUserToTeam } from './teamMembership';
+import { sendMail } from './mailer';
+import { TEAM_ROLES } from './team_roles';
+
+/**
+ * Team invitations
+ *
+ * A team owner invites an email address with a role from the catalogue
+ * (team_roles.js). The invitation email carries a random token; only its
+ * SHA-256 hash is stored (CMS_COLLECTION_ID_TEAM_INVITATIONS), so the links
+ * can't be rebuilt from the database. A link expires after TEAM_INVITATION_TTL
+ * seconds (7 days by default). Resending replaces the token, so earlier links
+ * stop working, and restarts the expiry. Inviting an address that already has
+ * an open invitation to the team resends that one instead.
+ *
+ * Accepting needs a signed-in account with the invited address: new users
+ * sign up first (password or passkey) and come back to the link.
+ */
+
+const DEFAULT_INVITATION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const getInvitationsCollectionId = () => process.env.CMS_COLLECTION_ID_TEAM_INVITATIONS || "teamInvitations";
+
+/**
+ * How long an invitation link stays valid (TEAM_INVITATION_TTL, seconds)
+ * @returns {number}
+ */
+export function getInvitationTtl() {
+  const ttl = parseInt(process.env.TEAM_INVITATION_TTL, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_INVITATION_TTL_SECONDS;
+}
+
+/**
+ * Hash of an invitation token as stored
+ * @param {string} token - Token from the link
+ * @returns {string} - 64 hex characters
+ */
+const hashInvitationToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Escape text for an HTML email body
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * New token and the fields that go with it
+ * @returns {{token: string, fields: {tokenHash: string, expiresAt: string, sentAt: string}}}
+ */
+const issueToken = () => {
+  const token = randomBytes(32).toString('base64url');
+  return {
+    token,
+    fields: {
+      tokenHash: hashInvitationToken(token),
+      expiresAt: new Date(Date.now() + getInvitationTtl() * 1000).toISOString(),
+      sentAt: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Current state of an invitation
+ * @param {Object} invitation - Invitation document
+ * @returns {string} - 'pending', 'expired', 'accepted' or 'revoked'
+ */
+export function getInvitationState(invitation) {
+  if (invitation.status !== 'pending') {
+    return invitation.status;
+  }
+  return new Date(invitation.expiresAt) < new Date() ? 'expired' : 'pending';
+}
+
+/**
+ * Invite an email address to a team, or renew its open invitation
+ * @param {Object} params
+ * @param {string} params.teamId - Team ID
+ * @param {string} params.email - Normalized email address
+ * @param {string} params.role - Role from the catalogue
+ * @param {string} params.invitedBy - User ID of the owner
+ * @returns {Promise<{invitation: Object, token: string}>}
+ */
+export async function createTeamInvitation({ teamId, email, role, invitedBy }) {
+  const { databases } = await createAdminClient();
+  const { token, fields } = issueToken();
+
+  const open = await databases.listDocuments(process.env.CMS_DB_ID, getInvitationsCollectionId(), [
+    Query.equal('teamId', teamId),
+    Query.equal('email', email),
+    Query.equal('status', 'pending'),
+    Query.limit(1)
+  ]);
+
+  if (open.documents.length > 0) {
+    const existing = open.documents[0];
+    const invitation = await databases.updateDocument(process.env.CMS_DB_ID, getInvitationsCollectionId(), existing.$id, {
+      ...fields,
+      role,
+      invitedBy,
+      sendCount: (existing.sendCount || 1) + 1
+    });
+    return { invitation, token };
+  }
+
+  const invitation = await databases.createDocument(process.env.CMS_DB_ID, getInvitationsCollectionId(), ID.unique(), {
+    ...fields,
+    teamId,
+    email,
+    role,
+    status: 'pending',
+    invitedBy,
+    sendCount: 1,
+    createdAt: new Date().toISOString()
+  });
+  return { invitation, token };
+}
+
+/**
+ * Give an invitation a new token and expiry
+ * @param {Object} invitation - Invitation document
+ * @returns {Promise<{invitation: Object, token: string}>}
+ */
+export async function renewTeamInvitation(invitation) {
+  const { databases } = await createAdminClient();
+  const { token, fields } = issueToken();
+
+  const updated = await databases.updateDocument(process.env.CMS_DB_ID, getInvitationsCollectionId(), invitation.$id, {
+    ...fields,
+    sendCount: (invitation.sendCount || 1) + 1
+  });
+  return { invitation: updated, token };
+}
+
+/**
+ * Email an invitation link
+ * @param {Object} params
+ * @param {Object} params.invitation - Invitation document
+ * @param {string} params.token - Token of the invitation
+ * @param {string} params.teamName - Name of the team
+ * @param {string} params.inviterName - Name or email of the owner who invited
+ * @param {string} params.origin - Base URL of the link
+ * @returns {Promise<object>} Result of sendMail
+ */
+export async function sendInvitationEmail({ invitation, token, teamName, inviterName, origin }) {
+  const link = `${origin}/invite?token=${encodeURIComponent(token)}`;
+  const role = TEAM_ROLES[invitation.role]?.label || invitation.role;
+  const days = Math.max(1, Math.round(getInvitationTtl() / 86400));
+  const expiry = `The invitation expires in ${days} ${days === 1 ? 'day' : 'days'}.`;
+
+  return await sendMail({
+    to: invitation.email,
+    subject: `You're invited to join ${teamName}`,
+    text: [
+      `${inviterName} invited you to join ${teamName} as ${role}.`,
+      "",
+      "Open this link to accept. If you don't have an account yet, you can create one there:",
+      "",
+      link,
+      "",
+      expiry,
+      "If you weren't expecting this invitation, you can ignore this email."
+    ].join("\n"),
+    html: `<p>${escapeHtml(inviterName)} invited you to join ${escapeHtml(teamName)} as ${escapeHtml(role)}.</p>
+<p><a href="${link}">Accept the invitation</a></p>
+<p>If you don't have an account yet, you can create one there. ${expiry}<br>If you weren't expecting this invitation, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Look up an invitation by the token from its link
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} - Invitation document, null when no invitation has the token
+ */
+export async function findInvitationByToken(token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const { databases } = await createAdminClient();
+  const result = await databases.listDocuments(process.env.CMS_DB_ID, getInvitationsCollectionId(), [
+    Query.equal('tokenHash', hashInvitationToken(token)),
+    Query.limit(1)
+  ]);
+  return result.documents[0] || null;
+}
+
+/**
+ * Add the invited user to the team and close the invitation
+ * Members who are already in the team get the invited role added
+ * @param {Object} invitation - Pending invitation document
+ * @param {Object} user - Appwrite user with the invited address
+ * @param {string} hostURL - Base URL for team confirmation links
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function acceptTeamInvitation(invitation, user, hostURL) {
+  const { databases, teams, users } = await createAdminClient();
+
+  const { memberships } = await teams.listMemberships(invitation.teamId, [
+    Query.equal('userId', user.$id)
+  ]);
+  if (memberships.length > 0) {
+    const membership = memberships[0];
+    if (!membership.roles.includes(invitation.role)) {
+      await teams.updateMembershipRoles(invitation.teamId, membership.$id, [...membership.roles, invitation.role]);
+    }
+  } else {
+    const added = await addUserToTeam(invitation.teamId, user.$id, user.email, hostURL, [invitation.role]);
+    if (!added.success) {
+      return added;
+    }
+  }
+
+  await databases.updateDocument(process.env.CMS_DB_ID, getInvitationsCollectionId(), invitation.$id, {
+    status: 'accepted',
+    acceptedAt: new Date().toISOString(),
+    acceptedBy: user.$id
+  });
+
+  // The link was emailed to this address, so following it proves the user owns it
+  if (!user.emailVerification) {
+    await users.updateEmailVerification(user.$id, true);
+  }
+
+  return { success: true };
+}
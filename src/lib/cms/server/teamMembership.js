@@ -0,0 +1,115 @@
+// src/lib/cms/server/teamMembership.js
+
+import { createAdminClient } from './sdk_client';
+
+/**
+ * Team membership for new users
+ *
+ * Registration puts every new user in the visitor team and in their company
+ * (or individual) team, by the rules in provisioning.js. The guarded admin
+ * equivalents are addToTeam and setupUserCompanyTeam in sdk_teams.js.
+ */
+
+/**
+ * Add a user to a team (creates the team if it doesn't exist)
+ * @param {string} teamId - ID of the team
+ * @param {string} userId - ID of the user
+ * @param {string} email - User's email
+ * @param {string} hostURL - Host URL for confirmation
+ * @param {Array<string>} roles - Roles to assign to the user
+ * @returns {Promise<{success: boolean, data?: Object, message?: string}>}
+ */
+export async function addUserToTeam(teamId, userId, email, hostURL, roles = ["visitor"]) {
+    try {
+        if (!teamId || !userId || !email || !hostURL) {
+            throw new Error("Missing required parameters: teamId, userId, email, and hostURL are required");
+        }
+
+        const { teams } = await createAdminClient();
+        const confirmationUrl = `${hostURL}/account/confirm`;
+
+        // Try to create team (will fail silently if already exists)
+        try {
+            await teams.get(teamId);
+        } catch (error) {
+            if (error.code === 404) {
+                await teams.create(teamId, "Visitor");
+            }
+        }
+
+        // Add user to team
+        const membership = await teams.createMembership(
+            teamId,
+            roles,
+            email,
+            userId,
+            undefined,
+            confirmationUrl
+        );
+
+        return {
+            success: true,
+            data: membership
+        };
+    } catch (error) {
+        console.error("Failed to add user to team:", error);
+        return {
+            success: false,
+            message: error.message || "Failed to add user to team"
+        };
+    }
+}
+
+/**
+ * Creates a company or individual team if it doesn't exist and adds the user to it
+ * @param {string} teamId - Team ID
+ * @param {string} teamName - Team display name
+ * @param {string} userId - User ID
+ * @param {string} email - User email
+ * @param {string} hostURL - Host URL for confirmation
+ * @param {string} role - User role in the team
+ * @param {string} domain - Email domain stored in the team preferences
+ * @returns {Promise<{success: boolean, data?: Object, message?: string}>}
+ */
+export async function setupCompanyTeam(teamId, teamName, userId, email, hostURL, role, domain) {
+    try {
+        const { teams } = await createAdminClient();
+
+        // If team doesn't exist, create it
+        try {
+            await teams.get(teamId);
+        } catch (error) {
+            if (error.code !== 404) {
+                throw error;
+            }
+            await teams.create(teamId, teamName);
+            const prefs = {
+                domain: domain,
+                industry: "",
+                address: "",
+                city: "",
+                zipcode: "",
+                state: "",
+                country: "",
+                website: "",
+                contacts: JSON.stringify([{}])
+            }
+            await teams.updatePrefs(teamId, prefs);
+        }
+
+        // Add the user to the team with the specified role
+        const membershipResult = await addUserToTeam(teamId, userId, email, hostURL, [role]);
+
+        return {
+            success: true,
+            data: membershipResult.data,
+            message: `User added to ${teamName} team`
+        };
+    } catch (error) {
+        console.error(`Failed to setup team ${teamName}:`, error);
+        return {
+            success: false,
+            message: `Failed to setup team: ${error.message}`
+        };
+    }
+}
@@ -0,0 +1,28 @@
+// src/lib/cms/server/team_roles.js
+
+/**
+ * Roles that can be given to company team members through invitations, with
+ * labels for the account interface. Owners manage the team, its domains and
+ * invitations; members get the team's company access.
+ * Kept out of invitation_server.js because "use server" modules can only export
+ * async functions.
+ */
+export const TEAM_ROLES = {
+  owner: {
+    label: 'Owner',
+    description: 'Manages the team, its domains and invitations'
+  },
+  member: {
+    label: 'Member',
+    description: 'Uses the company downloads and purchases'
+  }
+};
+
+/**
+ * Check that a role is in the catalogue
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+export function isTeamRoleInCatalogue(role) {
+  return Object.prototype.hasOwnProperty.call(TEAM_ROLES, role);
+}
@@ -0,0 +1,232 @@
+// src/lib/cms/server/totp_server.js
+"use server";
+
+import QRCode from 'qrcode';
+import { createAdminClient } from './sdk_client';
+import { getCurrentSessionIdentity, issueStepUpClaim } from './stepUp';
+import { recordSecurityEvent } from './securityEvents';
+import { enforceRateLimit, recordRateLimitFailure, resetRateLimit } from './rateLimiter';
+import {
+  getTwoFactorState,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  disableTotp,
+  generateRecoveryCodes,
+  checkSecondFactorCode
+} from './twoFactor';
+
+/**
+ * Authenticator app (TOTP) management for the signed-in user
+ *
+ * Every action works on the user of the current session cookie. Changes to an
+ * enabled authenticator need a current code from it, and failed codes count
+ * towards the same 'second_factor' rate limit as the sign-in step.
+ * Recovery codes are managed in recovery_server.js. A code also confirms the
+ * user's identity for sensitive actions (step-up, stepUp.js), so accounts
+ * without a passkey aren't locked out of them.
+ */
+
+const notSignedIn = (identity) => ({
+  success: false,
+  code: identity.code || 'unauthenticated',
+  message: identity.message || "You must be signed in to do this"
+});
+
+/**
+ * Get the two-factor settings of the signed-in user
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getTwoFactorStatus() {
+  const identity = await getCurrentSessionIdentity();
+  if (!identity.success) {
+    return notSignedIn(identity);
+  }
+
+  try {
+    return {
+      success: true,
+      data: await getTwoFactorState(identity.userId)
+    };
+  } catch (error) {
+    console.error("[TOTP] Failed to load two-factor status:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to load two-factor settings"
+    };
+  }
+}
+
+/**
+ * Start adding an authenticator app
+ * Returns the secret for manual entry, the otpauth:// provisioning URI and a
+ * QR code (data URL) of it
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function startTotpEnrollment() {
+  const identity = await getCurrentSessionIdentity();
+  if (!identity.success) {
+    return notSignedIn(identity);
+  }
+
+  try {
+    const state = await getTwoFactorState(identity.userId);
+    if (state.totpEnabled) {
+      return {
+        success: false,
+        code: 'already_enabled',
+        message: "An authenticator app is already set up. Turn it off first to use a different one."
+      };
+    }
+
+    const { users } = await createAdminClient();
+    const user = await users.get(identity.userId);
+
+    const enrollment = await beginTotpEnrollment(identity.userId, user.email);
+    const qrCode = await QRCode.toDataURL(enrollment.uri, { margin: 1, width: 200 });
+
+    return {
+      success: true,
+      data: {
+        ...enrollment,
+        qrCode
+      }
+    };
+  } catch (error) {
+    console.error("[TOTP] Failed to start enrollment:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to start authenticator setup"
+    };
+  }
+}
+
+/**
+ * Finish adding an authenticator app with a code from it
+ * Creates a fresh set of recovery codes, returned only this once
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Promise<{success: boolean, data?: {recoveryCodes: string[]}, code?: string, message?: string}>}
+ */
+export async function confirmTotpSetup(code) {
+  const identity = await getCurrentSessionIdentity();
+  if (!identity.success) {
+    return notSignedIn(identity);
+  }
+
+  const rateLimitIds = { userId: identity.userId };
+  const rateLimit = await enforceRateLimit('second_factor', rateLimitIds);
+  if (!rateLimit.success) {
+    return rateLimit;
+  }
+
+  try {
+    const result = await confirmTotpEnrollment(identity.userId, code);
+    if (!result.success) {
+      if (result.code === 'invalid_code') {
+        await recordRateLimitFailure('second_factor', rateLimitIds);
+      }
+      return result;
+    }
+
+    await resetRateLimit('second_factor', rateLimitIds);
+    const recoveryCodes = await generateRecoveryCodes(identity.userId);
+
+    await recordSecurityEvent({ type: 'totp_enabled', outcome: 'success', userId: identity.userId });
+    await recordSecurityEvent({ type: 'recovery_codes_generated', outcome: 'success', userId: identity.userId });
+
+    return {
+      success: true,
+      data: { recoveryCodes },
+      message: "Authenticator app enabled"
+    };
+  } catch (error) {
+    console.error("[TOTP] Failed to confirm enrollment:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to enable the authenticator app"
+    };
+  }
+}
+
+/**
+ * Turn off the authenticator app
+ * @param {string} code - Current code from the app, or a recovery code if the app is lost
+ * @returns {Promise<{success: boolean, code?: string, message?: string}>}
+ */
+export async function disableTotpAuthenticator(code) {
+  const identity = await getCurrentSessionIdentity();
+  if (!identity.success) {
+    return notSignedIn(identity);
+  }
+
+  try {
+    const check = await checkSecondFactorCode(identity.userId, code, { allowRecoveryCode: true });
+    if (!check.success) {
+      await recordSecurityEvent({ type: 'totp_disabled', outcome: 'failure', userId: identity.userId });
+      return check;
+    }
+
+    await disableTotp(identity.userId);
+    await recordSecurityEvent({ type: 'totp_disabled', outcome: 'success', userId: identity.userId });
+
+    return {
+      success: true,
+      message: "Authenticator app turned off"
+    };
+  } catch (error) {
+    console.error("[TOTP] Failed to disable authenticator:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to turn off the authenticator app"
+    };
+  }
+}
+
+/**
+ * Confirm the signed-in user's identity with an authenticator or recovery code
+ * (step-up re-authentication without a passkey)
+ * @param {string} code - Current code from the app, or a recovery code
+ * @returns {Promise<{success: boolean, data?: {verifiedAt: string, expiresAt: string}, code?: string, message?: string}>}
+ */
+export async function confirmIdentityWithCode(code) {
+  const identity = await getCurrentSessionIdentity();
+  if (!identity.success) {
+    return notSignedIn(identity);
+  }
+
+  try {
+    const check = await checkSecondFactorCode(identity.userId, code, { allowRecoveryCode: true });
+    if (!check.success) {
+      await recordSecurityEvent({
+        type: 'step_up',
+        outcome: 'failure',
+        userId: identity.userId,
+        details: { method: 'second_factor' }
+      });
+      return check;
+    }
+
+    const claimResult = await issueStepUpClaim(identity.userId, identity.sessionId, { method: 'second_factor' });
+    if (!claimResult.success) {
+      return claimResult;
+    }
+
+    await recordSecurityEvent({
+      type: 'step_up',
+      outcome: 'success',
+      userId: identity.userId,
+      details: { method: 'second_factor' }
+    });
+
+    return {
+      success: true,
+      data: claimResult.data,
+      message: "Identity confirmed"
+    };
+  } catch (error) {
+    console.error("[TOTP] Failed to confirm identity:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to confirm your identity"
+    };
+  }
+}
@@ -0,0 +1,621 @@
+// src/lib/cms/server/twoFactor.js
+
+import { createCipheriv, createDecipheriv, createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { createAdminClient, Query } from './sdk_client';
+import { enforceRateLimit, recordRateLimitFailure, resetRateLimit } from './rateLimiter';
+
+/**
+ * Two-factor authentication: TOTP authenticator apps and recovery codes
+ *
+ * One document per user (document ID = user ID) in the two-factor collection
+ * (CMS_COLLECTION_ID_TWO_FACTOR), read and written with the admin client only:
+ * - TOTP secrets (RFC 6238, SHA-1, 6 digits, 30 s) are encrypted with
+ *   AES-256-GCM under TWO_FACTOR_ENCRYPTION_KEY
+ * - enrollment keeps the new secret as pending until a code from the app
+ *   confirms it
+ * - a recovery grant (account recovery with a recovery code) is kept as the
+ *   hash of a random token that only the recovering browser holds
+ *
+ * Recovery codes and used TOTP time steps live in the two-factor codes
+ * collection (CMS_COLLECTION_ID_TWO_FACTOR_CODES), one document per code or
+ * step with an ID derived from its hash (codes are stored only as hashes).
+ * Using a recovery code deletes its document and using a TOTP step creates
+ * one; Appwrite lets only one of two concurrent deletes or creates succeed,
+ * so each is accepted once.
+ */
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // accept the previous and next code for clock drift
+const TOTP_SECRET_BYTES = 20;
+const ENROLLMENT_TTL_MINUTES = 10;
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_GRANT_TTL_MINUTES = 15;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// Recovery codes avoid look-alike characters (0/O, 1/I/L)
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const getTwoFactorCollectionId = () =>
+  process.env.CMS_COLLECTION_ID_TWO_FACTOR || "twoFactor";
+
+const getTwoFactorCodesCollectionId = () =>
+  process.env.CMS_COLLECTION_ID_TWO_FACTOR_CODES || "twoFactorCodes";
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode unpadded base32
+ * @param {string} input - Base32 string
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.toUpperCase().replace(/=+$/, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Compute the TOTP code for a time step (RFC 4226 dynamic truncation)
+ * @param {Buffer} secret - Shared secret
+ * @param {number} step - Time step (Unix time / period)
+ * @returns {string} - Zero-padded code
+ */
+const computeTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Constant-time comparison of two short strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+/**
+ * Key for encrypting TOTP secrets
+ * @returns {Buffer}
+ * @throws {Error} - If TWO_FACTOR_ENCRYPTION_KEY is not configured
+ */
+const getEncryptionKey = () => {
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not defined in environment variables');
+  }
+  return createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY).digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} - "v1.<iv>.<tag>.<ciphertext>" (base64url parts)
+ */
+const encryptSecret = (secret) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return ['v1', iv, tag, ciphertext].map(part => typeof part === 'string' ? part : part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value produced by encryptSecret
+ * @returns {string} - Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [version, iv, tag, ciphertext] = stored.split('.');
+  if (version !== 'v1') {
+    throw new Error(`Unsupported secret format: ${version}`);
+  }
+
+  const decipher = createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash a recovery code for storage or lookup
+ * Codes are normalised so dashes, spaces and case don't matter
+ * @param {string} userId - Owner, so equal codes of different users hash differently
+ * @param {string} code - Recovery code
+ * @returns {string}
+ */
+const hashRecoveryCode = (userId, code) =>
+  createHash('sha256').update(`${userId}:${code.replace(/[\s-]/g, '').toUpperCase()}`).digest('hex');
+
+/**
+ * Document ID of a recovery code or used TOTP step (Appwrite IDs are at most 36 characters)
+ * @param {string} hash - Hex digest identifying the code or step
+ * @returns {string}
+ */
+const toCodeDocumentId = (hash) => hash.slice(0, 36);
+
+/**
+ * Delete all code documents of a user of one type
+ * @param {string} userId - User ID
+ * @param {string} type - 'recovery' or 'totp_step'
+ * @param {Array} queries - Optional: further filters
+ */
+async function deleteCodeDocuments(userId, type, queries = []) {
+  const { databases } = await createAdminClient();
+  const databaseId = process.env.CMS_DB_ID;
+
+  // Deleted documents drop out of the query, so the first page is read until empty
+  while (true) {
+    const page = await databases.listDocuments(databaseId, getTwoFactorCodesCollectionId(), [
+      Query.equal('userId', userId),
+      Query.equal('type', type),
+      ...queries,
+      Query.limit(100)
+    ]);
+
+    for (const doc of page.documents) {
+      await databases.deleteDocument(databaseId, getTwoFactorCodesCollectionId(), doc.$id).catch((error) => {
+        // Already used or removed by a concurrent request
+        if (error.code !== 404) {
+          throw error;
+        }
+      });
+    }
+
+    if (page.documents.length < 100) {
+      break;
+    }
+  }
+}
+
+/**
+ * Count a user's unused recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countRecoveryCodes(userId) {
+  const { databases } = await createAdminClient();
+  const page = await databases.listDocuments(process.env.CMS_DB_ID, getTwoFactorCodesCollectionId(), [
+    Query.equal('userId', userId),
+    Query.equal('type', 'recovery'),
+    Query.limit(1)
+  ]);
+  return page.total;
+}
+
+/**
+ * Mark a TOTP time step as used
+ * @param {string} userId - User ID
+ * @param {number} step - Time step of the accepted code
+ * @returns {Promise<boolean>} - False when the step was already used
+ */
+async function claimTotpStep(userId, step) {
+  const { databases } = await createAdminClient();
+  const hash = createHash('sha256').update(`totp:${userId}:${step}`).digest('hex');
+  // Past the drift window the step can't match again, so the claim can go
+  const expiresAt = new Date((step + TOTP_DRIFT_STEPS + 1) * TOTP_PERIOD_SECONDS * 1000);
+
+  try {
+    await databases.createDocument(process.env.CMS_DB_ID, getTwoFactorCodesCollectionId(), toCodeDocumentId(hash), {
+      userId,
+      type: 'totp_step',
+      expiresAt: expiresAt.toISOString(),
+      createdAt: new Date().toISOString()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 409) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load a user's two-factor document
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Document, or null when the user has none
+ */
+async function getTwoFactorDoc(userId) {
+  const { databases } = await createAdminClient();
+  try {
+    return await databases.getDocument(process.env.CMS_DB_ID, getTwoFactorCollectionId(), userId);
+  } catch (error) {
+    if (error.code === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create or update a user's two-factor document
+ * @param {string} userId - User ID
+ * @param {Object} data - Attributes to set
+ * @returns {Promise<Object>} - Saved document
+ */
+async function saveTwoFactorDoc(userId, data) {
+  const { databases } = await createAdminClient();
+  const updatedAt = new Date().toISOString();
+
+  try {
+    return await databases.updateDocument(process.env.CMS_DB_ID, getTwoFactorCollectionId(), userId, { ...data, updatedAt });
+  } catch (error) {
+    if (error.code !== 404) {
+      throw error;
+    }
+    return await databases.createDocument(process.env.CMS_DB_ID, getTwoFactorCollectionId(), userId, {
+      userId,
+      totpEnabled: false,
+      ...data,
+      updatedAt
+    });
+  }
+}
+
+/**
+ * Summarise a user's second factors (no secrets)
+ * @param {string} userId - User ID
+ * @returns {Promise<{totpEnabled: boolean, totpEnabledAt: string|null, recoveryCodesRemaining: number, recoveryCodesGeneratedAt: string|null}>}
+ */
+export async function getTwoFactorState(userId) {
+  const doc = await getTwoFactorDoc(userId);
+
+  return {
+    totpEnabled: !!doc?.totpEnabled,
+    totpEnabledAt: doc?.totpEnabledAt || null,
+    recoveryCodesRemaining: await countRecoveryCodes(userId),
+    recoveryCodesGeneratedAt: doc?.recoveryCodesGeneratedAt || null
+  };
+}
+
+/**
+ * Whether password sign-ins of this user need a second step
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export async function isSecondFactorRequired(userId) {
+  const doc = await getTwoFactorDoc(userId);
+  return !!doc?.totpEnabled;
+}
+
+/**
+ * Start TOTP enrollment with a new secret
+ * The secret stays pending until confirmTotpEnrollment; an existing
+ * authenticator keeps working until then
+ * @param {string} userId - User ID
+ * @param {string} accountName - Shown in the authenticator app (usually the email)
+ * @returns {Promise<{secret: string, uri: string, expiresAt: string}>}
+ */
+export async function beginTotpEnrollment(userId, accountName) {
+  const secret = base32Encode(randomBytes(TOTP_SECRET_BYTES));
+  const expiresAt = new Date(Date.now() + ENROLLMENT_TTL_MINUTES * 60 * 1000).toISOString();
+
+  await saveTwoFactorDoc(userId, {
+    totpPendingSecret: encryptSecret(secret),
+    totpPendingExpiresAt: expiresAt
+  });
+
+  const issuer = process.env.TOTP_ISSUER || process.env.PASSKEY_RP_NAME || "CyberITEX";
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+
+  return {
+    secret,
+    uri: `otpauth://totp/${label}?${params.toString()}`,
+    expiresAt
+  };
+}
+
+/**
+ * Find the time step a code belongs to, within the allowed drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} lastUsedStep - Optional: steps up to this one were already used
+ * @returns {number|null} - Matching step, or null
+ */
+const findTotpStep = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    if (step > lastUsedStep && safeEqual(computeTotp(key, step), normalized)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app and enable TOTP
+ * @param {string} userId - User ID
+ * @param {string} code - Current code from the app
+ * @returns {Promise<{success: boolean, code?: string, message?: string}>}
+ */
+export async function confirmTotpEnrollment(userId, code) {
+  const doc = await getTwoFactorDoc(userId);
+  if (!doc?.totpPendingSecret || new Date(doc.totpPendingExpiresAt) < new Date()) {
+    return {
+      success: false,
+      code: 'enrollment_expired',
+      message: "The setup has expired. Please start again."
+    };
+  }
+
+  const secret = decryptSecret(doc.totpPendingSecret);
+  const step = findTotpStep(secret, code);
+  if (step === null) {
+    return {
+      success: false,
+      code: 'invalid_code',
+      message: "That code didn't match. Check the time on your device and try again."
+    };
+  }
+
+  await saveTwoFactorDoc(userId, {
+    totpSecret: doc.totpPendingSecret,
+    totpPendingSecret: null,
+    totpPendingExpiresAt: null,
+    totpEnabled: true,
+    totpEnabledAt: new Date().toISOString(),
+    totpLastUsedStep: step
+  });
+
+  return { success: true };
+}
+
+/**
+ * Check a TOTP code of an enabled authenticator
+ * Each code is accepted once; later codes in the drift window still work
+ * @param {string} userId - User ID
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>}
+ */
+export async function verifyTotpCode(userId, code) {
+  const doc = await getTwoFactorDoc(userId);
+  if (!doc?.totpEnabled || !doc.totpSecret) {
+    return false;
+  }
+
+  const step = findTotpStep(decryptSecret(doc.totpSecret), code, doc.totpLastUsedStep ?? -1);
+  if (step === null || !(await claimTotpStep(userId, step))) {
+    return false;
+  }
+
+  // totpLastUsedStep only narrows the window; the claim above is what stops a replay
+  if (step > (doc.totpLastUsedStep ?? -1)) {
+    await saveTwoFactorDoc(userId, { totpLastUsedStep: step });
+  }
+  await deleteCodeDocuments(userId, 'totp_step', [Query.lessThan('expiresAt', new Date().toISOString())])
+    .catch(error => console.error("Error removing used TOTP steps:", error));
+
+  return true;
+}
+
+/**
+ * Turn TOTP off and discard the secret
+ * Recovery codes are kept; they may also protect a passkey-only account
+ * @param {string} userId - User ID
+ */
+export async function disableTotp(userId) {
+  await saveTwoFactorDoc(userId, {
+    totpEnabled: false,
+    totpSecret: null,
+    totpPendingSecret: null,
+    totpPendingExpiresAt: null,
+    totpEnabledAt: null,
+    totpLastUsedStep: null
+  });
+}
+
+/**
+ * Create a new set of recovery codes, replacing any previous set
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - The codes, shown to the user once (e.g. "ABCDE-FGHJK")
+ */
+export async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+
+  await deleteCodeDocuments(userId, 'recovery');
+
+  const { databases } = await createAdminClient();
+  const createdAt = new Date().toISOString();
+  for (const code of codes) {
+    await databases.createDocument(process.env.CMS_DB_ID, getTwoFactorCodesCollectionId(), toCodeDocumentId(hashRecoveryCode(userId, code)), {
+      userId,
+      type: 'recovery',
+      createdAt
+    });
+  }
+
+  await saveTwoFactorDoc(userId, { recoveryCodesGeneratedAt: createdAt });
+
+  return codes;
+}
+
+/**
+ * Use up a recovery code
+ * Deleting the code's document is the check, so a code works only once even
+ * when it is entered twice at the same time
+ * @param {string} userId - User ID
+ * @param {string} code - Recovery code entered by the user
+ * @returns {Promise<{success: boolean, remaining?: number}>}
+ */
+export async function consumeRecoveryCode(userId, code) {
+  if (!code) {
+    return { success: false };
+  }
+
+  const { databases } = await createAdminClient();
+  try {
+    await databases.deleteDocument(process.env.CMS_DB_ID, getTwoFactorCodesCollectionId(), toCodeDocumentId(hashRecoveryCode(userId, code)));
+  } catch (error) {
+    if (error.code === 404) {
+      return { success: false };
+    }
+    throw error;
+  }
+
+  return {
+    success: true,
+    remaining: await countRecoveryCodes(userId)
+  };
+}
+
+/**
+ * Remove all recovery codes of a user
+ * @param {string} userId - User ID
+ */
+export async function clearRecoveryCodes(userId) {
+  await deleteCodeDocuments(userId, 'recovery');
+  await saveTwoFactorDoc(userId, { recoveryCodesGeneratedAt: null });
+}
+
+/**
+ * Check a code from the user's authenticator (or, when allowed, a recovery code)
+ * Failed codes count towards the 'second_factor' rate limit
+ * @param {string} userId - User ID
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {boolean} options.allowRecoveryCode - Also accept (and use up) a recovery code
+ * @returns {Promise<{success: boolean, code?: string, retryAfter?: number, message?: string}>}
+ */
+export async function checkSecondFactorCode(userId, code, { allowRecoveryCode = false } = {}) {
+  const rateLimitIds = { userId };
+  const rateLimit = await enforceRateLimit('second_factor', rateLimitIds);
+  if (!rateLimit.success) {
+    return rateLimit;
+  }
+
+  const valid = await verifyTotpCode(userId, code)
+    || (allowRecoveryCode && (await consumeRecoveryCode(userId, code)).success);
+
+  if (!valid) {
+    await recordRateLimitFailure('second_factor', rateLimitIds);
+    return {
+      success: false,
+      code: 'invalid_code',
+      message: allowRecoveryCode
+        ? "That code didn't match your authenticator app or a recovery code."
+        : "That code didn't match your authenticator app."
+    };
+  }
+
+  await resetRateLimit('second_factor', rateLimitIds);
+  return { success: true };
+}
+
+/**
+ * Start account recovery after a recovery code was used
+ * Replaces any earlier grant of the user
+ * @param {string} userId - User ID
+ * @returns {Promise<{token: string, expiresAt: string}>} - Token for the recovering browser only
+ */
+export async function startRecoveryGrant(userId) {
+  const token = randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + RECOVERY_GRANT_TTL_MINUTES * 60 * 1000).toISOString();
+
+  await saveTwoFactorDoc(userId, {
+    recoveryGrantHash: createHash('sha256').update(token).digest('hex'),
+    recoveryGrantExpiresAt: expiresAt
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Check an account recovery grant
+ * @param {string} userId - User ID
+ * @param {string} token - Token from startRecoveryGrant
+ * @returns {Promise<{valid: boolean, expiresAt?: string}>}
+ */
+export async function checkRecoveryGrant(userId, token) {
+  if (!userId || !token) {
+    return { valid: false };
+  }
+
+  const doc = await getTwoFactorDoc(userId);
+  if (!doc?.recoveryGrantHash || new Date(doc.recoveryGrantExpiresAt) < new Date()) {
+    return { valid: false };
+  }
+
+  const hash = createHash('sha256').update(token).digest('hex');
+  if (!safeEqual(doc.recoveryGrantHash, hash)) {
+    return { valid: false };
+  }
+
+  return { valid: true, expiresAt: doc.recoveryGrantExpiresAt };
+}
+
+/**
+ * End a user's account recovery grant
+ * @param {string} userId - User ID
+ */
+export async function endRecoveryGrant(userId) {
+  await saveTwoFactorDoc(userId, {
+    recoveryGrantHash: null,
+    recoveryGrantExpiresAt: null
+  });
+}
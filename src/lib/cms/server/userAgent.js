@@ -0,0 +1,49 @@
+// src/lib/cms/server/userAgent.js
+
+/**
+ * Browser and operating system names from a user agent string
+ *
+ * Good enough to tell a user's devices apart in the sessions list; not meant
+ * for feature detection. Order matters: Edge and Opera also claim to be Chrome,
+ * and Chrome also claims to be Safari.
+ */
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/(\d+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/(\d+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/(\d+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/(\d+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/(\d+)/ },
+  { name: 'Safari', pattern: /Version\/(\d+)[\d.]* (?:Mobile\/\S+ )?Safari\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Describe the browser and operating system of a user agent
+ * @param {string} userAgent - User agent string
+ * @returns {{browser: string|null, os: string|null, mobile: boolean}}
+ */
+export function describeUserAgent(userAgent) {
+  if (!userAgent) {
+    return { browser: null, os: null, mobile: false };
+  }
+
+  const browserMatch = BROWSERS
+    .map(({ name, pattern }) => ({ name, match: userAgent.match(pattern) }))
+    .find(({ match }) => match);
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+
+  return {
+    browser: browserMatch ? `${browserMatch.name} ${browserMatch.match[1]}` : null,
+    os: os ? os.name : null,
+    mobile: /Mobi|iPhone|iPod|Android.*Mobile/.test(userAgent)
+  };
+}
@@ -0,0 +1,98 @@
+// src/lib/cms/server/userRecords.js
+
+import { createAdminClient, Query } from './sdk_client';
+
+/**
+ * User lookups that don't check the caller
+ * Sign-in runs before there is a session cookie (jwtIssuer.js, sdk_account.js,
+ * passkey_server.js), and orders and reports read the users they belong to.
+ * The browser gets the guarded versions in sdk_users.js. Returned users never
+ * include the password hash.
+ */
+
+/**
+ * Drop the password hash the admin API includes in user records
+ * @param {Object} user - Appwrite user
+ * @returns {Object} - The user without password, hash and hashOptions
+ */
+export function withoutPasswordHash(user) {
+  const { password, hash, hashOptions, ...rest } = user;
+  return rest;
+}
+
+/**
+ * Load a user by ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<{success: boolean, data?: Object, message?: string}>}
+ */
+export async function loadUser(userId) {
+  try {
+    const { users } = await createAdminClient();
+    const user = await users.get(userId);
+    return { success: true, data: withoutPasswordHash(user) };
+  } catch (error) {
+    console.error(`Failed to fetch user with ID ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message || `Failed to fetch user with ID ${userId}`
+    };
+  }
+}
+
+/**
+ * Load a user's team memberships
+ * @param {string} userId - The user ID
+ * @returns {Promise<{success: boolean, data?: {total: number, memberships: Array}, message?: string}>}
+ */
+export async function loadUserMemberships(userId) {
+  try {
+    const { users } = await createAdminClient();
+    return { success: true, data: await users.listMemberships(userId) };
+  } catch (error) {
+    console.error(`Failed to fetch memberships for user with ID ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message || `Failed to fetch memberships for user with ID ${userId}`
+    };
+  }
+}
+
+/**
+ * Get a user ID by email address (case insensitive)
+ * @param {string} email - The email to search for
+ * @returns {Promise<{success: boolean, data?: string, message?: string}>}
+ */
+export async function getUserIdByEmail(email) {
+  try {
+    const { users } = await createAdminClient();
+
+    // Option 1: If your SDK/database supports case-insensitive queries
+    const response = await users.list([
+      // Some SDKs have case-insensitive query options
+      Query.equal('email', email.toLowerCase())
+    ]);
+
+    // Option 2: If case-insensitive queries aren't supported, fetch and filter
+    if (response.total === 0) {
+      // Fallback to manual filtering
+      const allUsers = await users.list();
+      const matchingUser = allUsers.users.find(
+        user => user.email.toLowerCase() === email.toLowerCase()
+      );
+
+      if (!matchingUser) {
+        throw new Error(`No user found with email: ${email}`);
+      }
+
+      return { success: true, data: matchingUser.$id };
+    }
+
+    return { success: true, data: response.users[0].$id };
+  } catch (error) {
+    console.error(`Failed to find user ID for email ${email}:`, error);
+    return {
+      success: false,
+      message: error.message || `Failed to find user ID for email ${email}`
+    };
+  }
+}
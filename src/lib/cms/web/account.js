@@ -2,12 +2,24 @@
 "use client";
 
 import { Client, Account } from "appwrite";
-import { generateJWTWEB } from "@/lib/cms/server/jwt";
 import { getCmsConfig } from './config';
 import { deleteCookie } from "@/lib/cms/server/cookieService";
-import { registerUser } from '@/lib/cms/server/sdk_account';
-import { getUserIdByEmail, getUserSessions, deleteUserSession } from '@/lib/cms/server/sdk_users';
-import { verifyRecaptchaToken } from '@/lib/recaptcha/server';
+import {
+  loginWithPassword,
+  completeSSOLogin,
+  completeSecondFactorLogin,
+  cancelSecondFactorLogin as cancelSecondFactorLoginOnServer,
+  requestMagicLink,
+  completeMagicLinkLogin
+} from '@/lib/cms/server/sdk_account';
+import {
+  getSessionUser,
+  logout as logoutServerSession,
+  signOutEverywhere as signOutEverywhereOnServer,
+  signOutOtherSessions as signOutOtherSessionsOnServer,
+  getUserSessions,
+  deleteUserSession
+} from '@/lib/cms/server/sdk_users';
 
 let accountInstance = null;
 
@@ -29,86 +41,139 @@ async function getAccount() {
   return accountInstance;
 }
 
+/**
+ * Starts an SSO sign-in. The provider redirects back to /oauth with the userId
+ * and secret of an OAuth2 token, which registerSSOSession hands to the server.
+ * @param {string} provider - OAuth2 provider (e.g. 'google')
+ * @param {string} redirectPath - Path to open after signing in
+ */
 export async function createSSOSession(provider, redirectPath) {
   const origin = window.location.origin;
   const successUrl = `${origin}/oauth?next=${encodeURIComponent(redirectPath)}`;
   const failureUrl = `${origin}/oauth?error=oauth-failed&next=${encodeURIComponent(redirectPath)}`;
 
   const account = await getAccount();
-  await account.createOAuth2Session(provider, successUrl, failureUrl);
+  await account.createOAuth2Token(provider, successUrl, failureUrl);
 }
 
-// Updated createCredentialsSession function
-export async function createCredentialsSession(email, password, recaptchaToken) {
-  // Handle reCAPTCHA verification more gracefully
-  if (recaptchaToken && process.env.NODE_ENV === 'production') {
-    try {
-      const verification = await verifyRecaptchaToken(recaptchaToken, 'login');
-      if (!verification.success && !verification.fallback) {
-        console.warn('reCAPTCHA verification failed, but continuing with login');
-      }
-    } catch (recaptchaError) {
-      console.error('reCAPTCHA verification error:', recaptchaError);
-      // Continue with login despite reCAPTCHA errors
+// Password sign-in runs as a server action so attempts can be rate limited and bot-checked
+export async function createCredentialsSession(email, password, botToken) {
+  try {
+    const result = await loginWithPassword(email, password, window.location.origin, botToken);
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.code,
+        retryAfter: result.retryAfter,
+        // Set when code is 'second_factor_required'
+        methods: result.methods,
+        error: result.message || 'Failed to login with email and password'
+      };
     }
+
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to login with email and password'
+    };
   }
+}
 
+/**
+ * Emails a sign-in link to the address
+ * @param {string} email - User's email address
+ * @param {string} botToken - Bot protection token for the 'magic_link' action
+ * @returns {Promise<Object>} Result of the operation
+ */
+export async function requestMagicLinkSignIn(email, botToken) {
   try {
-    const account = await getAccount();
-    const session = await account.createEmailPasswordSession(email, password);
-    await generateJWTWEB(session);
+    const result = await requestMagicLink(email, window.location.origin, botToken);
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.code,
+        retryAfter: result.retryAfter,
+        error: result.message || 'Failed to send the sign-in link'
+      };
+    }
 
-    return { success: true };
+    return { success: true, message: result.message };
   } catch (error) {
-    if (error.code === 401 && error.message.includes("session is prohibited when a session is active")) {
-      // Get user ID from email
-      try {
-        const userData = await getUserIdByEmail(email);
-
-        if (userData.success) {
-          const userId = userData.data;
-          // Get active sessions for the user
-          const activeUserSessions = await getUserSessions(userId);
-
-          if (activeUserSessions.success && activeUserSessions.data.sessions) {
-            const emailSessions = activeUserSessions.data.sessions;
-
-            // Delete all email sessions
-            for (const session of emailSessions) {
-              try {
-                await deleteUserSession(userId, session.$id);
-              } catch (deleteError) {
-                console.error("Failed to delete session:", deleteError);
-                // Continue with other sessions
-              }
-            }
-
-            // Try to login again after deleting sessions
-            try {
-              const account = await getAccount();
-              const newSession = await account.createEmailPasswordSession(email, password);
-              await generateJWTWEB(newSession);
-              return { success: true };
-            } catch (retryError) {
-              return {
-                success: false,
-                error: `Failed to login after deleting sessions: ${retryError.message}`
-              };
-            }
-          }
-        }
-      } catch (sessionError) {
-        console.error("Error handling active sessions:", sessionError);
-      }
+    return {
+      success: false,
+      error: error.message || 'Failed to send the sign-in link'
+    };
+  }
+}
+
+/**
+ * Signs in with the token from an emailed sign-in link
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} Result of the operation
+ */
+export async function verifyMagicLink(token) {
+  try {
+    const result = await completeMagicLinkLogin(token);
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.code,
+        retryAfter: result.retryAfter,
+        // Set when code is 'second_factor_required'
+        methods: result.methods,
+        error: result.message || 'Failed to sign in with the link'
+      };
     }
 
+    return { success: true, data: result.data };
+  } catch (error) {
     return {
       success: false,
-      error: error.message || 'Failed to login with email and password'
+      error: error.message || 'Failed to sign in with the link'
     };
   }
 }
 
+/**
+ * Finishes a password or email link sign-in with the second factor
+ * @param {string} method - 'totp' or 'recovery_code'
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Object>} Result of the operation
+ */
+export async function verifyLoginSecondFactor(method, code) {
+  try {
+    const result = await completeSecondFactorLogin(method, code);
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.code,
+        retryAfter: result.retryAfter,
+        error: result.message || 'Failed to verify the code'
+      };
+    }
+
+    return { success: true, data: result.data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to verify the code'
+    };
+  }
+}
+
+/**
+ * Abandons a password or email link sign-in waiting for its second factor
+ * @returns {Promise<Object>} Result of the operation
+ */
+export async function cancelSecondFactorLogin() {
+  try {
+    return await cancelSecondFactorLoginOnServer();
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Fetches the current logged-in user's account details.
  * @returns {Promise<Object>} The user object if successful, or an error object.
@@ -119,6 +184,12 @@ export async function getCurrentUser() {
     const user = await account.get();
     return { success: true, data: user };
   } catch (error) {
+    // Password and passkey sign-ins only hold the server session cookie
+    const sessionUser = await getSessionUser();
+    if (sessionUser.success) {
+      return { success: true, data: sessionUser.data };
+    }
+
     console.error("Failed to get current user:", error.message);
     // It's good practice to return a structured error,
     // similar to how other functions in this file do.
@@ -130,24 +201,27 @@ export async function getCurrentUser() {
   }
 }
 
-export async function registerSSOSession() {
-
+/**
+ * Finishes an SSO sign-in from the /oauth redirect. The token is exchanged on
+ * the server, which also provisions first-time users and runs the sign-in checks.
+ * @param {string} userId - userId query parameter from the redirect
+ * @param {string} secret - secret query parameter from the redirect
+ * @returns {Promise<Object>} Result of the operation
+ */
+export async function registerSSOSession(userId, secret) {
   try {
-    const account = await getAccount();
-    const session = await account.getSession('current');
-    const userData = await account.get();
-    const userPrefs = userData?.prefs;
-
-    if (!userPrefs || Object.keys(userPrefs).length === 0) {
-      await registerUser({
-        email: userData?.email,
-        userId: userData?.$id,
-        name: userData?.name,
-        hostURL: window.location.origin
-      });
+    const result = await completeSSOLogin(userId, secret, window.location.origin);
+    if (!result.success) {
+      return {
+        success: false,
+        code: result.code,
+        retryAfter: result.retryAfter,
+        // Set when code is 'second_factor_required'
+        methods: result.methods,
+        error: result.message || 'Failed to login with SSO'
+      };
     }
 
-    await generateJWTWEB(session);
     return { success: true };
   } catch (error) {
     console.error("SSO login error:", error.message);
@@ -177,6 +251,8 @@ export async function logout(redirectPath = '/login') {
       // Continue with logout even if Appwrite session deletion fails
     }
 
+    // Ends the server-side session and clears the session cookie
+    await logoutServerSession();
     await deleteCookie();
 
 
@@ -196,4 +272,122 @@ export async function logout(redirectPath = '/login') {
       error: error.message || 'Failed to logout'
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Signs the user out on every device, including this one, and revokes every
+ * session token issued to them
+ * @param {string} redirectPath - Optional path to redirect after signing out
+ * @returns {Promise<{success: boolean, message?: string}>} Result of the operation
+ */
+export async function signOutEverywhere(redirectPath = '/login') {
+  try {
+    const result = await signOutEverywhereOnServer();
+    if (!result.success) {
+      return {
+        success: false,
+        message: result.message || 'Failed to sign out everywhere'
+      };
+    }
+
+    if (typeof window !== 'undefined') {
+      window.location.href = redirectPath;
+    }
+
+    return {
+      success: true,
+      message: "Signed out on all devices"
+    };
+  } catch (error) {
+    console.error("Sign out everywhere error:", error.message);
+    return {
+      success: false,
+      message: error.message || 'Failed to sign out everywhere'
+    };
+  }
+}
+
+/**
+ * Lists the user's active sessions on every device, newest first
+ * @param {string} userId - The user ID
+ * @returns {Promise<{success: boolean, data?: Object[], message?: string}>} Sessions, with `current` marking this device
+ */
+export async function getActiveSessions(userId) {
+  try {
+    const result = await getUserSessions(userId);
+    if (!result.success) {
+      return {
+        success: false,
+        message: result.message || 'Failed to load your sessions'
+      };
+    }
+
+    return {
+      success: true,
+      data: result.data.sessions
+    };
+  } catch (error) {
+    console.error("Load sessions error:", error.message);
+    return {
+      success: false,
+      message: error.message || 'Failed to load your sessions'
+    };
+  }
+}
+
+/**
+ * Signs out a single session of the user (another device)
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - The session to sign out
+ * @returns {Promise<{success: boolean, message?: string}>} Result of the operation
+ */
+export async function signOutSession(userId, sessionId) {
+  try {
+    const result = await deleteUserSession(userId, sessionId);
+    if (!result.success) {
+      return {
+        success: false,
+        message: result.message || 'Failed to sign out the session'
+      };
+    }
+
+    return {
+      success: true,
+      message: "Session signed out"
+    };
+  } catch (error) {
+    console.error("Sign out session error:", error.message);
+    return {
+      success: false,
+      message: error.message || 'Failed to sign out the session'
+    };
+  }
+}
+
+/**
+ * Signs the user out on every other device, keeping this session
+ * @returns {Promise<{success: boolean, revokedCount?: number, message?: string}>} Result of the operation
+ */
+export async function signOutOtherSessions() {
+  try {
+    const result = await signOutOtherSessionsOnServer();
+    if (!result.success) {
+      return {
+        success: false,
+        message: result.message || 'Failed to sign out other sessions'
+      };
+    }
+
+    return {
+      success: true,
+      revokedCount: result.data.revokedCount,
+      message: "Signed out on all other devices"
+    };
+  } catch (error) {
+    console.error("Sign out other sessions error:", error.message);
+    return {
+      success: false,
+      message: error.message || 'Failed to sign out other sessions'
+    };
+  }
+}
@@ -0,0 +1,77 @@
+// src/lib/cms/web/domain_client.js
+"use client";
+
+import {
+  getOwnedTeamDomains,
+  claimCompanyDomain,
+  verifyCompanyDomain,
+  removeCompanyDomain
+} from '@/lib/cms/server/domain_server';
+
+/**
+ * Get the teams the signed-in user owns with their domains
+ * @returns {Promise<{success: boolean, data?: Array, message?: string}>}
+ */
+export async function getCompanyDomains() {
+  try {
+    return await getOwnedTeamDomains();
+  } catch (error) {
+    console.error("[Domain Client] Error getting company domains:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to load your company domains"
+    };
+  }
+}
+
+/**
+ * Claim a domain for a team
+ * @param {string} teamId - Team ID
+ * @param {string} domain - Domain to claim
+ * @returns {Promise<{success: boolean, data?: Object, message?: string}>}
+ */
+export async function addCompanyDomain(teamId, domain) {
+  try {
+    return await claimCompanyDomain(teamId, domain);
+  } catch (error) {
+    console.error("[Domain Client] Error claiming domain:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to claim the domain"
+    };
+  }
+}
+
+/**
+ * Check a domain's TXT record
+ * @param {string} claimId - Claim ID
+ * @returns {Promise<{success: boolean, data?: Object, code?: string, message?: string}>}
+ */
+export async function checkCompanyDomain(claimId) {
+  try {
+    return await verifyCompanyDomain(claimId);
+  } catch (error) {
+    console.error("[Domain Client] Error verifying domain:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to verify the domain"
+    };
+  }
+}
+
+/**
+ * Remove a domain from its team
+ * @param {string} claimId - Claim ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function deleteCompanyDomain(claimId) {
+  try {
+    return await removeCompanyDomain(claimId);
+  } catch (error) {
+    console.error("[Domain Client] Error removing domain:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to remove the domain"
+    };
+  }
+}
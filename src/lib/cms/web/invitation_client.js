@@ -0,0 +1,114 @@
+// src/lib/cms/web/invitation_client.js
+"use client";
+
+import {
+  getTeamInvitations,
+  inviteTeamMember,
+  resendTeamInvitation,
+  revokeTeamInvitation,
+  getInvitationDetails,
+  acceptInvitation
+} from '@/lib/cms/server/invitation_server';
+
+/**
+ * Get the teams the signed-in user owns with their open invitations
+ * @returns {Promise<{success: boolean, data?: Array, message?: string}>}
+ */
+export async function getOwnedTeamInvitations() {
+  try {
+    return await getTeamInvitations();
+  } catch (error) {
+    console.error("[Invitation Client] Error getting invitations:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to load your team invitations"
+    };
+  }
+}
+
+/**
+ * Invite someone to a team
+ * @param {string} teamId - Team ID
+ * @param {string} email - Address to invite
+ * @param {string} role - Role from the catalogue
+ * @returns {Promise<{success: boolean, data?: Object, message?: string}>}
+ */
+export async function sendTeamInvitation(teamId, email, role) {
+  try {
+    return await inviteTeamMember(teamId, email, role, window.location.origin);
+  } catch (error) {
+    console.error("[Invitation Client] Error sending invitation:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to send the invitation"
+    };
+  }
+}
+
+/**
+ * Send an invitation again with a new link
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<{success: boolean, data?: Object, message?: string}>}
+ */
+export async function resendInvitation(invitationId) {
+  try {
+    return await resendTeamInvitation(invitationId, window.location.origin);
+  } catch (error) {
+    console.error("[Invitation Client] Error resending invitation:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to resend the invitation"
+    };
+  }
+}
+
+/**
+ * Withdraw an invitation
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function revokeInvitation(invitationId) {
+  try {
+    return await revokeTeamInvitation(invitationId);
+  } catch (error) {
+    console.error("[Invitation Client] Error revoking invitation:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to withdraw the invitation"
+    };
+  }
+}
+
+/**
+ * Get the invitation behind a link
+ * @param {string} token - Token from the link
+ * @returns {Promise<{success: boolean, data?: Object, code?: string, message?: string}>}
+ */
+export async function getInvitation(token) {
+  try {
+    return await getInvitationDetails(token);
+  } catch (error) {
+    console.error("[Invitation Client] Error getting invitation:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to load the invitation"
+    };
+  }
+}
+
+/**
+ * Accept an invitation with the signed-in account
+ * @param {string} token - Token from the link
+ * @returns {Promise<{success: boolean, data?: {teamId: string, teamName: string}, code?: string, message?: string}>}
+ */
+export async function acceptTeamInvitation(token) {
+  try {
+    return await acceptInvitation(token, window.location.origin);
+  } catch (error) {
+    console.error("[Invitation Client] Error accepting invitation:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to accept the invitation"
+    };
+  }
+}
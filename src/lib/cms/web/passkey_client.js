@@ -13,8 +13,12 @@ import {
   verifyPasskeyRegistration,
   generatePasskeyAuthenticationOptions,
   verifyPasskeyAuthentication,
+  generatePasskeyStepUpOptions,
+  verifyPasskeyStepUp,
   getUserPasskeys,
-  deleteUserPasskey
+  deleteUserPasskey,
+  renameUserPasskey,
+  getUserSignInMethods
 } from '@/lib/cms/server/passkey_server';
 
 /**
@@ -42,9 +46,10 @@ export function checkPasskeySupport() {
  * Register a new passkey for the user
  * @param {string} email - User's email address
  * @param {string} userId - Optional: User ID if user already exists
+ * @param {string} botToken - Optional: bot protection token for the 'register' action (sign-ups only)
  * @returns {Promise<{success: boolean, data?: any, message?: string}>}
  */
-export async function registerPasskey(email, userId = null) {
+export async function registerPasskey(email, userId = null, botToken = null) {
   try {
     // Check browser support
     const support = checkPasskeySupport();
@@ -73,7 +78,7 @@ export async function registerPasskey(email, userId = null) {
     // Step 2: Start registration with browser
     let registrationResponse;
     try {
-      registrationResponse = await startRegistration(options);
+      registrationResponse = await startRegistration({ optionsJSON: options });
       console.log("[Passkey Client] User completed registration prompt");
     } catch (error) {
       console.error("[Passkey Client] Registration prompt failed:", error);
@@ -123,7 +128,8 @@ export async function registerPasskey(email, userId = null) {
       email,
       challengeId,
       registrationResponse,
-      window.location.origin
+      window.location.origin,
+      botToken
     );
 
     if (verificationResult.success) {
@@ -181,7 +187,7 @@ export async function authenticateWithPasskey(email = null, conditional = false)
     // Step 2: Start authentication with browser
     let authenticationResponse;
     try {
-      authenticationResponse = await startAuthentication(options, conditional);
+      authenticationResponse = await startAuthentication({ optionsJSON: options, useBrowserAutofill: conditional });
       console.log("[Passkey Client] User completed authentication prompt");
     } catch (error) {
       console.error("[Passkey Client] Authentication prompt failed:", error);
@@ -234,6 +240,80 @@ export async function authenticateWithPasskey(email = null, conditional = false)
   }
 }
 
+/**
+ * Confirm the signed-in user's identity with a passkey (step-up re-authentication)
+ * Does not create a new session; the server records a short-lived verification instead
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function confirmIdentityWithPasskey() {
+  try {
+    const support = checkPasskeySupport();
+    if (!support.webAuthnSupported) {
+      return {
+        success: false,
+        message: "Your browser doesn't support passkeys. Please try a different browser or device."
+      };
+    }
+
+    const optionsResult = await generatePasskeyStepUpOptions();
+    if (!optionsResult.success) {
+      return optionsResult;
+    }
+
+    const { options, challengeId } = optionsResult.data;
+
+    let authenticationResponse;
+    try {
+      authenticationResponse = await startAuthentication({ optionsJSON: options });
+    } catch (error) {
+      console.error("[Passkey Client] Step-up prompt failed:", error);
+
+      if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
+        return {
+          success: false,
+          message: "Identity confirmation was cancelled or timed out. Please try again."
+        };
+      }
+
+      return {
+        success: false,
+        message: error.message || "Failed to confirm your identity. Please try again."
+      };
+    }
+
+    return await verifyPasskeyStepUp(challengeId, authenticationResponse);
+
+  } catch (error) {
+    console.error("[Passkey Client] Step-up error:", error);
+    return {
+      success: false,
+      message: error.message || "An unexpected error occurred while confirming your identity"
+    };
+  }
+}
+
+/**
+ * Run a sensitive server action, prompting for passkey step-up if the server asks for it
+ * @param {Function} action - Async function returning a `{success, code?}` result
+ * @returns {Promise<Object>} - Result of the action (retried once after step-up)
+ */
+export async function withPasskeyStepUp(action) {
+  const result = await action();
+  if (result?.code !== 'step_up_required') {
+    return result;
+  }
+
+  const stepUpResult = await confirmIdentityWithPasskey();
+  if (!stepUpResult.success) {
+    return {
+      ...result,
+      message: stepUpResult.message || result.message
+    };
+  }
+
+  return await action();
+}
+
 /**
  * Get user's passkeys for account management
  * @param {string} userId - User ID
@@ -275,6 +355,42 @@ export async function removePasskey(userId, credentialId) {
   }
 }
 
+/**
+ * Rename a user's passkey
+ * @param {string} userId - User ID
+ * @param {string} credentialId - Credential ID to rename
+ * @param {string} nickname - New nickname (empty to reset to the authenticator name)
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function renamePasskey(userId, credentialId, nickname) {
+  try {
+    return await renameUserPasskey(userId, credentialId, nickname);
+  } catch (error) {
+    console.error("[Passkey Client] Error renaming passkey:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to rename passkey"
+    };
+  }
+}
+
+/**
+ * Get the sign-in methods of a user (password, social login, passkeys)
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getSignInMethods(userId) {
+  try {
+    return await getUserSignInMethods(userId);
+  } catch (error) {
+    console.error("[Passkey Client] Error getting sign-in methods:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to get sign-in methods"
+    };
+  }
+}
+
 /**
  * Check if conditional UI (autofill) is available and set it up
  * @param {HTMLInputElement} emailInput - Email input element
@@ -379,16 +495,20 @@ export function formatPasskeyForDisplay(passkey) {
   };
 
   const createdDate = new Date(passkey.createdAt).toLocaleDateString();
+  const lastUsedDate = passkey.lastUsedAt ? new Date(passkey.lastUsedAt).toLocaleDateString() : null;
   const deviceType = deviceTypeLabels[passkey.deviceType] || passkey.deviceType;
   const transports = passkey.transports.map(t => transportLabels[t] || t).join(', ');
 
   return {
     id: passkey.id,
     createdDate,
+    lastUsedDate,
     deviceType,
     transports,
+    authenticatorName: passkey.authenticatorName,
+    backupEligible: passkey.backupEligible,
     backedUp: passkey.backedUp,
-    displayName: `Passkey created ${createdDate}`,
+    displayName: passkey.nickname || passkey.authenticatorName || `Passkey created ${createdDate}`,
     subtitle: `${deviceType}${transports ? ` • ${transports}` : ''}`
   };
 }
@@ -0,0 +1,152 @@
+// src/lib/cms/web/recovery_client.js
+"use client";
+
+import {
+  signInWithRecoveryCode,
+  getAccountRecoveryStatus,
+  cancelAccountRecovery,
+  regenerateRecoveryCodes,
+  revokeRecoveryCodes
+} from '@/lib/cms/server/recovery_server';
+
+import { withPasskeyStepUp } from './passkey_client';
+
+/**
+ * Start account recovery with a recovery code
+ * @param {string} email - Account email
+ * @param {string} code - Recovery code
+ * @param {string} password - Account password, when the account has one
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function startAccountRecovery(email, code, password) {
+  try {
+    return await signInWithRecoveryCode(email, code, password);
+  } catch (error) {
+    console.error("[Recovery Client] Error starting account recovery:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to start account recovery"
+    };
+  }
+}
+
+/**
+ * Get the account recovery this browser is in, if any
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getAccountRecovery() {
+  try {
+    return await getAccountRecoveryStatus();
+  } catch (error) {
+    console.error("[Recovery Client] Error reading account recovery:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to read account recovery"
+    };
+  }
+}
+
+/**
+ * Leave account recovery without adding a passkey
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function leaveAccountRecovery() {
+  try {
+    return await cancelAccountRecovery();
+  } catch (error) {
+    console.error("[Recovery Client] Error leaving account recovery:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to leave account recovery"
+    };
+  }
+}
+
+/**
+ * Replace the recovery codes with a new set
+ * Without an authenticator app the server asks for a passkey step-up instead of a code
+ * @param {string} code - Code from the authenticator app, when one is set up
+ * @returns {Promise<{success: boolean, data?: {recoveryCodes: string[]}, message?: string}>}
+ */
+export async function renewRecoveryCodes(code = null) {
+  try {
+    return await withPasskeyStepUp(() => regenerateRecoveryCodes(code));
+  } catch (error) {
+    console.error("[Recovery Client] Error generating recovery codes:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to generate recovery codes"
+    };
+  }
+}
+
+/**
+ * Make all recovery codes stop working
+ * @param {string} code - Code from the authenticator app, when one is set up
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function removeRecoveryCodes(code = null) {
+  try {
+    return await withPasskeyStepUp(() => revokeRecoveryCodes(code));
+  } catch (error) {
+    console.error("[Recovery Client] Error turning off recovery codes:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to turn off recovery codes"
+    };
+  }
+}
+
+/**
+ * Text version of a set of recovery codes
+ * @param {string[]} codes - Recovery codes
+ * @param {string} accountName - Account the codes belong to (e.g. email)
+ * @returns {string}
+ */
+const formatRecoveryCodes = (codes, accountName) => [
+  `Recovery codes for ${accountName}`,
+  `Generated ${new Date().toLocaleString()}`,
+  "",
+  "Each code can be used once to get back into your account if you can't use",
+  "your passkey or authenticator app.",
+  "",
+  ...codes,
+  ""
+].join("\n");
+
+/**
+ * Save recovery codes as a text file
+ * @param {string[]} codes - Recovery codes
+ * @param {string} accountName - Account the codes belong to (e.g. email)
+ */
+export function downloadRecoveryCodes(codes, accountName) {
+  const url = URL.createObjectURL(new Blob([formatRecoveryCodes(codes, accountName)], { type: "text/plain" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "recovery-codes.txt";
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Open the print dialog for recovery codes
+ * @param {string[]} codes - Recovery codes
+ * @param {string} accountName - Account the codes belong to (e.g. email)
+ * @returns {boolean} - False when the browser blocked the print window
+ */
+export function printRecoveryCodes(codes, accountName) {
+  const printWindow = window.open("", "_blank", "width=600,height=700");
+  if (!printWindow) {
+    return false;
+  }
+
+  const pre = printWindow.document.createElement("pre");
+  pre.style.fontSize = "14px";
+  pre.textContent = formatRecoveryCodes(codes, accountName);
+  printWindow.document.title = "Recovery codes";
+  printWindow.document.body.appendChild(pre);
+  printWindow.focus();
+  printWindow.print();
+  printWindow.close();
+  return true;
+}
@@ -0,0 +1,93 @@
+// src/lib/cms/web/totp_client.js
+"use client";
+
+import {
+  getTwoFactorStatus,
+  startTotpEnrollment,
+  confirmTotpSetup,
+  disableTotpAuthenticator,
+  confirmIdentityWithCode
+} from '@/lib/cms/server/totp_server';
+
+/**
+ * Get the signed-in user's two-factor settings
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+export async function getTwoFactorSettings() {
+  try {
+    return await getTwoFactorStatus();
+  } catch (error) {
+    console.error("[TOTP Client] Error getting two-factor settings:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to load two-factor settings"
+    };
+  }
+}
+
+/**
+ * Start adding an authenticator app
+ * @returns {Promise<{success: boolean, data?: {secret: string, uri: string, qrCode: string, expiresAt: string}, message?: string}>}
+ */
+export async function beginAuthenticatorSetup() {
+  try {
+    return await startTotpEnrollment();
+  } catch (error) {
+    console.error("[TOTP Client] Error starting authenticator setup:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to start authenticator setup"
+    };
+  }
+}
+
+/**
+ * Finish adding an authenticator app
+ * @param {string} code - Code shown by the authenticator app
+ * @returns {Promise<{success: boolean, data?: {recoveryCodes: string[]}, message?: string}>}
+ */
+export async function finishAuthenticatorSetup(code) {
+  try {
+    return await confirmTotpSetup(code);
+  } catch (error) {
+    console.error("[TOTP Client] Error confirming authenticator setup:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to enable the authenticator app"
+    };
+  }
+}
+
+/**
+ * Turn off the authenticator app
+ * @param {string} code - Code from the app, or a recovery code
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function removeAuthenticator(code) {
+  try {
+    return await disableTotpAuthenticator(code);
+  } catch (error) {
+    console.error("[TOTP Client] Error turning off authenticator:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to turn off the authenticator app"
+    };
+  }
+}
+
+/**
+ * Confirm the signed-in user's identity with a code (step-up without a passkey)
+ * @param {string} code - Code from the app, or a recovery code
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function confirmIdentityWithAuthenticator(code) {
+  try {
+    return await confirmIdentityWithCode(code);
+  } catch (error) {
+    console.error("[TOTP Client] Error confirming identity:", error);
+    return {
+      success: false,
+      message: error.message || "Failed to confirm your identity"
+    };
+  }
+}
@@ -4,30 +4,27 @@
 import { RecaptchaEnterpriseServiceClient } from '@google-cloud/recaptcha-enterprise';
 
 /**
- * Verifies a reCAPTCHA token on the server with improved error handling
+ * Verifies a reCAPTCHA Enterprise token on the server
+ * Invalid tokens, action mismatches and low scores fail; `unavailable` is set
+ * when the check itself couldn't run (missing configuration or API errors), so
+ * callers can decide whether to fail open or closed.
  * @param {string} token - The token generated from the client
  * @param {string} action - The action name used to generate the token
  * @param {number} [threshold=0.5] - Minimum risk score threshold to accept (0.0 to 1.0)
- * @returns {Promise<{success: boolean, score?: number, error?: string}>}
+ * @returns {Promise<{success: boolean, score?: number, error?: string, unavailable?: boolean}>}
  */
 export async function verifyRecaptchaToken(token, action, threshold = 0.5) {
-  // Handle fallback tokens gracefully
-  if (token === 'recaptcha-unavailable' || token === 'recaptcha-execution-failed' || token === 'dev-environment') {
-    console.warn(`Using fallback reCAPTCHA token: ${token}`);
-    return { success: true, score: 1.0, fallback: true };
-  }
-  
   if (!token) {
     return { success: false, error: 'No reCAPTCHA token provided' };
   }
 
   const projectID = process.env.RECAPTCHA_PROJECT_ID;
-  const recaptchaKey = process.env.RECAPTCHA_SITE_KEY;
+  const recaptchaKey = process.env.RECAPTCHA_SITE_KEY || process.env.NEXT_PUBLIC_RECAPTCHA_SITE_KEY;
 
   // Check if required environment variables are present
   if (!projectID || !recaptchaKey) {
-    console.warn('Missing reCAPTCHA configuration. Accepting token without verification.');
-    return { success: true, score: 1.0, fallback: true };
+    console.warn('Missing reCAPTCHA configuration, token not verified');
+    return { success: false, error: 'reCAPTCHA is not configured', unavailable: true };
   }
 
   try {
@@ -44,6 +41,7 @@ export async function verifyRecaptchaToken(token, action, threshold = 0.5) {
         event: {
           token: token,
           siteKey: recaptchaKey,
+          expectedAction: action,
         },
       },
       parent: projectPath,
@@ -55,24 +53,18 @@ export async function verifyRecaptchaToken(token, action, threshold = 0.5) {
     // Check if the token is valid
     if (!response.tokenProperties.valid) {
       console.warn(`Invalid reCAPTCHA token: ${response.tokenProperties.invalidReason}`);
-      // Instead of failing, let's accept it anyway but log the issue
-      return { 
-        success: true, 
-        score: 0.5,
-        warning: `Invalid token: ${response.tokenProperties.invalidReason}`,
-        fallback: true
+      return {
+        success: false,
+        error: `Invalid token: ${response.tokenProperties.invalidReason}`
       };
     }
 
     // Check if the expected action was executed
     if (response.tokenProperties.action !== action) {
       console.warn(`reCAPTCHA action mismatch. Expected: ${action}, Got: ${response.tokenProperties.action}`);
-      // Allow it anyway but log the issue
-      return { 
-        success: true, 
-        score: 0.5,
-        warning: 'Action verification failed',
-        fallback: true
+      return {
+        success: false,
+        error: 'Action verification failed'
       };
     }
 
@@ -87,12 +79,10 @@ export async function verifyRecaptchaToken(token, action, threshold = 0.5) {
     // Verify the score meets our threshold
     if (score < threshold) {
       console.warn(`Low reCAPTCHA score: ${score} (threshold: ${threshold})`);
-      // Allow it anyway but with a warning
       return {
-        success: true,
+        success: false,
         score,
-        warning: 'Security check returned a low score',
-        fallback: true
+        error: 'Security check returned a low score'
       };
     }
 
@@ -103,17 +93,17 @@ export async function verifyRecaptchaToken(token, action, threshold = 0.5) {
     };
   } catch (error) {
     console.error('reCAPTCHA verification error:', error);
-    // Instead of failing completely, let's accept it but log the issue
     return {
-      success: true,
-      warning: 'Failed to verify security token, but allowing login',
-      fallback: true
+      success: false,
+      error: 'Failed to verify security token',
+      unavailable: true
     };
   }
 }
 
 /**
- * Higher-order function that enhances server actions with more resilient reCAPTCHA verification
+ * Higher-order function that enhances server actions with reCAPTCHA verification
+ * Requests without a valid token are rejected before the action runs.
  * @param {Function} action - The server action to enhance
  * @param {string} recaptchaAction - The expected reCAPTCHA action name
  * @param {number} [threshold=0.5] - Minimum risk score threshold to accept
@@ -124,22 +114,17 @@ export async function withRecaptchaVerification(action, recaptchaAction, thresho
   return async (formData) => {
     // Extract reCAPTCHA token from formData
     const token = formData.get('g-recaptcha-response');
-    
-    // If no token, proceed anyway but log it
-    if (!token) {
-      console.warn('Security token missing, proceeding without verification');
-      return action(formData);
-    }
 
     // Verify the token
     const verification = await verifyRecaptchaToken(token, recaptchaAction, threshold);
-    
-    // Log warnings but proceed with the action regardless
-    if (verification.warning) {
-      console.warn(`reCAPTCHA warning: ${verification.warning}`);
+    if (!verification.success) {
+      console.warn(`reCAPTCHA verification failed: ${verification.error}`);
+      return {
+        success: false,
+        message: 'Security verification failed. Please try again.'
+      };
     }
 
-    // If verification passed or we're using fallback, call the original action
     return action(formData);
   };
-}
\ No newline at end of file
+}
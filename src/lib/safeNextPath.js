@@ -0,0 +1,14 @@
+// src/lib/safeNextPath.js
+
+/**
+ * Where to go after signing in or up: the `next` path when it stays on this
+ * site (a leading "//" or "/\\" would leave it), otherwise the fallback
+ * @param {string|null} nextParam - The `next` query parameter
+ * @param {string|null} fallback - Path to use instead (defaults to the dashboard)
+ * @returns {string|null}
+ */
+export function getSafeNextPath(nextParam, fallback = '/account/dashboard') {
+  return nextParam && nextParam.startsWith('/') && !nextParam.startsWith('//') && !nextParam.startsWith('/\\')
+    ? nextParam
+    : fallback;
+}
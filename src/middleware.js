@@ -0,0 +1,107 @@
+import { NextResponse } from 'next/server';
+import { decodeSessionToken, getSessionTeamIds } from '@/lib/cms/server/sessionToken';
+
+/**
+ * Route protection
+ *
+ * Each request is matched against ROUTE_RULES (first match wins, so more
+ * specific paths come first) and needs one of these access levels:
+ * - public:        anyone
+ * - authenticated: a valid session cookie
+ * - admin:         member of the 'admin' or 'super_admin' team
+ * - super_admin:   member of the 'super_admin' team
+ *
+ * Runs in the Edge runtime, so the check is stateless: the token is decrypted
+ * and verified against the JWT keyring and the team claims embedded by
+ * generateJWT are trusted. Revocation and the session registry are enforced
+ * again by the server actions behind each page.
+ */
+
+const ROUTE_RULES = [
+  { path: '/admin/settings', access: 'super_admin' },
+  { path: '/admin', access: 'admin' },
+  { path: '/account', access: 'authenticated' },
+  { path: '/api/cron', access: 'public' }, // Authenticated with CRON_SECRET by the route itself
+  { path: '/login', access: 'public' },
+  { path: '/register', access: 'public' },
+  { path: '/invite', access: 'public' },
+  { path: '/', access: 'public' }
+];
+
+// Teams that grant each team-based access level
+const ACCESS_TEAMS = {
+  admin: ['admin', 'super_admin'],
+  super_admin: ['super_admin']
+};
+
+/**
+ * Find the rule for a path
+ * @param {string} pathname - Request path
+ * @returns {Object} - Matching rule ({ path, access })
+ */
+const findRouteRule = (pathname) =>
+  ROUTE_RULES.find(rule =>
+    rule.path === '/' || pathname === rule.path || pathname.startsWith(`${rule.path}/`)
+  );
+
+/**
+ * Send the user to the login page, remembering where they were going
+ * API routes get a JSON error instead of a redirect
+ * @param {Request} request - Incoming request
+ * @param {number} status - 401 (not signed in) or 403 (signed in without access)
+ * @param {string} error - Optional: error code shown by the login page
+ * @returns {NextResponse}
+ */
+const denyAccess = (request, status, error = null) => {
+  const { pathname, search } = request.nextUrl;
+
+  if (pathname.startsWith('/api/')) {
+    return NextResponse.json(
+      { success: false, code: status === 401 ? 'unauthenticated' : 'forbidden', message: status === 401 ? 'Unauthorized' : 'Forbidden' },
+      { status }
+    );
+  }
+
+  const loginUrl = new URL('/login', request.url);
+  loginUrl.searchParams.set('next', `${pathname}${search}`);
+  if (error) {
+    loginUrl.searchParams.set('error', error);
+  }
+  return NextResponse.redirect(loginUrl);
+};
+
+export async function middleware(request) {
+  const { access } = findRouteRule(request.nextUrl.pathname);
+
+  if (access === 'public') {
+    return NextResponse.next();
+  }
+
+  const token = request.cookies.get(process.env.COOKIE_NAME)?.value;
+  if (!token) {
+    return denyAccess(request, 401);
+  }
+
+  let payload;
+  try {
+    payload = await decodeSessionToken(token);
+  } catch (error) {
+    console.warn('Middleware: Session token rejected:', error.message);
+    return denyAccess(request, 401, 'session_invalid_or_expired');
+  }
+
+  const requiredTeams = ACCESS_TEAMS[access];
+  if (requiredTeams) {
+    const teamIds = getSessionTeamIds(payload);
+    if (!teamIds.some(teamId => requiredTeams.includes(teamId))) {
+      return denyAccess(request, 403, 'insufficient_permissions');
+    }
+  }
+
+  return NextResponse.next();
+}
+
+export const config = {
+  // Everything except static assets; ROUTE_RULES decides what is protected
+  matcher: ['/((?!_next/static|_next/image|favicon.ico|.*\\.(?:svg|png|jpg|jpeg|gif|webp|ico)$).*)'],
+};